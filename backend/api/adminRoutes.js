@@ -0,0 +1,130 @@
+/**
+ * SERVIONICS ADMIN ROUTES
+ * Verwaltung der Splatting-Jobs (Dead Letter, Requeue, Cancel) - 'jobs:manage'
+ * und der Benutzerrollen - 'users:manage'
+ * Nur Jobs/Benutzer der eigenen Organisation - fremde IDs ergeben 404
+ */
+
+const express = require('express');
+const jobQueue = require('../jobs/jobQueue');
+const authService = require('../auth/authService');
+const { requirePermission } = require('../auth/middleware');
+
+const router = express.Router();
+
+const JOB_STATUSES = ['pending', 'processing', 'completed', 'dead_letter', 'cancelled', 'failed'];
+
+function sendResult(res, result) {
+    if (!result.success) {
+        return res.status(result.statusCode || 400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, job: result.job });
+}
+
+/**
+ * Load :jobId and make sure it belongs to the caller's organization
+ */
+router.param('jobId', async (req, res, next, jobId) => {
+    let job;
+    try {
+        job = await jobQueue.get(jobId);
+    } catch (error) {
+        return next(error);
+    }
+
+    if (!job || job.orgId !== req.user.orgId) {
+        return res.status(404).json({
+            success: false,
+            error: 'Job not found'
+        });
+    }
+    next();
+});
+
+/**
+ * GET /api/admin/jobs?status=dead_letter
+ * All splatting jobs incl. attempt history, optionally filtered by status
+ */
+router.get('/jobs', requirePermission('jobs:manage'), async (req, res) => {
+    try {
+        const { status } = req.query;
+
+        if (status && !JOB_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unbekannter Status: ${status}`
+            });
+        }
+
+        const jobs = await jobQueue.list({ status, orgId: req.user.orgId });
+        res.json({ success: true, jobs });
+    } catch (error) {
+        console.error('[Admin API] Job list error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/admin/jobs/:jobId/requeue
+ * Dead-letter/failed/cancelled job back to 'pending' with fresh attempts
+ */
+router.post('/jobs/:jobId/requeue', requirePermission('jobs:manage'), async (req, res) => {
+    try {
+        sendResult(res, await jobQueue.requeue(req.params.jobId));
+    } catch (error) {
+        console.error('[Admin API] Requeue error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/admin/jobs/:jobId/cancel
+ * Stop a pending or running job - body: { reason }
+ */
+router.post('/jobs/:jobId/cancel', requirePermission('jobs:manage'), async (req, res) => {
+    try {
+        sendResult(res, await jobQueue.cancel(req.params.jobId, req.body?.reason));
+    } catch (error) {
+        console.error('[Admin API] Cancel error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/admin/users
+ * Users of the caller's organization incl. role
+ */
+router.get('/users', requirePermission('users:manage'), async (req, res) => {
+    try {
+        res.json({ success: true, users: await authService.listUsers(req.user.orgId) });
+    } catch (error) {
+        console.error('[Admin API] User list error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PATCH /api/admin/users/:userId/role
+ * Change a user's role - body: { role }
+ */
+router.patch('/users/:userId/role', requirePermission('users:manage'), async (req, res) => {
+    try {
+        if (req.params.userId === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                error: 'Die eigene Rolle kann nicht geändert werden'
+            });
+        }
+
+        const result = await authService.setRole(req.params.userId, req.body?.role, req.user.orgId);
+        if (!result.success) {
+            return res.status(result.statusCode || 400).json({ success: false, error: result.error });
+        }
+        res.json({ success: true, user: result.user });
+    } catch (error) {
+        console.error('[Admin API] Role change error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+/**
+ * SERVIONICS AUTH ROUTES
+ * Login/Logout für Kundenkonten
+ */
+
+const express = require('express');
+const authService = require('../auth/authService');
+const { requireAuth, rateLimit } = require('../auth/middleware');
+
+const router = express.Router();
+
+/**
+ * POST /api/auth/login
+ * Body: { email, password } -> { token, expiresAt, user }
+ */
+router.post('/login', rateLimit('login'), async (req, res) => {
+    try {
+        const { email, password } = req.body || {};
+
+        if (!email || !password) {
+            return res.status(400).json({
+                success: false,
+                error: 'E-Mail und Passwort erforderlich'
+            });
+        }
+
+        const session = await authService.login(email, password);
+
+        if (!session) {
+            return res.status(401).json({
+                success: false,
+                error: 'E-Mail oder Passwort falsch'
+            });
+        }
+
+        res.json({ success: true, ...session });
+    } catch (error) {
+        console.error('[Auth API] Login error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revokes the current session token
+ */
+router.post('/logout', requireAuth, async (req, res) => {
+    try {
+        await authService.logout(req.session.id);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('[Auth API] Logout error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/auth/me
+ * Currently logged-in user
+ */
+router.get('/me', requireAuth, (req, res) => {
+    res.json({ success: true, user: req.user });
+});
+
+module.exports = router;
@@ -1,6 +1,10 @@
 /**
  * SERVIONICS BACKEND API
  * REST endpoints for frontend integration
+ *
+ * Alle Projekt-Routen sind auf die Organisation des angemeldeten Benutzers
+ * beschränkt - fremde Projekt-IDs verhalten sich wie unbekannte (404).
+ * Was die Rolle des Benutzers darf, steht in auth/permissions.js (sonst 403).
  */
 
 const express = require('express');
@@ -8,6 +12,21 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const orchestrator = require('../orchestrator');
+const Phase5Output = require('../orchestrator/phase5_output');
+const pipelineEvents = require('../orchestrator/pipelineEvents');
+const { toPublicError } = require('../orchestrator/errors');
+const store = require('../store');
+const projectIds = require('../utils/projectIds');
+const projectPaths = require('../utils/projectPaths');
+const workerRegistry = require('../jobs/workerRegistry');
+const jobQueue = require('../jobs/jobQueue');
+const { requirePermission, rateLimit, sendTooManyRequests } = require('../auth/middleware');
+const shareLinks = require('../auth/shareLinks');
+const uploadQuota = require('../auth/uploadQuota');
+const chunkedUploads = require('../utils/chunkedUploads');
+const photoSets = require('../utils/photoSets');
+const videoValidator = require('../utils/videoValidator');
+const processRunner = require('../utils/processRunner');
 const config = require('../config/nvidia.config');
 
 const router = express.Router();
@@ -15,23 +34,24 @@ const router = express.Router();
 // Configure file upload
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        const uploadDir = config.output.uploads;
+        const uploadDir = projectPaths.uploadDir(req.user.orgId);
         if (!fs.existsSync(uploadDir)) {
             fs.mkdirSync(uploadDir, { recursive: true });
         }
         cb(null, uploadDir);
     },
     filename: (req, file, cb) => {
-        const uniqueName = `${Date.now()}-${file.originalname}`;
-        cb(null, uniqueName);
+        cb(null, projectPaths.uploadFileName(file.originalname));
     }
 });
 
+// Der MIME-Typ ist nur ein Vorfilter (manche Browser melden .mkv als octet-stream) -
+// entschieden wird am Inhalt (utils/videoValidator.js), bevor die Pipeline startet
 const upload = multer({
     storage,
-    limits: { fileSize: 500 * 1024 * 1024 }, // 500MB max
+    limits: { fileSize: config.limits.maxUploadBytes },
     fileFilter: (req, file, cb) => {
-        if (file.mimetype.startsWith('video/')) {
+        if (file.mimetype.startsWith('video/') || file.mimetype === 'application/octet-stream') {
             cb(null, true);
         } else {
             cb(new Error('Nur Videodateien erlaubt'), false);
@@ -39,34 +59,242 @@ const upload = multer({
     }
 });
 
-// ============================================
-// PROJECTS STORE (in-memory, reset on restart)
-// In production, use database
-// ============================================
-global.projects = global.projects || [];
+// Foto-Serien: Einzelbilder oder ZIPs (Browser melden HEIC/ZIP nicht immer sauber)
+const photoUpload = multer({
+    storage,
+    limits: { fileSize: config.limits.maxUploadBytes },
+    fileFilter: (req, file, cb) => {
+        const isZip = ['application/zip', 'application/x-zip-compressed'].includes(file.mimetype) ||
+            path.extname(file.originalname).toLowerCase() === '.zip';
+        if (file.mimetype.startsWith('image/') || isZip || photoSets.isImageName(file.originalname)) {
+            cb(null, true);
+        } else {
+            cb(new Error('Nur Fotos (JPEG, PNG, HEIC) oder ZIP-Archive erlaubt'), false);
+        }
+    }
+});
 
 /**
- * GET /api/projects
- * List all projects for dashboard
+ * Multer middleware for several files in one field - Fehler als 400/413 statt 500
+ * @param {Object} uploader - multer-Instanz
+ * @param {string} field - Formularfeld, mehrfach
+ * @param {number} maxCount
+ * @param {string} tooManyMessage
  */
-router.get('/projects', (req, res) => {
-    res.json({
+function receiveFiles(uploader, field, maxCount, tooManyMessage) {
+    return (req, res, next) => uploader.array(field, maxCount)(req, res, (error) => {
+        if (!error) return next();
+
+        const code = error instanceof multer.MulterError ? error.code : null;
+        let message = error.message;
+        if (code === 'LIMIT_FILE_SIZE') {
+            message = `Datei ist zu groß (max. ${Math.round(config.limits.maxUploadBytes / (1024 * 1024))} MB)`;
+        } else if (code === 'LIMIT_UNEXPECTED_FILE') {
+            message = tooManyMessage;
+        }
+
+        discardUpload(req);
+        res.status(code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+            success: false,
+            error: message
+        });
+    });
+}
+
+// Bis zu config.limits.maxVideosPerProject Videos (Feld `video`, mehrfach)
+const receiveVideos = receiveFiles(upload, 'video', config.limits.maxVideosPerProject,
+    `Höchstens ${config.limits.maxVideosPerProject} Videos pro Upload`);
+
+// Fotos und/oder ZIPs (Feld `photos`, mehrfach)
+const receivePhotos = receiveFiles(photoUpload, 'photos', config.photoSet.maxImages,
+    `Höchstens ${config.photoSet.maxImages} Dateien pro Foto-Upload`);
+
+/**
+ * Reject uploads before multer writes them to disk if the monthly quota
+ * is used up. Content-Length (inkl. Multipart-Overhead) dient als Obergrenze,
+ * die exakte Größe prüft die Route nach dem Upload.
+ */
+async function enforceUploadQuota(req, res, next) {
+    try {
+        const maxBytes = config.limits.maxUploadBytes * config.limits.maxVideosPerProject;
+        const incomingBytes = Math.min(parseInt(req.get('Content-Length'), 10) || 0, maxBytes);
+        const quota = await uploadQuota.check(req.user, incomingBytes);
+
+        if (!quota.allowed) {
+            return sendTooManyRequests(res, quota.retryAfterSeconds, quota.error);
+        }
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Delete received uploads that will not become part of a project
+ */
+function discardUpload(req) {
+    (req.files || []).forEach(file => fs.rmSync(file.path, { force: true }));
+}
+
+/**
+ * Videos received by multer -> Pipeline-Videos
+ */
+function uploadedVideos(req) {
+    return (req.files || []).map(file => ({
+        videoFile: file.path,
+        originalName: file.originalname,
+        size: file.size
+    }));
+}
+
+/**
+ * Exact quota check for received videos
+ * @returns {Promise<Object>} - uploadQuota.check() Ergebnis
+ */
+function checkQuotaFor(req, videos) {
+    const bytes = videos.reduce((sum, video) => sum + video.size, 0);
+    return uploadQuota.check(req.user, bytes, videos.length);
+}
+
+/**
+ * Start a new project with the received videos - or add them to an existing
+ * one (`project`) - and book them against the quota
+ * (Multipart-Upload und fortsetzbarer Upload)
+ * Vorher wird jedes Video am Inhalt geprüft (Container, Codec, Auflösung, Dauer)
+ * @param {Object[]} videos - [{ videoFile, originalName, size }]
+ * @param {Object} target - { skillId, trimBadSegments } für ein neues Projekt oder { project }
+ * @returns {Promise<Object>} - { success, projectId, videos } oder { success: false, statusCode, error, errorCode }
+ */
+async function queueUploadedVideos(req, videos, target) {
+    console.log(`[API] Received upload: ${videos.map(v => path.basename(v.videoFile)).join(', ')}`);
+
+    const validation = await videoValidator.validateAll(videos);
+    if (!validation.success) return validation;
+
+    let projectId;
+    let added;
+
+    if (target.project) {
+        projectId = target.project.id;
+        const result = await orchestrator.addVideos(projectId, videos);
+        if (!result.success) return result;
+        added = result.videos;
+    } else {
+        // Start pipeline in the background - do NOT await the five phases here
+        projectId = await orchestrator.startProject({
+            videos,
+            skillId: target.skillId,
+            trimBadSegments: target.trimBadSegments === true,
+            orgId: req.user.orgId,
+            metadata: {
+                originalName: videos[0].originalName,
+                size: videos[0].size,
+                uploadTime: new Date().toISOString()
+            }
+        });
+        added = (await store.getProject(projectId)).videos;
+    }
+
+    for (const video of videos) {
+        await uploadQuota.record(req.user, { projectId, bytes: video.size });
+    }
+    console.log(`[API] Project queued: ${projectId} (${videos.length} video(s))`);
+
+    return { success: true, projectId, videos: added };
+}
+
+/**
+ * Boolean option from JSON (true) or a multipart form field ('true' / '1')
+ */
+function isEnabled(value) {
+    return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Error response for a discriminated failure - errorCode/file nur wenn vorhanden
+ */
+function sendFailure(res, result) {
+    res.status(result.statusCode || 400).json({
+        success: false,
+        error: result.error,
+        errorCode: result.errorCode,
+        file: result.file
+    });
+}
+
+/**
+ * 202 response for a queued project
+ */
+function sendQueued(res, projectId, videos) {
+    res.status(202).json({
         success: true,
-        projects: global.projects.sort((a, b) =>
-            new Date(b.createdAt) - new Date(a.createdAt)
-        )
+        projectId,
+        videos,
+        status: 'queued',
+        statusUrl: `/api/project/${projectId}/status`
     });
+}
+
+/**
+ * Load the project of the caller's organization
+ * @returns {Promise<Object|null>} - null if unknown or owned by another tenant
+ */
+async function findOwnProject(req, id) {
+    if (!id || !projectIds.isValid(id)) return null;
+
+    const project = await store.getProject(id);
+    return project && project.orgId === req.user.orgId ? project : null;
+}
+
+/**
+ * Resolve :id to req.project - malformed IDs (../) and projects of other
+ * organizations get the same 404. Alte IDs (PRJ-YYYY-NNN) bleiben gültig
+ */
+router.param('id', async (req, res, next, id) => {
+    try {
+        req.project = await findOwnProject(req, id);
+    } catch (error) {
+        return next(error);
+    }
+
+    if (!req.project) {
+        return res.status(404).json({
+            success: false,
+            error: 'Projekt nicht gefunden'
+        });
+    }
+    next();
+});
+
+/**
+ * GET /api/projects
+ * List all projects for dashboard
+ */
+router.get('/projects', requirePermission('project:read'), async (req, res) => {
+    try {
+        const projects = await store.listProjects({ orgId: req.user.orgId });
+        res.json({
+            success: true,
+            projects: projects.map(p => ({ ...p, error: toPublicError(p.error) }))
+        });
+    } catch (error) {
+        console.error('[API] Could not load projects:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 
 /**
  * POST /api/project/upload
- * Upload video and start pipeline
+ * Upload one or more videos (Feld `video`, mehrfach) and start pipeline in the background
+ * Antwortet sofort mit 202 + Projekt-ID, Fortschritt über /api/project/:id/status
+ * Optional `trimBadSegments=true`: schlechte Abschnitte vor der Rekonstruktion herausschneiden
  */
-router.post('/project/upload', upload.single('video'), async (req, res) => {
+router.post('/project/upload', requirePermission('project:upload'), rateLimit('upload'), enforceUploadQuota, receiveVideos, async (req, res) => {
     try {
         const { skillId } = req.body;
+        const videos = uploadedVideos(req);
 
-        if (!req.file) {
+        if (videos.length === 0) {
             return res.status(400).json({
                 success: false,
                 error: 'Keine Videodatei hochgeladen'
@@ -74,49 +302,111 @@ router.post('/project/upload', upload.single('video'), async (req, res) => {
         }
 
         if (!skillId) {
+            discardUpload(req);
             return res.status(400).json({
                 success: false,
                 error: 'Skill-ID erforderlich'
             });
         }
 
-        console.log(`[API] Received upload: ${req.file.filename}, Skill: ${skillId}`);
+        // Exakte Größe gegen die Quota (parallele Uploads, Content-Length fehlte)
+        const quota = await checkQuotaFor(req, videos);
+        if (!quota.allowed) {
+            discardUpload(req);
+            return sendTooManyRequests(res, quota.retryAfterSeconds, quota.error);
+        }
+
+        const queued = await queueUploadedVideos(req, videos, { skillId, trimBadSegments: isEnabled(req.body.trimBadSegments) });
+        if (!queued.success) {
+            discardUpload(req);
+            return sendFailure(res, queued);
+        }
+
+        sendQueued(res, queued.projectId, queued.videos);
+
+    } catch (error) {
+        console.error('[API] Upload error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/project/upload-photos
+ * Upload a photo set instead of a video: Fotos (JPEG/PNG/HEIC) und/oder ZIPs
+ * im Feld `photos`. Zählt als ein Upload für die Quota. Antwortet mit 202 wie
+ * /project/upload, `photoSet.skipped` nennt nicht verwertbare Dateien
+ */
+router.post('/project/upload-photos', requirePermission('project:upload'), rateLimit('upload'), enforceUploadQuota, receivePhotos, async (req, res) => {
+    try {
+        const { skillId } = req.body;
+        const files = req.files || [];
+
+        if (files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Keine Fotos hochgeladen'
+            });
+        }
+
+        if (!skillId) {
+            discardUpload(req);
+            return res.status(400).json({
+                success: false,
+                error: 'Skill-ID erforderlich'
+            });
+        }
 
-        // Start pipeline asynchronously
-        const result = await orchestrator.processProject({
-            videoFile: req.file.path,
-            skillId: skillId,
+        const size = files.reduce((sum, file) => sum + file.size, 0);
+        const quota = await uploadQuota.check(req.user, size);
+        if (!quota.allowed) {
+            discardUpload(req);
+            return sendTooManyRequests(res, quota.retryAfterSeconds, quota.error);
+        }
+
+        // Originale (inkl. ZIPs) werden nach der Umwandlung nicht mehr gebraucht
+        const prepared = await photoSets.prepare(files.map(file => ({
+            path: file.path,
+            originalName: file.originalname,
+            size: file.size
+        })), req.user.orgId);
+        discardUpload(req);
+
+        if (!prepared.success) {
+            return res.status(prepared.statusCode).json({
+                success: false,
+                error: prepared.error,
+                skipped: prepared.skipped
+            });
+        }
+
+        const projectId = await orchestrator.startProject({
+            photoSet: prepared.photoSet,
+            skillId,
+            orgId: req.user.orgId,
             metadata: {
-                originalName: req.file.originalname,
-                size: req.file.size,
+                originalName: prepared.photoSet.originalName,
+                size,
                 uploadTime: new Date().toISOString()
             }
         });
 
-        // Save project to store for dashboard
-        const project = {
-            id: result.project_id,
-            title: req.file.originalname.replace(/\.[^/.]+$/, ""),
-            skillId: skillId,
-            status: result.success ? 'processing' : 'failed',
-            qualityScore: result.score || result.qualityScore,
-            qualityLevel: result.level || result.qualityLevel,
-            splattingScore: result.splattingSuitability?.score,
-            hasSplat: false,
-            createdAt: new Date().toISOString(),
-            analysis: {
-                basicQuality: result.basicQuality,
-                splattingSuitability: result.splattingSuitability,
-                suggestions: result.suggestions
-            }
-        };
-        global.projects.push(project);
-        console.log(`[API] Project saved: ${project.id}, Total: ${global.projects.length}`);
+        await uploadQuota.record(req.user, { projectId, bytes: size });
+        console.log(`[API] Project queued: ${projectId} (${prepared.photoSet.images.length} photos)`);
 
-        res.json(result);
+        res.status(202).json({
+            success: true,
+            projectId,
+            photoSet: photoSets.toPublic(prepared.photoSet),
+            status: 'queued',
+            statusUrl: `/api/project/${projectId}/status`
+        });
 
     } catch (error) {
-        console.error('[API] Upload error:', error);
+        console.error('[API] Photo upload error:', error);
+        discardUpload(req);
         res.status(500).json({
             success: false,
             error: error.message
@@ -124,13 +414,443 @@ router.post('/project/upload', upload.single('video'), async (req, res) => {
     }
 });
 
+/**
+ * Resolve :uploadId to req.upload - nur eigene Sessions, sonst 404
+ */
+router.param('uploadId', async (req, res, next, uploadId) => {
+    try {
+        req.upload = await chunkedUploads.get(uploadId, req.user);
+    } catch (error) {
+        return next(error);
+    }
+
+    if (!req.upload) {
+        return res.status(404).json({
+            success: false,
+            error: 'Upload nicht gefunden'
+        });
+    }
+    next();
+});
+
+/**
+ * POST /api/uploads
+ * Start a resumable upload: { fileName, size, mimeType, sha256? }
+ * Zählt als Upload für Rate Limit und Quota - die Teilstücke nicht
+ */
+router.post('/uploads', requirePermission('project:upload'), rateLimit('upload'), async (req, res) => {
+    try {
+        const size = Number(req.body.size);
+        const quota = await uploadQuota.check(req.user, Number.isFinite(size) ? size : 0);
+        if (!quota.allowed) {
+            return sendTooManyRequests(res, quota.retryAfterSeconds, quota.error);
+        }
+
+        const created = await chunkedUploads.create(req.user, { ...req.body, size });
+        if (!created.success) {
+            return res.status(created.statusCode).json({ success: false, error: created.error });
+        }
+
+        res.status(201).json({
+            success: true,
+            ...chunkedUploads.toPublic(created.session),
+            chunkUrl: `/api/uploads/${created.session.id}/chunks/{index}`
+        });
+    } catch (error) {
+        console.error('[API] Upload init error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/uploads/:uploadId
+ * Progress of a resumable upload - receivedChunks sagt dem Client, wo er weitermacht
+ */
+router.get('/uploads/:uploadId', requirePermission('project:upload'), (req, res) => {
+    res.json({ success: true, ...chunkedUploads.toPublic(req.upload) });
+});
+
+/**
+ * PUT /api/uploads/:uploadId/chunks/:index
+ * One chunk as application/octet-stream, Header X-Chunk-Sha256: <hex>
+ */
+router.put('/uploads/:uploadId/chunks/:index', requirePermission('project:upload'), async (req, res) => {
+    try {
+        const index = /^\d+$/.test(req.params.index) ? parseInt(req.params.index, 10) : NaN;
+        const chunk = await chunkedUploads.receiveChunk(req.upload, index, req, req.get('X-Chunk-Sha256'));
+
+        if (!chunk.success) return sendFailure(res, chunk);
+
+        res.json({
+            success: true,
+            index: chunk.index,
+            receivedChunks: chunk.receivedChunks.length,
+            totalChunks: req.upload.totalChunks
+        });
+    } catch (error) {
+        console.error('[API] Chunk upload error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * Finish resumable uploads: zusammensetzen, prüfen und als neues Projekt
+ * ({ skillId }) oder als weitere Videos eines Projekts ({ projectId }) starten.
+ * Wiederholter Aufruf nach Erfolg liefert dasselbe Projekt
+ */
+async function completeUploads(req, res, sessions) {
+    const { skillId, projectId } = req.body;
+
+    const done = sessions.filter(session => session.status === 'complete');
+    if (done.length === sessions.length && new Set(done.map(session => session.projectId)).size === 1) {
+        return sendQueued(res, done[0].projectId);
+    }
+    if (done.length > 0) {
+        return res.status(409).json({ success: false, error: `Upload ${done[0].id} ist bereits abgeschlossen` });
+    }
+
+    let project = null;
+    if (projectId) {
+        project = await findOwnProject(req, projectId);
+        if (!project) {
+            return res.status(404).json({ success: false, error: 'Projekt nicht gefunden' });
+        }
+    } else if (!skillId) {
+        return res.status(400).json({
+            success: false,
+            error: 'Skill-ID erforderlich'
+        });
+    }
+
+    const closed = sessions.find(session => session.status !== 'uploading');
+    if (closed) {
+        return res.status(409).json({
+            success: false,
+            error: `Upload ${closed.id} ist ${closed.status === 'expired' ? 'abgelaufen' : 'abgebrochen'} - bitte neu hochladen`
+        });
+    }
+
+    // Erst prüfen, ob alles da ist - zusammengesetzt wird nur komplett
+    const incomplete = sessions.find(session => chunkedUploads.missingChunks(session).length > 0);
+    if (incomplete) {
+        const missingChunks = chunkedUploads.missingChunks(incomplete);
+        return res.status(409).json({
+            success: false,
+            error: `Upload ${incomplete.id}: es fehlen noch ${missingChunks.length} von ${incomplete.totalChunks} Teilstücken`,
+            missingChunks
+        });
+    }
+
+    // Größen stehen seit dem Start fest - Quota vor dem Zusammensetzen prüfen
+    const quota = await checkQuotaFor(req, sessions);
+    if (!quota.allowed) {
+        return sendTooManyRequests(res, quota.retryAfterSeconds, quota.error);
+    }
+
+    const videos = [];
+    const discard = () => videos.forEach(video => fs.rmSync(video.videoFile, { force: true }));
+
+    for (const session of sessions) {
+        const assembled = await chunkedUploads.assemble(session);
+        if (!assembled.success) {
+            discard();
+            return res.status(assembled.statusCode).json({
+                success: false,
+                error: assembled.error,
+                missingChunks: assembled.missingChunks
+            });
+        }
+        videos.push({
+            videoFile: assembled.filePath,
+            originalName: assembled.originalName,
+            size: assembled.size,
+            uploadId: session.id,
+            sha256: assembled.sha256
+        });
+    }
+
+    const queued = await queueUploadedVideos(req, videos, project ? { project } : { skillId, trimBadSegments: isEnabled(req.body.trimBadSegments) });
+    if (!queued.success) {
+        discard();
+        // Abgelehntes Video: Teilstücke verwerfen, ein erneutes complete hilft nicht
+        const rejected = sessions.find(session => session.id === queued.video?.uploadId);
+        if (rejected) await chunkedUploads.abort(rejected);
+        return sendFailure(res, queued);
+    }
+
+    for (const session of sessions) {
+        await chunkedUploads.markComplete(session, queued.projectId);
+    }
+    sendQueued(res, queued.projectId, queued.videos);
+}
+
+/**
+ * POST /api/uploads/:uploadId/complete
+ * Join the chunks, verify size/checksum and start the pipeline: { skillId } oder { projectId }
+ */
+router.post('/uploads/:uploadId/complete', requirePermission('project:upload'), async (req, res) => {
+    try {
+        await completeUploads(req, res, [req.upload]);
+    } catch (error) {
+        console.error('[API] Upload complete error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/uploads/complete
+ * Several resumable uploads as one project: { uploadIds: [...], skillId, trimBadSegments } oder { uploadIds, projectId }
+ */
+router.post('/uploads/complete', requirePermission('project:upload'), async (req, res) => {
+    try {
+        const uploadIds = Array.isArray(req.body.uploadIds) ? [...new Set(req.body.uploadIds.map(String))] : [];
+
+        if (uploadIds.length === 0 || uploadIds.length > config.limits.maxVideosPerProject) {
+            return res.status(400).json({
+                success: false,
+                error: `uploadIds: 1 bis ${config.limits.maxVideosPerProject} Upload-IDs erforderlich`
+            });
+        }
+
+        const sessions = [];
+        for (const uploadId of uploadIds) {
+            const session = await chunkedUploads.get(uploadId, req.user);
+            if (!session) {
+                return res.status(404).json({ success: false, error: `Upload ${uploadId} nicht gefunden` });
+            }
+            sessions.push(session);
+        }
+
+        await completeUploads(req, res, sessions);
+    } catch (error) {
+        console.error('[API] Upload complete error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * DELETE /api/uploads/:uploadId
+ * Cancel an unfinished upload
+ */
+router.delete('/uploads/:uploadId', requirePermission('project:upload'), async (req, res) => {
+    try {
+        const aborted = await chunkedUploads.abort(req.upload);
+        if (!aborted.success) {
+            return res.status(aborted.statusCode).json({ success: false, error: aborted.error });
+        }
+
+        res.json({ success: true, ...chunkedUploads.toPublic(aborted.session) });
+    } catch (error) {
+        console.error('[API] Upload abort error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/account/usage
+ * Upload quota of the current month and storage used by the account
+ */
+router.get('/account/usage', async (req, res) => {
+    try {
+        const usage = await uploadQuota.getUsage(req.user);
+        res.json({
+            success: true,
+            ...usage,
+            rateLimits: {
+                apiPerMinute: config.limits.api.max,
+                uploadsPerHour: config.limits.upload.max
+            }
+        });
+    } catch (error) {
+        console.error('[API] Usage error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 /**
  * GET /api/project/status
- * Get current pipeline status
+ * Overview of all queued/running pipelines
+ * Mit ?projectId=... Status genau dieses Projekts (auch wenn bereits fertig)
+ */
+router.get('/project/status', requirePermission('project:read'), async (req, res) => {
+    try {
+        const { projectId } = req.query;
+
+        if (!projectId) {
+            return res.json(orchestrator.getStatus(null, req.user.orgId));
+        }
+
+        const project = await findOwnProject(req, projectId);
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                error: 'Projekt nicht gefunden'
+            });
+        }
+
+        const live = orchestrator.getStatus(project.id);
+        if (live) {
+            return res.json(live);
+        }
+
+        res.json({
+            projectId: project.id,
+            skillId: project.skillId,
+            status: project.phase,
+            phases: await store.getPhaseResults(project.id),
+            error: toPublicError(project.error),
+            queuePosition: null
+        });
+    } catch (error) {
+        console.error('[API] Status error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/project/:id/status
+ * Progress of one project's background pipeline run
+ * `result` is only set once the run has finished (complete/failed)
+ */
+router.get('/project/:id/status', requirePermission('project:read'), async (req, res) => {
+    try {
+        const project = req.project;
+        const live = orchestrator.getStatus(project.id);
+
+        res.json({
+            success: true,
+            projectId: project.id,
+            status: project.status,
+            phase: project.phase,
+            progress: project.progress,
+            queuePosition: live?.queuePosition || null,
+            error: toPublicError(project.error),
+            result: project.result || null
+        });
+    } catch (error) {
+        console.error('[API] Status error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/project/:id/videos
+ * Add videos (Feld `video`, mehrfach) to a finished or failed project - die
+ * Pipeline läuft ab Phase 1 neu, bereits bewertete Videos werden übernommen
  */
-router.get('/project/status', (req, res) => {
-    const status = orchestrator.getStatus();
-    res.json(status);
+router.post('/project/:id/videos', requirePermission('project:upload'), rateLimit('upload'), enforceUploadQuota, receiveVideos, async (req, res) => {
+    try {
+        const videos = uploadedVideos(req);
+
+        if (videos.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Keine Videodatei hochgeladen'
+            });
+        }
+
+        const quota = await checkQuotaFor(req, videos);
+        if (!quota.allowed) {
+            discardUpload(req);
+            return sendTooManyRequests(res, quota.retryAfterSeconds, quota.error);
+        }
+
+        const queued = await queueUploadedVideos(req, videos, { project: req.project });
+        if (!queued.success) {
+            discardUpload(req);
+            return sendFailure(res, queued);
+        }
+
+        sendQueued(res, queued.projectId, queued.videos);
+    } catch (error) {
+        console.error('[API] Add videos error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/project/:id/retry?fromPhase=construct
+ * Resume a failed project from a phase, reusing the checkpoints under output/<orgId>/<id>/
+ * Ohne fromPhase: ab der ersten Phase ohne Checkpoint
+ */
+router.post('/project/:id/retry', requirePermission('project:retry'), async (req, res) => {
+    try {
+        const project = req.project;
+        const retry = await orchestrator.retryProject(project.id, req.query.fromPhase);
+
+        if (!retry.success) {
+            return res.status(retry.statusCode || 400).json({
+                success: false,
+                error: retry.error
+            });
+        }
+
+        res.status(202).json({
+            success: true,
+            projectId: project.id,
+            fromPhase: retry.fromPhase,
+            status: 'queued',
+            statusUrl: `/api/project/${project.id}/status`
+        });
+    } catch (error) {
+        console.error('[API] Retry error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/project/:id/events
+ * Server-Sent Events stream of the project's pipeline progress
+ * Bereits gesendete Events werden beim Verbinden nachgeliefert (Last-Event-ID wird beachtet)
+ */
+router.get('/project/:id/events', requirePermission('project:read'), async (req, res) => {
+    const project = req.project;
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Kein Buffering hinter Proxies
+    });
+    res.flushHeaders();
+
+    const send = (event) => {
+        res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+        if (event.type === 'done') res.end();
+    };
+
+    // Replay what the client has not seen yet
+    const lastEventId = parseInt(req.get('Last-Event-ID'), 10) || 0;
+    const history = pipelineEvents.getHistory(project.id).filter(e => e.id > lastEventId);
+    history.forEach(send);
+    if (res.writableEnded) return;
+
+    // Not queued/running (anymore) - e.g. finished before a restart, answer from store
+    // Wartet das Projekt auf den GPU-Worker, bleibt der Stream offen
+    const isLive = orchestrator.getStatus(project.id) !== null || project.status === 'awaiting_capture';
+    if (!isLive) {
+        return send({
+            id: 0,
+            type: 'done',
+            data: { status: project.status, result: project.result || null }
+        });
+    }
+
+    const unsubscribe = pipelineEvents.subscribe(project.id, send);
+
+    // Kommentar-Zeile alle 15s hält die Verbindung durch Proxies offen
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+    res.on('close', () => {
+        clearInterval(keepAlive);
+        unsubscribe();
+    });
 });
 
 /**
@@ -175,20 +895,190 @@ router.get('/skills', (req, res) => {
 /**
  * GET /api/project/:id
  * Get project details by ID
+ * Offer aus output/<orgId>/<id>/offer.json, sonst aus dem Store (z.B. nach Redeploy)
+ * Auch per Freigabe-Link (?share=) - dann ohne interne Preis-Historie
  */
-router.get('/project/:id', (req, res) => {
-    const { id } = req.params;
-    const offerPath = path.join(config.output.processed, id, 'offer.json');
+router.get('/project/:id', requirePermission('project:read'), async (req, res) => {
+    try {
+        const { project } = req;
+        const id = project.id;
+        const offerPath = path.join(projectPaths.forProject(project), 'offer.json');
 
-    if (!fs.existsSync(offerPath)) {
-        return res.status(404).json({
+        let offer = null;
+        if (fs.existsSync(offerPath)) {
+            offer = JSON.parse(fs.readFileSync(offerPath, 'utf-8'));
+        } else {
+            offer = (await store.getPhaseResults(id)).output || null;
+        }
+
+        if (offer) {
+            if (req.shareLink) {
+                const { pricing_adjusted, ...sharedOffer } = offer;
+                return res.json(sharedOffer);
+            }
+            return res.json(offer);
+        }
+
+        // Fehlgeschlagene Projekte haben kein Angebot - Fehler statt 404 zurückgeben
+        if (project.status === 'failed') {
+            return res.status(422).json({
+                success: false,
+                project_id: id,
+                status: 'failed',
+                error: toPublicError(project.error)
+            });
+        }
+
+        res.status(404).json({
             success: false,
             error: 'Projekt nicht gefunden'
         });
+    } catch (error) {
+        console.error('[API] Project error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * PATCH /api/project/:id/pricing
+ * Sales adjusts the prices of a finished offer - body: { setupCost, monthlyCost } (EUR)
+ * TCO/ROI werden neu berechnet, die Standardpreise bleiben in `pricing_adjusted` sichtbar.
+ * Die Preise liegen am Projekt (project.pricing) und gelten auch nach einem Re-Run.
+ */
+router.patch('/project/:id/pricing', requirePermission('offer:edit_pricing'), async (req, res) => {
+    try {
+        const { project } = req;
+        const pricing = { ...project.pricing };
+
+        if (req.body?.setupCost === undefined && req.body?.monthlyCost === undefined) {
+            return res.status(400).json({
+                success: false,
+                error: 'setupCost oder monthlyCost erforderlich'
+            });
+        }
+
+        for (const field of ['setupCost', 'monthlyCost']) {
+            const value = req.body?.[field];
+            if (value === undefined) continue;
+
+            if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${field} muss eine Zahl >= 0 sein`
+                });
+            }
+            pricing[field] = value;
+        }
+
+        const offer = (await store.getPhaseResults(project.id)).output;
+        if (!offer) {
+            return res.status(409).json({
+                success: false,
+                error: 'Projekt hat noch kein Angebot'
+            });
+        }
+
+        pricing.by = req.user.email;
+        pricing.at = new Date().toISOString();
+        const updated = Phase5Output.reprice(offer, pricing);
+
+        await Phase5Output.saveResponse(updated, projectPaths.forProject(project));
+        await store.savePhaseResult(project.id, 'output', updated);
+        await store.updateProject(project.id, {
+            pricing,
+            result: {
+                ...project.result,
+                tco_estimate: updated.tco_estimate,
+                pricing_adjusted: updated.pricing_adjusted
+            }
+        });
+
+        console.log(`[API] Pricing of ${project.id} adjusted by ${req.user.email}`);
+        res.json(updated);
+    } catch (error) {
+        console.error('[API] Pricing error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/project/:id/share
+ * Signed, expiring link for offer + 3D viewer without login
+ * Body: { expiresInHours, label } -> { url, token, link }
+ */
+router.post('/project/:id/share', requirePermission('project:share'), async (req, res) => {
+    try {
+        const result = await shareLinks.create(req.project, req.user, {
+            expiresInHours: req.body?.expiresInHours,
+            label: req.body?.label
+        });
+
+        if (!result.success) {
+            return res.status(result.statusCode || 400).json({ success: false, error: result.error });
+        }
+
+        res.status(201).json({
+            success: true,
+            url: result.url,
+            token: result.token,
+            link: result.link
+        });
+    } catch (error) {
+        console.error('[API] Share error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/project/:id/share
+ * All share links of a project (active, expired, revoked)
+ */
+router.get('/project/:id/share', requirePermission('project:share'), async (req, res) => {
+    try {
+        res.json({ success: true, links: await shareLinks.list(req.project.id) });
+    } catch (error) {
+        console.error('[API] Share list error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/project/:id/share/:shareId
+ * One link incl. access log (neueste Zugriffe zuerst)
+ */
+router.get('/project/:id/share/:shareId', requirePermission('project:share'), async (req, res) => {
+    try {
+        const result = await shareLinks.get(req.project.id, req.params.shareId);
+
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, error: result.error });
+        }
+        res.json({ success: true, link: result.link, access: result.access });
+    } catch (error) {
+        console.error('[API] Share error:', error);
+        res.status(500).json({ success: false, error: error.message });
     }
+});
 
-    const offer = JSON.parse(fs.readFileSync(offerPath, 'utf-8'));
-    res.json(offer);
+/**
+ * DELETE /api/project/:id/share/:shareId
+ * Revoke a link - bereits verschickte URLs funktionieren sofort nicht mehr
+ */
+router.delete('/project/:id/share/:shareId', requirePermission('project:share'), async (req, res) => {
+    try {
+        const result = await shareLinks.revoke(req.project.id, req.params.shareId, req.user);
+
+        if (!result.success) {
+            return res.status(result.statusCode).json({ success: false, error: result.error });
+        }
+        res.json({ success: true, link: result.link });
+    } catch (error) {
+        console.error('[API] Share revoke error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 
 /**
@@ -199,7 +1089,8 @@ router.get('/health', (req, res) => {
     res.json({
         status: 'ok',
         version: '1.0.0',
-        pipeline: orchestrator.getStatus().status
+        pipeline: orchestrator.getStatus().status,
+        media: processRunner.getStats()
     });
 });
 
@@ -207,12 +1098,13 @@ router.get('/health', (req, res) => {
  * GET /api/project/:id/splat
  * Download splat file for 3D viewer
  */
-router.get('/project/:id/splat', (req, res) => {
-    const { id } = req.params;
+router.get('/project/:id/splat', requirePermission('project:read'), (req, res) => {
+    const id = req.project.id;
+    const projectDir = projectPaths.forProject(req.project);
 
     // Check for .splat file first, then .ply
-    const splatPath = path.join(config.output.processed, id, 'scene.splat');
-    const plyPath = path.join(config.output.processed, id, 'splat_cloud.ply');
+    const splatPath = path.join(projectDir, 'scene.splat');
+    const plyPath = path.join(projectDir, 'splat_cloud.ply');
 
     let filePath = null;
     if (fs.existsSync(splatPath)) {
@@ -238,13 +1130,46 @@ router.get('/project/:id/splat', (req, res) => {
     fileStream.pipe(res);
 });
 
+// Render-Ergebnisse aus Phase 4 (preview_video_url / screenshot_url im Angebot)
+const PROJECT_ASSETS = {
+    'preview.mp4': 'video/mp4',
+    'dashboard.png': 'image/png'
+};
+
+/**
+ * GET /api/project/:id/assets/:file
+ * Preview video and screenshot of a project
+ */
+router.get('/project/:id/assets/:file', requirePermission('project:read'), (req, res) => {
+    const contentType = PROJECT_ASSETS[req.params.file];
+    const filePath = contentType ? path.join(projectPaths.forProject(req.project), req.params.file) : null;
+
+    if (!filePath || !fs.existsSync(filePath)) {
+        return res.status(404).json({
+            success: false,
+            error: 'Datei nicht gefunden'
+        });
+    }
+
+    res.setHeader('Content-Type', contentType);
+    fs.createReadStream(filePath).pipe(res);
+});
+
+/**
+ * Splat download URL - ohne Zugangsdaten: der Viewer lädt sie per
+ * ServionicsConfig.fetch, das Authorization-Header bzw. ?share= selbst anhängt
+ */
+function splatUrlFor(req) {
+    return `/api/project/${req.project.id}/splat`;
+}
+
 /**
  * GET /api/project/:id/viewer
  * Get viewer metadata for 3D visualization
  */
-router.get('/project/:id/viewer', (req, res) => {
-    const { id } = req.params;
-    const projectDir = path.join(config.output.processed, id);
+router.get('/project/:id/viewer', requirePermission('project:read'), (req, res) => {
+    const id = req.project.id;
+    const projectDir = projectPaths.forProject(req.project);
 
     if (!fs.existsSync(projectDir)) {
         return res.status(404).json({
@@ -284,7 +1209,7 @@ router.get('/project/:id/viewer', (req, res) => {
         project: projectInfo,
         viewer: {
             hasSplat: hasSplat || hasPly,
-            splatUrl: hasSplat || hasPly ? `/api/project/${id}/splat` : null,
+            splatUrl: hasSplat || hasPly ? splatUrlFor(req) : null,
             format: hasSplat ? 'splat' : (hasPly ? 'ply' : null),
             camera: {
                 position: [0, 2, 5],
@@ -297,124 +1222,63 @@ router.get('/project/:id/viewer', (req, res) => {
 
 /**
  * GET /api/worker/status
- * Check if local GPU worker is available
+ * Registered GPU workers and whether any of them is connected
+ * (Die Worker selbst sprechen mit api/workerRoutes.js)
  */
-router.get('/worker/status', (req, res) => {
-    const workerStatus = global.workerStatus || {
-        available: false,
-        lastSeen: null
-    };
-
-    // Consider worker available if seen in last 30 seconds
-    const isAvailable = workerStatus.lastSeen &&
-        (Date.now() - new Date(workerStatus.lastSeen).getTime()) < 30000;
-
-    res.json({
-        available: isAvailable,
-        message: isAvailable ? 'GPU Worker connected' : 'GPU Worker not connected',
-        lastSeen: workerStatus.lastSeen
-    });
-});
-
-// In-memory job queue (would be Redis/DB in production)
-global.splatJobs = global.splatJobs || [];
-
-/**
- * GET /api/worker/jobs
- * List pending splatting jobs for worker
- */
-router.get('/worker/jobs', (req, res) => {
-    // Update worker last seen
-    global.workerStatus = { lastSeen: new Date().toISOString() };
-
-    res.json({
-        jobs: global.splatJobs.filter(j => j.status === 'pending')
-    });
-});
-
-/**
- * POST /api/worker/claim
- * Worker claims a job for processing
- */
-router.post('/worker/claim', (req, res) => {
-    const { jobId } = req.body;
-    const job = global.splatJobs.find(j => j.id === jobId);
-
-    if (!job) {
-        return res.status(404).json({ error: 'Job not found' });
-    }
-
-    if (job.status !== 'pending') {
-        return res.status(400).json({ error: 'Job already claimed' });
-    }
-
-    job.status = 'processing';
-    job.claimedAt = new Date().toISOString();
-
-    res.json({ success: true, job });
-});
-
-/**
- * POST /api/worker/complete
- * Worker reports job completion
- */
-router.post('/worker/complete', (req, res) => {
-    const { jobId, splatPath, pointCount } = req.body;
-    const job = global.splatJobs.find(j => j.id === jobId);
-
-    if (!job) {
-        return res.status(404).json({ error: 'Job not found' });
-    }
-
-    job.status = 'completed';
-    job.completedAt = new Date().toISOString();
-    job.splatPath = splatPath;
-    job.pointCount = pointCount;
-
-    console.log(`[Worker] Job ${jobId} completed: ${splatPath}`);
-
-    res.json({ success: true });
-});
-
-/**
- * POST /api/worker/fail
- * Worker reports job failure
- */
-router.post('/worker/fail', (req, res) => {
-    const { jobId, error } = req.body;
-    const job = global.splatJobs.find(j => j.id === jobId);
+router.get('/worker/status', requirePermission('workers:read'), async (req, res) => {
+    try {
+        const workers = await workerRegistry.listWorkers();
+        const online = workers.filter(w => w.online);
+        const lastSeen = workers
+            .map(w => w.lastSeen)
+            .filter(Boolean)
+            .sort()
+            .pop() || null;
 
-    if (!job) {
-        return res.status(404).json({ error: 'Job not found' });
+        res.json({
+            available: online.length > 0,
+            message: online.length > 0 ? `${online.length} GPU Worker connected` : 'GPU Worker not connected',
+            lastSeen,
+            workers
+        });
+    } catch (error) {
+        console.error('[API] Worker status error:', error);
+        res.status(500).json({ success: false, error: error.message });
     }
-
-    job.status = 'failed';
-    job.failedAt = new Date().toISOString();
-    job.error = error;
-
-    console.log(`[Worker] Job ${jobId} failed: ${error}`);
-
-    res.json({ success: true });
 });
 
 /**
  * POST /api/worker/queue
  * Queue a new splatting job (internal use)
+ * Nur für eigene Projekte, das Video muss im Upload-Ordner der Organisation liegen
  */
-router.post('/worker/queue', (req, res) => {
-    const { projectId, videoPath } = req.body;
+router.post('/worker/queue', requirePermission('jobs:manage'), async (req, res) => {
+    try {
+        const { projectId, videoPath } = req.body;
+        const project = await findOwnProject(req, projectId);
 
-    const job = {
-        id: projectId || `job_${Date.now()}`,
-        videoPath,
-        status: 'pending',
-        createdAt: new Date().toISOString()
-    };
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                error: 'Projekt nicht gefunden'
+            });
+        }
 
-    global.splatJobs.push(job);
-    console.log(`[Worker] Queued job ${job.id}`);
+        const uploadDir = path.resolve(projectPaths.uploadDir(project.orgId));
+        if (!videoPath || !path.resolve(videoPath).startsWith(uploadDir + path.sep)) {
+            return res.status(400).json({
+                success: false,
+                error: 'Video liegt nicht im Upload-Ordner der Organisation'
+            });
+        }
 
-    res.json({ success: true, job });
+        const job = await jobQueue.enqueue({ projectId: project.id, orgId: project.orgId, videoPath });
+
+        res.json({ success: true, job });
+    } catch (error) {
+        console.error('[API] Queue error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 
 module.exports = router;
@@ -0,0 +1,229 @@
+/**
+ * SERVIONICS GPU WORKER ROUTES
+ * Protokoll für registrierte GPU-Worker (Phase 2 - Gaussian Splatting)
+ *
+ * Ablauf eines Workers:
+ * 1. POST /api/worker/register          - einmalig, mit Registration-Secret
+ * 2. POST /api/worker/claim             - Job + Lease holen
+ * 3. GET  /api/worker/jobs/:jobId/input - Video herunterladen
+ *    bzw. GET .../keyframes/:clipId/:file  - Trainings-Keyframes aller Videos (job.keyframes)
+ * 4. POST /api/worker/heartbeat         - Lease verlängern (alle heartbeatIntervalMs)
+ * 5. POST /api/worker/complete          - scene.splat hochladen (multipart)
+ *    oder POST /api/worker/fail
+ *
+ * Authentifizierung: Header `X-Worker-Id` + `Authorization: Bearer <token>`
+ * (unabhängig vom Login der Web-App)
+ */
+
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const config = require('../config/nvidia.config');
+const workerRegistry = require('../jobs/workerRegistry');
+const { rateLimit } = require('../auth/middleware');
+const jobQueue = require('../jobs/jobQueue');
+
+const router = express.Router();
+
+// Artefakte landen erst hier und werden dann nach output/<id>/ verschoben
+const artifactUpload = multer({
+    dest: path.join(config.output.uploads, 'worker-artifacts'),
+    limits: { fileSize: config.workers.maxArtifactBytes }
+});
+
+/**
+ * Require valid worker credentials, sets req.worker
+ */
+async function workerAuth(req, res, next) {
+    try {
+        const auth = req.headers.authorization || '';
+        const token = auth.startsWith('Bearer ') ? auth.slice(7) : null;
+        const worker = await workerRegistry.authenticate(req.headers['x-worker-id'], token);
+
+        if (!worker) {
+            return res.status(401).json({ success: false, error: 'Invalid worker credentials' });
+        }
+
+        req.worker = worker;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Multipart upload of scene.splat with a readable error on oversized files
+ */
+function receiveArtifact(req, res, next) {
+    artifactUpload.single('splat')(req, res, (error) => {
+        if (error && error.code === 'LIMIT_FILE_SIZE') {
+            return res.status(413).json({ success: false, error: 'Artifact too large' });
+        }
+        next(error);
+    });
+}
+
+function sendResult(res, result) {
+    if (!result.success) {
+        if (result.statusCode === 204) return res.status(204).end();
+        return res.status(result.statusCode || 400).json({ success: false, error: result.error });
+    }
+    res.json({ success: true, job: result.job });
+}
+
+/**
+ * POST /api/worker/register
+ * Register a worker, returns { workerId, token } once
+ * Rate-limitiert pro IP gegen Durchprobieren des Registration-Secrets
+ */
+router.post('/register', rateLimit('workerRegister'), async (req, res) => {
+    try {
+        const { name, registrationSecret, capabilities } = req.body;
+        const credentials = await workerRegistry.register({ name, registrationSecret, capabilities });
+
+        if (!credentials) {
+            return res.status(403).json({ success: false, error: 'Invalid registration secret' });
+        }
+
+        res.status(201).json({
+            success: true,
+            ...credentials,
+            leaseMs: config.workers.leaseMs
+        });
+    } catch (error) {
+        console.error('[Worker API] Register error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/worker/jobs
+ * List pending splatting jobs
+ */
+router.get('/jobs', workerAuth, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            jobs: await jobQueue.listPending()
+        });
+    } catch (error) {
+        console.error('[Worker API] Job list error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/worker/claim
+ * Claim a job for processing - `jobId` optional, default is the oldest pending job
+ * 204 wenn nichts zu tun ist
+ */
+router.post('/claim', workerAuth, async (req, res) => {
+    try {
+        sendResult(res, await jobQueue.claim(req.worker.id, req.body.jobId));
+    } catch (error) {
+        console.error('[Worker API] Claim error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/worker/heartbeat
+ * Extend the lease - 409 means the lease was lost and the worker must stop
+ */
+router.post('/heartbeat', workerAuth, async (req, res) => {
+    try {
+        const { jobId, progress } = req.body;
+        sendResult(res, await jobQueue.heartbeat(jobId, req.worker.id, progress));
+    } catch (error) {
+        console.error('[Worker API] Heartbeat error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/worker/jobs/:jobId/input
+ * Download the input video of a leased job
+ */
+router.get('/jobs/:jobId/input', workerAuth, async (req, res) => {
+    try {
+        const result = await jobQueue.getLeasedJob(req.params.jobId, req.worker.id);
+        if (!result.success) return sendResult(res, result);
+
+        const videoPath = result.job.videoPath;
+        if (!videoPath) {
+            return res.status(404).json({ success: false, error: 'Job has no input video (photo set) - use keyframes' });
+        }
+        if (!fs.existsSync(videoPath)) {
+            return res.status(410).json({ success: false, error: 'Input video no longer available' });
+        }
+
+        res.download(path.resolve(videoPath), path.basename(videoPath));
+    } catch (error) {
+        console.error('[Worker API] Input download error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * GET /api/worker/jobs/:jobId/keyframes/:clipId/:file
+ * Download one training keyframe of a leased job (Liste in job.keyframes)
+ */
+router.get('/jobs/:jobId/keyframes/:clipId/:file', workerAuth, async (req, res) => {
+    try {
+        const result = await jobQueue.getLeasedJob(req.params.jobId, req.worker.id);
+        if (!result.success) return sendResult(res, result);
+
+        const keyframePath = jobQueue.keyframePath(result.job, `${req.params.clipId}/${req.params.file}`);
+        if (!keyframePath) {
+            return res.status(404).json({ success: false, error: 'Keyframe not part of this job' });
+        }
+        if (!fs.existsSync(keyframePath)) {
+            return res.status(410).json({ success: false, error: 'Keyframe no longer available' });
+        }
+
+        res.sendFile(path.resolve(keyframePath));
+    } catch (error) {
+        console.error('[Worker API] Keyframe download error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * POST /api/worker/complete
+ * Multipart: field `jobId`, optional `pointCount`, file `splat` (scene.splat)
+ */
+router.post('/complete', workerAuth, receiveArtifact, async (req, res) => {
+    const { jobId, pointCount } = req.body;
+
+    if (!req.file) {
+        return res.status(400).json({ success: false, error: 'Missing splat file' });
+    }
+
+    try {
+        const result = await jobQueue.complete(jobId, req.worker.id, req.file.path, { pointCount });
+        sendResult(res, result);
+    } catch (error) {
+        console.error('[Worker API] Complete error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    } finally {
+        // Bei verlorener Lease bleibt die Upload-Datei sonst liegen
+        fs.rmSync(req.file.path, { force: true });
+    }
+});
+
+/**
+ * POST /api/worker/fail
+ * Worker reports job failure
+ */
+router.post('/fail', workerAuth, async (req, res) => {
+    try {
+        const { jobId, error } = req.body;
+        sendResult(res, await jobQueue.fail(jobId, req.worker.id, error));
+    } catch (error) {
+        console.error('[Worker API] Fail report error:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+module.exports = router;
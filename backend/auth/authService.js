@@ -0,0 +1,192 @@
+/**
+ * AUTH SERVICE
+ * Benutzerkonten, Login/Logout und Prüfung der Session-Tokens
+ */
+
+const crypto = require('crypto');
+const config = require('../config/nvidia.config');
+const store = require('../store');
+const passwords = require('./passwords');
+const sessionTokens = require('./sessionTokens');
+const organizationService = require('./organizationService');
+const permissions = require('./permissions');
+
+// Für unbekannte E-Mails wird trotzdem ein Hash geprüft - gleiche Antwortzeit
+const DUMMY_HASH_PROMISE = passwords.hashPassword(crypto.randomBytes(16).toString('hex'));
+
+class AuthService {
+    /**
+     * Create a customer account
+     * @param {Object} data - { email, password, name, orgId, role }
+     * @returns {Promise<Object>} - Benutzer ohne Passwort-Hash
+     */
+    async createUser({ email, password, name, orgId, role = permissions.DEFAULT_ROLE }) {
+        const normalizedEmail = normalizeEmail(email);
+        if (!normalizedEmail || !normalizedEmail.includes('@')) {
+            throw new Error('Gültige E-Mail-Adresse erforderlich');
+        }
+
+        const passwordError = passwords.validatePassword(password);
+        if (passwordError) throw new Error(passwordError);
+
+        if (!permissions.isRole(role)) {
+            throw new Error(`Unbekannte Rolle: ${role} (${permissions.ROLES.join(', ')})`);
+        }
+
+        if (await store.getUserByEmail(normalizedEmail)) {
+            throw new Error(`E-Mail ${normalizedEmail} ist bereits vergeben`);
+        }
+
+        if (!orgId || !(await store.getOrganization(orgId))) {
+            throw new Error(`Organisation ${orgId} existiert nicht`);
+        }
+
+        const user = {
+            id: `usr_${crypto.randomBytes(8).toString('hex')}`,
+            email: normalizedEmail,
+            name: name || normalizedEmail,
+            orgId,
+            role,
+            passwordHash: await passwords.hashPassword(password),
+            createdAt: new Date().toISOString(),
+            lastLoginAt: null
+        };
+
+        await store.saveUser(user);
+        console.log(`[Auth] Created user ${user.id} (${user.email}, ${role}) in ${orgId}`);
+
+        return toPublicUser(user);
+    }
+
+    /**
+     * Check credentials and open a session
+     * @returns {Promise<Object|null>} - { token, expiresAt, user } oder null
+     */
+    async login(email, password) {
+        const user = await store.getUserByEmail(normalizeEmail(email));
+        const valid = await passwords.verifyPassword(password, user ? user.passwordHash : await DUMMY_HASH_PROMISE);
+
+        if (!user || !valid || user.disabledAt) {
+            return null;
+        }
+
+        const now = Date.now();
+        const session = {
+            id: `ses_${crypto.randomBytes(12).toString('hex')}`,
+            userId: user.id,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + config.auth.sessionTtlMs).toISOString(),
+            revokedAt: null
+        };
+
+        await store.saveSession(session);
+        await store.updateUser(user.id, { lastLoginAt: session.createdAt });
+
+        return {
+            token: sessionTokens.sign({ sid: session.id, sub: user.id, exp: now + config.auth.sessionTtlMs }),
+            expiresAt: session.expiresAt,
+            user: toPublicUser(user)
+        };
+    }
+
+    /**
+     * Revoke the session behind a token
+     */
+    async logout(sessionId) {
+        await store.updateSession(sessionId, { revokedAt: new Date().toISOString() });
+    }
+
+    /**
+     * Verify a bearer token
+     * @returns {Promise<Object|null>} - { user, session } oder null
+     */
+    async authenticate(token) {
+        const payload = sessionTokens.verify(token);
+        if (!payload || payload.typ) return null; // typ: z.B. Freigabe-Link, keine Session
+
+        const session = await store.getSession(payload.sid);
+        if (!session || session.revokedAt || session.userId !== payload.sub) return null;
+        if (new Date(session.expiresAt).getTime() < Date.now()) return null;
+
+        const user = await store.getUser(session.userId);
+        if (!user || user.disabledAt) return null;
+
+        return { user: toPublicUser(user), session };
+    }
+
+    /**
+     * Change the role of a user of the given organization
+     * @returns {Promise<Object>} - { success, user } oder { success: false, statusCode, error }
+     */
+    async setRole(userId, role, orgId) {
+        const user = await store.getUser(userId);
+        if (!user || user.orgId !== orgId) {
+            return { success: false, statusCode: 404, error: 'Benutzer nicht gefunden' };
+        }
+
+        if (!permissions.isRole(role)) {
+            return { success: false, statusCode: 400, error: `Unbekannte Rolle: ${role} (${permissions.ROLES.join(', ')})` };
+        }
+
+        const updated = await store.updateUser(userId, { role });
+        console.log(`[Auth] Role of ${userId} set to ${role}`);
+        return { success: true, user: toPublicUser(updated) };
+    }
+
+    /**
+     * Users of one organization (Benutzerverwaltung)
+     */
+    async listUsers(orgId) {
+        return (await store.listUsers())
+            .filter(user => user.orgId === orgId)
+            .map(toPublicUser);
+    }
+
+    /**
+     * Give accounts from before roles existed a role: the ADMIN_EMAIL
+     * account becomes admin, everybody else customer (idempotent)
+     */
+    async assignMissingRoles() {
+        const users = (await store.listUsers()).filter(user => !user.role);
+
+        for (const user of users) {
+            const role = user.email === normalizeEmail(config.auth.adminEmail) ? 'admin' : permissions.DEFAULT_ROLE;
+            await store.updateUser(user.id, { role });
+        }
+
+        if (users.length > 0) {
+            console.log(`[Auth] ${users.length} Benutzern ohne Rolle eine Rolle zugewiesen`);
+        }
+    }
+
+    /**
+     * Create the first account from ADMIN_EMAIL / ADMIN_PASSWORD if no user exists yet
+     */
+    async ensureBootstrapUser() {
+        if ((await store.listUsers()).length > 0) return;
+
+        const { adminEmail, adminPassword } = config.auth;
+        if (!adminEmail || !adminPassword) {
+            console.warn('[Auth] Keine Benutzer vorhanden - ADMIN_EMAIL und ADMIN_PASSWORD setzen, um den ersten Account anzulegen');
+            return;
+        }
+
+        const organization = await organizationService.ensureDefaultOrganization();
+        await this.createUser({ email: adminEmail, password: adminPassword, name: 'Admin', orgId: organization.id, role: 'admin' });
+    }
+}
+
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * User without password hash - safe for API responses
+ * (mit den Permissions der Rolle, damit das Frontend Aktionen ausblenden kann)
+ */
+function toPublicUser(user) {
+    const { passwordHash, ...publicUser } = user;
+    return { ...publicUser, permissions: permissions.permissionsFor(user.role) };
+}
+
+module.exports = new AuthService();
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+/**
+ * CREATE USER
+ * Legt ein Kundenkonto im konfigurierten Store an
+ *
+ * Usage:
+ *   USER_PASSWORD=... node auth/createUser.js <email> [name] [--org <ID oder Name>] [--role <Rolle>]
+ *   npm run create-user -- kunde@firma.de "Max Muster" --org "Firma GmbH"
+ *   npm run create-user -- kollege@firma.de --org org_1a2b3c4d5e6f7a8b
+ *   npm run create-user -- technik@servionics.de --org org_servionics --role engineer
+ *
+ * --org mit einer bestehenden Organisations-ID fügt den Benutzer dieser
+ * Organisation hinzu, sonst wird eine neue Organisation mit dem Namen angelegt.
+ * Ohne --org bekommt der Benutzer eine eigene Organisation (Name bzw. E-Mail).
+ * Rollen: customer (Standard), sales, engineer, admin - siehe auth/permissions.js
+ *
+ * Ohne USER_PASSWORD wird das Passwort interaktiv abgefragt.
+ */
+
+const readline = require('readline');
+const store = require('../store');
+const authService = require('./authService');
+const organizationService = require('./organizationService');
+const permissions = require('./permissions');
+
+function askPassword() {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+    return new Promise(resolve => rl.question('Passwort: ', (answer) => {
+        rl.close();
+        resolve(answer);
+    }));
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const orgArg = takeOption(args, '--org');
+    const role = takeOption(args, '--role') || permissions.DEFAULT_ROLE;
+    const [email, name] = args;
+
+    if (!email || orgArg === '' || !permissions.isRole(role)) {
+        console.error('Usage: node auth/createUser.js <email> [name] [--org <ID oder Name>] [--role <Rolle>]');
+        console.error(`Rollen: ${permissions.ROLES.join(', ')}`);
+        process.exit(1);
+    }
+
+    await store.init();
+    const password = process.env.USER_PASSWORD || await askPassword();
+    const organization = await organizationService.findOrCreate(orgArg || name || email);
+    const user = await authService.createUser({ email, password, name, orgId: organization.id, role });
+
+    console.log(`Benutzer angelegt: ${user.id} (${user.email}, ${user.role}) in ${organization.id} (${organization.name})`);
+}
+
+/**
+ * Remove `--flag value` from args
+ * @returns {string|null} - null ohne Flag, '' wenn der Wert fehlt
+ */
+function takeOption(args, flag) {
+    const index = args.indexOf(flag);
+    if (index < 0) return null;
+    return args.splice(index, 2)[1] || '';
+}
+
+main().catch(error => {
+    console.error(`Fehler: ${error.message}`);
+    process.exit(1);
+});
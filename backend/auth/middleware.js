@@ -0,0 +1,131 @@
+/**
+ * AUTH MIDDLEWARE
+ * Ersetzt die frühere Basic Auth: erwartet `Authorization: Bearer <token>`
+ * (Token von POST /api/auth/login) und setzt req.user / req.session
+ *
+ * Ohne Bearer-Token reicht für wenige lesende Routen ein Freigabe-Link
+ * (?share=<token>, auth/shareLinks.js) - jeder Zugriff wird protokolliert.
+ *
+ * requirePermission('...') prüft danach die Rolle gegen auth/permissions.js,
+ * rateLimit('...') zählt Aufrufe pro Konto (auth/rateLimiter.js).
+ */
+
+const authService = require('./authService');
+const shareLinks = require('./shareLinks');
+const permissions = require('./permissions');
+const rateLimiter = require('./rateLimiter');
+
+// Immer ohne Login erreichbar (relativ zum Mount-Punkt /api)
+const PUBLIC_PATHS = ['/health'];
+
+// Mit Freigabe-Link erreichbar (GET): Angebot, Viewer-Metadaten, Splat
+const SHARE_PATHS = /^\/project\/([^/]+)(?:\/viewer|\/splat)?$/;
+
+async function requireAuth(req, res, next) {
+    // Health check immer erlauben (für Railway)
+    if (PUBLIC_PATHS.includes(req.path)) return next();
+
+    try {
+        const header = req.headers.authorization || '';
+        const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+        if (!token && req.query.share) {
+            return await authenticateShareLink(req, res, next);
+        }
+
+        const auth = token ? await authService.authenticate(token) : null;
+
+        if (!auth) {
+            return res.status(401).json({ success: false, error: 'Anmeldung erforderlich' });
+        }
+
+        req.user = auth.user;
+        req.session = auth.session;
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+/**
+ * Read-only access via share link: nur SHARE_PATHS und nur das Projekt des Links
+ */
+async function authenticateShareLink(req, res, next) {
+    const match = req.method === 'GET' ? SHARE_PATHS.exec(req.path) : null;
+    const link = match ? await shareLinks.authenticate(String(req.query.share), match[1]) : null;
+
+    if (!link) {
+        return res.status(401).json({ success: false, error: 'Freigabe-Link ungültig, abgelaufen oder widerrufen' });
+    }
+
+    await shareLinks.recordAccess(link, {
+        path: req.path,
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+    });
+
+    req.shareLink = link;
+    req.user = {
+        id: null,
+        name: 'Freigabe-Link',
+        orgId: link.orgId,
+        role: permissions.SHARE_LINK_ROLE
+    };
+    next();
+}
+
+/**
+ * Route guard for one permission - nach requireAuth einsetzen
+ * @param {string} permission - Schlüssel aus permissions.PERMISSIONS
+ */
+function requirePermission(permission) {
+    if (!permissions.PERMISSIONS[permission]) {
+        throw new Error(`Unknown permission: ${permission}`);
+    }
+
+    return (req, res, next) => {
+        if (!req.user || !permissions.can(req.user.role, permission)) {
+            return res.status(403).json({ success: false, error: 'Keine Berechtigung für diese Aktion' });
+        }
+        next();
+    };
+}
+
+/**
+ * Rate limit per account - nach requireAuth einsetzen
+ * Ohne Konto (Freigabe-Link, Login, Worker-Registrierung) zählt der Link bzw. die IP
+ * @param {string} bucket - Schlüssel in config.limits ('api', 'upload', 'login', 'workerRegister')
+ */
+function rateLimit(bucket) {
+    return (req, res, next) => {
+        const key = req.user?.id || (req.shareLink ? `share:${req.shareLink.id}` : `ip:${req.ip}`);
+        const result = rateLimiter.hit(bucket, key);
+
+        res.set({
+            'X-RateLimit-Limit': String(result.limit),
+            'X-RateLimit-Remaining': String(result.remaining),
+            'X-RateLimit-Reset': String(Math.ceil(result.resetAt / 1000))
+        });
+
+        if (!result.allowed) {
+            const minutes = Math.ceil(result.retryAfterSeconds / 60);
+            return sendTooManyRequests(res, result.retryAfterSeconds, `Zu viele Anfragen - bitte in ${minutes} Min. erneut versuchen`);
+        }
+        next();
+    };
+}
+
+/**
+ * 429 with Retry-After (Sekunden)
+ */
+function sendTooManyRequests(res, retryAfterSeconds, error) {
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(429).json({ success: false, error, retryAfter: retryAfterSeconds });
+}
+
+module.exports = {
+    requireAuth,
+    requirePermission,
+    rateLimit,
+    sendTooManyRequests
+};
@@ -0,0 +1,121 @@
+/**
+ * ORGANIZATION SERVICE
+ * Organisationen (Mandanten) - jeder Benutzer, jedes Projekt und jeder
+ * Splatting-Job gehört zu genau einer Organisation
+ *
+ * Datensätze aus der Zeit vor den Organisationen landen beim Start in der
+ * Standard-Organisation (DEFAULT_ORG_ID), ihre Ordner werden von
+ * output/<id>/ nach output/<orgId>/<id>/ verschoben.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const store = require('../store');
+const projectPaths = require('../utils/projectPaths');
+
+const DEFAULT_ORG_ID = 'org_servionics';
+const DEFAULT_ORG_NAME = 'Servionics';
+
+class OrganizationService {
+    /**
+     * Create a new organization
+     * @param {Object} data - { name }
+     * @returns {Promise<Object>}
+     */
+    async createOrganization({ name }) {
+        const trimmedName = String(name || '').trim();
+        if (!trimmedName) {
+            throw new Error('Name der Organisation erforderlich');
+        }
+
+        const organization = {
+            id: `org_${crypto.randomBytes(8).toString('hex')}`,
+            name: trimmedName,
+            createdAt: new Date().toISOString()
+        };
+
+        await store.saveOrganization(organization);
+        console.log(`[Orgs] Created organization ${organization.id} (${organization.name})`);
+
+        return organization;
+    }
+
+    /**
+     * Existing organization by ID, otherwise a new one with that name
+     * (für `npm run create-user -- ... --org <ID oder Name>`)
+     */
+    async findOrCreate(idOrName) {
+        return (await store.getOrganization(idOrName)) || this.createOrganization({ name: idOrName });
+    }
+
+    /**
+     * The organization that owns records created before tenants existed
+     */
+    async ensureDefaultOrganization() {
+        const existing = await store.getOrganization(DEFAULT_ORG_ID);
+        if (existing) return existing;
+
+        const organization = {
+            id: DEFAULT_ORG_ID,
+            name: DEFAULT_ORG_NAME,
+            createdAt: new Date().toISOString()
+        };
+        await store.saveOrganization(organization);
+        return organization;
+    }
+
+    /**
+     * Assign users, projects and jobs without orgId to the default
+     * organization and move their output folders (idempotent, runs at startup)
+     * @returns {Promise<number>} - Anzahl übernommener Datensätze
+     */
+    async migrateUnscopedRecords() {
+        const users = (await store.listUsers()).filter(u => !u.orgId);
+        const projects = (await store.listProjects()).filter(p => !p.orgId);
+        const jobs = (await store.listJobs()).filter(j => !j.orgId);
+
+        if (users.length + projects.length + jobs.length === 0) return 0;
+
+        const { id: orgId } = await this.ensureDefaultOrganization();
+
+        for (const user of users) {
+            await store.updateUser(user.id, { orgId });
+        }
+
+        for (const project of projects) {
+            this.moveLegacyOutput(project.id, orgId);
+            await store.updateProject(project.id, { orgId });
+        }
+
+        for (const job of jobs) {
+            const project = job.projectId ? await store.getProject(job.projectId) : null;
+            const jobOrgId = project?.orgId || orgId;
+            const patch = { orgId: jobOrgId };
+
+            // Fertige Jobs zeigen auf die alte scene.splat
+            if (job.splatPath && job.projectId) {
+                patch.splatPath = path.join(projectPaths.outputDir(jobOrgId, job.projectId), 'scene.splat');
+            }
+            await store.updateJob(job.id, patch);
+        }
+
+        console.log(`[Orgs] ${users.length} Benutzer, ${projects.length} Projekte, ${jobs.length} Jobs der Organisation ${orgId} zugeordnet`);
+        return users.length + projects.length + jobs.length;
+    }
+
+    /**
+     * output/<id>/ -> output/<orgId>/<id>/
+     */
+    moveLegacyOutput(projectId, orgId) {
+        const legacyDir = projectPaths.legacyOutputDir(projectId);
+        const targetDir = projectPaths.outputDir(orgId, projectId);
+
+        if (!fs.existsSync(legacyDir) || fs.existsSync(targetDir)) return;
+
+        fs.mkdirSync(path.dirname(targetDir), { recursive: true });
+        fs.renameSync(legacyDir, targetDir);
+    }
+}
+
+module.exports = new OrganizationService();
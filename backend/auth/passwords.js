@@ -0,0 +1,59 @@
+/**
+ * PASSWORD HASHING
+ * scrypt mit zufälligem Salt - Format: scrypt$N$r$p$<salt>$<hash> (base64url)
+ *
+ * Die Parameter stehen im Hash, damit sie später erhöht werden können,
+ * ohne bestehende Passwörter ungültig zu machen.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 64;
+const MIN_LENGTH = 10;
+
+/**
+ * @param {string} password
+ * @returns {Promise<string>} - Hash-String für die Datenbank
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await scrypt(password, salt, KEY_LENGTH, PARAMS);
+
+    return ['scrypt', PARAMS.N, PARAMS.r, PARAMS.p, salt.toString('base64url'), hash.toString('base64url')].join('$');
+}
+
+/**
+ * Constant-time comparison against a stored hash
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+    const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'base64url');
+    const actual = await scrypt(String(password), Buffer.from(salt, 'base64url'), expected.length, {
+        N: Number(N), r: Number(r), p: Number(p)
+    });
+
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * @returns {string|null} - Fehlermeldung oder null wenn ok
+ */
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_LENGTH) {
+        return `Passwort muss mindestens ${MIN_LENGTH} Zeichen haben`;
+    }
+    return null;
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    validatePassword
+};
@@ -0,0 +1,76 @@
+/**
+ * PERMISSIONS
+ * Rollen und was sie dürfen - reine Daten + Funktionen ohne Store/Express,
+ * damit sich die Matrix isoliert prüfen lässt:
+ *
+ *   const { can } = require('./auth/permissions');
+ *   can('sales', 'offer:edit_pricing')   // true
+ *   can('customer', 'jobs:manage')       // false
+ *
+ * Rollen:
+ *   customer  Kunde - lädt Videos hoch und sieht seine Angebote
+ *   sales     Vertrieb - passt Preise in Angeboten an
+ *   engineer  Technik - startet Simulationen neu, verwaltet die Worker-Queue
+ *   admin     Alles, inkl. Benutzerverwaltung der eigenen Organisation
+ *
+ * Dazu die interne Rolle SHARE_LINK_ROLE für Zugriffe über Freigabe-Links
+ * (auth/shareLinks.js) - nicht vergebbar, nur lesen.
+ */
+
+const ROLES = ['customer', 'sales', 'engineer', 'admin'];
+
+const DEFAULT_ROLE = 'customer';
+
+const SHARE_LINK_ROLE = 'share_link';
+
+const PERMISSIONS = {
+    'project:read': 'Projekte, Status und Angebote ansehen',
+    'project:upload': 'Videos hochladen und Projekte anlegen',
+    'project:retry': 'Pipeline/Simulation ab einer Phase neu starten',
+    'project:share': 'Freigabe-Links für Angebot und 3D-Viewer erstellen und widerrufen',
+    'offer:edit_pricing': 'Preise im Angebot anpassen',
+    'workers:read': 'GPU-Worker und deren Status ansehen',
+    'jobs:manage': 'Splatting-Jobs einreihen, neu einreihen und abbrechen',
+    'users:manage': 'Benutzer und Rollen der Organisation verwalten'
+};
+
+// Rolle -> erlaubte Permissions
+const MATRIX = {
+    customer: ['project:read', 'project:upload', 'project:share'],
+    sales: ['project:read', 'project:upload', 'project:share', 'offer:edit_pricing'],
+    engineer: ['project:read', 'project:upload', 'project:share', 'project:retry', 'workers:read', 'jobs:manage'],
+    admin: Object.keys(PERMISSIONS),
+    [SHARE_LINK_ROLE]: ['project:read']
+};
+
+function isRole(role) {
+    return ROLES.includes(role);
+}
+
+/**
+ * @param {string} role
+ * @param {string} permission - Schlüssel aus PERMISSIONS
+ * @returns {boolean} - Unbekannte Rollen/Permissions dürfen nichts
+ */
+function can(role, permission) {
+    if (!Object.hasOwn(MATRIX, role) || !Object.hasOwn(PERMISSIONS, permission)) return false;
+    return MATRIX[role].includes(permission);
+}
+
+/**
+ * @returns {string[]} - Permissions einer Rolle (z.B. für /api/auth/me)
+ */
+function permissionsFor(role) {
+    return Object.hasOwn(MATRIX, role) ? [...MATRIX[role]] : [];
+}
+
+module.exports = {
+    ROLES,
+    DEFAULT_ROLE,
+    SHARE_LINK_ROLE,
+    PERMISSIONS,
+    MATRIX,
+    isRole,
+    can,
+    permissionsFor
+};
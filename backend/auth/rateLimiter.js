@@ -0,0 +1,58 @@
+/**
+ * RATE LIMITER
+ * Feste Zeitfenster pro Konto und Bucket (config.limits.api / .upload / .login)
+ *
+ * Zähler liegen im Speicher des Prozesses - bei mehreren Instanzen gilt
+ * das Limit pro Instanz. Abgelaufene Fenster werden beim Zugriff aufgeräumt.
+ */
+
+const config = require('../config/nvidia.config');
+
+// Nach so vielen Aufrufen werden abgelaufene Fenster entfernt
+const PRUNE_EVERY = 1000;
+
+class RateLimiter {
+    constructor() {
+        this.windows = new Map(); // `${bucket}:${key}` -> { count, resetAt }
+        this.calls = 0;
+    }
+
+    /**
+     * Count one request
+     * @param {string} bucket - Schlüssel in config.limits ('api', 'upload', 'login')
+     * @param {string} key - Konto (Benutzer-ID) bzw. IP
+     * @returns {Object} - { allowed, limit, remaining, resetAt, retryAfterSeconds }
+     */
+    hit(bucket, key) {
+        const { windowMs, max } = config.limits[bucket];
+        const now = Date.now();
+        const id = `${bucket}:${key}`;
+
+        if (++this.calls % PRUNE_EVERY === 0) this.prune(now);
+
+        let window = this.windows.get(id);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + windowMs };
+            this.windows.set(id, window);
+        }
+
+        window.count++;
+        const allowed = window.count <= max;
+
+        return {
+            allowed,
+            limit: max,
+            remaining: Math.max(0, max - window.count),
+            resetAt: window.resetAt,
+            retryAfterSeconds: allowed ? 0 : Math.ceil((window.resetAt - now) / 1000)
+        };
+    }
+
+    prune(now = Date.now()) {
+        for (const [id, window] of this.windows) {
+            if (window.resetAt <= now) this.windows.delete(id);
+        }
+    }
+}
+
+module.exports = new RateLimiter();
@@ -0,0 +1,66 @@
+/**
+ * SESSION TOKENS
+ * HMAC-SHA256-signierte Tokens: <payload base64url>.<signatur base64url>
+ *
+ * Payload: { sid, sub, exp } - Session-ID, Benutzer-ID, Ablauf (ms)
+ * Die Signatur verhindert gefälschte Tokens, die Session in der Datenbank
+ * macht sie widerrufbar (Logout).
+ */
+
+const crypto = require('crypto');
+const config = require('../config/nvidia.config');
+
+// Ohne AUTH_TOKEN_SECRET (nur Development): zufällig pro Prozess,
+// Tokens werden damit bei jedem Neustart ungültig
+const devSecret = crypto.randomBytes(32).toString('hex');
+
+function getSecret() {
+    return config.auth.tokenSecret || devSecret;
+}
+
+function signature(encodedPayload) {
+    return crypto.createHmac('sha256', getSecret()).update(encodedPayload).digest('base64url');
+}
+
+/**
+ * @param {Object} payload - { sid, sub, exp }
+ * @returns {string}
+ */
+function sign(payload) {
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${encoded}.${signature(encoded)}`;
+}
+
+/**
+ * @returns {Object|null} - Payload oder null wenn Signatur falsch / abgelaufen
+ */
+function verify(token) {
+    const [encoded, sig] = String(token || '').split('.');
+    if (!encoded || !sig) return null;
+
+    const expected = Buffer.from(signature(encoded));
+    const actual = Buffer.from(sig);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf-8'));
+    } catch (error) {
+        return null;
+    }
+
+    if (!payload.exp || payload.exp < Date.now()) return null;
+    return payload;
+}
+
+function usesDevSecret() {
+    return !config.auth.tokenSecret;
+}
+
+module.exports = {
+    sign,
+    verify,
+    usesDevSecret
+};
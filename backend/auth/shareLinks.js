@@ -0,0 +1,156 @@
+/**
+ * SHARE LINKS
+ * Signierte, ablaufende Links, mit denen Dritte (z.B. der Werksleiter)
+ * ein Angebot und den 3D-Viewer ohne Login ansehen können
+ *
+ * Token: wie die Session-Tokens HMAC-signiert (auth/sessionTokens.js),
+ * Payload { typ: 'share', lid, pid, exp }. Der Link-Datensatz im Store
+ * macht ihn widerrufbar, jeder Zugriff landet im Zugriffsprotokoll.
+ *
+ * Erlaubt sind nur lesende Aufrufe für genau das Projekt des Links -
+ * welche, entscheidet auth/middleware.js (SHARE_PATHS).
+ */
+
+const crypto = require('crypto');
+const config = require('../config/nvidia.config');
+const store = require('../store');
+const sessionTokens = require('./sessionTokens');
+
+const TOKEN_TYPE = 'share';
+
+class ShareLinks {
+    /**
+     * Create a link for a project
+     * @param {Object} project - Projekt aus dem Store
+     * @param {Object} user - Ersteller (req.user)
+     * @param {Object} [options] - { expiresInHours, label }
+     * @returns {Promise<Object>} - { success, link, token, url } oder { success: false, statusCode, error }
+     */
+    async create(project, user, options = {}) {
+        const hours = options.expiresInHours ?? config.share.defaultTtlHours;
+        if (typeof hours !== 'number' || !Number.isFinite(hours) || hours <= 0 || hours > config.share.maxTtlHours) {
+            return {
+                success: false,
+                statusCode: 400,
+                error: `expiresInHours muss zwischen 0 und ${config.share.maxTtlHours} liegen`
+            };
+        }
+
+        const now = Date.now();
+        const expiresAtMs = now + Math.round(hours * 60 * 60 * 1000);
+        const link = {
+            id: `shr_${crypto.randomBytes(8).toString('hex')}`,
+            projectId: project.id,
+            orgId: project.orgId,
+            label: options.label ? String(options.label).slice(0, 200) : null,
+            createdBy: user.email,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(expiresAtMs).toISOString(),
+            revokedAt: null,
+            accessCount: 0,
+            lastAccessedAt: null
+        };
+
+        await store.saveShareLink(link);
+        console.log(`[Share] Link ${link.id} for ${project.id} created by ${user.email}`);
+
+        const token = sessionTokens.sign({ typ: TOKEN_TYPE, lid: link.id, pid: project.id, exp: expiresAtMs });
+        return { success: true, link, token, url: this.buildUrl(project.id, token) };
+    }
+
+    /**
+     * Public viewer URL for a token
+     */
+    buildUrl(projectId, token) {
+        const params = new URLSearchParams({ project: projectId, share: token });
+        return `${config.share.baseUrl}/viewer.html?${params}`;
+    }
+
+    /**
+     * Verify a share token for a project
+     * @returns {Promise<Object|null>} - Link oder null (falsche Signatur, abgelaufen, widerrufen, anderes Projekt)
+     */
+    async authenticate(token, projectId) {
+        const payload = sessionTokens.verify(token);
+        if (!payload || payload.typ !== TOKEN_TYPE || payload.pid !== projectId) return null;
+
+        const link = await store.getShareLink(payload.lid);
+        if (!link || link.revokedAt || link.projectId !== projectId) return null;
+        if (new Date(link.expiresAt).getTime() < Date.now()) return null;
+
+        return link;
+    }
+
+    /**
+     * Write an access log entry
+     * @param {Object} link
+     * @param {Object} access - { path, ip, userAgent }
+     */
+    async recordAccess(link, access) {
+        const accessedAt = new Date().toISOString();
+
+        await store.appendShareAccess(link.id, {
+            accessedAt,
+            path: access.path,
+            ip: access.ip || null,
+            userAgent: access.userAgent ? String(access.userAgent).slice(0, 300) : null
+        });
+        await store.updateShareLink(link.id, {
+            accessCount: (link.accessCount || 0) + 1,
+            lastAccessedAt: accessedAt
+        });
+    }
+
+    /**
+     * Links of a project incl. status
+     */
+    async list(projectId) {
+        return (await store.listShareLinks(projectId)).map(withStatus);
+    }
+
+    /**
+     * @returns {Promise<Object>} - { success, link, access } oder { success: false, statusCode, error }
+     */
+    async get(projectId, linkId) {
+        const link = await store.getShareLink(linkId);
+        if (!link || link.projectId !== projectId) {
+            return { success: false, statusCode: 404, error: 'Freigabe-Link nicht gefunden' };
+        }
+
+        return { success: true, link: withStatus(link), access: await store.listShareAccess(linkId) };
+    }
+
+    /**
+     * Revoke a link - greift sofort, auch für bereits verschickte URLs
+     */
+    async revoke(projectId, linkId, user) {
+        const link = await store.getShareLink(linkId);
+        if (!link || link.projectId !== projectId) {
+            return { success: false, statusCode: 404, error: 'Freigabe-Link nicht gefunden' };
+        }
+        if (link.revokedAt) {
+            return { success: false, statusCode: 409, error: 'Freigabe-Link wurde bereits widerrufen' };
+        }
+
+        const revoked = await store.updateShareLink(linkId, {
+            revokedAt: new Date().toISOString(),
+            revokedBy: user.email
+        });
+
+        console.log(`[Share] Link ${linkId} revoked by ${user.email}`);
+        return { success: true, link: withStatus(revoked) };
+    }
+}
+
+/**
+ * 'active' | 'expired' | 'revoked' für die Anzeige
+ */
+function withStatus(link) {
+    let status = 'active';
+    if (link.revokedAt) status = 'revoked';
+    else if (new Date(link.expiresAt).getTime() < Date.now()) status = 'expired';
+
+    return { ...link, status };
+}
+
+module.exports = new ShareLinks();
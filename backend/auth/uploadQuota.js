@@ -0,0 +1,98 @@
+/**
+ * UPLOAD QUOTA
+ * Monatliche Upload-Quota pro Konto (Anzahl + Bytes, config.limits)
+ * und Buchführung über den belegten Speicher
+ *
+ * Monate laufen in UTC ('YYYY-MM'). Ist die Quota aufgebraucht, gibt es
+ * 429 mit Retry-After bis zum Monatswechsel.
+ */
+
+const config = require('../config/nvidia.config');
+const store = require('../store');
+
+class UploadQuota {
+    /**
+     * Can the user upload `incomingBytes` more this month?
+     * @param {Object} user - req.user
+     * @param {number} [incomingBytes] - Größe des neuen Uploads (0 = nur Anzahl prüfen)
+     * @param {number} [incomingCount] - Anzahl Videos des neuen Uploads
+     * @returns {Promise<Object>} - { allowed, error, retryAfterSeconds, usage }
+     */
+    async check(user, incomingBytes = 0, incomingCount = 1) {
+        const usage = await this.getUsage(user);
+        const { monthlyUploadBytes, monthlyUploadCount } = config.limits;
+
+        let error = null;
+        if (usage.month.count + incomingCount > monthlyUploadCount) {
+            error = `Monatliches Upload-Limit erreicht (${monthlyUploadCount} Videos)`;
+        } else if (usage.month.bytes + incomingBytes > monthlyUploadBytes) {
+            error = `Monatliches Speicher-Kontingent reicht nicht (${formatBytes(usage.remaining.bytes)} von ${formatBytes(monthlyUploadBytes)} frei)`;
+        }
+
+        return {
+            allowed: !error,
+            error,
+            retryAfterSeconds: error ? secondsUntilNextMonth() : 0,
+            usage
+        };
+    }
+
+    /**
+     * Book a finished upload
+     */
+    async record(user, { projectId, bytes }) {
+        await store.recordUpload({
+            userId: user.id,
+            orgId: user.orgId,
+            projectId,
+            month: currentMonth(),
+            bytes,
+            uploadedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Usage of the current month plus total storage of the account
+     * @returns {Promise<Object>} - { period, month, total, quota, remaining, resetsAt }
+     */
+    async getUsage(user) {
+        const period = currentMonth();
+        const month = await store.getUploadUsage(user.id, period);
+        const total = await store.getUploadUsage(user.id);
+        const quota = {
+            count: config.limits.monthlyUploadCount,
+            bytes: config.limits.monthlyUploadBytes
+        };
+
+        return {
+            period,
+            month,
+            total,
+            quota,
+            remaining: {
+                count: Math.max(0, quota.count - month.count),
+                bytes: Math.max(0, quota.bytes - month.bytes)
+            },
+            resetsAt: nextMonthStart().toISOString()
+        };
+    }
+}
+
+function currentMonth(now = new Date()) {
+    return now.toISOString().slice(0, 7);
+}
+
+function nextMonthStart(now = new Date()) {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+}
+
+function secondsUntilNextMonth(now = new Date()) {
+    return Math.ceil((nextMonthStart(now).getTime() - now.getTime()) / 1000);
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(1)} GB`;
+    return `${Math.round(bytes / (1024 * 1024))} MB`;
+}
+
+module.exports = new UploadQuota();
@@ -38,6 +38,63 @@ module.exports = {
         qualityThreshold: 70      // Overall score to proceed
     },
 
+    // Qualitäts-Zeitleiste (Phase 1): Messwerte je Sekunde, schlechte Abschnitte
+    timeline: {
+        maxSamples: 120,                // Längere Videos: ein Messpunkt alle duration/120 s
+        badSampleScore: 50,             // Darunter gilt ein Messpunkt als schlecht
+        minBadSegmentSeconds: 2,        // Kürzere Ausreißer bleiben drin
+        minKeptSeconds: 5               // Nur kürzen, wenn danach noch so viel Video übrig ist
+    },
+
+    // Trainings-Keyframes für den GPU-Worker (Phase 2), aus allen akzeptierten Videos
+    capture: {
+        keyframeFps: 2,                 // Frames pro Sekunde Video
+        keyframeMaxWidth: 1600,         // Breite in px, kleinere Videos bleiben unverändert
+        maxKeyframesPerClip: 300
+    },
+
+    // Foto-Serien statt Video (JPEG/PNG/HEIC einzeln oder als ZIP)
+    photoSet: {
+        minImages: 20,                  // Darunter keine brauchbare Rekonstruktion
+        maxImages: 300,
+        maxImageBytes: 50 * 1024 * 1024 // Pro Foto, auch entpackt aus einem ZIP
+    },
+
+    // Was als Video angenommen wird (utils/videoValidator.js, geprüft am Dateiinhalt)
+    videoValidation: {
+        containers: ['mp4', 'mov', 'webm', 'mkv', 'avi'],
+        codecs: ['h264', 'hevc', 'vp8', 'vp9', 'av1', 'mpeg4'],
+        minShortSide: 240,              // px, kürzere Seite (Hochformat erlaubt)
+        maxLongSide: 7680,              // px, längere Seite (8K)
+        minDurationSeconds: 2,
+        maxDurationSeconds: 10 * 60
+    },
+
+    // ffmpeg/ffprobe-Aufrufe (utils/processRunner.js) - serverweit, nicht pro Projekt
+    media: {
+        maxConcurrentProcesses: parseInt(process.env.MEDIA_MAX_PROCESSES, 10) || 2, // Rest wartet (FIFO)
+        probeTimeoutMs: parseInt(process.env.MEDIA_PROBE_TIMEOUT_MS, 10) || 30 * 1000,          // ffprobe, Einzelbild
+        extractTimeoutMs: parseInt(process.env.MEDIA_EXTRACT_TIMEOUT_MS, 10) || 5 * 60 * 1000,  // Keyframe-Extraktion pro Video
+        defaultTimeoutMs: 60 * 1000
+    },
+
+    // Pipeline Execution
+    pipeline: {
+        maxConcurrent: parseInt(process.env.PIPELINE_MAX_CONCURRENT, 10) || 2  // Parallel laufende Projekte, Rest wartet (FIFO)
+    },
+
+    // GPU Worker Protocol (Phase 2)
+    workers: {
+        registrationSecret: process.env.WORKER_REGISTRATION_SECRET || null,  // Nur mit diesem Secret kann sich ein Worker registrieren - in Production Pflicht
+        leaseMs: parseInt(process.env.WORKER_LEASE_MS, 10) || 60000,      // Job geht zurück auf 'pending' ohne Heartbeat
+        sweepIntervalMs: 10000,                                            // Prüfintervall für abgelaufene Leases
+        onlineWindowMs: 30000,                                             // Worker gilt als verbunden wenn so lange zuletzt gesehen
+        maxAttempts: parseInt(process.env.WORKER_MAX_ATTEMPTS, 10) || 3,   // Danach landet der Job in 'dead_letter'
+        retryBaseDelayMs: 30000,                                           // Backoff: 30s, 60s, 120s, ...
+        retryMaxDelayMs: 15 * 60 * 1000,                                   // ... höchstens 15 Minuten
+        maxArtifactBytes: 2 * 1024 * 1024 * 1024                           // scene.splat Upload-Limit (2 GB)
+    },
+
     // Asset Library Paths
     assets: {
         robots: './backend/assets/robots',
@@ -50,5 +107,57 @@ module.exports = {
         uploads: './uploads',
         processed: './output',
         previews: './output/previews'
+    },
+
+    // Benutzer-Login (Session-Tokens)
+    auth: {
+        tokenSecret: process.env.AUTH_TOKEN_SECRET || null,   // HMAC-Schlüssel - in Production Pflicht
+        sessionTtlMs: 12 * 60 * 60 * 1000,                    // Token gilt 12 Stunden
+        adminEmail: process.env.ADMIN_EMAIL || null,          // Erster Account, wenn noch keine Benutzer existieren
+        adminPassword: process.env.ADMIN_PASSWORD || null
+    },
+
+    // Rate Limits (pro Konto, Fenster in ms) und monatliche Upload-Quota
+    // Überschreitungen -> 429 mit Retry-After
+    limits: {
+        api: {
+            windowMs: 60 * 1000,
+            max: parseInt(process.env.RATE_LIMIT_API_PER_MINUTE, 10) || 120        // API-Aufrufe pro Minute
+        },
+        upload: {
+            windowMs: 60 * 60 * 1000,
+            max: parseInt(process.env.RATE_LIMIT_UPLOADS_PER_HOUR, 10) || 10       // Uploads pro Stunde (jeder startet ffmpeg)
+        },
+        login: {
+            windowMs: 15 * 60 * 1000,
+            max: parseInt(process.env.RATE_LIMIT_LOGINS_PER_15MIN, 10) || 20        // Login-Versuche pro IP
+        },
+        workerRegister: {
+            windowMs: 15 * 60 * 1000,
+            max: parseInt(process.env.RATE_LIMIT_WORKER_REGISTER_PER_15MIN, 10) || 10  // Worker-Registrierungen pro IP
+        },
+        maxUploadBytes: 500 * 1024 * 1024,                                          // Einzelnes Video
+        maxVideosPerProject: 10,
+        monthlyUploadBytes: parseInt(process.env.UPLOAD_QUOTA_BYTES, 10) || 10 * 1024 * 1024 * 1024,  // 10 GB pro Monat
+        monthlyUploadCount: parseInt(process.env.UPLOAD_QUOTA_COUNT, 10) || 100
+    },
+
+    // Fortsetzbare Uploads in Teilstücken (POST /api/uploads ...)
+    chunkedUpload: {
+        chunkSize: 8 * 1024 * 1024,     // Vom Server vorgegeben, letztes Teilstück kleiner
+        sessionTtlHours: 24             // Unfertige Uploads werden danach verworfen
+    },
+
+    // Freigabe-Links für Angebot + 3D-Viewer ohne Login
+    share: {
+        baseUrl: process.env.SHARE_BASE_URL || 'https://servionics.vercel.app',  // Frontend mit viewer.html
+        defaultTtlHours: 7 * 24,                                                // Link gilt 7 Tage
+        maxTtlHours: 30 * 24
+    },
+
+    // Persistent Storage (Projekte, Phasen-Ergebnisse, Jobs)
+    storage: {
+        driver: process.env.STORAGE_DRIVER || 'sqlite',   // 'sqlite' | 'memory'
+        sqlitePath: process.env.SQLITE_PATH || './data/servionics.db'
     }
 };
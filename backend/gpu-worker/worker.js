@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+/**
+ * SERVIONICS REFERENCE GPU WORKER
+ * Holt Splatting-Jobs vom Backend, trainiert die Szene und lädt scene.splat hoch
+ *
+ * Usage:
+ *   node gpu-worker/worker.js              # Endlosschleife
+ *   node gpu-worker/worker.js --once       # Einen Job abarbeiten, dann beenden
+ *
+ * ENV:
+ *   SERVIONICS_API_URL          Backend (default http://localhost:3001)
+ *   WORKER_REGISTRATION_SECRET  Secret für die einmalige Registrierung
+ *   WORKER_NAME                 Anzeigename (default: Hostname)
+ *   WORKER_CREDENTIALS          Datei für Worker-ID + Token (default gpu-worker/.credentials.json)
+ *   SPLAT_TRAIN_CMD             Trainer-Befehl mit {input}, {images} und {output} Platzhaltern,
+ *                               z.B. "python train.py --images {images} --out {output}"
+ *                               {input} = erstes Video, {images} = Ordner mit den Keyframes
+ *                               aller Videos des Projekts (empfohlen bei mehreren Videos)
+ *                               Foto-Serien haben kein Video - dort ist {input} = {images}
+ *                               Ohne: lokaler Stand-in, erzeugt eine synthetische Punktwolke
+ */
+
+const { spawn } = require('child_process');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+
+const API_URL = process.env.SERVIONICS_API_URL || 'http://localhost:3001';
+const CREDENTIALS_PATH = process.env.WORKER_CREDENTIALS || path.join(__dirname, '.credentials.json');
+const POLL_INTERVAL_MS = 5000;
+const BYTES_PER_POINT = 32; // Format von scripts/simpleViewer.js
+
+const once = process.argv.includes('--once');
+
+// ============================================
+// API
+// ============================================
+
+let credentials = null;
+
+async function api(method, route, body) {
+    const headers = {};
+    if (credentials) {
+        headers['X-Worker-Id'] = credentials.workerId;
+        headers['Authorization'] = `Bearer ${credentials.token}`;
+    }
+
+    let payload = body;
+    if (body && !(body instanceof FormData)) {
+        headers['Content-Type'] = 'application/json';
+        payload = JSON.stringify(body);
+    }
+
+    const response = await fetch(`${API_URL}/api/worker${route}`, { method, headers, body: payload });
+    const data = response.status === 204 || !response.headers.get('content-type')?.includes('json')
+        ? null
+        : await response.json();
+
+    return { status: response.status, data, response };
+}
+
+/**
+ * Load stored credentials or register once with the registration secret
+ */
+async function ensureRegistered() {
+    if (fs.existsSync(CREDENTIALS_PATH)) {
+        credentials = JSON.parse(fs.readFileSync(CREDENTIALS_PATH, 'utf-8'));
+        return;
+    }
+
+    const { status, data } = await api('POST', '/register', {
+        name: process.env.WORKER_NAME || os.hostname(),
+        registrationSecret: process.env.WORKER_REGISTRATION_SECRET || 'servionics-dev-worker',
+        capabilities: { trainer: process.env.SPLAT_TRAIN_CMD ? 'external' : 'stand-in' }
+    });
+
+    if (status !== 201) {
+        throw new Error(`Registration failed (${status}): ${data?.error}`);
+    }
+
+    credentials = { workerId: data.workerId, token: data.token };
+    fs.writeFileSync(CREDENTIALS_PATH, JSON.stringify(credentials, null, 2), { mode: 0o600 });
+    console.log(`[Worker] Registered as ${credentials.workerId}`);
+}
+
+// ============================================
+// JOB PROCESSING
+// ============================================
+
+async function processJob(job) {
+    const workDir = fs.mkdtempSync(path.join(os.tmpdir(), `servionics-${job.id}-`));
+    const imagesDir = path.join(workDir, 'images');
+    const inputPath = job.videoPath
+        ? path.join(workDir, 'input' + (path.extname(job.videoPath) || '.mp4'))
+        : imagesDir;
+    const outputPath = path.join(workDir, 'scene.splat');
+    const abort = new AbortController();
+
+    // Heartbeats halten die Lease - bei 409 hat ein anderer Worker übernommen
+    const heartbeat = setInterval(async () => {
+        try {
+            const { status } = await api('POST', '/heartbeat', { jobId: job.id });
+            if (status === 409 || status === 404) {
+                console.warn(`[Worker] Lease for ${job.id} lost - aborting`);
+                abort.abort();
+            }
+        } catch (error) {
+            console.warn(`[Worker] Heartbeat failed: ${error.message}`);
+        }
+    }, job.heartbeatIntervalMs || 20000);
+
+    try {
+        if (job.videoPath) {
+            console.log(`[Worker] Downloading input for ${job.id}...`);
+            const { status, response } = await api('GET', `/jobs/${encodeURIComponent(job.id)}/input`);
+            if (status !== 200) throw new Error(`Input download failed (${status})`);
+            fs.writeFileSync(inputPath, Buffer.from(await response.arrayBuffer()));
+        }
+
+        await downloadKeyframes(job, imagesDir);
+
+        console.log(`[Worker] Training ${job.id}...`);
+        const pointCount = process.env.SPLAT_TRAIN_CMD
+            ? await runTrainer(process.env.SPLAT_TRAIN_CMD, { input: inputPath, images: imagesDir, output: outputPath }, abort.signal)
+            : await runStandIn(outputPath, abort.signal);
+
+        const form = new FormData();
+        form.append('jobId', job.id);
+        form.append('pointCount', String(pointCount));
+        form.append('splat', new Blob([fs.readFileSync(outputPath)]), 'scene.splat');
+
+        const upload = await api('POST', '/complete', form);
+        if (upload.status !== 200) throw new Error(`Upload failed (${upload.status}): ${upload.data?.error}`);
+
+        console.log(`[Worker] Job ${job.id} completed (${pointCount} points)`);
+    } catch (error) {
+        if (abort.signal.aborted) return;
+
+        console.error(`[Worker] Job ${job.id} failed: ${error.message}`);
+        await api('POST', '/fail', { jobId: job.id, error: error.message });
+    } finally {
+        clearInterval(heartbeat);
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Training keyframes of all clips into one folder: images/<clipId>_<frame>.jpg
+ */
+async function downloadKeyframes(job, imagesDir) {
+    const keyframes = job.keyframes || [];
+    fs.mkdirSync(imagesDir, { recursive: true });
+    if (keyframes.length === 0) return;
+
+    console.log(`[Worker] Downloading ${keyframes.length} keyframes for ${job.id}...`);
+    for (const name of keyframes) {
+        const [clipId, file] = name.split('/');
+        const { status, response } = await api('GET', `/jobs/${encodeURIComponent(job.id)}/keyframes/${encodeURIComponent(clipId)}/${encodeURIComponent(file)}`);
+        if (status !== 200) throw new Error(`Keyframe download failed (${status}): ${name}`);
+        fs.writeFileSync(path.join(imagesDir, `${clipId}_${file}`), Buffer.from(await response.arrayBuffer()));
+    }
+}
+
+/**
+ * External trainer - arguments are split on whitespace, no shell involved
+ * @param {Object} paths - { input, images, output }
+ * @returns {Promise<number>} - Punktanzahl aus der Dateigröße
+ */
+function runTrainer(command, paths, signal) {
+    const outputPath = paths.output;
+    const [bin, ...args] = command.split(/\s+/).filter(Boolean)
+        .map(arg => arg.replace('{input}', paths.input).replace('{images}', paths.images).replace('{output}', paths.output));
+
+    return new Promise((resolve, reject) => {
+        const child = spawn(bin, args, { stdio: 'inherit', signal });
+        child.on('error', reject);
+        child.on('close', (code) => {
+            if (code !== 0) return reject(new Error(`Trainer exited with code ${code}`));
+            if (!fs.existsSync(outputPath)) return reject(new Error('Trainer did not write scene.splat'));
+            resolve(Math.floor(fs.statSync(outputPath).size / BYTES_PER_POINT));
+        });
+    });
+}
+
+/**
+ * Local stand-in for the GPU trainer: writes a synthetic room
+ * (Boden + Rückwand) im 32-Byte-Format des Viewers
+ */
+async function runStandIn(outputPath, signal) {
+    const pointCount = 20000;
+    const buffer = Buffer.alloc(pointCount * BYTES_PER_POINT);
+
+    for (let i = 0; i < pointCount; i++) {
+        const offset = i * BYTES_PER_POINT;
+        const onFloor = i % 3 !== 0;
+        const x = Math.random() * 10 - 5;
+        const y = onFloor ? 0 : Math.random() * 3;
+        const z = onFloor ? Math.random() * 10 - 5 : -5;
+
+        buffer.writeFloatLE(x, offset);
+        buffer.writeFloatLE(y, offset + 4);
+        buffer.writeFloatLE(z, offset + 8);
+        buffer.writeFloatLE(0.02, offset + 12);
+        buffer.writeFloatLE(0.02, offset + 16);
+        buffer.writeFloatLE(0.02, offset + 20);
+        buffer.writeUInt8(onFloor ? 140 : 200, offset + 24);
+        buffer.writeUInt8(onFloor ? 140 : 190, offset + 25);
+        buffer.writeUInt8(onFloor ? 150 : 170, offset + 26);
+        buffer.writeUInt8(255, offset + 27);
+        buffer.writeUInt8(255, offset + 28); // Rotation = Identität
+        buffer.writeUInt8(128, offset + 29);
+        buffer.writeUInt8(128, offset + 30);
+        buffer.writeUInt8(128, offset + 31);
+    }
+
+    // Etwas Trainingszeit simulieren
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, 2000);
+        signal.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new Error('Aborted'));
+        });
+    });
+
+    fs.writeFileSync(outputPath, buffer);
+    return pointCount;
+}
+
+// ============================================
+// MAIN LOOP
+// ============================================
+
+async function main() {
+    await ensureRegistered();
+    console.log(`[Worker] ${credentials.workerId} polling ${API_URL}`);
+
+    while (true) {
+        let claim;
+        try {
+            claim = await api('POST', '/claim', {});
+        } catch (error) {
+            // Backend kurz nicht erreichbar (Redeploy) - einfach weiter pollen
+            console.warn(`[Worker] Backend unreachable: ${error.message}`);
+            await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+            continue;
+        }
+        const { status, data } = claim;
+
+        if (status === 401) {
+            throw new Error(`Credentials rejected - delete ${CREDENTIALS_PATH} to register again`);
+        }
+
+        if (status === 200) {
+            await processJob(data.job);
+            if (once) return;
+            continue;
+        }
+
+        if (once) {
+            console.log('[Worker] No pending jobs');
+            return;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+    }
+}
+
+main().catch(error => {
+    console.error('[Worker] Fatal:', error.message);
+    process.exit(1);
+});
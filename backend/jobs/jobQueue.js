@@ -0,0 +1,459 @@
+/**
+ * SPLATTING JOB QUEUE
+ * Jobs für die GPU-Worker mit zeitlich begrenzten Leases
+ *
+ * Lebenszyklus: pending -> processing (Lease) -> completed
+ *                                            -> pending (Retry mit Backoff)
+ *                                            -> dead_letter (letzter Versuch)
+ *               pending | processing         -> cancelled (Admin, oder durch
+ *                                                  einen neuen Job desselben Projekts ersetzt)
+ *
+ * Jeder Job hat eine eigene ID (job_<hex>), `projectId` steht separat daneben.
+ * Ein erneuter Capture-Lauf legt deshalb einen neuen Job an, statt den alten
+ * samt attemptHistory/Dead-Letter-Eintrag zu überschreiben.
+ *
+ * Ein Worker hält einen Job nur solange er Heartbeats schickt. Läuft die
+ * Lease ab (config.workers.leaseMs), zählt das wie ein fehlgeschlagener
+ * Versuch. Bis config.workers.maxAttempts geht der Job mit exponentiellem
+ * Backoff (`availableAt`) zurück auf 'pending', danach in 'dead_letter'.
+ * Jeder Versuch steht in `attemptHistory`.
+ *
+ * Events: 'completed' (job), 'failed' (job, endgültig: dead_letter/cancelled),
+ * 'requeued' (job) - der Orchestrator setzt damit pausierte Pipelines fort
+ * bzw. markiert sie als fehlgeschlagen.
+ */
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs');
+const config = require('../config/nvidia.config');
+const store = require('../store');
+const projectPaths = require('../utils/projectPaths');
+
+class JobQueue extends EventEmitter {
+    constructor() {
+        super();
+        this.sweepTimer = null;
+    }
+
+    /**
+     * Queue a splatting job for a project
+     * @param {Object} job - { projectId, orgId, videoPath, keyframes }
+     *   videoPath: null bei Foto-Serien
+     *   keyframes: Trainings-Frames relativ zu output/<orgId>/<projectId>/keyframes/
+     */
+    async enqueue({ projectId, orgId, videoPath, keyframes = [] }) {
+        const job = {
+            id: `job_${crypto.randomBytes(6).toString('hex')}`,
+            projectId,
+            orgId,
+            videoPath,
+            keyframes,
+            status: 'pending',
+            attempts: 0,
+            maxAttempts: config.workers.maxAttempts,
+            availableAt: null,
+            attemptHistory: [],
+            createdAt: new Date().toISOString()
+        };
+
+        if (projectId) await this.supersede(projectId, job.id);
+
+        await store.saveJob(job);
+        console.log(`[Jobs] Queued job ${job.id}${projectId ? ` for ${projectId}` : ''}`);
+
+        return job;
+    }
+
+    /**
+     * Cancel the still open jobs of a project before a new one takes over
+     * Ohne 'failed'-Event - das Projekt läuft mit dem neuen Job weiter.
+     * Ein Worker mit der alten Lease bekommt beim nächsten Heartbeat 409.
+     */
+    async supersede(projectId, newJobId) {
+        for (const job of await this.listForProject(projectId)) {
+            if (!['pending', 'processing'].includes(job.status)) continue;
+
+            const patch = {
+                status: 'cancelled',
+                error: `Superseded by ${newJobId}`,
+                supersededBy: newJobId,
+                cancelledAt: new Date().toISOString(),
+                workerId: null,
+                leaseId: null,
+                leaseExpiresAt: null
+            };
+            if (job.status === 'processing') {
+                patch.attemptHistory = this.withAttempt(job, 'cancelled', patch.error);
+            }
+
+            if (await store.updateJobIf(job.id, { status: job.status, leaseId: job.leaseId }, patch)) {
+                console.log(`[Jobs] Job ${job.id} superseded by ${newJobId}`);
+            }
+        }
+    }
+
+    /**
+     * Pending jobs whose backoff has passed
+     */
+    async listPending() {
+        const now = Date.now();
+        return (await store.listJobs({ status: 'pending' }))
+            .filter(job => !job.availableAt || new Date(job.availableAt).getTime() <= now);
+    }
+
+    /**
+     * @param {Object} [filter] - { status, orgId }
+     */
+    async list(filter = {}) {
+        return store.listJobs(filter);
+    }
+
+    /**
+     * @returns {Promise<Object|null>}
+     */
+    async get(jobId) {
+        return store.getJob(jobId);
+    }
+
+    /**
+     * All jobs of a project, oldest first
+     * @returns {Promise<Object[]>}
+     */
+    async listForProject(projectId) {
+        return store.listJobs({ projectId });
+    }
+
+    /**
+     * Most recent job of a project (the one its pipeline waits for)
+     * @returns {Promise<Object|null>}
+     */
+    async latestForProject(projectId) {
+        const jobs = await this.listForProject(projectId);
+        return jobs[jobs.length - 1] || null;
+    }
+
+    /**
+     * Claim a job (or the oldest pending job) for a worker
+     * @param {string} workerId
+     * @param {string} [jobId] - Ohne ID wird der älteste wartende Job vergeben
+     * @returns {Promise<Object>} - { success, job } oder { success: false, statusCode, error }
+     */
+    async claim(workerId, jobId) {
+        const candidates = jobId
+            ? [await store.getJob(jobId)].filter(Boolean)
+            : await this.listPending();
+
+        for (const candidate of candidates) {
+            const now = Date.now();
+            if (candidate.availableAt && new Date(candidate.availableAt).getTime() > now) {
+                return {
+                    success: false,
+                    statusCode: 409,
+                    error: `Job in backoff until ${candidate.availableAt}`
+                };
+            }
+
+            const id = candidate.id;
+            const claimed = await store.updateJobIf(id, {
+                status: 'pending',
+                attempts: candidate.attempts
+            }, {
+                status: 'processing',
+                workerId,
+                attempts: (candidate.attempts || 0) + 1,
+                leaseId: crypto.randomUUID(),
+                leaseExpiresAt: new Date(now + config.workers.leaseMs).toISOString(),
+                claimedAt: new Date(now).toISOString()
+            });
+
+            if (claimed) {
+                console.log(`[Jobs] Job ${id} claimed by ${workerId}`);
+                return { success: true, job: this.withLeaseInfo(claimed) };
+            }
+        }
+
+        if (!jobId) {
+            return { success: false, statusCode: 204, error: 'No pending jobs' };
+        }
+
+        return await store.getJob(jobId)
+            ? { success: false, statusCode: 409, error: 'Job already claimed' }
+            : { success: false, statusCode: 404, error: 'Job not found' };
+    }
+
+    /**
+     * Extend the lease of a job the worker is processing
+     * @returns {Promise<Object>} - { success, job } oder 409 wenn die Lease verloren ist
+     */
+    async heartbeat(jobId, workerId, progress) {
+        const patch = {
+            leaseExpiresAt: new Date(Date.now() + config.workers.leaseMs).toISOString(),
+            lastHeartbeatAt: new Date().toISOString()
+        };
+        if (progress !== undefined) patch.progress = progress;
+
+        const job = await store.updateJobIf(jobId, { status: 'processing', workerId }, patch);
+        if (!job) return this.leaseLost(jobId);
+
+        return { success: true, job: this.withLeaseInfo(job) };
+    }
+
+    /**
+     * Job whose input the worker may download (lease required)
+     */
+    async getLeasedJob(jobId, workerId) {
+        const job = await store.getJob(jobId);
+        if (!job || job.status !== 'processing' || job.workerId !== workerId) {
+            return this.leaseLost(jobId, job);
+        }
+
+        return { success: true, job };
+    }
+
+    /**
+     * Absolute path of one training keyframe of a job
+     * @param {string} name - Eintrag aus job.keyframes, z.B. 'clip-1/frame_0001.jpg'
+     * @returns {string|null} - null für Namen, die nicht zum Job gehören
+     */
+    keyframePath(job, name) {
+        if (!job.keyframes?.includes(name)) return null;
+        return path.join(projectPaths.outputDir(job.orgId, job.projectId || job.id), 'keyframes', name);
+    }
+
+    /**
+     * Store the uploaded artifact as output/<projectId>/scene.splat and complete the job
+     * @param {string} jobId
+     * @param {string} workerId
+     * @param {string} artifactPath - Temporäre Upload-Datei (wird verschoben)
+     * @param {Object} [details] - { pointCount }
+     */
+    async complete(jobId, workerId, artifactPath, details = {}) {
+        const leased = await this.getLeasedJob(jobId, workerId);
+        if (!leased.success) return leased;
+
+        const outputDir = projectPaths.outputDir(leased.job.orgId, leased.job.projectId || jobId);
+        const splatPath = path.join(outputDir, 'scene.splat');
+        fs.mkdirSync(outputDir, { recursive: true });
+
+        // Erst neben das Ziel kopieren, dann atomar umbenennen -
+        // der Viewer sieht nie eine halb geschriebene Datei
+        const partialPath = `${splatPath}.partial`;
+        fs.copyFileSync(artifactPath, partialPath);
+        fs.renameSync(partialPath, splatPath);
+        fs.rmSync(artifactPath, { force: true });
+
+        const pointCount = Number.isFinite(Number(details.pointCount)) ? Number(details.pointCount) : null;
+        const job = await store.updateJobIf(jobId, { status: 'processing', leaseId: leased.job.leaseId }, {
+            status: 'completed',
+            completedAt: new Date().toISOString(),
+            splatPath,
+            pointCount,
+            attemptHistory: this.withAttempt(leased.job, 'completed'),
+            leaseId: null,
+            leaseExpiresAt: null
+        });
+        if (!job) return this.leaseLost(jobId);
+
+        console.log(`[Jobs] Job ${jobId} completed by ${workerId}: ${splatPath}`);
+        this.emit('completed', job);
+        return { success: true, job };
+    }
+
+    /**
+     * Worker reports that it could not process the job
+     */
+    async fail(jobId, workerId, error) {
+        const leased = await this.getLeasedJob(jobId, workerId);
+        if (!leased.success) return leased;
+
+        const job = await this.endAttempt(leased.job, 'failed', error || 'Unknown worker error');
+        if (!job) return this.leaseLost(jobId);
+
+        return { success: true, job };
+    }
+
+    /**
+     * Jobs with expired leases count as a failed attempt
+     * @returns {Promise<string[]>} - IDs der betroffenen Jobs
+     */
+    async sweepExpiredLeases() {
+        const now = Date.now();
+        const released = [];
+
+        for (const job of await store.listJobs({ status: 'processing' })) {
+            if (job.leaseExpiresAt && new Date(job.leaseExpiresAt).getTime() > now) continue;
+
+            const ended = await this.endAttempt(job, 'lease_expired', `Lease expired (worker ${job.workerId})`);
+            if (ended) released.push(job.id);
+        }
+
+        return released;
+    }
+
+    /**
+     * Close the current attempt: retry with backoff or move to dead_letter
+     * @param {Object} job - Job im Status 'processing'
+     * @param {string} outcome - 'failed' | 'lease_expired'
+     * @param {string} error
+     * @returns {Promise<Object|null>} - Job oder null wenn die Lease inzwischen gewechselt hat
+     */
+    async endAttempt(job, outcome, error) {
+        const attempts = job.attempts || 1;
+        const maxAttempts = job.maxAttempts || config.workers.maxAttempts;
+        const exhausted = attempts >= maxAttempts;
+        const now = Date.now();
+
+        const patch = {
+            status: exhausted ? 'dead_letter' : 'pending',
+            error,
+            attemptHistory: this.withAttempt(job, outcome, error),
+            availableAt: exhausted ? null : new Date(now + this.getBackoffMs(attempts)).toISOString(),
+            workerId: null,
+            leaseId: null,
+            leaseExpiresAt: null
+        };
+        if (exhausted) patch.deadLetteredAt = new Date(now).toISOString();
+
+        // leaseId im Vergleich: ein Heartbeat/Complete zwischen Lesen und Schreiben gewinnt
+        const updated = await store.updateJobIf(job.id, { status: 'processing', leaseId: job.leaseId }, patch);
+        if (!updated) return null;
+
+        if (exhausted) {
+            console.log(`[Jobs] Job ${job.id} ${outcome} on attempt ${attempts}/${maxAttempts} - dead letter: ${error}`);
+            this.emit('failed', updated);
+        } else {
+            console.log(`[Jobs] Job ${job.id} ${outcome} on attempt ${attempts}/${maxAttempts} - retry at ${updated.availableAt}`);
+        }
+
+        return updated;
+    }
+
+    /**
+     * Exponential backoff after the given attempt (1 = first)
+     */
+    getBackoffMs(attempts) {
+        const { retryBaseDelayMs, retryMaxDelayMs } = config.workers;
+        return Math.min(retryBaseDelayMs * 2 ** (attempts - 1), retryMaxDelayMs);
+    }
+
+    /**
+     * Admin: put a finished job back into the queue with fresh attempts
+     * (History bleibt erhalten)
+     */
+    async requeue(jobId) {
+        const job = await store.getJob(jobId);
+        if (!job) return { success: false, statusCode: 404, error: 'Job not found' };
+
+        if (!['dead_letter', 'failed', 'cancelled'].includes(job.status)) {
+            return { success: false, statusCode: 409, error: `Job is ${job.status} - only dead_letter, failed or cancelled jobs can be requeued` };
+        }
+
+        const latest = job.projectId ? await this.latestForProject(job.projectId) : job;
+        if (latest?.id !== job.id) {
+            return { success: false, statusCode: 409, error: `Job was superseded by ${latest.id}` };
+        }
+
+        const requeued = await store.updateJobIf(jobId, { status: job.status }, {
+            status: 'pending',
+            attempts: 0,
+            maxAttempts: config.workers.maxAttempts,
+            availableAt: null,
+            error: null,
+            requeuedAt: new Date().toISOString()
+        });
+        if (!requeued) return { success: false, statusCode: 409, error: 'Job changed concurrently' };
+
+        console.log(`[Jobs] Job ${jobId} requeued by admin`);
+        this.emit('requeued', requeued);
+        return { success: true, job: requeued };
+    }
+
+    /**
+     * Admin: stop a pending or running job for good
+     * Ein laufender Worker verliert die Lease (nächster Heartbeat -> 409)
+     */
+    async cancel(jobId, reason) {
+        const job = await store.getJob(jobId);
+        if (!job) return { success: false, statusCode: 404, error: 'Job not found' };
+
+        if (!['pending', 'processing'].includes(job.status)) {
+            return { success: false, statusCode: 409, error: `Job is already ${job.status}` };
+        }
+
+        const patch = {
+            status: 'cancelled',
+            error: reason || 'Cancelled by admin',
+            cancelledAt: new Date().toISOString(),
+            workerId: null,
+            leaseId: null,
+            leaseExpiresAt: null
+        };
+        if (job.status === 'processing') {
+            patch.attemptHistory = this.withAttempt(job, 'cancelled', patch.error);
+        }
+
+        const cancelled = await store.updateJobIf(jobId, { status: job.status, leaseId: job.leaseId }, patch);
+        if (!cancelled) return { success: false, statusCode: 409, error: 'Job changed concurrently' };
+
+        console.log(`[Jobs] Job ${jobId} cancelled: ${cancelled.error}`);
+        this.emit('failed', cancelled);
+        return { success: true, job: cancelled };
+    }
+
+    /**
+     * Start the periodic lease sweeper (idempotent)
+     */
+    startSweeper() {
+        if (this.sweepTimer) return;
+
+        this.sweepTimer = setInterval(() => {
+            this.sweepExpiredLeases().catch(error => {
+                console.error('[Jobs] Lease sweep failed:', error);
+            });
+        }, config.workers.sweepIntervalMs);
+        this.sweepTimer.unref();
+    }
+
+    stopSweeper() {
+        clearInterval(this.sweepTimer);
+        this.sweepTimer = null;
+    }
+
+    async leaseLost(jobId, job) {
+        if (job === undefined) job = await store.getJob(jobId);
+        if (!job) return { success: false, statusCode: 404, error: 'Job not found' };
+
+        return { success: false, statusCode: 409, error: 'Lease not held by this worker' };
+    }
+
+    /**
+     * attemptHistory including the attempt that is ending now
+     */
+    withAttempt(job, outcome, error) {
+        return [
+            ...(job.attemptHistory || []),
+            {
+                attempt: job.attempts || 1,
+                workerId: job.workerId,
+                claimedAt: job.claimedAt,
+                endedAt: new Date().toISOString(),
+                outcome,
+                error: error || null
+            }
+        ];
+    }
+
+    /**
+     * Tell the worker how often to send heartbeats
+     */
+    withLeaseInfo(job) {
+        return {
+            ...job,
+            heartbeatIntervalMs: Math.floor(config.workers.leaseMs / 3)
+        };
+    }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,100 @@
+/**
+ * WORKER REGISTRY
+ * Registrierte GPU-Worker mit ID und Token
+ *
+ * Ein Worker registriert sich einmalig mit dem Registration-Secret
+ * (config.workers.registrationSecret) und bekommt dafür eine Worker-ID
+ * und ein Token. Gespeichert wird nur der SHA-256-Hash des Tokens.
+ */
+
+const crypto = require('crypto');
+const config = require('../config/nvidia.config');
+const store = require('../store');
+
+// Default von gpu-worker/worker.js - nur für lokale Entwicklung,
+// in Production verweigert server.js den Start ohne WORKER_REGISTRATION_SECRET
+const DEV_REGISTRATION_SECRET = 'servionics-dev-worker';
+
+class WorkerRegistry {
+    /**
+     * Register a new worker
+     * @param {Object} options - { name, registrationSecret, capabilities }
+     * @returns {Promise<Object|null>} - { workerId, token } oder null bei falschem Secret
+     */
+    async register({ name, registrationSecret, capabilities }) {
+        if (!safeEqual(registrationSecret, config.workers.registrationSecret || DEV_REGISTRATION_SECRET)) {
+            return null;
+        }
+
+        const workerId = `wrk_${crypto.randomBytes(6).toString('hex')}`;
+        const token = crypto.randomBytes(32).toString('base64url');
+
+        await store.saveWorker({
+            id: workerId,
+            name: name || workerId,
+            capabilities: capabilities || {},
+            tokenHash: hashToken(token),
+            registeredAt: new Date().toISOString(),
+            lastSeen: null
+        });
+
+        console.log(`[Workers] Registered ${workerId} (${name || 'unnamed'})`);
+
+        // Das Token wird nur hier einmal im Klartext zurückgegeben
+        return { workerId, token };
+    }
+
+    /**
+     * True wenn kein WORKER_REGISTRATION_SECRET gesetzt ist und der
+     * öffentlich bekannte Dev-Default gilt
+     * @returns {boolean}
+     */
+    usesDevSecret() {
+        return !config.workers.registrationSecret;
+    }
+
+    /**
+     * Check worker credentials and mark the worker as seen
+     * @returns {Promise<Object|null>} - Worker oder null
+     */
+    async authenticate(workerId, token) {
+        if (!workerId || !token) return null;
+
+        const worker = await store.getWorker(workerId);
+        if (!worker || worker.revokedAt || !safeEqual(hashToken(token), worker.tokenHash)) {
+            return null;
+        }
+
+        return store.updateWorker(workerId, { lastSeen: new Date().toISOString() });
+    }
+
+    /**
+     * Workers without token hashes - safe for status endpoints
+     */
+    async listWorkers() {
+        const workers = await store.listWorkers();
+        const now = Date.now();
+
+        return workers.map(({ tokenHash, ...worker }) => ({
+            ...worker,
+            online: isOnline(worker, now)
+        }));
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a || ''));
+    const bufB = Buffer.from(String(b || ''));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function isOnline(worker, now) {
+    return Boolean(worker.lastSeen) &&
+        (now - new Date(worker.lastSeen).getTime()) < config.workers.onlineWindowMs;
+}
+
+module.exports = new WorkerRegistry();
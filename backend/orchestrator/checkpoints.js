@@ -0,0 +1,91 @@
+/**
+ * PIPELINE CHECKPOINTS
+ * Phase results as JSON files under output/<orgId>/<id>/checkpoints/
+ *
+ * - request.json   Original pipeline request (videos, skillId, metadata)
+ * - <phase>.json   Result of a finished phase (ingest, capture, ...)
+ * - ingest_clips   Phase-1-Analyse pro Video - bleibt beim Hinzufügen von
+ *                  Videos erhalten, damit nur die neuen analysiert werden
+ *
+ * Used to resume a failed run from a later phase without re-uploading
+ * or re-running the ffmpeg analysis (POST /api/project/:id/retry).
+ */
+
+const path = require('path');
+const fs = require('fs');
+
+class Checkpoints {
+    /**
+     * Directory holding all checkpoints of a project
+     * @param {string} projectDir - Output folder (utils/projectPaths)
+     */
+    getDir(projectDir) {
+        return path.join(projectDir, 'checkpoints');
+    }
+
+    /**
+     * Write the pipeline request - needed for every resume
+     */
+    saveRequest(projectDir, request) {
+        this.write(projectDir, 'request', request);
+    }
+
+    loadRequest(projectDir) {
+        return this.read(projectDir, 'request');
+    }
+
+    /**
+     * Write the result of a finished phase
+     */
+    save(projectDir, phase, result) {
+        this.write(projectDir, phase, {
+            phase,
+            savedAt: new Date().toISOString(),
+            result
+        });
+    }
+
+    /**
+     * @returns {Object|null} - Phase result or null if no checkpoint exists
+     */
+    load(projectDir, phase) {
+        const checkpoint = this.read(projectDir, phase);
+        return checkpoint ? checkpoint.result : null;
+    }
+
+    /**
+     * Remove checkpoints of the given phases (they are about to be re-run)
+     */
+    discard(projectDir, phases) {
+        phases.forEach(phase => {
+            const filePath = path.join(this.getDir(projectDir), `${phase}.json`);
+            if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        });
+    }
+
+    write(projectDir, name, data) {
+        const dir = this.getDir(projectDir);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        // Erst in Temp-Datei schreiben, dann umbenennen - kein halbes JSON bei Absturz
+        const filePath = path.join(dir, `${name}.json`);
+        fs.writeFileSync(`${filePath}.tmp`, JSON.stringify(data, null, 2));
+        fs.renameSync(`${filePath}.tmp`, filePath);
+    }
+
+    read(projectDir, name) {
+        const filePath = path.join(this.getDir(projectDir), `${name}.json`);
+        if (!fs.existsSync(filePath)) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+        } catch (error) {
+            console.warn(`[Checkpoints] Could not read ${filePath}:`, error.message);
+            return null;
+        }
+    }
+}
+
+module.exports = new Checkpoints();
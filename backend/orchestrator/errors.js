@@ -0,0 +1,117 @@
+/**
+ * PIPELINE ERRORS
+ * Structured error model for failed pipeline runs
+ *
+ * Every failure is stored in the project record as:
+ * { code, phase, message, userMessage, stack, occurredAt }
+ *
+ * - code:        stable identifier per phase (for dashboard & support)
+ * - message:     original technical message
+ * - userMessage: German text for customers
+ * - stack:       original stack (only stored, never sent to the browser)
+ */
+
+const ERROR_CODES = {
+    INGEST_FAILED: {
+        phase: 'ingest',
+        userMessage: 'Die Videoanalyse ist fehlgeschlagen. Bitte prüfen Sie das Video und laden Sie es erneut hoch.'
+    },
+    CAPTURE_FAILED: {
+        phase: 'capture',
+        userMessage: 'Die 3D-Rekonstruktion konnte nicht gestartet werden. Wir versuchen es erneut.'
+    },
+    CAPTURE_WORKER_FAILED: {
+        phase: 'capture',
+        userMessage: 'Die 3D-Rekonstruktion auf dem GPU-Server ist fehlgeschlagen. Bitte laden Sie ein neues Video hoch oder kontaktieren Sie uns.'
+    },
+    CONSTRUCT_FAILED: {
+        phase: 'construct',
+        userMessage: 'Die Roboterzelle konnte nicht in der Umgebung platziert werden.'
+    },
+    SIMULATE_FAILED: {
+        phase: 'simulate',
+        userMessage: 'Die Simulation ist fehlgeschlagen. Unser Engineering-Team prüft das Projekt.'
+    },
+    OUTPUT_FAILED: {
+        phase: 'output',
+        userMessage: 'Das Angebot konnte nicht erstellt werden. Bitte versuchen Sie es später erneut.'
+    },
+    PIPELINE_FAILED: {
+        phase: null,
+        userMessage: 'Bei der Verarbeitung ist ein unerwarteter Fehler aufgetreten.'
+    },
+    PIPELINE_INTERRUPTED: {
+        phase: null,
+        userMessage: 'Die Verarbeitung wurde durch einen Server-Neustart unterbrochen. Bitte starten Sie das Projekt erneut.'
+    }
+};
+
+// Phase -> Standard-Code (der erste Code je Phase, spezielle Codes folgen danach)
+const PHASE_ERROR_CODES = {};
+for (const [code, def] of Object.entries(ERROR_CODES)) {
+    if (def.phase && !PHASE_ERROR_CODES[def.phase]) PHASE_ERROR_CODES[def.phase] = code;
+}
+
+class PipelineError extends Error {
+    /**
+     * @param {string} code - Key of ERROR_CODES
+     * @param {string} message - Technical message
+     * @param {Object} [options] - { phase, cause }
+     */
+    constructor(code, message, options = {}) {
+        super(message);
+        this.name = 'PipelineError';
+        this.code = ERROR_CODES[code] ? code : 'PIPELINE_FAILED';
+        this.phase = options.phase || ERROR_CODES[this.code].phase;
+        if (options.cause) {
+            this.cause = options.cause;
+            this.stack = options.cause.stack;
+        }
+    }
+
+    /**
+     * Wrap any error thrown inside a phase
+     * @param {Error} error
+     * @param {string|null} phase - 'ingest' | 'capture' | ... (null = unknown)
+     */
+    static fromPhase(error, phase) {
+        if (error instanceof PipelineError) return error;
+
+        const code = PHASE_ERROR_CODES[phase] || 'PIPELINE_FAILED';
+        return new PipelineError(code, error.message, { phase, cause: error });
+    }
+
+    /**
+     * Record for the project store (includes the stack)
+     */
+    toRecord() {
+        return {
+            code: this.code,
+            phase: this.phase,
+            message: this.message,
+            userMessage: ERROR_CODES[this.code].userMessage,
+            stack: this.stack,
+            occurredAt: new Date().toISOString()
+        };
+    }
+}
+
+/**
+ * Error record without internals - safe to send to the browser
+ */
+function toPublicError(record) {
+    if (!record) return null;
+    if (typeof record === 'string') {
+        // Projekte aus der Zeit vor dem Fehler-Modell
+        return { code: 'PIPELINE_FAILED', phase: null, message: record, userMessage: ERROR_CODES.PIPELINE_FAILED.userMessage };
+    }
+
+    const { stack, ...publicFields } = record;
+    return publicFields;
+}
+
+module.exports = {
+    ERROR_CODES,
+    PipelineError,
+    toPublicError
+};
@@ -11,50 +11,614 @@
  */
 
 const config = require('../config/nvidia.config');
+const fs = require('fs');
+const store = require('../store');
+const projectIds = require('../utils/projectIds');
 const Phase1Ingest = require('./phase1_ingest');
 const Phase2Capture = require('./phase2_capture');
 const Phase3Construct = require('./phase3_construct');
 const Phase4Simulate = require('./phase4_simulate');
 const Phase5Output = require('./phase5_output');
+const PipelineContext = require('./pipelineContext');
+const pipelineEvents = require('./pipelineEvents');
+const checkpoints = require('./checkpoints');
+const { PipelineError } = require('./errors');
+const jobQueue = require('../jobs/jobQueue');
+const projectPaths = require('../utils/projectPaths');
+const photoSets = require('../utils/photoSets');
+
+// Grober Fortschritt (%) beim Eintritt in eine Phase - für Status-Polling
+const PHASE_PROGRESS = {
+    phase1_ingest: 5,
+    phase2_capture: 30,
+    phase3_construct: 50,
+    phase4_simulate: 65,
+    phase5_output: 90
+};
+
+// Interner Phasen-Status -> Phasen-Name in Events/Phasen-Ergebnissen
+const PHASE_NAMES = {
+    phase1_ingest: 'ingest',
+    phase2_capture: 'capture',
+    phase3_construct: 'construct',
+    phase4_simulate: 'simulate',
+    phase5_output: 'output'
+};
+
+// Reihenfolge der Phasen - für Resume ab einer bestimmten Phase
+const PHASE_ORDER = ['ingest', 'capture', 'construct', 'simulate', 'output'];
 
 class ServionicsOrchestrator {
     constructor() {
         this.config = config;
-        this.currentProject = null;
-        this.pipelineStatus = 'idle';
+        this.maxConcurrent = config.pipeline.maxConcurrent;
+        this.contexts = new Map(); // projectId -> PipelineContext (queued or running)
+        this.queue = [];           // FIFO of waiting PipelineContexts
+        this.running = 0;
+        this.lastProjectId = null;
+
+        // Pipelines pausieren nach Phase 2 bis der GPU-Worker fertig ist
+        jobQueue.on('completed', job => this.resumeAfterCapture(job).catch(error => {
+            console.error(`[Orchestrator] Could not resume ${job.projectId} after capture:`, error);
+        }));
+        jobQueue.on('failed', job => this.failCapture(job).catch(error => {
+            console.error(`[Orchestrator] Could not mark ${job.projectId} as failed:`, error);
+        }));
+        jobQueue.on('requeued', job => this.reopenForCapture(job).catch(error => {
+            console.error(`[Orchestrator] Could not reopen ${job.projectId}:`, error);
+        }));
+    }
+
+    /**
+     * Entry point for uploads - registers the project and queues the
+     * pipeline run so the HTTP request can return at once
+     * @param {Object} request - { videos: [{ videoFile, originalName, size }], skillId, metadata, orgId, trimBadSegments }
+     *   (ein einzelnes `videoFile` geht weiterhin) - oder `photoSet` (utils/photoSets.js) statt `videos`
+     * @returns {string} - Project ID for status polling
+     */
+    async startProject(request) {
+        const projectId = await this.generateProjectId();
+        const addedAt = new Date().toISOString();
+        const videos = PipelineContext.videosOf(request).map((video, index) => ({
+            ...video,
+            id: `clip-${index + 1}`,
+            addedAt: video.addedAt || addedAt
+        }));
+        const originalName = request.photoSet?.originalName || videos[0]?.originalName || request.metadata?.originalName || 'video';
+
+        await store.saveProject({
+            id: projectId,
+            orgId: request.orgId,
+            title: originalName.replace(/\.[^/.]+$/, ""),
+            skillId: request.skillId,
+            status: 'queued',
+            phase: null,
+            progress: 0,
+            hasSplat: false,
+            source: request.photoSet ? 'photos' : 'video',
+            videos: videos.map(toProjectVideo),
+            photoSet: request.photoSet ? photoSets.toPublic(request.photoSet) : null,
+            createdAt: addedAt
+        });
+
+        const { videoFile, ...rest } = request;
+        const pipelineRequest = { ...rest, videos };
+        const context = new PipelineContext(projectId, pipelineRequest);
+        checkpoints.saveRequest(context.outputDir, pipelineRequest);
+        this.enqueue(context);
+
+        return projectId;
+    }
+
+    /**
+     * Add videos to a finished or failed project and run the pipeline again
+     * from Phase 1 - bereits analysierte Videos werden nicht erneut bewertet
+     * @param {string} projectId
+     * @param {Object[]} videos - [{ videoFile, originalName, size }]
+     * @returns {Object} - { success, videos } or { success: false, statusCode, error }
+     */
+    async addVideos(projectId, videos) {
+        const project = await store.getProject(projectId);
+        if (!project) {
+            return { success: false, statusCode: 404, error: 'Projekt nicht gefunden' };
+        }
+        if (this.contexts.has(projectId) || ['queued', 'processing', 'awaiting_capture'].includes(project.status)) {
+            return { success: false, statusCode: 409, error: 'Projekt wird gerade verarbeitet - bitte warten' };
+        }
+
+        const projectDir = projectPaths.forProject(project);
+        const request = checkpoints.loadRequest(projectDir);
+        if (!request) {
+            return { success: false, statusCode: 404, error: 'Keine Checkpoints für dieses Projekt vorhanden' };
+        }
+        if (request.photoSet) {
+            return { success: false, statusCode: 400, error: 'Zu einer Foto-Serie können keine Videos hinzugefügt werden' };
+        }
+
+        const existing = PipelineContext.videosOf(request);
+        if (existing.length + videos.length > config.limits.maxVideosPerProject) {
+            return {
+                success: false,
+                statusCode: 400,
+                error: `Höchstens ${config.limits.maxVideosPerProject} Videos pro Projekt`
+            };
+        }
+
+        const addedAt = new Date().toISOString();
+        const nextNumber = Math.max(0, ...existing.map(v => parseInt(v.id.replace('clip-', ''), 10) || 0)) + 1;
+        const added = videos.map((video, index) => ({
+            ...video,
+            id: `clip-${nextNumber + index}`,
+            addedAt
+        }));
+
+        const { videoFile, ...rest } = request;
+        const allVideos = [...existing, ...added];
+        checkpoints.saveRequest(projectDir, { ...rest, videos: allVideos });
+        await store.updateProject(projectId, { videos: allVideos.map(toProjectVideo) });
+
+        console.log(`[Orchestrator] ${projectId}: added ${added.map(v => v.id).join(', ')}`);
+
+        const retry = await this.retryProject(projectId, 'ingest', { keepClipAnalyses: true });
+        return retry.success ? { success: true, videos: added.map(toProjectVideo) } : retry;
     }
 
     /**
-     * Main entry point - triggered by frontend video upload
-     * @param {Object} request - { videoFile, skillId, metadata }
+     * Resume a project from a given phase using the checkpoints of all
+     * earlier phases (no re-upload, no new ffmpeg analysis)
+     * @param {string} projectId
+     * @param {string} [fromPhase] - 'ingest' | 'capture' | ... Default: first
+     *   phase without checkpoint (= the one that failed)
+     * @param {Object} [options] - { keepClipAnalyses }: Phase-1-Analyse der
+     *   einzelnen Videos wiederverwenden (addVideos)
+     * Nur für 'failed' - oder 'complete' mit ausdrücklicher fromPhase. Wartet
+     * das Projekt auf den GPU-Worker (awaiting_capture), gäbe ein Retry einen
+     * zweiten Lauf samt zweitem Splatting-Job
+     * @returns {Object} - { success, fromPhase } or { success: false, statusCode, error }
+     */
+    async retryProject(projectId, fromPhase, options = {}) {
+        if (this.contexts.has(projectId)) {
+            return { success: false, statusCode: 409, error: 'Projekt wird bereits verarbeitet' };
+        }
+
+        const project = await store.getProject(projectId);
+        if (project && project.status !== 'failed' && !(project.status === 'complete' && fromPhase)) {
+            return {
+                success: false,
+                statusCode: 409,
+                error: project.status === 'complete'
+                    ? 'Projekt ist abgeschlossen - fromPhase angeben'
+                    : 'Projekt wird gerade verarbeitet - bitte warten'
+            };
+        }
+
+        const projectDir = project ? projectPaths.forProject(project) : null;
+        const request = projectDir ? checkpoints.loadRequest(projectDir) : null;
+        if (!request) {
+            return { success: false, statusCode: 404, error: 'Keine Checkpoints für dieses Projekt vorhanden' };
+        }
+
+        const startPhase = fromPhase || PHASE_ORDER.find(phase => !checkpoints.load(projectDir, phase));
+        if (!startPhase) {
+            return { success: false, statusCode: 400, error: 'Alle Phasen bereits abgeschlossen - fromPhase angeben' };
+        }
+        if (!PHASE_ORDER.includes(startPhase)) {
+            return { success: false, statusCode: 400, error: `Unbekannte Phase: ${startPhase}` };
+        }
+
+        // Reload everything before startPhase
+        const startIndex = PHASE_ORDER.indexOf(startPhase);
+        const context = new PipelineContext(projectId, { ...request, orgId: project.orgId });
+
+        for (const phase of PHASE_ORDER.slice(0, startIndex)) {
+            const result = checkpoints.load(projectDir, phase);
+            if (!result) {
+                return { success: false, statusCode: 409, error: `Checkpoint für Phase '${phase}' fehlt` };
+            }
+            context.phases[phase] = result;
+        }
+
+        if (startPhase === 'ingest' && !context.videos.every(video => fs.existsSync(video.videoFile))) {
+            return { success: false, statusCode: 409, error: 'Originalvideo nicht mehr vorhanden - bitte neu hochladen' };
+        }
+        if (['ingest', 'capture'].includes(startPhase) && context.photoSet && !fs.existsSync(context.photoSet.dir)) {
+            return { success: false, statusCode: 409, error: 'Fotos nicht mehr vorhanden - bitte neu hochladen' };
+        }
+
+        // Später liegende Checkpoints gehören zum alten Lauf
+        checkpoints.discard(projectDir, PHASE_ORDER.slice(startIndex));
+        if (startPhase === 'ingest' && !options.keepClipAnalyses) {
+            checkpoints.discard(projectDir, ['ingest_clips']);
+        }
+
+        await store.updateProject(projectId, {
+            status: 'queued',
+            phase: null,
+            progress: 0,
+            error: null,
+            result: null,
+            lastRetry: { fromPhase: startPhase, requestedAt: new Date().toISOString() }
+        });
+
+        console.log(`[Orchestrator] Retrying project ${projectId} from phase '${startPhase}'`);
+        pipelineEvents.clearHistory(projectId); // 'done' des alten Laufs nicht erneut ausliefern
+        this.enqueue(context);
+
+        return { success: true, fromPhase: startPhase };
+    }
+
+    /**
+     * Startup: projects that were queued or running when the process stopped
+     * only lived in memory (contexts/queue) - ohne diesen Schritt hingen sie
+     * für immer. Sie werden als unterbrochen markiert und ab dem ersten Checkpoint
+     * fortgesetzt; klappt das nicht (z.B. Video gelöscht), bleiben sie
+     * 'failed' und lassen sich per Retry neu starten.
+     * @returns {Promise<number>} - Anzahl fortgesetzter Projekte
+     */
+    async recoverInterruptedProjects() {
+        const projects = await store.listProjects();
+        const interrupted = projects.filter(project =>
+            ['queued', 'processing'].includes(project.status) && !this.contexts.has(project.id));
+        let resumed = 0;
+
+        for (const project of interrupted) {
+            const record = new PipelineError('PIPELINE_INTERRUPTED', 'Server restarted during processing', {
+                phase: PHASE_NAMES[project.phase] || null
+            }).toRecord();
+
+            await store.updateProject(project.id, {
+                status: 'failed',
+                error: record,
+                result: {
+                    success: false,
+                    projectId: project.id,
+                    error: record.userMessage,
+                    errorCode: record.code,
+                    failedPhase: record.phase
+                },
+                finishedAt: new Date().toISOString()
+            });
+
+            const retry = await this.retryProject(project.id);
+            if (retry.success) {
+                resumed++;
+                console.log(`[Orchestrator] Recovered ${project.id} - resuming from phase '${retry.fromPhase}'`);
+            } else {
+                console.warn(`[Orchestrator] Could not resume ${project.id}: ${retry.error}`);
+            }
+        }
+
+        return resumed;
+    }
+
+    /**
+     * Only the latest job of a project drives its pipeline - events of older
+     * jobs (z.B. ein Admin-Requeue eines alten Dead-Letter-Jobs) werden ignoriert
+     */
+    async isCurrentJob(job) {
+        const latest = job.projectId ? await jobQueue.latestForProject(job.projectId) : null;
+        return latest?.id === job.id;
+    }
+
+    /**
+     * GPU worker uploaded scene.splat - continue the paused pipeline with Phase 3
+     * @param {Object} job - Completed splatting job
+     */
+    async resumeAfterCapture(job) {
+        const projectId = job.projectId;
+        const project = projectId ? await store.getProject(projectId) : null;
+
+        if (!project || project.status !== 'awaiting_capture' || !(await this.isCurrentJob(job))) {
+            console.log(`[Orchestrator] Job ${job.id} completed, no paused pipeline to resume`);
+            return;
+        }
+
+        const projectDir = projectPaths.forProject(project);
+        const request = checkpoints.loadRequest(projectDir);
+        const ingestResult = checkpoints.load(projectDir, 'ingest');
+        const pendingCapture = checkpoints.load(projectDir, 'capture_pending');
+
+        if (!request || !ingestResult || !pendingCapture) {
+            throw new Error(`Checkpoints for ${projectId} missing`);
+        }
+
+        const captureResult = {
+            ...pendingCapture,
+            splatCloudPath: job.splatPath,
+            pointCount: job.pointCount,
+            splatStatus: 'completed',
+            processingTime: job.claimedAt
+                ? (new Date(job.completedAt) - new Date(job.claimedAt)) / 1000
+                : null
+        };
+
+        // Wie ein Resume per Retry: Phase 1 + 2 kommen aus den Checkpoints
+        const context = new PipelineContext(projectId, { ...request, orgId: project.orgId });
+        context.phases.ingest = ingestResult;
+        context.phases.capture = captureResult;
+
+        checkpoints.save(projectDir, 'capture', captureResult);
+        checkpoints.discard(projectDir, ['capture_pending']);
+        await store.savePhaseResult(projectId, 'capture', captureResult);
+
+        await store.updateProject(projectId, {
+            status: 'queued',
+            hasSplat: true,
+            pointCount: job.pointCount
+        });
+
+        console.log(`[Orchestrator] Capture for ${projectId} finished (${job.pointCount ?? '?'} points) - resuming pipeline`);
+        this.enqueue(context);
+    }
+
+    /**
+     * Splatting job ended for good (dead letter or cancelled) - the paused pipeline fails in Phase 2
+     * @param {Object} job - Failed splatting job
+     */
+    async failCapture(job) {
+        const projectId = job.projectId;
+        const project = projectId ? await store.getProject(projectId) : null;
+
+        if (!project || project.status !== 'awaiting_capture' || !(await this.isCurrentJob(job))) return;
+
+        const record = new PipelineError('CAPTURE_WORKER_FAILED', job.error, { phase: 'capture' }).toRecord();
+        const result = {
+            success: false,
+            projectId,
+            error: record.userMessage,
+            errorCode: record.code,
+            failedPhase: record.phase
+        };
+
+        await store.updateProject(projectId, {
+            status: 'failed',
+            progress: 100,
+            error: record,
+            result,
+            finishedAt: new Date().toISOString()
+        });
+
+        console.log(`[Orchestrator] Project ${projectId} failed: GPU worker reported '${job.error}'`);
+        pipelineEvents.publish(projectId, 'done', { status: 'failed', result });
+    }
+
+    /**
+     * Admin requeued a dead-letter job - the failed project waits for the worker again
+     * @param {Object} job - Requeued splatting job
+     */
+    async reopenForCapture(job) {
+        const projectId = job.projectId;
+        const project = projectId ? await store.getProject(projectId) : null;
+
+        if (!project || project.status !== 'failed' || project.error?.code !== 'CAPTURE_WORKER_FAILED') return;
+        if (!(await this.isCurrentJob(job))) return;
+        if (this.contexts.has(projectId) || !checkpoints.load(projectPaths.forProject(project), 'capture_pending')) return;
+
+        await store.updateProject(projectId, {
+            status: 'awaiting_capture',
+            phase: 'phase2_capture',
+            progress: PHASE_PROGRESS.phase2_capture,
+            error: null,
+            result: null,
+            finishedAt: null
+        });
+
+        console.log(`[Orchestrator] ${projectId} waits for GPU worker again (job requeued)`);
+        pipelineEvents.clearHistory(projectId); // 'done' des alten Laufs nicht erneut ausliefern
+        pipelineEvents.publish(projectId, 'phase_waiting', { phase: 'capture', jobId: job.id });
+    }
+
+    /**
+     * Put a context into the FIFO queue and start it if a slot is free
+     */
+    enqueue(context) {
+        const previous = this.contexts.get(context.id);
+        if (previous) this.supersede(previous);
+
+        this.contexts.set(context.id, context);
+        this.queue.push(context);
+        this.lastProjectId = context.id;
+
+        console.log(`[Orchestrator] Project ${context.id} queued (position ${this.queue.length}, running ${this.running}/${this.maxConcurrent})`);
+        pipelineEvents.publish(context.id, 'queued', { queuePosition: this.queue.length });
+
+        setImmediate(() => this.drainQueue());
+    }
+
+    /**
+     * A newer run of the same project takes over - der alte gibt seine
+     * ffmpeg-Prozesse und seinen Platz in der Queue sofort frei
+     */
+    supersede(context) {
+        context.superseded = true;
+        this.queue = this.queue.filter(queued => queued !== context);
+        context.abort('durch einen neuen Lauf ersetzt');
+        console.log(`[Orchestrator] Run of ${context.id} superseded by a new run`);
+    }
+
+    /**
+     * Start queued runs until the concurrency limit is reached (FIFO)
+     */
+    drainQueue() {
+        while (this.running < this.maxConcurrent && this.queue.length > 0) {
+            const context = this.queue.shift();
+            this.running++;
+
+            this.runInBackground(context).catch(error => {
+                // runInBackground fängt selbst ab - eine Rejection darf den Server nie beenden
+                console.error(`[Orchestrator] Unhandled error in run for ${context.id}:`, error);
+            }).finally(() => {
+                this.running--;
+                // Ein ersetzter Lauf darf den Context seines Nachfolgers nicht entfernen
+                if (this.contexts.get(context.id) === context) this.contexts.delete(context.id);
+                this.drainQueue();
+            });
+        }
+    }
+
+    /**
+     * Background worker: runs the pipeline and writes the outcome
+     * into the project record
+     */
+    async runInBackground(context) {
+        const projectId = context.id;
+        let result;
+        try {
+            result = await this.processProject(context);
+        } catch (error) {
+            // processProject catches pipeline errors itself - this is a last resort
+            console.error(`[Orchestrator] Background run crashed for ${projectId}:`, error);
+            result = this.failWithError(context, PipelineError.fromPhase(error, null));
+        }
+
+        // Ergebnis gehört dem neuen Lauf - nichts überschreiben
+        if (context.superseded) {
+            console.log(`[Orchestrator] Discarding result of superseded run for ${projectId}`);
+            return;
+        }
+
+        // Pausiert bis der GPU-Worker fertig ist - Slot wird frei, Projekt bleibt offen
+        if (result.paused) {
+            try {
+                await store.updateProject(projectId, {
+                    status: 'awaiting_capture',
+                    phase: 'phase2_capture',
+                    progress: PHASE_PROGRESS.phase2_capture
+                });
+            } catch (error) {
+                console.error(`[Orchestrator] Could not save paused state for ${projectId}:`, error);
+            }
+            pipelineEvents.publish(projectId, 'phase_waiting', {
+                phase: 'capture',
+                jobId: result.jobId
+            });
+            return;
+        }
+
+        try {
+            const patch = {
+                status: result.success ? 'complete' : 'failed',
+                progress: 100,
+                qualityScore: result.score || result.qualityScore,
+                qualityLevel: result.level || result.qualityLevel,
+                splattingScore: result.splattingSuitability?.score,
+                analysis: {
+                    basicQuality: result.basicQuality,
+                    splattingSuitability: result.splattingSuitability,
+                    suggestions: result.suggestions
+                },
+                error: context.errorRecord,
+                result,
+                finishedAt: new Date().toISOString()
+            };
+
+            // Bei Pipeline-Fehlern bleibt `phase` auf der Phase, in der es passiert ist
+            if (result.success) patch.phase = 'done';
+            else if (result.phase === 'quality_gate') patch.phase = 'quality_gate';
+
+            await store.updateProject(projectId, patch);
+            console.log(`[Orchestrator] Project ${projectId} saved (${result.success ? 'complete' : 'failed'})`);
+        } catch (error) {
+            console.error(`[Orchestrator] Could not save result for ${projectId}:`, error);
+        }
+
+        pipelineEvents.publish(projectId, 'done', {
+            status: result.success ? 'complete' : 'failed',
+            result
+        });
+    }
+
+    /**
+     * Mark the start of a pipeline phase (in memory and in the project record)
+     */
+    async enterPhase(context, phase) {
+        context.pipelineStatus = phase;
+        await store.updateProject(context.id, {
+            status: 'processing',
+            phase,
+            progress: PHASE_PROGRESS[phase]
+        });
+        pipelineEvents.publish(context.id, 'phase_start', { phase: PHASE_NAMES[phase] });
+    }
+
+    /**
+     * Record a finished phase: in memory, as checkpoint, in the store and as event
+     * @param {Object} [summary] - Small payload for the event (not the full result)
+     */
+    async completePhase(context, phase, result, summary = {}) {
+        context.phases[phase] = result;
+        checkpoints.save(context.outputDir, phase, result);
+        await store.savePhaseResult(context.id, phase, result);
+        pipelineEvents.publish(context.id, 'phase_complete', { phase, ...summary });
+    }
+
+    /**
+     * Phase result restored from a checkpoint (resume) - skip the phase
+     */
+    restoredPhase(context, phase) {
+        const result = context.phases[phase];
+        if (result) {
+            console.log(`[Orchestrator] ${context.id}: using checkpoint for phase '${phase}'`);
+            pipelineEvents.publish(context.id, 'phase_complete', { phase, fromCheckpoint: true });
+        }
+        return result;
+    }
+
+    /**
+     * Runs all five phases for one project
+     * @param {PipelineContext} context - State of this project's run
      * @returns {Object} - Final offer response or error
      */
-    async processProject(request) {
-        const projectId = this.generateProjectId();
+    async processProject(context) {
+        const projectId = context.id;
+        const request = context.request;
 
         console.log(`[Orchestrator] Starting project ${projectId}`);
         console.log(`[Orchestrator] Skill: ${request.skillId}`);
 
-        this.currentProject = {
-            id: projectId,
-            skillId: request.skillId,
-            startTime: Date.now(),
-            status: 'processing',
-            phases: {}
-        };
+        context.start();
 
         try {
             // ═══════════════════════════════════════════════════════════════
             // PHASE 1: INGEST & QUALITY GATE
             // ═══════════════════════════════════════════════════════════════
-            this.pipelineStatus = 'phase1_ingest';
-            console.log('[Phase 1] Starting Quality Gate...');
+            let qualityResult = this.restoredPhase(context, 'ingest');
+
+            if (!qualityResult) {
+                await this.enterPhase(context, 'phase1_ingest');
+                console.log('[Phase 1] Starting Quality Gate...');
 
-            const qualityResult = await Phase1Ingest.analyze(request.videoFile);
-            this.currentProject.phases.ingest = qualityResult;
+                const onProgress = (step, data) => pipelineEvents.publish(projectId, 'phase_progress', {
+                    phase: 'ingest',
+                    step,
+                    ...data
+                });
+
+                if (context.photoSet) {
+                    qualityResult = await Phase1Ingest.analyzePhotoSet(context.photoSet, { onProgress });
+                } else {
+                    const clipAnalyses = checkpoints.load(context.outputDir, 'ingest_clips') || {};
+                    qualityResult = await Phase1Ingest.analyzeClips(context.videos, {
+                        previous: clipAnalyses,
+                        onProgress,
+                        trimBadSegments: context.trimBadSegments,
+                        signal: context.signal,
+                        onClipAnalyzed: (clipId, result) => {
+                            clipAnalyses[clipId] = result;
+                            checkpoints.save(context.outputDir, 'ingest_clips', clipAnalyses);
+                        }
+                    });
+                }
+                await this.completePhase(context, 'ingest', qualityResult, {
+                    score: qualityResult.score,
+                    level: qualityResult.level,
+                    keyframeCount: qualityResult.keyframeCount,
+                    acceptedClips: qualityResult.acceptedClips
+                });
+            }
 
             if (qualityResult.score < this.config.qualityGate.qualityThreshold) {
-                return this.failFast(qualityResult);
+                return this.failFast(context, qualityResult);
             }
 
             console.log(`[Phase 1] Quality Score: ${qualityResult.score}/100 ✓`);
@@ -62,63 +626,107 @@ class ServionicsOrchestrator {
             // ═══════════════════════════════════════════════════════════════
             // PHASE 2: REALITY CAPTURE (GAUSSIAN SPLATTING)
             // ═══════════════════════════════════════════════════════════════
-            this.pipelineStatus = 'phase2_capture';
-            console.log('[Phase 2] Starting 3D Reconstruction...');
+            let captureResult = this.restoredPhase(context, 'capture');
 
-            const captureResult = await Phase2Capture.process(
-                request.videoFile,
-                projectId
-            );
-            this.currentProject.phases.capture = captureResult;
+            if (!captureResult) {
+                await this.enterPhase(context, 'phase2_capture');
+                console.log('[Phase 2] Starting 3D Reconstruction...');
+
+                // Nur Videos, die das Quality Gate bestanden haben (alte Checkpoints: alle)
+                const accepted = qualityResult.acceptedClips;
+                const trims = new Map((qualityResult.clips || []).map(clip => [clip.clipId, clip.trim]));
+                const clips = (accepted ? context.videos.filter(video => accepted.includes(video.id)) : context.videos)
+                    .map(video => ({ ...video, excludeSegments: trims.get(video.id)?.segments || [] }));
+
+                captureResult = await Phase2Capture.process(
+                    clips,
+                    projectId,
+                    { outputDir: context.outputDir, orgId: context.orgId, photoSet: context.photoSet, signal: context.signal }
+                );
+
+                if (captureResult.splatStatus === 'queued') {
+                    return this.pauseForCapture(context, captureResult);
+                }
+
+                await this.completePhase(context, 'capture', captureResult, {
+                    splatStatus: captureResult.splatStatus || null
+                });
 
-            console.log(`[Phase 2] Environment USD: ${captureResult.environmentUsd} ✓`);
+                console.log(`[Phase 2] Environment USD: ${captureResult.environmentUsd} ✓`);
+            }
 
             // ═══════════════════════════════════════════════════════════════
             // PHASE 3: AI CONSTRUCTION
             // ═══════════════════════════════════════════════════════════════
-            this.pipelineStatus = 'phase3_construct';
-            console.log('[Phase 3] Starting AI Construction...');
+            let constructResult = this.restoredPhase(context, 'construct');
 
-            const constructResult = await Phase3Construct.build(
-                captureResult.environmentUsd,
-                request.skillId,
-                projectId
-            );
-            this.currentProject.phases.construct = constructResult;
+            if (!constructResult) {
+                await this.enterPhase(context, 'phase3_construct');
+                console.log('[Phase 3] Starting AI Construction...');
 
-            console.log(`[Phase 3] Master Scene: ${constructResult.masterSceneUsd} ✓`);
+                constructResult = await Phase3Construct.build(
+                    captureResult.environmentUsd,
+                    request.skillId,
+                    projectId,
+                    { outputDir: context.outputDir }
+                );
+                await this.completePhase(context, 'construct', constructResult, {
+                    robot: constructResult.hardware?.robot
+                });
+
+                console.log(`[Phase 3] Master Scene: ${constructResult.masterSceneUsd} ✓`);
+            }
 
             // ═══════════════════════════════════════════════════════════════
             // PHASE 4: SIMULATION (ISAAC SIM)
             // ═══════════════════════════════════════════════════════════════
-            this.pipelineStatus = 'phase4_simulate';
-            console.log('[Phase 4] Starting Simulation...');
+            let simResult = this.restoredPhase(context, 'simulate');
 
-            const simResult = await Phase4Simulate.run(
-                constructResult.masterSceneUsd,
-                request.skillId,
-                projectId
-            );
-            this.currentProject.phases.simulate = simResult;
+            if (!simResult) {
+                await this.enterPhase(context, 'phase4_simulate');
+                console.log('[Phase 4] Starting Simulation...');
+
+                simResult = await Phase4Simulate.run(
+                    constructResult.masterSceneUsd,
+                    request.skillId,
+                    projectId,
+                    {
+                        outputDir: context.outputDir,
+                        onProgress: (step, data) => pipelineEvents.publish(projectId, 'phase_progress', {
+                            phase: 'simulate',
+                            step,
+                            ...data
+                        })
+                    }
+                );
+                await this.completePhase(context, 'simulate', simResult, {
+                    reachability: simResult.reachability,
+                    cycleTime: simResult.cycleTime
+                });
 
-            console.log(`[Phase 4] Reachability: ${simResult.reachability ? 'PASS' : 'FAIL'}`);
+                console.log(`[Phase 4] Reachability: ${simResult.reachability ? 'PASS' : 'FAIL'}`);
+            }
 
             // ═══════════════════════════════════════════════════════════════
             // PHASE 5: OUTPUT & OFFER GENERATION
             // ═══════════════════════════════════════════════════════════════
-            this.pipelineStatus = 'phase5_output';
+            await this.enterPhase(context, 'phase5_output');
             console.log('[Phase 5] Generating Offer...');
 
             const offerResult = await Phase5Output.generate(
-                this.currentProject,
-                simResult
+                context,
+                simResult,
+                { pricing: (await store.getProject(projectId))?.pricing }
             );
+            await this.completePhase(context, 'output', offerResult, {
+                feasibility: offerResult.feasibility_status
+            });
 
-            this.currentProject.status = 'completed';
-            this.currentProject.endTime = Date.now();
-            this.pipelineStatus = 'idle';
+            context.status = 'completed';
+            context.endTime = Date.now();
+            context.pipelineStatus = 'done';
 
-            console.log(`[Orchestrator] Project ${projectId} completed in ${this.getDuration()}s`);
+            console.log(`[Orchestrator] Project ${projectId} completed in ${context.getDuration()}s`);
 
             // WICHTIG: Füge Phase 1 Analyse-Daten zum Ergebnis hinzu
             // Damit das Frontend die Quality-Checks anzeigen kann!
@@ -131,34 +739,79 @@ class ServionicsOrchestrator {
                 duration: qualityResult.duration,
                 resolution: qualityResult.resolution,
                 suggestions: qualityResult.suggestions,
-                feedback: qualityResult.feedback
+                feedback: qualityResult.feedback,
+                clips: qualityResult.clips,
+                imageCount: qualityResult.imageCount,
+                unsharpImages: qualityResult.unsharpImages
             };
 
         } catch (error) {
             console.error(`[Orchestrator] Pipeline failed:`, error);
-            this.currentProject.status = 'failed';
-            this.currentProject.error = error.message;
-            this.pipelineStatus = 'error';
 
-            return {
-                success: false,
-                projectId,
-                error: error.message,
-                failedPhase: this.pipelineStatus
-            };
+            // Phase VOR dem Umschalten auf 'error' auslesen
+            const failedPhase = PHASE_NAMES[context.pipelineStatus] || null;
+            return this.failWithError(context, PipelineError.fromPhase(error, failedPhase));
         }
     }
 
+    /**
+     * Mark the run as failed and build the error response
+     * @param {PipelineContext} context
+     * @param {PipelineError} pipelineError
+     */
+    failWithError(context, pipelineError) {
+        const record = pipelineError.toRecord();
+
+        // Noch laufende ffmpeg-Aufrufe dieses Laufs belegen sonst ihren Slot bis zum Timeout
+        context.abort('Pipeline fehlgeschlagen');
+        context.status = 'failed';
+        context.error = record.userMessage;
+        context.errorRecord = record;
+        context.endTime = Date.now();
+        context.pipelineStatus = 'error';
+
+        return {
+            success: false,
+            projectId: context.id,
+            error: record.userMessage,
+            errorCode: record.code,
+            failedPhase: record.phase
+        };
+    }
+
+    /**
+     * Stop after queueing the splatting job - resumeAfterCapture() continues
+     * with Phase 3 once the worker has uploaded scene.splat
+     */
+    pauseForCapture(context, captureResult) {
+        // Eigener Checkpoint: 'capture' gilt erst mit fertigem Splat als abgeschlossen
+        checkpoints.save(context.outputDir, 'capture_pending', captureResult);
+
+        context.status = 'awaiting_capture';
+        console.log(`[Phase 2] ${context.id} paused until GPU job ${captureResult.jobId} completes`);
+
+        return {
+            success: true,
+            paused: true,
+            projectId: context.id,
+            jobId: captureResult.jobId
+        };
+    }
+
     /**
      * Fast-fail response for quality gate
      * Gibt alle Analyse-Daten zurück damit Frontend die Checks anzeigen kann
      */
-    failFast(qualityResult) {
+    failFast(context, qualityResult) {
         console.log(`[Phase 1] Quality insufficient (${qualityResult.score}/100) - Returning feedback`);
 
+        context.status = 'failed';
+        context.endTime = Date.now();
+        context.pipelineStatus = 'quality_gate';
+
         return {
             success: false,
-            projectId: this.currentProject.id,
+            projectId: context.id,
             phase: 'quality_gate',
             // Alte Felder für Kompatibilität
             qualityScore: qualityResult.score,
@@ -172,38 +825,79 @@ class ServionicsOrchestrator {
             suggestions: qualityResult.suggestions,
             keyframeCount: qualityResult.keyframeCount,
             duration: qualityResult.duration,
-            resolution: qualityResult.resolution
+            resolution: qualityResult.resolution,
+            clips: qualityResult.clips,
+            imageCount: qualityResult.imageCount,
+            unsharpImages: qualityResult.unsharpImages
         };
     }
 
     /**
-     * Generate unique project ID
+     * Generate unique project ID (persisted sequence, collision-checked)
+     * @returns {Promise<string>}
      */
     generateProjectId() {
-        const year = new Date().getFullYear();
-        const seq = String(Math.floor(Math.random() * 1000)).padStart(3, '0');
-        return `PRJ-${year}-${seq}`;
+        return projectIds.next();
     }
 
     /**
-     * Get pipeline duration in seconds
+     * Position of a waiting project in the FIFO queue (1-based), or null
      */
-    getDuration() {
-        if (!this.currentProject?.startTime) return 0;
-        return ((Date.now() - this.currentProject.startTime) / 1000).toFixed(1);
+    getQueuePosition(projectId) {
+        const index = this.queue.findIndex(c => c.id === projectId);
+        return index === -1 ? null : index + 1;
     }
 
     /**
-     * Get current pipeline status for frontend polling
+     * Get pipeline status for frontend polling
+     * @param {string} [projectId] - Status of one queued/running project.
+     *   Without ID: overview of all active runs (plus the latest project's
+     *   fields for older clients). Finished projects are only in the store.
+     * @param {string} [orgId] - Übersicht nur mit Projekten dieser Organisation
+     *   (running/queued zählen alle Mandanten - die Kapazität ist geteilt)
+     * @returns {Object|null} - null if projectId is not queued or running
      */
-    getStatus() {
+    getStatus(projectId, orgId) {
+        if (projectId) {
+            const context = this.contexts.get(projectId);
+            if (!context) return null;
+
+            return {
+                ...context.toStatus(),
+                queuePosition: this.getQueuePosition(projectId)
+            };
+        }
+
+        const visible = [...this.contexts.values()].filter(context => !orgId || context.orgId === orgId);
+        const latest = visible.find(context => context.id === this.lastProjectId) || visible[visible.length - 1];
+
         return {
-            projectId: this.currentProject?.id,
-            status: this.pipelineStatus,
-            phases: this.currentProject?.phases || {},
-            duration: this.getDuration()
+            status: this.running > 0 ? 'busy' : 'idle',
+            running: this.running,
+            queued: this.queue.length,
+            maxConcurrent: this.maxConcurrent,
+            projects: visible.map(context => ({
+                ...context.toStatus(),
+                queuePosition: this.getQueuePosition(context.id)
+            })),
+            // Kompatibilität: Felder des zuletzt gestarteten Projekts
+            projectId: latest?.id,
+            phases: latest?.phases || {},
+            duration: latest ? latest.getDuration() : 0
         };
     }
 }
 
+/**
+ * Video entry of the project record - ohne Dateipfad
+ */
+function toProjectVideo(video) {
+    return {
+        id: video.id,
+        originalName: video.originalName || null,
+        size: video.size || null,
+        addedAt: video.addedAt || null
+    };
+}
+
 module.exports = new ServionicsOrchestrator();
@@ -8,38 +8,184 @@
  * - Loop consistency
  * 
  * Purpose: Filter out garbage input before expensive GPU processing
+ *
+ * Mehrere Videos pro Projekt: analyzeClips() bewertet jedes Video einzeln,
+ * Videos unter der Qualitätsschwelle werden verworfen, der Gesamt-Score
+ * ist der nach Dauer gewichtete Mittelwert der übrigen.
+ *
+ * Foto-Serien (analyzePhotoSet): dieselben Checks direkt auf den Fotos,
+ * ohne FFmpeg-Extraktion.
+ *
+ * Zeitleiste (buildTimeline): Helligkeit, Schärfe und Bewegung je Sekunde,
+ * damit ein paar schlechte Sekunden nicht das ganze Video kippen. Schlechte
+ * Abschnitte werden benannt und auf Wunsch (trimBadSegments) vor der
+ * Rekonstruktion herausgeschnitten - bewertet wird dann nur der Rest.
  * 
- * HINWEIS: Nutzt FFmpeg für echte Video-Analyse!
+ * HINWEIS: Nutzt FFmpeg für echte Video-Analyse! Aufrufe laufen über
+ * utils/processRunner.js - asynchron mit Timeout, als Argument-Array, nie
+ * als Shell-String mit dem Dateinamen. Ein langes Video blockiert so nicht
+ * den Server (Health-Checks, andere Requests).
  */
 
 const config = require('../config/nvidia.config');
 const path = require('path');
 const fs = require('fs');
-const { execSync, exec } = require('child_process');
+const sharp = require('sharp');
 const imageAnalyzer = require('../utils/imageAnalyzer'); // Sharp-basierte Bildanalyse
 const splattingAnalyzer = require('../utils/splattingAnalyzer'); // NEU: Gaussian Splatting Eignungsprüfung
+const featureTracker = require('../utils/featureTracker');
+const processRunner = require('../utils/processRunner');
+const { formatTimestamp } = require('../utils/timeFormat');
+
+// Schärfe (Laplacian, 160px-Vorschau), unter der ein Foto als unscharf gilt
+const UNSHARP_PHOTO = 40;
+// Breite der Zeitleisten-Bilder (buildTimeline)
+const TIMELINE_WIDTH = 320;
 
 class Phase1Ingest {
     /**
      * Main analysis function
      * @param {string} videoPath - Path to uploaded video
-     * @returns {Object} - Quality assessment result
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - (step, data) => void, für Live-Fortschritt
+     * @param {AbortSignal} [options.signal] - Bricht laufende ffprobe/ffmpeg-Aufrufe ab
+     * @param {boolean} [options.trimBadSegments] - Schlechte Abschnitte nicht mitbewerten (Phase 2 schneidet sie heraus)
+     * @returns {Object} - Quality assessment result, dazu `timeline` und `trim` (null ohne Kürzung)
      */
-    async analyze(videoPath) {
+    async analyze(videoPath, options = {}) {
+        const onProgress = options.onProgress || (() => { });
+        const { signal } = options;
         console.log(`[Phase1] Analyzing: ${videoPath}`);
 
         // Extract video metadata and keyframes using FFmpeg
-        const metadata = await this.extractMetadata(videoPath);
+        const metadata = await this.extractMetadata(videoPath, signal);
         console.log(`[Phase1] Metadata: ${metadata.duration}s, ${metadata.fps}fps, ${metadata.width}x${metadata.height}`);
+        onProgress('metadata', {
+            duration: metadata.duration,
+            fps: metadata.fps,
+            width: metadata.width,
+            height: metadata.height
+        });
 
         // Extract keyframes WITH paths for splatting analysis
-        const { keyframes, keyframePaths, tempDir } = await this.extractKeyframesWithPaths(videoPath, metadata);
+        const { keyframes, keyframePaths, tempDir } = await this.extractKeyframesWithPaths(videoPath, metadata, onProgress, signal);
         console.log(`[Phase1] Extracted ${keyframes.length} keyframes`);
 
+        try {
+            const timeline = await this.buildTimeline(videoPath, metadata, onProgress, signal);
+            const trim = options.trimBadSegments && timeline ? this.planTrim(timeline, metadata.duration) : null;
+            const kept = trim
+                ? this.withoutSegments(keyframes, keyframePaths, trim.segments)
+                : { keyframes, keyframePaths };
+
+            const assessment = await this.assess(kept.keyframes, kept.keyframePaths, this.analyzeFrameCount(metadata), metadata, onProgress);
+
+            if (trim) {
+                console.log(`[Phase1] Trimmed ${trim.removedSeconds}s in ${trim.segments.length} segment(s), ${kept.keyframes.length} keyframes left`);
+            } else if (timeline?.badSegments.length > 0) {
+                const [first] = timeline.badSegments;
+                assessment.suggestions = [
+                    `Schlechter Abschnitt ${first.label} (${first.reasons.join(', ')}) - neu aufnehmen oder beim Upload herausschneiden lassen`,
+                    ...assessment.suggestions
+                ].slice(0, 5);
+            }
+
+            return {
+                ...assessment,
+                timeline,
+                trim,
+                duration: metadata.duration,
+                resolution: { width: metadata.width, height: metadata.height }
+            };
+        } finally {
+            // Cleanup temp keyframe files
+            this.cleanupTempDir(tempDir);
+        }
+    }
+
+    /**
+     * Analyze a photo set (utils/photoSets.js) - ohne ffmpeg, die Fotos
+     * werden direkt wie Keyframes bewertet
+     * @param {Object} photoSet - { dir, images: [{ file, originalName }] }
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - (step, data) => void
+     * @returns {Object} - Wie analyze(), dazu `source: 'photos'`, `imageCount`, `unsharpImages`
+     */
+    async analyzePhotoSet(photoSet, options = {}) {
+        const onProgress = options.onProgress || (() => { });
+        const imagePaths = photoSet.images.map(image => path.join(photoSet.dir, image.file));
+        console.log(`[Phase1] Analyzing photo set: ${imagePaths.length} photos`);
+
+        const { width, height } = await sharp(imagePaths[0]).metadata();
+        const metadata = { duration: null, fps: null, width, height, frameCount: imagePaths.length };
+        onProgress('photos_loaded', { count: imagePaths.length, width, height });
+
+        // Gleiche 160px-Vorschauen wie bei Videos, damit die Schwellen passen
+        const tempDir = path.join(config.output.uploads, `keyframes_temp_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`);
+        fs.mkdirSync(tempDir, { recursive: true });
+
+        try {
+            const keyframes = [];
+            const keyframePaths = [];
+
+            for (const [i, image] of photoSet.images.entries()) {
+                const previewPath = path.join(tempDir, image.file);
+                await sharp(imagePaths[i]).resize(160).jpeg({ quality: 90 }).toFile(previewPath);
+                keyframePaths.push(previewPath);
+
+                const analysis = await imageAnalyzer.analyzeImage(previewPath);
+                keyframes.push({
+                    index: i,
+                    timestamp: null,
+                    brightness: analysis.brightness,
+                    sharpness: analysis.sharpness,
+                    contrast: analysis.contrast,
+                    edgeDensity: analysis.edgeDensity,
+                    file: image.originalName
+                });
+
+                if (i % 10 === 0) {
+                    onProgress('frames_analyzed', { analyzed: i + 1, total: photoSet.images.length });
+                }
+            }
+
+            const assessment = await this.assess(keyframes, keyframePaths, this.analyzeImageCount(keyframes.length), metadata, onProgress, 'photos');
+
+            // Einzelne unscharfe Fotos nennen - die lassen sich gezielt neu aufnehmen.
+            // Ist es die Mehrheit, deckt das der allgemeine Schärfe-Hinweis ab
+            const unsharpImages = keyframes.filter(kf => kf.sharpness < UNSHARP_PHOTO).map(kf => kf.file);
+            if (unsharpImages.length > 0 && unsharpImages.length < keyframes.length / 2) {
+                const examples = unsharpImages.slice(0, 3).join(', ');
+                assessment.suggestions = [
+                    `${unsharpImages.length} Foto(s) unscharf (z.B. ${examples}) - bitte neu aufnehmen`,
+                    ...assessment.suggestions
+                ].slice(0, 5);
+            }
+
+            return {
+                ...assessment,
+                source: 'photos',
+                imageCount: keyframes.length,
+                timeline: null,
+                trim: null,
+                unsharpImages,
+                duration: null,
+                resolution: { width, height }
+            };
+        } finally {
+            this.cleanupTempDir(tempDir);
+        }
+    }
+
+    /**
+     * Quality + splatting assessment of analyzed keyframes (Video oder Fotos)
+     * @param {number} frameScore - analyzeFrameCount() bzw. analyzeImageCount()
+     * @param {string} [source] - 'video' | 'photos', für die Texte
+     */
+    async assess(keyframes, keyframePaths, frameScore, metadata, onProgress, source = 'video') {
         // Run basic quality checks
         const brightnessScore = this.analyzeBrightness(keyframes);
         const blurScore = this.analyzeMotionBlur(keyframes);
-        const frameScore = this.analyzeFrameCount(metadata);
         const consistencyScore = this.analyzeConsistency(keyframes);
 
         // Calculate basic quality score (weighted average)
@@ -52,10 +198,12 @@ class Phase1Ingest {
 
         // NEW: Run Gaussian Splatting suitability analysis
         console.log(`[Phase1] Running Gaussian Splatting suitability analysis...`);
+        onProgress('splatting_analysis', { basicScore });
         let splattingAnalysis = null;
         try {
             splattingAnalysis = await splattingAnalyzer.analyze(keyframes, keyframePaths, metadata);
             console.log(`[Phase1] Splatting Score: ${splattingAnalysis.splattingScore}/100 (${splattingAnalysis.splattingLevel})`);
+            onProgress('splatting_analyzed', { splattingScore: splattingAnalysis.splattingScore });
         } catch (error) {
             console.error(`[Phase1] Splatting analysis failed:`, error.message);
             splattingAnalysis = {
@@ -65,9 +213,6 @@ class Phase1Ingest {
             };
         }
 
-        // Cleanup temp keyframe files
-        this.cleanupTempDir(tempDir);
-
         // Combined score: 60% basic quality, 40% splatting suitability
         const overallScore = Math.round(basicScore * 0.6 + splattingAnalysis.splattingScore * 0.4);
         const level = this.getQualityLevel(overallScore);
@@ -78,7 +223,7 @@ class Phase1Ingest {
             blur: blurScore,
             frames: frameScore,
             consistency: consistencyScore
-        });
+        }, source);
 
         // Merge suggestions from both analyses
         const allSuggestions = [
@@ -102,28 +247,153 @@ class Phase1Ingest {
                 score: splattingAnalysis.splattingScore,
                 level: splattingAnalysis.splattingLevel,
                 checks: splattingAnalysis.checks,
-                estimatedQuality: splattingAnalysis.estimatedQuality
+                estimatedQuality: splattingAnalysis.estimatedQuality,
+                coverage: splattingAnalysis.coverage || null   // Kamerabahn + Abdeckung
             },
             feedback: splattingAnalysis.splattingScore < 60
                 ? splattingAnalysis.recommendation?.message
                 : basicFeedback.message,
             suggestions: allSuggestions,
-            keyframeCount: keyframes.length,
-            duration: metadata.duration,
-            resolution: { width: metadata.width, height: metadata.height }
+            keyframeCount: keyframes.length
+        };
+    }
+
+    /**
+     * Analyze all videos of a project and combine the results
+     * @param {Object[]} clips - [{ id, videoFile, originalName }]
+     * @param {Object} [options]
+     * @param {Object} [options.previous] - clipId -> Ergebnis früherer Läufe (wird nicht neu analysiert)
+     * @param {Function} [options.onProgress] - (step, data) => void, data enthält clipId
+     * @param {Function} [options.onClipAnalyzed] - (clipId, result) => void, z.B. für Checkpoints
+     * @param {AbortSignal} [options.signal] - Siehe analyze()
+     * @param {boolean} [options.trimBadSegments] - Siehe analyze()
+     * @returns {Promise<Object>} - Kombiniertes Ergebnis inkl. `clips` und `acceptedClips`
+     */
+    async analyzeClips(clips, options = {}) {
+        const onProgress = options.onProgress || (() => { });
+        const previous = options.previous || {};
+        const results = [];
+
+        for (const [index, clip] of clips.entries()) {
+            let result = previous[clip.id];
+
+            if (result) {
+                console.log(`[Phase1] ${clip.id}: using previous analysis`);
+            } else {
+                onProgress('clip_started', { clipId: clip.id, clip: index + 1, clips: clips.length });
+                result = await this.analyze(clip.videoFile, {
+                    onProgress: (step, data) => onProgress(step, { clipId: clip.id, ...data }),
+                    signal: options.signal,
+                    trimBadSegments: options.trimBadSegments
+                });
+                options.onClipAnalyzed?.(clip.id, result);
+            }
+
+            results.push({ clip, result });
+        }
+
+        return this.combine(results);
+    }
+
+    /**
+     * Per-clip verdicts plus the combined assessment
+     * @param {Object[]} results - [{ clip, result }] aus analyze()
+     */
+    combine(results) {
+        const threshold = config.qualityGate.qualityThreshold;
+
+        const clips = results.map(({ clip, result }) => ({
+            clipId: clip.id,
+            originalName: clip.originalName || null,
+            accepted: result.score >= threshold,
+            score: result.score,
+            level: result.level,
+            basicQuality: result.basicQuality,
+            splattingSuitability: result.splattingSuitability,
+            feedback: result.feedback,
+            suggestions: result.suggestions,
+            keyframeCount: result.keyframeCount,
+            duration: result.duration,
+            resolution: result.resolution,
+            timeline: result.timeline || null,
+            trim: result.trim || null
+        }));
+
+        const accepted = clips.filter(c => c.accepted);
+        // Ohne brauchbares Video: Gesamt-Score über alle, damit das Quality Gate greift
+        const basis = accepted.length > 0 ? accepted : clips;
+        const weights = basis.map(c => Math.max(1, c.duration || 0));
+        const weighted = (pick) => Math.round(
+            basis.reduce((sum, c, i) => sum + pick(c) * weights[i], 0) / weights.reduce((a, b) => a + b, 0)
+        );
+
+        const score = weighted(c => c.score);
+        const splattingScore = weighted(c => c.splattingSuitability?.score ?? 0);
+
+        const metrics = {};
+        Object.keys(basis[0].basicQuality?.metrics || {}).forEach(key => {
+            metrics[key] = weighted(c => c.basicQuality?.metrics?.[key] ?? 0);
+        });
+
+        // Pro Check: gewichteter Score, Hinweis vom schwächsten Video
+        const checks = {};
+        Object.keys(basis[0].splattingSuitability?.checks || {}).forEach(key => {
+            const weakest = basis
+                .map(c => c.splattingSuitability?.checks?.[key])
+                .filter(Boolean)
+                .sort((a, b) => a.score - b.score)[0];
+            checks[key] = { ...weakest, score: weighted(c => c.splattingSuitability?.checks?.[key]?.score ?? 0) };
+        });
+
+        const rejected = clips.length - accepted.length;
+        const weakestClip = [...basis].sort((a, b) => a.score - b.score)[0];
+        const feedback = clips.length === 1
+            ? weakestClip.feedback
+            : `${accepted.length} von ${clips.length} Videos werden für die 3D-Rekonstruktion verwendet.` +
+              (rejected > 0 ? ' Verworfene Videos bitte neu aufnehmen.' : '') +
+              (weakestClip.feedback ? ` ${weakestClip.feedback}` : '');
+
+        return {
+            score,
+            level: this.getQualityLevel(score),
+            basicQuality: {
+                score: weighted(c => c.basicQuality?.score ?? 0),
+                metrics
+            },
+            splattingSuitability: {
+                score: splattingScore,
+                level: splattingAnalyzer.getSplattingLevel(splattingScore),
+                checks,
+                estimatedQuality: splattingAnalyzer.estimateOutputQuality(splattingScore),
+                // Bahnen mehrerer Videos haben keinen gemeinsamen Bezug - dann nur pro Clip
+                coverage: clips.length === 1 ? clips[0].splattingSuitability?.coverage || null : null
+            },
+            feedback,
+            suggestions: [...new Set(basis.flatMap(c => c.suggestions || []))].slice(0, 5),
+            keyframeCount: basis.reduce((sum, c) => sum + (c.keyframeCount || 0), 0),
+            duration: Math.round(basis.reduce((sum, c) => sum + (c.duration || 0), 0) * 10) / 10,
+            resolution: basis[0].resolution,
+            clips,
+            acceptedClips: accepted.map(c => c.clipId)
         };
     }
 
     /**
      * Extract video metadata using FFprobe
      * ERKLÄRUNG: ffprobe ist ein Tool das Video-Infos ausliest
+     * @param {AbortSignal} [signal]
      */
-    async extractMetadata(videoPath) {
+    async extractMetadata(videoPath, signal) {
         try {
             // FFprobe Befehl: Gibt JSON mit Video-Stream-Infos zurück
-            const cmd = `ffprobe -v quiet -print_format json -show_format -show_streams "${videoPath}"`;
-            const output = execSync(cmd, { encoding: 'utf-8' });
-            const data = JSON.parse(output);
+            const { stdout } = await processRunner.run('ffprobe', [
+                '-v', 'error',
+                '-print_format', 'json',
+                '-show_format',
+                '-show_streams',
+                videoPath
+            ], { timeoutMs: config.media.probeTimeoutMs, signal });
+            const data = JSON.parse(stdout);
 
             // Finde den Video-Stream
             const videoStream = data.streams.find(s => s.codec_type === 'video');
@@ -151,6 +421,8 @@ class Phase1Ingest {
                 codec: videoStream.codec_name
             };
         } catch (error) {
+            // Abbruch ist kein Videoproblem - nicht mit Schätzwerten weitermachen
+            if (error.code === 'PROCESS_CANCELLED') throw error;
             console.error('[Phase1] FFprobe error:', error.message);
             // Fallback bei Fehler
             return {
@@ -166,11 +438,14 @@ class Phase1Ingest {
     /**
      * Extract keyframes from video using FFmpeg - returns paths for splatting analysis
      * HINWEIS: Cleanup muss vom Aufrufer gemacht werden!
+     * @param {Function} [onProgress] - (step, data) => void
+     * @param {AbortSignal} [signal]
      */
-    async extractKeyframesWithPaths(videoPath, metadata) {
+    async extractKeyframesWithPaths(videoPath, metadata, onProgress = () => { }, signal) {
         const keyframes = [];
         const keyframePaths = [];
-        const tempDir = path.join(config.output.uploads, 'keyframes_temp_' + Date.now());
+        // Zufallsanteil: Analysen laufen jetzt wirklich parallel
+        const tempDir = path.join(config.output.uploads, `keyframes_temp_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`);
 
         try {
             // Erstelle temp-Ordner
@@ -185,15 +460,19 @@ class Phase1Ingest {
             // FFmpeg: Extrahiere Keyframes als kleine JPGs
             // -vf fps=1/X = Ein Frame alle X Sekunden
             // -vf scale=160:-1 = Skaliere auf 160px Breite (schneller)
-            const cmd = `ffmpeg -y -i "${videoPath}" -vf "fps=1/${Math.max(0.5, interval)},scale=160:-1" -q:v 2 "${tempDir}/frame_%03d.jpg"`;
-
             console.log(`[Phase1] Extracting keyframes...`);
-            execSync(cmd, { encoding: 'utf-8', stdio: 'pipe' });
+            await processRunner.run('ffmpeg', [
+                '-y', '-i', videoPath,
+                '-vf', `fps=1/${Math.max(0.5, interval)},scale=160:-1`,
+                '-q:v', '2',
+                path.join(tempDir, 'frame_%03d.jpg')
+            ], { timeoutMs: config.media.extractTimeoutMs, signal });
 
             // Lese extrahierte Frames und analysiere sie mit Sharp
             const files = fs.readdirSync(tempDir).filter(f => f.endsWith('.jpg')).sort();
 
             console.log(`[Phase1] Analyzing ${files.length} frames with Sharp...`);
+            onProgress('keyframes_extracted', { count: files.length });
 
             for (let i = 0; i < files.length; i++) {
                 const filePath = path.join(tempDir, files[i]);
@@ -215,10 +494,15 @@ class Phase1Ingest {
                 // Fortschritt loggen (alle 5 Frames)
                 if (i % 5 === 0) {
                     console.log(`[Phase1] Frame ${i + 1}/${files.length}: Brightness=${analysis.brightness}, Sharpness=${analysis.sharpness}`);
+                    onProgress('frames_analyzed', { analyzed: i + 1, total: files.length });
                 }
             }
 
         } catch (error) {
+            if (error.code === 'PROCESS_CANCELLED') {
+                this.cleanupTempDir(tempDir);
+                throw error;
+            }
             console.error('[Phase1] Keyframe extraction error:', error.message);
             // Fallback: Mock-Daten
             for (let i = 0; i < 10; i++) {
@@ -235,6 +519,178 @@ class Phase1Ingest {
         return { keyframes, keyframePaths, tempDir };
     }
 
+    /**
+     * Quality timeline: ein kleines Vorschaubild je Sekunde (längere Videos:
+     * höchstens config.timeline.maxSamples), bewertet wie die Keyframes
+     * ERKLÄRUNG: Die Keyframes (ca. 20) sind zu grob, um schlechte Abschnitte
+     * einzugrenzen - daher eine eigene, dichtere Extraktion. Schärfe zählt
+     * relativ zum Median des Videos (ein durchweg weiches Video bewertet
+     * schon analyzeMotionBlur), 320px damit die Werte nicht zu grob gerundet sind
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Object|null>} - { interval, samples: [{ t, brightness, sharpness, motion, lost, score, issues }],
+     *   badSegments, badSeconds } oder null wenn die Extraktion scheitert
+     */
+    async buildTimeline(videoPath, metadata, onProgress = () => { }, signal) {
+        const interval = Math.max(1, metadata.duration / config.timeline.maxSamples);
+        const tempDir = path.join(config.output.uploads, `timeline_temp_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`);
+
+        try {
+            fs.mkdirSync(tempDir, { recursive: true });
+
+            await processRunner.run('ffmpeg', [
+                '-y', '-i', videoPath,
+                '-vf', `fps=1/${interval},scale=${TIMELINE_WIDTH}:-2`,
+                '-q:v', '2',
+                path.join(tempDir, 'second_%04d.jpg')
+            ], { timeoutMs: config.media.extractTimeoutMs, signal });
+
+            const framePaths = fs.readdirSync(tempDir).filter(f => f.endsWith('.jpg')).sort().map(f => path.join(tempDir, f));
+            const frames = [];
+            for (const framePath of framePaths) {
+                frames.push(await imageAnalyzer.analyzeImage(framePath));
+            }
+
+            // Bewegung je Intervall - verlorene Paare = zu schnell geschwenkt
+            let motion = null;
+            try {
+                motion = framePaths.length > 1 ? await featureTracker.trackSequence(framePaths) : null;
+            } catch (error) {
+                console.warn('[Phase1] Timeline tracking failed:', error.message);
+            }
+
+            const sharpnessValues = frames.map(frame => frame.sharpness).sort((a, b) => a - b);
+            const medianSharpness = sharpnessValues[Math.floor(sharpnessValues.length / 2)] || 0;
+
+            const samples = frames.map((frame, i) => this.scoreTimelineSample(i * interval, frame, motion?.pairs[i], medianSharpness));
+            const badSegments = this.findBadSegments(samples, interval, metadata.duration);
+            const badSeconds = Math.round(badSegments.reduce((sum, segment) => sum + segment.duration, 0) * 10) / 10;
+
+            console.log(`[Phase1] Timeline: ${samples.length} samples, ${badSegments.length} bad segment(s), ${badSeconds}s`);
+            onProgress('timeline_analyzed', { samples: samples.length, badSegments: badSegments.length });
+
+            return {
+                interval: Math.round(interval * 100) / 100,
+                samples,
+                badSegments,
+                badSeconds
+            };
+        } catch (error) {
+            if (error.code === 'PROCESS_CANCELLED') throw error;
+            console.error('[Phase1] Timeline extraction error:', error.message);
+            return null;
+        } finally {
+            this.cleanupTempDir(tempDir);
+        }
+    }
+
+    /**
+     * Score of one timeline sample - schwächster Einzelwert zählt
+     * @param {Object} [pair] - featureTracker-Paar zum nächsten Messpunkt
+     * @param {number} medianSharpness - Des ganzen Videos; halb so scharf = Score 50
+     */
+    scoreTimelineSample(t, frame, pair, medianSharpness) {
+        const { badSampleScore } = config.timeline;
+        const brightness = this.scoreBrightness(frame.brightness);
+        const sharpness = medianSharpness > 0
+            ? Math.min(100, Math.round(frame.sharpness / medianSharpness * 100))
+            : 100;
+        let motion = 100;
+
+        if (pair?.lost) {
+            motion = 30;
+        } else if (pair && pair.motion > splattingAnalyzer.thresholds.maxCameraMotion) {
+            motion = 40;
+        }
+
+        const issues = [];
+        if (brightness < badSampleScore) issues.push('zu dunkel');
+        if (sharpness < badSampleScore) issues.push('unscharf');
+        if (motion < badSampleScore) issues.push('zu schnell bewegt');
+
+        return {
+            t: Math.round(t * 10) / 10,
+            brightness: frame.brightness,
+            sharpness: frame.sharpness,
+            motion: pair?.motion ?? null,       // % Bildbreite bis zum nächsten Messpunkt
+            lost: pair?.lost || false,
+            score: Math.min(brightness, sharpness, motion),
+            issues
+        };
+    }
+
+    /**
+     * Zusammenhängende schlechte Messpunkte als Abschnitte - ein einzelner
+     * guter Messpunkt dazwischen trennt nicht, zu kurze Abschnitte fallen weg
+     * @returns {Object[]} - [{ start, end, duration, score, reasons, label }] in Sekunden
+     */
+    findBadSegments(samples, interval, duration) {
+        const { badSampleScore, minBadSegmentSeconds } = config.timeline;
+        const runs = [];
+
+        samples.forEach((sample, i) => {
+            if (sample.score >= badSampleScore) return;
+
+            const last = runs[runs.length - 1];
+            if (last && i - last.lastIndex <= 2) {
+                last.lastIndex = i;
+                last.samples.push(sample);
+            } else {
+                runs.push({ firstIndex: i, lastIndex: i, samples: [sample] });
+            }
+        });
+
+        return runs
+            .map(run => {
+                const start = samples[run.firstIndex].t;
+                const end = Math.min(duration, samples[run.lastIndex].t + interval);
+                return {
+                    start,
+                    end: Math.round(end * 10) / 10,
+                    duration: Math.round((end - start) * 10) / 10,
+                    score: Math.min(...run.samples.map(sample => sample.score)),
+                    reasons: [...new Set(run.samples.flatMap(sample => sample.issues))],
+                    label: `${formatTimestamp(start)}–${formatTimestamp(end)}`
+                };
+            })
+            .filter(segment => segment.duration >= minBadSegmentSeconds);
+    }
+
+    /**
+     * Schlechte Abschnitte, die herausgeschnitten werden - nur wenn danach
+     * genug Video übrig bleibt
+     * @returns {Object|null} - { segments: [{ start, end }], removedSeconds, keptSeconds }
+     */
+    planTrim(timeline, duration) {
+        if (timeline.badSegments.length === 0) return null;
+
+        const keptSeconds = Math.round((duration - timeline.badSeconds) * 10) / 10;
+        if (keptSeconds < config.timeline.minKeptSeconds) {
+            console.log(`[Phase1] Not trimming: only ${keptSeconds}s would be left`);
+            return null;
+        }
+
+        return {
+            segments: timeline.badSegments.map(({ start, end }) => ({ start, end })),
+            removedSeconds: timeline.badSeconds,
+            keptSeconds
+        };
+    }
+
+    /**
+     * Keyframes outside the given segments (mit passenden Pfaden)
+     */
+    withoutSegments(keyframes, keyframePaths, segments) {
+        const kept = { keyframes: [], keyframePaths: [] };
+
+        keyframes.forEach((keyframe, i) => {
+            if (segments.some(segment => keyframe.timestamp >= segment.start && keyframe.timestamp < segment.end)) return;
+            kept.keyframes.push(keyframe);
+            kept.keyframePaths.push(keyframePaths[i]);
+        });
+
+        return kept;
+    }
+
     /**
      * Cleanup temp directory
      */
@@ -259,6 +715,13 @@ class Phase1Ingest {
         if (keyframes.length === 0) return 0;
 
         const avgBrightness = keyframes.reduce((sum, kf) => sum + kf.brightness, 0) / keyframes.length;
+        return this.scoreBrightness(avgBrightness);
+    }
+
+    /**
+     * Brightness score of one value (0-255) - Durchschnitt oder einzelner Messpunkt
+     */
+    scoreBrightness(avgBrightness) {
         const minThreshold = config.qualityGate.minBrightness;
 
         // Score based on brightness level
@@ -277,7 +740,13 @@ class Phase1Ingest {
         if (keyframes.length === 0) return 0;
 
         const avgSharpness = keyframes.reduce((sum, kf) => sum + kf.sharpness, 0) / keyframes.length;
+        return this.scoreSharpness(avgSharpness);
+    }
 
+    /**
+     * Sharpness score of one value (Laplacian, 0-100) - Durchschnitt oder einzelner Messpunkt
+     */
+    scoreSharpness(avgSharpness) {
         // Convert sharpness to score (higher sharpness = better)
         if (avgSharpness >= 100) return 100;
         if (avgSharpness >= 80) return 85;
@@ -301,6 +770,21 @@ class Phase1Ingest {
         return 20;
     }
 
+    /**
+     * Analyze image count of a photo set
+     * Score: 0-100
+     */
+    analyzeImageCount(count) {
+        const minImages = config.photoSet.minImages;
+        const idealImages = 60; // Rundum mit ausreichend Überlappung
+
+        if (count >= idealImages) return 100;
+        if (count >= minImages * 2) return 85;
+        if (count >= minImages) return 70;
+        if (count >= minImages * 0.5) return 40;
+        return 20;
+    }
+
     /**
      * Analyze frame consistency (loop quality)
      * Score: 0-100
@@ -336,8 +820,10 @@ class Phase1Ingest {
 
     /**
      * Generate user feedback based on metrics
+     * @param {string} [source] - 'video' | 'photos'
      */
-    generateFeedback(metrics) {
+    generateFeedback(metrics, source = 'video') {
+        const photos = source === 'photos';
         const suggestions = [];
         let primaryIssue = null;
 
@@ -348,17 +834,23 @@ class Phase1Ingest {
         }
 
         if (metrics.blur < 70) {
-            suggestions.push('Stabilere Aufnahme: Nutzen Sie ein Stativ oder filmen Sie langsamer');
+            suggestions.push(photos
+                ? 'Schärfere Fotos: Nutzen Sie ein Stativ oder eine kürzere Belichtungszeit'
+                : 'Stabilere Aufnahme: Nutzen Sie ein Stativ oder filmen Sie langsamer');
             if (!primaryIssue) primaryIssue = 'Bewegungsunschärfe';
         }
 
         if (metrics.frames < 70) {
-            suggestions.push('Längere Aufnahme: Das Video sollte mindestens 5 Sekunden lang sein');
-            if (!primaryIssue) primaryIssue = 'Videolänge';
+            suggestions.push(photos
+                ? `Mehr Fotos: Mindestens ${config.photoSet.minImages}, besser 60 Aufnahmen mit viel Überlappung`
+                : 'Längere Aufnahme: Das Video sollte mindestens 5 Sekunden lang sein');
+            if (!primaryIssue) primaryIssue = photos ? 'Anzahl Fotos' : 'Videolänge';
         }
 
         if (metrics.consistency < 70) {
-            suggestions.push('Gleichmäßige Bewegung: Vermeiden Sie abrupte Kamerabewegungen');
+            suggestions.push(photos
+                ? 'Gleichmäßige Belichtung: Fotografieren Sie im manuellen Modus'
+                : 'Gleichmäßige Bewegung: Vermeiden Sie abrupte Kamerabewegungen');
             if (!primaryIssue) primaryIssue = 'Konsistenz';
         }
 
@@ -367,13 +859,14 @@ class Phase1Ingest {
             (metrics.brightness + metrics.blur + metrics.frames + metrics.consistency) / 4
         );
 
+        const subject = photos ? 'Fotoqualität' : 'Videoqualität';
         let message;
         if (avgScore >= 80) {
-            message = 'Ausgezeichnete Videoqualität! Bereit für die 3D-Rekonstruktion.';
+            message = `Ausgezeichnete ${subject}! Bereit für die 3D-Rekonstruktion.`;
         } else if (avgScore >= 60) {
             message = `Akzeptable Qualität, aber ${primaryIssue} könnte verbessert werden.`;
         } else {
-            message = `Die Videoqualität ist nicht ausreichend. Hauptproblem: ${primaryIssue}.`;
+            message = `Die ${subject} ist nicht ausreichend. Hauptproblem: ${primaryIssue}.`;
         }
 
         return { message, suggestions };
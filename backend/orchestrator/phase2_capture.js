@@ -3,36 +3,59 @@
  * 
  * Converts video to 3D environment using NVIDIA Gaussian Splatting NIM
  * Output: environment.usd with detected ground plane
+ *
+ * Aus jedem akzeptierten Video (Phase 1) werden Trainings-Keyframes nach
+ * output/<orgId>/<id>/keyframes/<clipId>/ extrahiert - der GPU-Worker
+ * trainiert auf allen zusammen, damit die Szene den ganzen Bereich abdeckt.
+ * Foto-Serien brauchen keine Extraktion: die Fotos landen in keyframes/photos/.
+ * Schlechte Abschnitte, die Phase 1 zum Kürzen markiert hat (excludeSegments),
+ * werden bei der Extraktion übersprungen.
  */
 
-const config = require('../config/nvidia.config');
 const path = require('path');
 const fs = require('fs');
+const config = require('../config/nvidia.config');
+const jobQueue = require('../jobs/jobQueue');
+const processRunner = require('../utils/processRunner');
+
+// Ordner (und Keyframe-Präfix) der Fotos einer Foto-Serie
+const PHOTO_SET_DIR = 'photos';
 
 class Phase2Capture {
     /**
-     * Process video through Gaussian Splatting pipeline
-     * @param {string} videoPath - Path to validated video
+     * Process videos through Gaussian Splatting pipeline
+     * @param {Object[]} clips - Akzeptierte Videos aus Phase 1: [{ id, videoFile, excludeSegments }]
      * @param {string} projectId - Unique project identifier
+     * @param {Object} options - { outputDir, orgId } des Projekts, `photoSet` statt Videos,
+     *   `signal` (AbortSignal) bricht die Keyframe-Extraktion ab
      * @returns {Object} - Capture result with USD path
      */
-    async process(videoPath, projectId) {
-        console.log(`[Phase2] Processing video: ${videoPath}`);
+    async process(clips, projectId, options = {}) {
+        const { outputDir, orgId, photoSet, signal } = options;
 
-        const outputDir = path.join(config.output.processed, projectId);
+        if (photoSet) {
+            console.log(`[Phase2] Processing photo set: ${photoSet.images.length} photos`);
+        } else {
+            console.log(`[Phase2] Processing ${clips.length} video(s): ${clips.map(c => c.id).join(', ')}`);
+        }
 
         // Ensure output directory exists
         if (!fs.existsSync(outputDir)) {
             fs.mkdirSync(outputDir, { recursive: true });
         }
 
-        // Step 1: Send to Gaussian Splatting NIM
-        const splatResult = await this.runGaussianSplatting(videoPath, projectId);
+        // Step 1: Training keyframes of all clips (or the photos as they are)
+        const keyframes = photoSet
+            ? this.copyPhotoSet(photoSet, outputDir)
+            : await this.extractTrainingKeyframes(clips, outputDir, signal);
+
+        // Step 2: Send to Gaussian Splatting NIM
+        const splatResult = await this.runGaussianSplatting(clips, keyframes, projectId, orgId, outputDir);
 
-        // Step 2: Convert to OpenUSD
+        // Step 3: Convert to OpenUSD
         const usdPath = await this.convertToUSD(splatResult, outputDir);
 
-        // Step 3: Detect ground plane and set origin
+        // Step 4: Detect ground plane and set origin
         const planeData = await this.detectGroundPlane(usdPath);
 
         return {
@@ -41,36 +64,109 @@ class Phase2Capture {
             splatCloudPath: splatResult.cloudPath,
             groundPlane: planeData,
             pointCount: splatResult.pointCount,
+            splatStatus: splatResult.status,
+            jobId: splatResult.jobId,
+            clips: clips.map(c => c.id),
+            keyframeCount: keyframes.length,
             processingTime: splatResult.duration
         };
     }
 
+    /**
+     * Extract keyframes for training from every clip
+     * ERKLÄRUNG: Anders als in Phase 1 (160px zum Bewerten) in Trainings-Auflösung.
+     * Schlägt ffmpeg für ein Video fehl, trainiert der Worker ohne dessen Frames.
+     * @param {AbortSignal} [signal] - Abbruch beendet die ganze Extraktion, nicht nur ein Video
+     * @returns {Promise<string[]>} - Pfade relativ zu keyframes/, z.B. 'clip-1/frame_0001.jpg'
+     */
+    async extractTrainingKeyframes(clips, outputDir, signal) {
+        const { keyframeFps, keyframeMaxWidth, maxKeyframesPerClip } = config.capture;
+        const keyframesDir = path.join(outputDir, 'keyframes');
+        const keyframes = [];
+
+        // Frames eines früheren Laufs (Retry, neues Video) gehören nicht dazu
+        fs.rmSync(keyframesDir, { recursive: true, force: true });
+
+        for (const clip of clips) {
+            const clipDir = path.join(keyframesDir, clip.id);
+            fs.mkdirSync(clipDir, { recursive: true });
+
+            // select nach fps, dazu -vsync vfr: sonst füllt der Muxer die Lücke mit Kopien auf
+            const filters = [`fps=${keyframeFps}`];
+            const trimmed = clip.excludeSegments?.length > 0;
+            if (trimmed) {
+                const excluded = clip.excludeSegments.map(segment => `between(t,${segment.start},${segment.end})`).join('+');
+                filters.push(`select='not(${excluded})'`);
+                console.log(`[Phase2] ${clip.id}: skipping ${clip.excludeSegments.length} bad segment(s)`);
+            }
+            filters.push(`scale='min(${keyframeMaxWidth},iw)':-2`);
+
+            try {
+                await processRunner.run('ffmpeg', [
+                    '-y', '-i', clip.videoFile,
+                    '-vf', filters.join(','),
+                    ...(trimmed ? ['-vsync', 'vfr'] : []),
+                    '-frames:v', String(maxKeyframesPerClip),
+                    '-q:v', '2',
+                    path.join(clipDir, 'frame_%04d.jpg')
+                ], { timeoutMs: config.media.extractTimeoutMs, signal });
+            } catch (error) {
+                if (signal?.aborted) throw error;
+                console.error(`[Phase2] Keyframe extraction failed for ${clip.id}:`, error.message);
+            }
+
+            const files = fs.readdirSync(clipDir).filter(f => f.endsWith('.jpg')).sort();
+            keyframes.push(...files.map(file => `${clip.id}/${file}`));
+            console.log(`[Phase2] ${clip.id}: ${files.length} training keyframes`);
+        }
+
+        return keyframes;
+    }
+
+    /**
+     * Photos of a photo set as training keyframes - schon in Trainings-Auflösung
+     * (utils/photoSets.js), daher nur kopieren
+     * @returns {string[]} - Pfade relativ zu keyframes/, z.B. 'photos/0001.jpg'
+     */
+    copyPhotoSet(photoSet, outputDir) {
+        const keyframesDir = path.join(outputDir, 'keyframes');
+        const photosDir = path.join(keyframesDir, PHOTO_SET_DIR);
+
+        fs.rmSync(keyframesDir, { recursive: true, force: true });
+        fs.mkdirSync(photosDir, { recursive: true });
+
+        for (const image of photoSet.images) {
+            fs.copyFileSync(path.join(photoSet.dir, image.file), path.join(photosDir, image.file));
+        }
+
+        console.log(`[Phase2] ${photoSet.images.length} photos as training keyframes`);
+        return photoSet.images.map(image => `${PHOTO_SET_DIR}/${image.file}`);
+    }
+
     /**
      * Call NVIDIA Gaussian Splatting via local GPU Worker
      */
-    async runGaussianSplatting(videoPath, projectId) {
+    async runGaussianSplatting(clips, keyframes, projectId, orgId, outputDir) {
         console.log('[Phase2] Queueing job for GPU Worker...');
 
-        // Queue the job for the local GPU worker
-        const job = {
-            id: projectId,
-            videoPath: videoPath,
-            status: 'pending',
-            createdAt: new Date().toISOString()
-        };
-
-        // Add to global job queue (in production, use Redis/DB)
-        global.splatJobs = global.splatJobs || [];
-        global.splatJobs.push(job);
+        // Persisted job - survives restarts until a registered worker claims it.
+        // videoPath (erstes Video) für Worker, die nur ein Video verarbeiten - bei Fotos null
+        const job = await jobQueue.enqueue({
+            projectId,
+            orgId,
+            videoPath: clips[0]?.videoFile || null,
+            keyframes
+        });
 
-        console.log(`[Phase2] Job ${projectId} queued. Waiting for GPU Worker...`);
+        console.log(`[Phase2] Job ${job.id} for ${projectId} queued. Waiting for GPU Worker...`);
 
-        // For now, return immediately with pending status
-        // The worker will update the job when complete
+        // Return immediately - the orchestrator pauses the pipeline and
+        // resumes Phase 3 once the worker uploads scene.splat
         return {
             success: true,
             status: 'queued',
-            cloudPath: path.join(config.output.processed, projectId, 'scene.splat'),
+            jobId: job.id,
+            cloudPath: path.join(outputDir, 'scene.splat'),
             pointCount: null, // Will be filled by worker
             duration: null,
             quality: 'pending'
@@ -47,9 +47,10 @@ class Phase3Construct {
      * @param {string} environmentUsd - Path to environment USD
      * @param {string} skillId - Selected skill type
      * @param {string} projectId - Project identifier
+     * @param {Object} options - { outputDir } des Projekts
      * @returns {Object} - Construction result
      */
-    async build(environmentUsd, skillId, projectId) {
+    async build(environmentUsd, skillId, projectId, options = {}) {
         console.log(`[Phase3] Building scene for skill: ${skillId}`);
 
         // Get hardware profile for skill
@@ -66,7 +67,8 @@ class Phase3Construct {
             environmentUsd,
             robotCellPath,
             placement,
-            projectId
+            projectId,
+            options.outputDir
         );
 
         return {
@@ -206,11 +208,10 @@ def Xform "RobotCell" (
     /**
      * Assemble master scene from environment and robot cell
      */
-    async assembleMasterScene(environmentUsd, robotCellPath, placement, projectId) {
+    async assembleMasterScene(environmentUsd, robotCellPath, placement, projectId, outputDir) {
         console.log('[Phase3] Assembling master scene...');
 
         const startTime = Date.now();
-        const outputDir = path.join(config.output.processed, projectId);
         const masterScenePath = path.join(outputDir, 'master_scene.usd');
 
         // Create master scene USD that references both assets
@@ -15,24 +15,31 @@ class Phase4Simulate {
      * @param {string} masterSceneUsd - Path to assembled scene
      * @param {string} skillId - Skill type for motion profile
      * @param {string} projectId - Project identifier
+     * @param {Object} [options]
+     * @param {string} [options.outputDir] - Output-Ordner des Projekts (utils/projectPaths)
+     * @param {Function} [options.onProgress] - (step, data) => void, für Live-Fortschritt
      * @returns {Object} - Simulation results
      */
-    async run(masterSceneUsd, skillId, projectId) {
+    async run(masterSceneUsd, skillId, projectId, options = {}) {
+        const onProgress = options.onProgress || (() => { });
         console.log(`[Phase4] Running simulation for: ${masterSceneUsd}`);
 
-        const outputDir = path.join(config.output.processed, projectId);
+        const outputDir = options.outputDir;
 
         // Step 1: Initialize Isaac Sim session
         const session = await this.initIsaacSession(masterSceneUsd);
+        onProgress('session_ready', { sessionId: session.sessionId });
 
         // Step 2: Load motion profile for skill
         const motionProfile = await this.loadMotionProfile(skillId);
 
         // Step 3: Run reachability check
         const reachability = await this.checkReachability(session, motionProfile);
+        onProgress('reachability_checked', { passed: reachability.passed, score: reachability.score });
 
         // Step 4: Run collision detection
         const collisions = await this.detectCollisions(session, motionProfile);
+        onProgress('collisions_checked', { detected: collisions.detected, count: collisions.count });
 
         // Step 5: Calculate cycle time
         const cycleTime = await this.calculateCycleTime(motionProfile);
@@ -41,10 +48,11 @@ class Phase4Simulate {
         const riskScore = this.assessRisk(reachability, collisions);
 
         // Step 7: Generate preview render
-        const previewPath = await this.generatePreview(session, outputDir);
+        const previewPath = await this.generatePreview(session, outputDir, projectId);
+        onProgress('preview_rendered', {});
 
         // Step 8: Generate screenshot for dashboard
-        const screenshotPath = await this.generateScreenshot(session, outputDir);
+        const screenshotPath = await this.generateScreenshot(session, outputDir, projectId);
 
         // Close session
         await this.closeSession(session);
@@ -239,7 +247,7 @@ class Phase4Simulate {
     /**
      * Generate 10-second preview video
      */
-    async generatePreview(session, outputDir) {
+    async generatePreview(session, outputDir, projectId) {
         console.log('[Phase4] Generating preview video...');
 
         // TODO: Use Isaac Sim rendering API
@@ -250,13 +258,13 @@ class Phase4Simulate {
         // Create placeholder file
         fs.writeFileSync(previewPath, '/* VIDEO PLACEHOLDER */');
 
-        return `/output/${path.basename(outputDir)}/preview.mp4`;
+        return `/api/project/${projectId}/assets/preview.mp4`;
     }
 
     /**
      * Generate dashboard screenshot
      */
-    async generateScreenshot(session, outputDir) {
+    async generateScreenshot(session, outputDir, projectId) {
         console.log('[Phase4] Generating screenshot...');
 
         await this.simulateProcessingTime(500);
@@ -266,7 +274,7 @@ class Phase4Simulate {
         // Create placeholder
         fs.writeFileSync(screenshotPath, '/* SCREENSHOT PLACEHOLDER */');
 
-        return `/output/${path.basename(outputDir)}/dashboard.png`;
+        return `/api/project/${projectId}/assets/dashboard.png`;
     }
 
     /**
@@ -5,7 +5,6 @@
  * Includes TCO calculation and feasibility assessment
  */
 
-const config = require('../config/nvidia.config');
 const path = require('path');
 const fs = require('fs');
 
@@ -43,9 +42,11 @@ class Phase5Output {
      * Generate final offer from pipeline results
      * @param {Object} project - Full project data
      * @param {Object} simResult - Phase 4 simulation results
+     * @param {Object} [options]
+     * @param {Object} [options.pricing] - Preise vom Vertrieb (project.pricing), bleiben bei Re-Runs erhalten
      * @returns {Object} - Final offer response
      */
-    async generate(project, simResult) {
+    async generate(project, simResult, options = {}) {
         console.log(`[Phase5] Generating offer for: ${project.id}`);
 
         // Determine feasibility status (traffic light)
@@ -58,7 +59,7 @@ class Phase5Output {
         const delivery = this.estimateDelivery(project.skillId, simResult);
 
         // Build final response
-        const response = {
+        let response = {
             success: true,
             project_id: project.id,
             skill: project.skillId,
@@ -94,8 +95,12 @@ class Phase5Output {
             processing_time_s: this.getProcessingTime(project)
         };
 
+        if (options.pricing) {
+            response = this.reprice(response, options.pricing);
+        }
+
         // Save response to file
-        await this.saveResponse(response, project.id);
+        await this.saveResponse(response, project.outputDir);
 
         return response;
     }
@@ -136,8 +141,8 @@ class Phase5Output {
     /**
      * Calculate Total Cost of Ownership
      */
-    calculateTCO(skillId, cycleTime) {
-        const pricing = PRICING.skills[skillId] || PRICING.skills['pick-place'];
+    calculateTCO(skillId, cycleTime, pricingOverride = null) {
+        const pricing = pricingOverride || PRICING.skills[skillId] || PRICING.skills['pick-place'];
 
         // Calculate parts per hour
         const partsPerHour = cycleTime > 0 ? Math.floor(3600 / cycleTime) : 0;
@@ -172,6 +177,34 @@ class Phase5Output {
         };
     }
 
+    /**
+     * Apply prices set by sales to an existing offer
+     * TCO/ROI werden mit der Taktzeit aus der Simulation neu berechnet
+     * @param {Object} offer - Angebot aus Phase 5
+     * @param {Object} pricing - { setupCost, monthlyCost, by, at } (EUR, fehlende Werte = Standardpreis)
+     * @returns {Object} - Aktualisiertes Angebot
+     */
+    reprice(offer, pricing) {
+        const standard = PRICING.skills[offer.skill] || PRICING.skills['pick-place'];
+        const prices = {
+            setupCost: pricing.setupCost ?? standard.setupCost,
+            monthlyCost: pricing.monthlyCost ?? standard.monthlyCost
+        };
+
+        return {
+            ...offer,
+            tco_estimate: this.calculateTCO(offer.skill, offer.simulation_results?.cycle_time_s, prices),
+            pricing_adjusted: {
+                setup_cost_eur: prices.setupCost,
+                monthly_cost_eur: prices.monthlyCost,
+                standard_setup_cost_eur: standard.setupCost,
+                standard_monthly_cost_eur: standard.monthlyCost,
+                by: pricing.by,
+                at: pricing.at
+            }
+        };
+    }
+
     /**
      * Estimate delivery timeline
      */
@@ -242,9 +275,9 @@ class Phase5Output {
 
     /**
      * Save response to file
+     * @param {string} outputDir - Output-Ordner des Projekts (output/<orgId>/<id>)
      */
-    async saveResponse(response, projectId) {
-        const outputDir = path.join(config.output.processed, projectId);
+    async saveResponse(response, outputDir) {
         const responsePath = path.join(outputDir, 'offer.json');
 
         if (!fs.existsSync(outputDir)) {
@@ -0,0 +1,103 @@
+/**
+ * PIPELINE CONTEXT
+ * State of ONE project's pipeline run
+ *
+ * Replaces the former orchestrator-wide `currentProject`/`pipelineStatus`
+ * so that several projects can run (or wait) side by side.
+ */
+
+const projectPaths = require('../utils/projectPaths');
+
+class PipelineContext {
+    /**
+     * @param {string} projectId - Unique project identifier
+     * @param {Object} request - { videos, skillId, metadata, orgId, trimBadSegments } - oder `photoSet` statt `videos`
+     */
+    constructor(projectId, request) {
+        this.id = projectId;
+        this.orgId = request.orgId;
+        this.outputDir = projectPaths.outputDir(request.orgId, projectId); // output/<orgId>/<id>
+        this.skillId = request.skillId;
+        this.request = request;
+        this.videos = PipelineContext.videosOf(request);
+        this.photoSet = request.photoSet || null; // utils/photoSets.js
+        this.trimBadSegments = request.trimBadSegments === true; // Schlechte Abschnitte vor Phase 2 herausschneiden
+        this.status = 'queued';        // 'queued' | 'processing' | 'completed' | 'failed'
+        this.pipelineStatus = 'queued'; // current phase, e.g. 'phase2_capture'
+        this.phases = {};
+        this.queuedAt = Date.now();
+        this.startTime = null;
+        this.endTime = null;
+        this.error = null;       // German user message
+        this.errorRecord = null; // { code, phase, message, userMessage, stack, occurredAt }
+        this.abortController = new AbortController(); // Stoppt ffmpeg/ffprobe dieses Laufs (abort())
+        this.superseded = false;  // Ein neuer Lauf desselben Projekts hat übernommen
+    }
+
+    /**
+     * Signal for processRunner - abgebrochen, sobald der Lauf ersetzt wird oder fehlschlägt
+     * @returns {AbortSignal}
+     */
+    get signal() {
+        return this.abortController.signal;
+    }
+
+    /**
+     * Stop the run's child processes (idempotent)
+     * @param {string} reason - Landet in der Meldung des ProcessError
+     */
+    abort(reason) {
+        if (!this.signal.aborted) this.abortController.abort(reason);
+    }
+
+    /**
+     * Videos of a pipeline request - Requests von vor den Multi-Video-Projekten
+     * haben nur `videoFile`
+     * @returns {Object[]} - [{ id, videoFile, originalName, size, addedAt }]
+     */
+    static videosOf(request) {
+        if (Array.isArray(request.videos) && request.videos.length > 0) return request.videos;
+        if (!request.videoFile) return [];
+
+        return [{
+            id: 'clip-1',
+            videoFile: request.videoFile,
+            originalName: request.metadata?.originalName || null,
+            size: request.metadata?.size || null,
+            addedAt: request.metadata?.uploadTime || null
+        }];
+    }
+
+    /**
+     * Mark the run as started (leaves the FIFO queue)
+     */
+    start() {
+        this.status = 'processing';
+        this.startTime = Date.now();
+    }
+
+    /**
+     * Get pipeline duration in seconds
+     */
+    getDuration() {
+        if (!this.startTime) return 0;
+        const end = this.endTime || Date.now();
+        return ((end - this.startTime) / 1000).toFixed(1);
+    }
+
+    /**
+     * Status snapshot for frontend polling
+     */
+    toStatus() {
+        return {
+            projectId: this.id,
+            skillId: this.skillId,
+            status: this.pipelineStatus,
+            phases: this.phases,
+            duration: this.getDuration(),
+            error: this.error
+        };
+    }
+}
+
+module.exports = PipelineContext;
@@ -0,0 +1,86 @@
+/**
+ * PIPELINE EVENTS
+ * In-process event bus for live pipeline progress (consumed by the SSE endpoint)
+ *
+ * Event types:
+ * - queued          { queuePosition }
+ * - phase_start     { phase }
+ * - phase_progress  { phase, step, ... }   e.g. keyframes extracted
+ * - phase_complete  { phase, ... }
+ * - done            { status: 'complete' | 'failed', result }
+ *
+ * Phase names: 'ingest' | 'capture' | 'construct' | 'simulate' | 'output'
+ */
+
+const { EventEmitter } = require('events');
+
+const HISTORY_LIMIT = 100;            // Events pro Projekt für späte Subscriber
+const HISTORY_RETENTION_MS = 10 * 60 * 1000; // Nach 'done' noch 10 Minuten abrufbar
+
+class PipelineEvents extends EventEmitter {
+    constructor() {
+        super();
+        this.setMaxListeners(0); // Beliebig viele SSE-Clients
+        this.history = new Map(); // projectId -> [event]
+        this.expiryTimers = new Map(); // projectId -> Timeout
+        this.seq = 0;
+    }
+
+    /**
+     * Publish an event for one project
+     * @param {string} projectId
+     * @param {string} type - see list above
+     * @param {Object} [data]
+     */
+    publish(projectId, type, data = {}) {
+        const event = {
+            id: ++this.seq,
+            projectId,
+            type,
+            data,
+            timestamp: new Date().toISOString()
+        };
+
+        const events = this.history.get(projectId) || [];
+        events.push(event);
+        if (events.length > HISTORY_LIMIT) events.shift();
+        this.history.set(projectId, events);
+
+        if (type === 'done') {
+            const timer = setTimeout(() => this.clearHistory(projectId), HISTORY_RETENTION_MS);
+            timer.unref();
+            this.expiryTimers.set(projectId, timer);
+        }
+
+        this.emit(`project:${projectId}`, event);
+        return event;
+    }
+
+    /**
+     * Events published so far for a project (oldest first)
+     */
+    getHistory(projectId) {
+        return [...(this.history.get(projectId) || [])];
+    }
+
+    /**
+     * Forget all events of a project (e.g. before a retry starts a new run)
+     */
+    clearHistory(projectId) {
+        clearTimeout(this.expiryTimers.get(projectId));
+        this.expiryTimers.delete(projectId);
+        this.history.delete(projectId);
+    }
+
+    /**
+     * Listen to future events of one project
+     * @returns {Function} - unsubscribe
+     */
+    subscribe(projectId, listener) {
+        const channel = `project:${projectId}`;
+        this.on(channel, listener);
+        return () => this.off(channel, listener);
+    }
+}
+
+module.exports = new PipelineEvents();
@@ -5,13 +5,32 @@
 
 const express = require('express');
 const cors = require('cors');
-const path = require('path');
 const apiRoutes = require('./api/routes');
+const workerRoutes = require('./api/workerRoutes');
+const adminRoutes = require('./api/adminRoutes');
+const authRoutes = require('./api/authRoutes');
+const { requireAuth, rateLimit } = require('./auth/middleware');
+const authService = require('./auth/authService');
+const organizationService = require('./auth/organizationService');
+const sessionTokens = require('./auth/sessionTokens');
 const config = require('./config/nvidia.config');
+const store = require('./store');
+const projectIds = require('./utils/projectIds');
+const jobQueue = require('./jobs/jobQueue');
+const workerRegistry = require('./jobs/workerRegistry');
+const chunkedUploads = require('./utils/chunkedUploads');
+const processRunner = require('./utils/processRunner');
+const orchestrator = require('./orchestrator');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Railway: genau ein Proxy vor dem Service - req.ip ist dann die Client-IP
+// (für Rate Limits ohne Konto, z.B. Login)
+if (process.env.NODE_ENV === 'production') {
+    app.set('trust proxy', 1);
+}
+
 // CORS - allow frontend origins
 app.use(cors({
     origin: [
@@ -28,35 +47,20 @@ app.use(cors({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Basic Auth Middleware (nur in Production)
-// ERKLÄRUNG: Schützt alle /api Routen mit Passwort
-const basicAuth = (req, res, next) => {
-    // Health check immer erlauben (für Railway)
-    // req.path ist relativ zu /api, also nur /health
-    if (req.path === '/health') return next();
-
-    // In Development überspringen
-    if (process.env.NODE_ENV !== 'production') return next();
+// Kein statisches /output bzw. /uploads mehr - Projektdateien nur über die
+// Projekt-Routen, die die Organisation prüfen
 
-    const auth = req.headers.authorization;
-    const user = process.env.BASIC_AUTH_USER || 'demo';
-    const pass = process.env.BASIC_AUTH_PASS || 'servionics2026';
-    const expected = 'Basic ' + Buffer.from(`${user}:${pass}`).toString('base64');
+// GPU Worker Protocol - eigene Worker-Token, daher vor requireAuth
+app.use('/api/worker', workerRoutes);
 
-    if (auth === expected) {
-        return next();
-    }
+// Login/Logout - /login ist ohne Token erreichbar
+app.use('/api/auth', authRoutes);
 
-    res.set('WWW-Authenticate', 'Basic realm="Servionics API"');
-    res.status(401).json({ error: 'Authentication required' });
-};
+// Admin Routes (Job-Verwaltung)
+app.use('/api/admin', requireAuth, rateLimit('api'), adminRoutes);
 
-// Serve static files (output/previews)
-app.use('/output', express.static(path.join(__dirname, '../output')));
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
-
-// API Routes (mit Basic Auth in Production)
-app.use('/api', basicAuth, apiRoutes);
+// API Routes (nur mit gültigem Session-Token)
+app.use('/api', requireAuth, rateLimit('api'), apiRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -65,11 +69,31 @@ app.get('/', (req, res) => {
         version: '1.0.0',
         status: 'running',
         endpoints: {
+            login: 'POST /api/auth/login',
+            logout: 'POST /api/auth/logout',
             upload: 'POST /api/project/upload',
+            uploadPhotos: 'POST /api/project/upload-photos',
+            resumableUpload: 'POST /api/uploads, PUT /api/uploads/:uploadId/chunks/:index, POST /api/uploads/:uploadId/complete',
+            uploadBatch: 'POST /api/uploads/complete',
+            addVideos: 'POST /api/project/:id/videos',
             status: 'GET /api/project/status',
+            projectStatus: 'GET /api/project/:id/status',
+            events: 'GET /api/project/:id/events',
+            retry: 'POST /api/project/:id/retry?fromPhase=construct',
             skills: 'GET /api/skills',
             project: 'GET /api/project/:id',
-            health: 'GET /api/health'
+            pricing: 'PATCH /api/project/:id/pricing',
+            share: 'POST /api/project/:id/share',
+            usage: 'GET /api/account/usage',
+            health: 'GET /api/health',
+            workerRegister: 'POST /api/worker/register',
+            workerClaim: 'POST /api/worker/claim',
+            workerComplete: 'POST /api/worker/complete (multipart)',
+            adminJobs: 'GET /api/admin/jobs?status=dead_letter',
+            adminRequeue: 'POST /api/admin/jobs/:jobId/requeue',
+            adminCancel: 'POST /api/admin/jobs/:jobId/cancel',
+            adminUsers: 'GET /api/admin/users',
+            adminUserRole: 'PATCH /api/admin/users/:userId/role'
         }
     });
 });
@@ -83,14 +107,56 @@ app.use((err, req, res, next) => {
     });
 });
 
-// Start server on 0.0.0.0 to allow WSL2 connections
-app.listen(PORT, '0.0.0.0', () => {
-    console.log('═══════════════════════════════════════════════════');
-    console.log('  SERVIONICS BACKEND ORCHESTRATOR');
-    console.log('═══════════════════════════════════════════════════');
-    console.log(`  Server running on http://0.0.0.0:${PORT}`);
-    console.log(`  API Docs: http://localhost:${PORT}/`);
-    console.log('═══════════════════════════════════════════════════');
-});
+// Ohne eigenen Token-Secret wären Sessions nach jedem Deploy ungültig
+// und Tokens könnten nicht zwischen Instanzen geteilt werden
+if (process.env.NODE_ENV === 'production' && sessionTokens.usesDevSecret()) {
+    console.error('[Server] AUTH_TOKEN_SECRET muss in Production gesetzt sein');
+    process.exit(1);
+}
+
+// Mit dem Dev-Default aus dem Repo könnte sich jeder als Worker registrieren,
+// Jobs leasen und die Videos und Keyframes aller Organisationen laden
+if (process.env.NODE_ENV === 'production' && workerRegistry.usesDevSecret()) {
+    console.error('[Server] WORKER_REGISTRATION_SECRET muss in Production gesetzt sein');
+    process.exit(1);
+}
+
+// Open store (loads persisted projects/jobs), import projects with
+// legacy IDs, assign records without organization to the default one,
+// give accounts without role one, create the first account if needed,
+// drop expired resumable uploads, resume projects interrupted by the last
+// shutdown, start the worker lease sweeper, then start server on 0.0.0.0 to allow WSL2 connections
+store.init()
+    .then(() => projectIds.migrateLegacyProjects())
+    .then(() => organizationService.migrateUnscopedRecords())
+    .then(() => authService.assignMissingRoles())
+    .then(() => authService.ensureBootstrapUser())
+    .then(() => chunkedUploads.purgeExpired())
+    .then(() => orchestrator.recoverInterruptedProjects())
+    .then(() => {
+        jobQueue.startSweeper();
+
+        app.listen(PORT, '0.0.0.0', () => {
+            console.log('═══════════════════════════════════════════════════');
+            console.log('  SERVIONICS BACKEND ORCHESTRATOR');
+            console.log('═══════════════════════════════════════════════════');
+            console.log(`  Server running on http://0.0.0.0:${PORT}`);
+            console.log(`  API Docs: http://localhost:${PORT}/`);
+            console.log(`  Storage: ${config.storage.driver}`);
+            console.log('═══════════════════════════════════════════════════');
+        });
+    })
+    .catch(error => {
+        console.error('[Server] Startup failed:', error);
+        process.exit(1);
+    });
+
+// Laufende ffmpeg/ffprobe-Prozesse nicht als Waisen zurücklassen (Redeploy schickt SIGTERM)
+for (const signal of ['SIGTERM', 'SIGINT']) {
+    process.once(signal, () => {
+        processRunner.cancelAll(`Server beendet (${signal})`);
+        process.exit(0);
+    });
+}
 
 module.exports = app;
@@ -0,0 +1,29 @@
+/**
+ * SERVIONICS STORE
+ * Liefert den konfigurierten Repository-Treiber als Singleton
+ *
+ * Treiber über config.storage.driver (ENV: STORAGE_DRIVER):
+ * - 'sqlite' (Standard) - überlebt Neustarts/Redeploys
+ * - 'memory'            - nur für Entwicklung
+ */
+
+const config = require('../config/nvidia.config');
+const SqliteRepository = require('./sqliteRepository');
+const MemoryRepository = require('./memoryRepository');
+
+const DRIVERS = {
+    sqlite: SqliteRepository,
+    memory: MemoryRepository
+};
+
+function createRepository(options) {
+    const Driver = DRIVERS[options.driver];
+
+    if (!Driver) {
+        throw new Error(`Unbekannter Storage-Treiber: ${options.driver}`);
+    }
+
+    return new Driver(options);
+}
+
+module.exports = createRepository(config.storage);
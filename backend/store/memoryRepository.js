@@ -0,0 +1,323 @@
+/**
+ * MEMORY REPOSITORY - Flüchtiger Treiber für Entwicklung und Tests
+ *
+ * Gleiches Interface wie SqliteRepository, aber alles geht beim
+ * Neustart verloren. Aktivieren mit STORAGE_DRIVER=memory.
+ */
+
+const ProjectRepository = require('./projectRepository');
+
+class MemoryRepository extends ProjectRepository {
+    constructor() {
+        super();
+        this.projects = new Map();
+        this.phaseResults = new Map(); // projectId -> { phase: result }
+        this.jobs = new Map();
+        this.sequences = new Map();
+        this.workers = new Map();
+        this.users = new Map();
+        this.sessions = new Map();
+        this.organizations = new Map();
+        this.shareLinks = new Map();
+        this.shareAccess = new Map(); // linkId -> [entry]
+        this.uploadUsage = [];
+        this.uploadSessions = new Map();
+    }
+
+    async init() {
+        console.log('[Store] In-Memory Store aktiv - Daten gehen beim Neustart verloren');
+    }
+
+    // ============================================
+    // PROJECTS
+    // ============================================
+
+    async listProjects(filter = {}) {
+        return [...this.projects.values()]
+            .filter(p => !filter.orgId || p.orgId === filter.orgId)
+            .map(p => structuredClone(p))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    async getProject(id) {
+        const project = this.projects.get(id);
+        return project ? structuredClone(project) : null;
+    }
+
+    async saveProject(project) {
+        this.projects.set(project.id, structuredClone(project));
+        return project;
+    }
+
+    async updateProject(id, patch) {
+        const existing = this.projects.get(id);
+        if (!existing) return null;
+
+        const project = { ...existing, ...structuredClone(patch) };
+        this.projects.set(id, project);
+        return structuredClone(project);
+    }
+
+    // ============================================
+    // PHASE RESULTS
+    // ============================================
+
+    async savePhaseResult(projectId, phase, result) {
+        const results = this.phaseResults.get(projectId) || {};
+        results[phase] = structuredClone(result);
+        this.phaseResults.set(projectId, results);
+    }
+
+    async getPhaseResults(projectId) {
+        return structuredClone(this.phaseResults.get(projectId) || {});
+    }
+
+    // ============================================
+    // SPLATTING JOBS
+    // ============================================
+
+    async saveJob(job) {
+        this.jobs.set(job.id, structuredClone(job));
+        return job;
+    }
+
+    async getJob(id) {
+        const job = this.jobs.get(id);
+        return job ? structuredClone(job) : null;
+    }
+
+    async listJobs(filter = {}) {
+        return [...this.jobs.values()]
+            .filter(j => !filter.status || j.status === filter.status)
+            .filter(j => !filter.orgId || j.orgId === filter.orgId)
+            .filter(j => !filter.projectId || j.projectId === filter.projectId)
+            .map(j => structuredClone(j))
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    async updateJob(id, patch) {
+        const existing = this.jobs.get(id);
+        if (!existing) return null;
+
+        const job = { ...existing, ...structuredClone(patch) };
+        this.jobs.set(id, job);
+        return structuredClone(job);
+    }
+
+    async updateJobIf(id, expected, patch) {
+        const existing = this.jobs.get(id);
+        if (!existing || !matches(existing, expected)) return null;
+
+        return this.updateJob(id, patch);
+    }
+
+    // ============================================
+    // GPU WORKERS
+    // ============================================
+
+    async saveWorker(worker) {
+        this.workers.set(worker.id, structuredClone(worker));
+        return worker;
+    }
+
+    async getWorker(id) {
+        const worker = this.workers.get(id);
+        return worker ? structuredClone(worker) : null;
+    }
+
+    async listWorkers() {
+        return [...this.workers.values()]
+            .map(w => structuredClone(w))
+            .sort((a, b) => new Date(a.registeredAt) - new Date(b.registeredAt));
+    }
+
+    async updateWorker(id, patch) {
+        const existing = this.workers.get(id);
+        if (!existing) return null;
+
+        const worker = { ...existing, ...structuredClone(patch) };
+        this.workers.set(id, worker);
+        return structuredClone(worker);
+    }
+
+    // ============================================
+    // ORGANIZATIONS (TENANTS)
+    // ============================================
+
+    async saveOrganization(organization) {
+        this.organizations.set(organization.id, structuredClone(organization));
+        return organization;
+    }
+
+    async getOrganization(id) {
+        const organization = this.organizations.get(id);
+        return organization ? structuredClone(organization) : null;
+    }
+
+    async listOrganizations() {
+        return [...this.organizations.values()]
+            .map(o => structuredClone(o))
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    // ============================================
+    // USERS & SESSIONS
+    // ============================================
+
+    async saveUser(user) {
+        const existing = await this.getUserByEmail(user.email);
+        if (existing && existing.id !== user.id) {
+            throw new Error(`E-Mail ${user.email} ist bereits vergeben`);
+        }
+
+        this.users.set(user.id, structuredClone(user));
+        return user;
+    }
+
+    async getUser(id) {
+        const user = this.users.get(id);
+        return user ? structuredClone(user) : null;
+    }
+
+    async getUserByEmail(email) {
+        const user = [...this.users.values()].find(u => u.email === email);
+        return user ? structuredClone(user) : null;
+    }
+
+    async listUsers() {
+        return [...this.users.values()]
+            .map(u => structuredClone(u))
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    async updateUser(id, patch) {
+        const existing = this.users.get(id);
+        if (!existing) return null;
+
+        const user = { ...existing, ...structuredClone(patch) };
+        this.users.set(id, user);
+        return structuredClone(user);
+    }
+
+    async saveSession(session) {
+        this.sessions.set(session.id, structuredClone(session));
+        return session;
+    }
+
+    async getSession(id) {
+        const session = this.sessions.get(id);
+        return session ? structuredClone(session) : null;
+    }
+
+    async updateSession(id, patch) {
+        const existing = this.sessions.get(id);
+        if (!existing) return null;
+
+        const session = { ...existing, ...structuredClone(patch) };
+        this.sessions.set(id, session);
+        return structuredClone(session);
+    }
+
+    // ============================================
+    // SHARE LINKS
+    // ============================================
+
+    async saveShareLink(link) {
+        this.shareLinks.set(link.id, structuredClone(link));
+        return link;
+    }
+
+    async getShareLink(id) {
+        const link = this.shareLinks.get(id);
+        return link ? structuredClone(link) : null;
+    }
+
+    async listShareLinks(projectId) {
+        return [...this.shareLinks.values()]
+            .filter(link => link.projectId === projectId)
+            .map(link => structuredClone(link))
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    async updateShareLink(id, patch) {
+        const existing = this.shareLinks.get(id);
+        if (!existing) return null;
+
+        const link = { ...existing, ...structuredClone(patch) };
+        this.shareLinks.set(id, link);
+        return structuredClone(link);
+    }
+
+    async appendShareAccess(linkId, entry) {
+        if (!this.shareAccess.has(linkId)) this.shareAccess.set(linkId, []);
+        this.shareAccess.get(linkId).push(structuredClone(entry));
+        return entry;
+    }
+
+    async listShareAccess(linkId) {
+        return (this.shareAccess.get(linkId) || []).map(e => structuredClone(e)).reverse();
+    }
+
+    // ============================================
+    // UPLOAD USAGE (QUOTA)
+    // ============================================
+
+    async recordUpload(entry) {
+        this.uploadUsage.push(structuredClone(entry));
+        return entry;
+    }
+
+    async getUploadUsage(userId, month) {
+        const entries = this.uploadUsage.filter(e => e.userId === userId && (!month || e.month === month));
+        return {
+            count: entries.length,
+            bytes: entries.reduce((sum, e) => sum + e.bytes, 0)
+        };
+    }
+
+    // ============================================
+    // UPLOAD SESSIONS (FORTSETZBARE UPLOADS)
+    // ============================================
+
+    async saveUploadSession(session) {
+        this.uploadSessions.set(session.id, structuredClone(session));
+        return session;
+    }
+
+    async getUploadSession(id) {
+        const session = this.uploadSessions.get(id);
+        return session ? structuredClone(session) : null;
+    }
+
+    async listUploadSessions(filter = {}) {
+        return [...this.uploadSessions.values()]
+            .filter(s => !filter.status || s.status === filter.status)
+            .map(s => structuredClone(s))
+            .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    }
+
+    async updateUploadSession(id, patch) {
+        const existing = this.uploadSessions.get(id);
+        if (!existing) return null;
+
+        const session = { ...existing, ...structuredClone(patch) };
+        this.uploadSessions.set(id, session);
+        return structuredClone(session);
+    }
+
+    // ============================================
+    // SEQUENCES
+    // ============================================
+
+    async nextSequence(name) {
+        const value = (this.sequences.get(name) || 0) + 1;
+        this.sequences.set(name, value);
+        return value;
+    }
+}
+
+function matches(record, expected) {
+    return Object.entries(expected).every(([key, value]) => record[key] === value);
+}
+
+module.exports = MemoryRepository;
@@ -0,0 +1,371 @@
+/**
+ * PROJECT REPOSITORY - Interface für die Persistenz-Schicht
+ *
+ * Alle Routen und Pipeline-Phasen greifen über dieses Interface auf
+ * Projekte, Phasen-Ergebnisse und Splatting-Jobs zu. Konkrete Treiber
+ * (SQLite, In-Memory) implementieren diese Methoden.
+ *
+ * Alle Methoden sind async, damit später auch Netzwerk-Datenbanken
+ * (Postgres, Redis) ohne Änderung der Aufrufer eingesetzt werden können.
+ */
+
+class ProjectRepository {
+    /**
+     * Öffnet die Verbindung und führt Migrationen aus
+     */
+    async init() {
+        throw new Error(`${this.constructor.name}.init() not implemented`);
+    }
+
+    // ============================================
+    // PROJECTS
+    // ============================================
+
+    /**
+     * Alle Projekte, neueste zuerst
+     * @param {Object} [filter] - { orgId }
+     * @returns {Promise<Object[]>}
+     */
+    async listProjects(filter = {}) {
+        throw new Error(`${this.constructor.name}.listProjects() not implemented`);
+    }
+
+    /**
+     * @param {string} id - Projekt-ID
+     * @returns {Promise<Object|null>}
+     */
+    async getProject(id) {
+        throw new Error(`${this.constructor.name}.getProject() not implemented`);
+    }
+
+    /**
+     * Legt ein Projekt an oder überschreibt es komplett
+     * @param {Object} project - Muss eine `id` haben
+     * @returns {Promise<Object>}
+     */
+    async saveProject(project) {
+        throw new Error(`${this.constructor.name}.saveProject() not implemented`);
+    }
+
+    /**
+     * Merged `patch` in ein bestehendes Projekt (flach)
+     * @returns {Promise<Object|null>} - Aktualisiertes Projekt oder null
+     */
+    async updateProject(id, patch) {
+        throw new Error(`${this.constructor.name}.updateProject() not implemented`);
+    }
+
+    // ============================================
+    // PHASE RESULTS
+    // ============================================
+
+    /**
+     * Speichert das Ergebnis einer Pipeline-Phase
+     * @param {string} projectId
+     * @param {string} phase - 'ingest' | 'capture' | 'construct' | 'simulate' | 'output'
+     * @param {Object} result
+     */
+    async savePhaseResult(projectId, phase, result) {
+        throw new Error(`${this.constructor.name}.savePhaseResult() not implemented`);
+    }
+
+    /**
+     * @returns {Promise<Object>} - { ingest: {...}, capture: {...}, ... }
+     */
+    async getPhaseResults(projectId) {
+        throw new Error(`${this.constructor.name}.getPhaseResults() not implemented`);
+    }
+
+    // ============================================
+    // SPLATTING JOBS
+    // ============================================
+
+    /**
+     * Legt einen Job an oder überschreibt ihn komplett
+     * @param {Object} job - Muss eine `id` haben
+     */
+    async saveJob(job) {
+        throw new Error(`${this.constructor.name}.saveJob() not implemented`);
+    }
+
+    /**
+     * @returns {Promise<Object|null>}
+     */
+    async getJob(id) {
+        throw new Error(`${this.constructor.name}.getJob() not implemented`);
+    }
+
+    /**
+     * @param {Object} [filter] - { status, orgId, projectId }
+     * @returns {Promise<Object[]>} - Älteste zuerst (FIFO)
+     */
+    async listJobs(filter = {}) {
+        throw new Error(`${this.constructor.name}.listJobs() not implemented`);
+    }
+
+    /**
+     * Merged `patch` in einen bestehenden Job (flach)
+     * @returns {Promise<Object|null>}
+     */
+    async updateJob(id, patch) {
+        throw new Error(`${this.constructor.name}.updateJob() not implemented`);
+    }
+
+    /**
+     * Wie updateJob, aber nur wenn der Job aktuell zu `expected` passt
+     * (Compare-and-Set, z.B. { status: 'pending' } beim Claimen)
+     * @param {string} id
+     * @param {Object} expected - Feld -> erwarteter Wert (flacher Vergleich)
+     * @param {Object} patch
+     * @returns {Promise<Object|null>} - Aktualisierter Job oder null wenn nicht passend
+     */
+    async updateJobIf(id, expected, patch) {
+        throw new Error(`${this.constructor.name}.updateJobIf() not implemented`);
+    }
+
+    // ============================================
+    // GPU WORKERS
+    // ============================================
+
+    /**
+     * Legt einen registrierten Worker an oder überschreibt ihn komplett
+     * @param {Object} worker - Muss eine `id` haben
+     */
+    async saveWorker(worker) {
+        throw new Error(`${this.constructor.name}.saveWorker() not implemented`);
+    }
+
+    /**
+     * @returns {Promise<Object|null>}
+     */
+    async getWorker(id) {
+        throw new Error(`${this.constructor.name}.getWorker() not implemented`);
+    }
+
+    /**
+     * @returns {Promise<Object[]>} - Älteste Registrierung zuerst
+     */
+    async listWorkers() {
+        throw new Error(`${this.constructor.name}.listWorkers() not implemented`);
+    }
+
+    /**
+     * Merged `patch` in einen bestehenden Worker (flach)
+     * @returns {Promise<Object|null>}
+     */
+    async updateWorker(id, patch) {
+        throw new Error(`${this.constructor.name}.updateWorker() not implemented`);
+    }
+
+    // ============================================
+    // ORGANIZATIONS (TENANTS)
+    // ============================================
+
+    /**
+     * Legt eine Organisation an oder überschreibt sie komplett
+     * @param {Object} organization - Muss eine `id` haben
+     */
+    async saveOrganization(organization) {
+        throw new Error(`${this.constructor.name}.saveOrganization() not implemented`);
+    }
+
+    /**
+     * @returns {Promise<Object|null>}
+     */
+    async getOrganization(id) {
+        throw new Error(`${this.constructor.name}.getOrganization() not implemented`);
+    }
+
+    /**
+     * @returns {Promise<Object[]>} - Älteste zuerst
+     */
+    async listOrganizations() {
+        throw new Error(`${this.constructor.name}.listOrganizations() not implemented`);
+    }
+
+    // ============================================
+    // USERS & SESSIONS
+    // ============================================
+
+    /**
+     * Legt einen Benutzer an oder überschreibt ihn komplett
+     * @param {Object} user - Muss `id` und `email` haben (E-Mail ist eindeutig)
+     */
+    async saveUser(user) {
+        throw new Error(`${this.constructor.name}.saveUser() not implemented`);
+    }
+
+    /**
+     * @returns {Promise<Object|null>}
+     */
+    async getUser(id) {
+        throw new Error(`${this.constructor.name}.getUser() not implemented`);
+    }
+
+    /**
+     * @param {string} email - Bereits normalisiert (lowercase, getrimmt)
+     * @returns {Promise<Object|null>}
+     */
+    async getUserByEmail(email) {
+        throw new Error(`${this.constructor.name}.getUserByEmail() not implemented`);
+    }
+
+    /**
+     * @returns {Promise<Object[]>} - Älteste zuerst
+     */
+    async listUsers() {
+        throw new Error(`${this.constructor.name}.listUsers() not implemented`);
+    }
+
+    /**
+     * Merged `patch` in einen bestehenden Benutzer (flach)
+     * @returns {Promise<Object|null>}
+     */
+    async updateUser(id, patch) {
+        throw new Error(`${this.constructor.name}.updateUser() not implemented`);
+    }
+
+    /**
+     * Legt eine Login-Session an
+     * @param {Object} session - { id, userId, expiresAt, ... }
+     */
+    async saveSession(session) {
+        throw new Error(`${this.constructor.name}.saveSession() not implemented`);
+    }
+
+    /**
+     * @returns {Promise<Object|null>}
+     */
+    async getSession(id) {
+        throw new Error(`${this.constructor.name}.getSession() not implemented`);
+    }
+
+    /**
+     * Merged `patch` in eine bestehende Session (flach), z.B. { revokedAt }
+     * @returns {Promise<Object|null>}
+     */
+    async updateSession(id, patch) {
+        throw new Error(`${this.constructor.name}.updateSession() not implemented`);
+    }
+
+    // ============================================
+    // SHARE LINKS
+    // ============================================
+
+    /**
+     * Legt einen Freigabe-Link an
+     * @param {Object} link - { id, projectId, orgId, expiresAt, ... }
+     */
+    async saveShareLink(link) {
+        throw new Error(`${this.constructor.name}.saveShareLink() not implemented`);
+    }
+
+    /**
+     * @returns {Promise<Object|null>}
+     */
+    async getShareLink(id) {
+        throw new Error(`${this.constructor.name}.getShareLink() not implemented`);
+    }
+
+    /**
+     * @returns {Promise<Object[]>} - Links eines Projekts, neueste zuerst
+     */
+    async listShareLinks(projectId) {
+        throw new Error(`${this.constructor.name}.listShareLinks() not implemented`);
+    }
+
+    /**
+     * Merged `patch` in einen bestehenden Link (flach), z.B. { revokedAt }
+     * @returns {Promise<Object|null>}
+     */
+    async updateShareLink(id, patch) {
+        throw new Error(`${this.constructor.name}.updateShareLink() not implemented`);
+    }
+
+    /**
+     * Hängt einen Eintrag an das Zugriffsprotokoll eines Links
+     * @param {Object} entry - { accessedAt, path, ip, userAgent }
+     */
+    async appendShareAccess(linkId, entry) {
+        throw new Error(`${this.constructor.name}.appendShareAccess() not implemented`);
+    }
+
+    /**
+     * @returns {Promise<Object[]>} - Zugriffe, neueste zuerst
+     */
+    async listShareAccess(linkId) {
+        throw new Error(`${this.constructor.name}.listShareAccess() not implemented`);
+    }
+
+    // ============================================
+    // UPLOAD USAGE (QUOTA)
+    // ============================================
+
+    /**
+     * Verbucht einen Upload für die Monats-Quota
+     * @param {Object} entry - { userId, orgId, projectId, month: 'YYYY-MM', bytes, uploadedAt }
+     */
+    async recordUpload(entry) {
+        throw new Error(`${this.constructor.name}.recordUpload() not implemented`);
+    }
+
+    /**
+     * @param {string} userId
+     * @param {string} [month] - 'YYYY-MM', ohne: Summe über alle Monate
+     * @returns {Promise<Object>} - { count, bytes }
+     */
+    async getUploadUsage(userId, month) {
+        throw new Error(`${this.constructor.name}.getUploadUsage() not implemented`);
+    }
+
+    // ============================================
+    // UPLOAD SESSIONS (FORTSETZBARE UPLOADS)
+    // ============================================
+
+    /**
+     * Legt eine Upload-Session an
+     * @param {Object} session - { id, userId, orgId, status, size, chunkSize, expiresAt, ... }
+     */
+    async saveUploadSession(session) {
+        throw new Error(`${this.constructor.name}.saveUploadSession() not implemented`);
+    }
+
+    /**
+     * @returns {Promise<Object|null>}
+     */
+    async getUploadSession(id) {
+        throw new Error(`${this.constructor.name}.getUploadSession() not implemented`);
+    }
+
+    /**
+     * @param {Object} [filter] - { status }
+     * @returns {Promise<Object[]>} - älteste zuerst
+     */
+    async listUploadSessions(filter = {}) {
+        throw new Error(`${this.constructor.name}.listUploadSessions() not implemented`);
+    }
+
+    /**
+     * Merged `patch` in eine bestehende Session (flach), z.B. { status, projectId }
+     * @returns {Promise<Object|null>}
+     */
+    async updateUploadSession(id, patch) {
+        throw new Error(`${this.constructor.name}.updateUploadSession() not implemented`);
+    }
+
+    // ============================================
+    // SEQUENCES
+    // ============================================
+
+    /**
+     * Erhöht einen benannten Zähler atomar und gibt den neuen Wert zurück
+     * (erster Aufruf liefert 1)
+     * @param {string} name - z.B. 'project:2026'
+     * @returns {Promise<number>}
+     */
+    async nextSequence(name) {
+        throw new Error(`${this.constructor.name}.nextSequence() not implemented`);
+    }
+}
+
+module.exports = ProjectRepository;
@@ -0,0 +1,568 @@
+/**
+ * SQLITE REPOSITORY - Standard-Treiber der Persistenz-Schicht
+ *
+ * Speichert Projekte, Phasen-Ergebnisse und Jobs in einer einzelnen
+ * SQLite-Datei. Die Objekte liegen als JSON in einer `data`-Spalte,
+ * nur Felder zum Sortieren/Filtern sind eigene Spalten.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const ProjectRepository = require('./projectRepository');
+
+// Schema-Migrationen: Index = Version. Nur anhängen, nie ändern!
+const MIGRATIONS = [
+    `CREATE TABLE projects (
+        id TEXT PRIMARY KEY,
+        status TEXT,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX idx_projects_created_at ON projects (created_at);
+
+    CREATE TABLE phase_results (
+        project_id TEXT NOT NULL,
+        phase TEXT NOT NULL,
+        updated_at TEXT NOT NULL,
+        data TEXT NOT NULL,
+        PRIMARY KEY (project_id, phase)
+    );
+
+    CREATE TABLE jobs (
+        id TEXT PRIMARY KEY,
+        project_id TEXT,
+        status TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX idx_jobs_status ON jobs (status, created_at);`,
+
+    `CREATE TABLE sequences (
+        name TEXT PRIMARY KEY,
+        value INTEGER NOT NULL
+    );`,
+
+    `CREATE TABLE workers (
+        id TEXT PRIMARY KEY,
+        registered_at TEXT NOT NULL,
+        data TEXT NOT NULL
+    );`,
+
+    `CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        email TEXT NOT NULL UNIQUE,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+
+    CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        expires_at TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX idx_sessions_user ON sessions (user_id);`,
+
+    `CREATE TABLE organizations (
+        id TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+
+    ALTER TABLE projects ADD COLUMN org_id TEXT;
+    CREATE INDEX idx_projects_org ON projects (org_id, created_at);
+
+    ALTER TABLE jobs ADD COLUMN org_id TEXT;`,
+
+    `CREATE TABLE share_links (
+        id TEXT PRIMARY KEY,
+        project_id TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX idx_share_links_project ON share_links (project_id, created_at);
+
+    CREATE TABLE share_access (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        link_id TEXT NOT NULL,
+        accessed_at TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX idx_share_access_link ON share_access (link_id, accessed_at);`,
+
+    `CREATE TABLE upload_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id TEXT NOT NULL,
+        month TEXT NOT NULL,
+        bytes INTEGER NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX idx_upload_usage_user ON upload_usage (user_id, month);`,
+
+    `CREATE TABLE upload_sessions (
+        id TEXT PRIMARY KEY,
+        status TEXT NOT NULL,
+        created_at TEXT NOT NULL,
+        data TEXT NOT NULL
+    );
+    CREATE INDEX idx_upload_sessions_status ON upload_sessions (status, created_at);`,
+
+    `CREATE INDEX idx_jobs_project ON jobs (project_id, created_at);`
+];
+
+class SqliteRepository extends ProjectRepository {
+    /**
+     * @param {Object} options - { sqlitePath }
+     */
+    constructor(options) {
+        super();
+        this.filename = options.sqlitePath;
+        this.db = null;
+    }
+
+    async init() {
+        this.open();
+
+        const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM projects').get();
+        console.log(`[Store] SQLite ${this.filename}: ${count} Projekte geladen`);
+    }
+
+    /**
+     * Öffnet die Datenbank (idempotent) und bringt das Schema auf Stand
+     */
+    open() {
+        if (this.db) return this.db;
+
+        const dir = path.dirname(this.filename);
+        if (!fs.existsSync(dir)) {
+            fs.mkdirSync(dir, { recursive: true });
+        }
+
+        this.db = new Database(this.filename);
+        this.db.pragma('journal_mode = WAL');
+        this.migrate();
+
+        return this.db;
+    }
+
+    migrate() {
+        const version = this.db.pragma('user_version', { simple: true });
+
+        for (let v = version; v < MIGRATIONS.length; v++) {
+            this.db.transaction(() => {
+                this.db.exec(MIGRATIONS[v]);
+                this.db.pragma(`user_version = ${v + 1}`);
+            })();
+            console.log(`[Store] Migration ${v + 1} angewendet`);
+        }
+    }
+
+    // ============================================
+    // PROJECTS
+    // ============================================
+
+    async listProjects(filter = {}) {
+        const db = this.open();
+        const rows = filter.orgId
+            ? db.prepare('SELECT data FROM projects WHERE org_id = ? ORDER BY created_at DESC').all(filter.orgId)
+            : db.prepare('SELECT data FROM projects ORDER BY created_at DESC').all();
+
+        return rows.map(row => JSON.parse(row.data));
+    }
+
+    async getProject(id) {
+        const row = this.open().prepare('SELECT data FROM projects WHERE id = ?').get(id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async saveProject(project) {
+        this.writeProject(project);
+        return project;
+    }
+
+    async updateProject(id, patch) {
+        const db = this.open();
+        return db.transaction(() => {
+            const row = db.prepare('SELECT data FROM projects WHERE id = ?').get(id);
+            if (!row) return null;
+
+            const project = { ...JSON.parse(row.data), ...patch };
+            this.writeProject(project);
+            return project;
+        })();
+    }
+
+    writeProject(project) {
+        const createdAt = project.createdAt || new Date().toISOString();
+        this.open().prepare(`
+            INSERT INTO projects (id, org_id, status, created_at, data) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET org_id = excluded.org_id, status = excluded.status, data = excluded.data
+        `).run(project.id, project.orgId || null, project.status || null, createdAt, JSON.stringify(project));
+    }
+
+    // ============================================
+    // PHASE RESULTS
+    // ============================================
+
+    async savePhaseResult(projectId, phase, result) {
+        this.open().prepare(`
+            INSERT INTO phase_results (project_id, phase, updated_at, data) VALUES (?, ?, ?, ?)
+            ON CONFLICT(project_id, phase) DO UPDATE SET updated_at = excluded.updated_at, data = excluded.data
+        `).run(projectId, phase, new Date().toISOString(), JSON.stringify(result));
+    }
+
+    async getPhaseResults(projectId) {
+        const rows = this.open()
+            .prepare('SELECT phase, data FROM phase_results WHERE project_id = ?')
+            .all(projectId);
+
+        return Object.fromEntries(rows.map(row => [row.phase, JSON.parse(row.data)]));
+    }
+
+    // ============================================
+    // SPLATTING JOBS
+    // ============================================
+
+    async saveJob(job) {
+        this.writeJob(job);
+        return job;
+    }
+
+    async getJob(id) {
+        const row = this.open().prepare('SELECT data FROM jobs WHERE id = ?').get(id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async listJobs(filter = {}) {
+        const conditions = [];
+        const params = [];
+        if (filter.status) {
+            conditions.push('status = ?');
+            params.push(filter.status);
+        }
+        if (filter.orgId) {
+            conditions.push('org_id = ?');
+            params.push(filter.orgId);
+        }
+        if (filter.projectId) {
+            conditions.push('project_id = ?');
+            params.push(filter.projectId);
+        }
+
+        const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+        return this.open()
+            .prepare(`SELECT data FROM jobs ${where} ORDER BY created_at, rowid`)
+            .all(...params)
+            .map(row => JSON.parse(row.data));
+    }
+
+    async updateJob(id, patch) {
+        const db = this.open();
+        return db.transaction(() => {
+            const row = db.prepare('SELECT data FROM jobs WHERE id = ?').get(id);
+            if (!row) return null;
+
+            const job = { ...JSON.parse(row.data), ...patch };
+            this.writeJob(job);
+            return job;
+        })();
+    }
+
+    async updateJobIf(id, expected, patch) {
+        const db = this.open();
+        return db.transaction(() => {
+            const row = db.prepare('SELECT data FROM jobs WHERE id = ?').get(id);
+            if (!row) return null;
+
+            const current = JSON.parse(row.data);
+            const matches = Object.entries(expected).every(([key, value]) => current[key] === value);
+            if (!matches) return null;
+
+            const job = { ...current, ...patch };
+            this.writeJob(job);
+            return job;
+        })();
+    }
+
+    writeJob(job) {
+        const createdAt = job.createdAt || new Date().toISOString();
+        this.open().prepare(`
+            INSERT INTO jobs (id, project_id, org_id, status, created_at, data) VALUES (?, ?, ?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET org_id = excluded.org_id, status = excluded.status, data = excluded.data
+        `).run(job.id, job.projectId || null, job.orgId || null, job.status, createdAt, JSON.stringify(job));
+    }
+
+    // ============================================
+    // GPU WORKERS
+    // ============================================
+
+    async saveWorker(worker) {
+        this.writeWorker(worker);
+        return worker;
+    }
+
+    async getWorker(id) {
+        const row = this.open().prepare('SELECT data FROM workers WHERE id = ?').get(id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async listWorkers() {
+        return this.open()
+            .prepare('SELECT data FROM workers ORDER BY registered_at')
+            .all()
+            .map(row => JSON.parse(row.data));
+    }
+
+    async updateWorker(id, patch) {
+        const db = this.open();
+        return db.transaction(() => {
+            const row = db.prepare('SELECT data FROM workers WHERE id = ?').get(id);
+            if (!row) return null;
+
+            const worker = { ...JSON.parse(row.data), ...patch };
+            this.writeWorker(worker);
+            return worker;
+        })();
+    }
+
+    writeWorker(worker) {
+        const registeredAt = worker.registeredAt || new Date().toISOString();
+        this.open().prepare(`
+            INSERT INTO workers (id, registered_at, data) VALUES (?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET data = excluded.data
+        `).run(worker.id, registeredAt, JSON.stringify(worker));
+    }
+
+    // ============================================
+    // ORGANIZATIONS (TENANTS)
+    // ============================================
+
+    async saveOrganization(organization) {
+        const createdAt = organization.createdAt || new Date().toISOString();
+        this.open().prepare(`
+            INSERT INTO organizations (id, created_at, data) VALUES (?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET data = excluded.data
+        `).run(organization.id, createdAt, JSON.stringify(organization));
+        return organization;
+    }
+
+    async getOrganization(id) {
+        const row = this.open().prepare('SELECT data FROM organizations WHERE id = ?').get(id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async listOrganizations() {
+        return this.open()
+            .prepare('SELECT data FROM organizations ORDER BY created_at')
+            .all()
+            .map(row => JSON.parse(row.data));
+    }
+
+    // ============================================
+    // USERS & SESSIONS
+    // ============================================
+
+    async saveUser(user) {
+        this.writeUser(user);
+        return user;
+    }
+
+    async getUser(id) {
+        const row = this.open().prepare('SELECT data FROM users WHERE id = ?').get(id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async getUserByEmail(email) {
+        const row = this.open().prepare('SELECT data FROM users WHERE email = ?').get(email);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async listUsers() {
+        return this.open()
+            .prepare('SELECT data FROM users ORDER BY created_at')
+            .all()
+            .map(row => JSON.parse(row.data));
+    }
+
+    async updateUser(id, patch) {
+        const db = this.open();
+        return db.transaction(() => {
+            const row = db.prepare('SELECT data FROM users WHERE id = ?').get(id);
+            if (!row) return null;
+
+            const user = { ...JSON.parse(row.data), ...patch };
+            this.writeUser(user);
+            return user;
+        })();
+    }
+
+    writeUser(user) {
+        const createdAt = user.createdAt || new Date().toISOString();
+        this.open().prepare(`
+            INSERT INTO users (id, email, created_at, data) VALUES (?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET email = excluded.email, data = excluded.data
+        `).run(user.id, user.email, createdAt, JSON.stringify(user));
+    }
+
+    async saveSession(session) {
+        this.writeSession(session);
+        return session;
+    }
+
+    async getSession(id) {
+        const row = this.open().prepare('SELECT data FROM sessions WHERE id = ?').get(id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async updateSession(id, patch) {
+        const db = this.open();
+        return db.transaction(() => {
+            const row = db.prepare('SELECT data FROM sessions WHERE id = ?').get(id);
+            if (!row) return null;
+
+            const session = { ...JSON.parse(row.data), ...patch };
+            this.writeSession(session);
+            return session;
+        })();
+    }
+
+    writeSession(session) {
+        this.open().prepare(`
+            INSERT INTO sessions (id, user_id, expires_at, data) VALUES (?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET expires_at = excluded.expires_at, data = excluded.data
+        `).run(session.id, session.userId, session.expiresAt, JSON.stringify(session));
+    }
+
+    // ============================================
+    // SHARE LINKS
+    // ============================================
+
+    async saveShareLink(link) {
+        this.writeShareLink(link);
+        return link;
+    }
+
+    async getShareLink(id) {
+        const row = this.open().prepare('SELECT data FROM share_links WHERE id = ?').get(id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async listShareLinks(projectId) {
+        return this.open()
+            .prepare('SELECT data FROM share_links WHERE project_id = ? ORDER BY created_at DESC')
+            .all(projectId)
+            .map(row => JSON.parse(row.data));
+    }
+
+    async updateShareLink(id, patch) {
+        const db = this.open();
+        return db.transaction(() => {
+            const row = db.prepare('SELECT data FROM share_links WHERE id = ?').get(id);
+            if (!row) return null;
+
+            const link = { ...JSON.parse(row.data), ...patch };
+            this.writeShareLink(link);
+            return link;
+        })();
+    }
+
+    writeShareLink(link) {
+        this.open().prepare(`
+            INSERT INTO share_links (id, project_id, created_at, data) VALUES (?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET data = excluded.data
+        `).run(link.id, link.projectId, link.createdAt, JSON.stringify(link));
+    }
+
+    async appendShareAccess(linkId, entry) {
+        this.open()
+            .prepare('INSERT INTO share_access (link_id, accessed_at, data) VALUES (?, ?, ?)')
+            .run(linkId, entry.accessedAt, JSON.stringify(entry));
+        return entry;
+    }
+
+    async listShareAccess(linkId) {
+        return this.open()
+            .prepare('SELECT data FROM share_access WHERE link_id = ? ORDER BY id DESC')
+            .all(linkId)
+            .map(row => JSON.parse(row.data));
+    }
+
+    // ============================================
+    // UPLOAD USAGE (QUOTA)
+    // ============================================
+
+    async recordUpload(entry) {
+        this.open()
+            .prepare('INSERT INTO upload_usage (user_id, month, bytes, data) VALUES (?, ?, ?, ?)')
+            .run(entry.userId, entry.month, entry.bytes, JSON.stringify(entry));
+        return entry;
+    }
+
+    async getUploadUsage(userId, month) {
+        const row = this.open().prepare(`
+            SELECT COUNT(*) AS count, COALESCE(SUM(bytes), 0) AS bytes
+            FROM upload_usage WHERE user_id = ? AND (? IS NULL OR month = ?)
+        `).get(userId, month || null, month || null);
+
+        return { count: row.count, bytes: row.bytes };
+    }
+
+    // ============================================
+    // UPLOAD SESSIONS (FORTSETZBARE UPLOADS)
+    // ============================================
+
+    async saveUploadSession(session) {
+        this.writeUploadSession(session);
+        return session;
+    }
+
+    async getUploadSession(id) {
+        const row = this.open().prepare('SELECT data FROM upload_sessions WHERE id = ?').get(id);
+        return row ? JSON.parse(row.data) : null;
+    }
+
+    async listUploadSessions(filter = {}) {
+        const where = filter.status ? 'WHERE status = ?' : '';
+        const params = filter.status ? [filter.status] : [];
+        return this.open()
+            .prepare(`SELECT data FROM upload_sessions ${where} ORDER BY created_at`)
+            .all(...params)
+            .map(row => JSON.parse(row.data));
+    }
+
+    async updateUploadSession(id, patch) {
+        const db = this.open();
+        return db.transaction(() => {
+            const row = db.prepare('SELECT data FROM upload_sessions WHERE id = ?').get(id);
+            if (!row) return null;
+
+            const session = { ...JSON.parse(row.data), ...patch };
+            this.writeUploadSession(session);
+            return session;
+        })();
+    }
+
+    writeUploadSession(session) {
+        this.open().prepare(`
+            INSERT INTO upload_sessions (id, status, created_at, data) VALUES (?, ?, ?, ?)
+            ON CONFLICT(id) DO UPDATE SET status = excluded.status, data = excluded.data
+        `).run(session.id, session.status, session.createdAt, JSON.stringify(session));
+    }
+
+    // ============================================
+    // SEQUENCES
+    // ============================================
+
+    async nextSequence(name) {
+        const row = this.open().prepare(`
+            INSERT INTO sequences (name, value) VALUES (?, 1)
+            ON CONFLICT(name) DO UPDATE SET value = value + 1
+            RETURNING value
+        `).get(name);
+
+        return row.value;
+    }
+}
+
+module.exports = SqliteRepository;
@@ -0,0 +1,157 @@
+/**
+ * CHUNKED UPLOAD TESTS
+ * Integrität der Teilstück-Uploads: Prüfsummen, Längen, fehlende Teilstücke
+ * und die SHA-256 der ganzen Datei. Memory-Store und temporärer Upload-Ordner.
+ */
+
+process.env.STORAGE_DRIVER = 'memory';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const config = require('../config/nvidia.config');
+const store = require('../store');
+const projectPaths = require('../utils/projectPaths');
+const chunkedUploads = require('../utils/chunkedUploads');
+
+const CHUNK_SIZE = 64;
+const USER = { id: 'usr_test', orgId: 'org_test', email: 'test@servionics.de' };
+
+// Beginnt wie eine MP4-Datei, damit Teilstück 0 die Container-Prüfung besteht
+const VIDEO = Buffer.concat([
+    Buffer.from([0, 0, 0, 0x18]),
+    Buffer.from('ftypisom', 'latin1'),
+    crypto.randomBytes(188)
+]);
+
+let tmpDir;
+
+test.before(async () => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'servionics-uploads-'));
+    config.output.uploads = tmpDir;
+    config.chunkedUpload.chunkSize = CHUNK_SIZE;
+    await store.init();
+});
+
+test.after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function chunkOf(index) {
+    return VIDEO.subarray(index * CHUNK_SIZE, (index + 1) * CHUNK_SIZE);
+}
+
+async function createSession(overrides = {}) {
+    const result = await chunkedUploads.create(USER, {
+        fileName: 'aufnahme.mp4',
+        size: VIDEO.length,
+        mimeType: 'video/mp4',
+        ...overrides
+    });
+    assert.equal(result.success, true, result.error);
+    return result.session;
+}
+
+function send(session, index, data, checksum = sha256(data)) {
+    return chunkedUploads.receiveChunk(session, index, Readable.from([data]), checksum);
+}
+
+function leftoverFiles(session) {
+    const dir = projectPaths.chunkDir(session.orgId, session.id);
+    return fs.existsSync(dir) ? fs.readdirSync(dir).filter(name => !name.endsWith('.part')) : [];
+}
+
+test('a session is split into server-sized chunks', async () => {
+    const session = await createSession();
+    assert.equal(session.chunkSize, CHUNK_SIZE);
+    assert.equal(session.totalChunks, Math.ceil(VIDEO.length / CHUNK_SIZE));
+    assert.equal(chunkedUploads.chunkLength(session, session.totalChunks - 1), VIDEO.length % CHUNK_SIZE);
+});
+
+test('a chunk with a wrong checksum is rejected and not kept', async () => {
+    const session = await createSession();
+    const result = await send(session, 0, chunkOf(0), sha256(Buffer.from('anders')));
+
+    assert.equal(result.success, false);
+    assert.equal(result.statusCode, 400);
+    assert.deepEqual(chunkedUploads.receivedChunks(session), []);
+    assert.deepEqual(leftoverFiles(session), []);
+});
+
+test('a chunk without checksum header is rejected', async () => {
+    const session = await createSession();
+    const result = await chunkedUploads.receiveChunk(session, 0, Readable.from([chunkOf(0)]), undefined);
+
+    assert.equal(result.statusCode, 400);
+});
+
+test('an over-long chunk is rejected with 413', async () => {
+    const session = await createSession();
+    const tooLong = Buffer.concat([chunkOf(1), Buffer.alloc(10)]);
+    const result = await send(session, 1, tooLong);
+
+    assert.equal(result.success, false);
+    assert.equal(result.statusCode, 413);
+    assert.deepEqual(chunkedUploads.receivedChunks(session), []);
+    assert.deepEqual(leftoverFiles(session), []);
+});
+
+test('a short chunk is rejected', async () => {
+    const session = await createSession();
+    const result = await send(session, 1, chunkOf(1).subarray(0, 10));
+
+    assert.equal(result.statusCode, 400);
+    assert.deepEqual(chunkedUploads.receivedChunks(session), []);
+});
+
+test('assemble reports the missing chunks', async () => {
+    const session = await createSession();
+    assert.equal((await send(session, 0, chunkOf(0))).success, true);
+    assert.equal((await send(session, 2, chunkOf(2))).success, true);
+
+    const result = await chunkedUploads.assemble(session);
+
+    assert.equal(result.success, false);
+    assert.equal(result.statusCode, 409);
+    assert.deepEqual(result.missingChunks, [1, 3]);
+    assert.deepEqual(chunkedUploads.missingChunks(session), [1, 3]);
+});
+
+test('assemble rejects a file whose SHA-256 does not match the announced one', async () => {
+    const session = await createSession({ sha256: sha256(Buffer.from('nicht dieses video')) });
+    for (let i = 0; i < session.totalChunks; i++) {
+        assert.equal((await send(session, i, chunkOf(i))).success, true);
+    }
+
+    const result = await chunkedUploads.assemble(session);
+
+    assert.equal(result.success, false);
+    assert.equal(result.statusCode, 400);
+    // Keine halbe Datei im Upload-Ordner der Organisation
+    const uploadDir = projectPaths.uploadDir(USER.orgId);
+    assert.deepEqual(fs.readdirSync(uploadDir).filter(name => name !== '.chunks'), []);
+});
+
+test('assemble joins all chunks into the original file', async () => {
+    const session = await createSession({ sha256: sha256(VIDEO) });
+    // Reihenfolge beim Senden egal, auch Wiederholungen
+    for (const i of [3, 1, 0, 2, 1]) {
+        assert.equal((await send(session, i, chunkOf(i))).success, true);
+    }
+
+    const result = await chunkedUploads.assemble(session);
+
+    assert.equal(result.success, true, result.error);
+    assert.equal(result.size, VIDEO.length);
+    assert.equal(result.sha256, sha256(VIDEO));
+    assert.ok(fs.readFileSync(result.filePath).equals(VIDEO));
+    fs.rmSync(result.filePath);
+});
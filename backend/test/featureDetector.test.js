@@ -0,0 +1,88 @@
+/**
+ * FEATURE DETECTOR TESTS
+ * Synthetisches Bild mit Rechtecken: FAST-9 muss genau deren Ecken finden
+ * (keine Punkte auf geraden Kanten), match() die Verschiebung einer Kopie.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const featureDetector = require('../utils/featureDetector');
+
+const WIDTH = 160;
+const HEIGHT = 120;
+const BACKGROUND = 40;
+
+// [x, y, Breite, Höhe, Grauwert] - unterschiedliche Größen, damit die Deskriptoren eindeutig sind
+const RECTS = [
+    [30, 25, 18, 14, 220],
+    [80, 20, 12, 22, 180],
+    [40, 70, 25, 12, 200],
+    [95, 65, 16, 16, 250],
+    [120, 30, 10, 10, 160]
+];
+
+let dir;
+
+test.before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'servionics-features-'));
+});
+
+test.after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+async function writeScene(name, shiftX) {
+    const pixels = Buffer.alloc(WIDTH * HEIGHT, BACKGROUND);
+    for (const [x0, y0, w, h, value] of RECTS) {
+        for (let y = y0; y < y0 + h; y++) {
+            for (let x = x0 + shiftX; x < x0 + shiftX + w; x++) pixels[y * WIDTH + x] = value;
+        }
+    }
+
+    const file = path.join(dir, name);
+    await sharp(pixels, { raw: { width: WIDTH, height: HEIGHT, channels: 1 } }).png().toFile(file);
+    return file;
+}
+
+function cornersOf(shiftX) {
+    return RECTS.flatMap(([x, y, w, h]) => [
+        [x + shiftX, y], [x + shiftX + w - 1, y],
+        [x + shiftX, y + h - 1], [x + shiftX + w - 1, y + h - 1]
+    ]);
+}
+
+test('detect() finds exactly the rectangle corners', async () => {
+    const frame = await featureDetector.detect(await writeScene('scene.png', 0));
+    const found = frame.keypoints.map(k => `${k.x},${k.y}`).sort();
+    const expected = cornersOf(0).map(([x, y]) => `${x},${y}`).sort();
+
+    assert.equal(frame.width, WIDTH);
+    assert.equal(frame.height, HEIGHT);
+    assert.deepEqual(found, expected);
+    assert.equal(frame.descriptors.length, frame.keypoints.length);
+});
+
+test('detect() finds nothing in a flat image', async () => {
+    const file = path.join(dir, 'flat.png');
+    await sharp(Buffer.alloc(WIDTH * HEIGHT, 128), { raw: { width: WIDTH, height: HEIGHT, channels: 1 } }).png().toFile(file);
+
+    const frame = await featureDetector.detect(file);
+    assert.equal(frame.keypoints.length, 0);
+    assert.deepEqual(featureDetector.match(frame, frame), []);
+});
+
+test('match() recovers the shift of a translated copy', async () => {
+    const a = await featureDetector.detect(await writeScene('a.png', 0));
+    const b = await featureDetector.detect(await writeScene('b.png', 4));
+    const matches = featureDetector.match(a, b);
+
+    assert.ok(matches.length >= 5, `only ${matches.length} matches`);
+    for (const m of matches) {
+        assert.equal(m.x2 - m.x1, 4);
+        assert.equal(m.y2 - m.y1, 0);
+    }
+});
@@ -0,0 +1,112 @@
+/**
+ * PARALLAX ESTIMATOR TESTS
+ * Synthetische Punktwolke, in zwei Kameras projiziert (Lochkamera mit dem
+ * angenommenen Sichtfeld): reine Drehung bzw. eine Ebene -> keine Parallaxe,
+ * echte Verschiebung -> Parallaxe über der Schwelle der Splatting-Analyse.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const parallaxEstimator = require('../utils/parallaxEstimator');
+const splattingAnalyzer = require('../utils/splattingAnalyzer');
+
+const WIDTH = 160;
+const HEIGHT = 120;
+const FOCAL = (WIDTH / 2) / Math.tan(65 / 2 * Math.PI / 180);
+
+const { minParallax } = splattingAnalyzer.thresholds;
+
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 1664525 + 1013904223) >>> 0;
+        return state / 4294967296;
+    };
+}
+
+/**
+ * Points in front of the first camera, Tiefe 2-6 m
+ */
+function pointCloud(count, seed, depth = random => 2 + 4 * random()) {
+    const random = seededRandom(seed);
+    return Array.from({ length: count }, () => {
+        const z = depth(random);
+        return [(random() - 0.5) * z * 0.9, (random() - 0.5) * z * 0.6, z];
+    });
+}
+
+function rotationY(degrees) {
+    const a = degrees * Math.PI / 180;
+    return [[Math.cos(a), 0, Math.sin(a)], [0, 1, 0], [-Math.sin(a), 0, Math.cos(a)]];
+}
+
+function project([x, y, z]) {
+    return [WIDTH / 2 + FOCAL * x / z, HEIGHT / 2 + FOCAL * y / z];
+}
+
+/**
+ * Matches between camera 1 (Ursprung) and camera 2 (R, t): X2 = R * X + t
+ */
+function matchesFor(points, rotation, translation) {
+    return points.map(point => {
+        const moved = rotation.map((row, i) => row[0] * point[0] + row[1] * point[1] + row[2] * point[2] + translation[i]);
+        const [x1, y1] = project(point);
+        const [x2, y2] = project(moved);
+        return { x1, y1, x2, y2 };
+    });
+}
+
+test('pure rotation gives no parallax', () => {
+    const matches = matchesFor(pointCloud(60, 1), rotationY(5), [0, 0, 0]);
+    const result = parallaxEstimator.estimatePair(matches, WIDTH);
+
+    assert.ok(result, 'estimatePair returned null');
+    assert.ok(result.parallax < 0.05, `parallax ${result.parallax}°`);
+    assert.equal(result.planeShare, 100);
+});
+
+test('a planar scene is explained by one homography', () => {
+    // Alle Punkte auf einer Wand in 4 m Tiefe - trotz Verschiebung keine Tiefeninformation
+    const wall = pointCloud(60, 2, () => 4);
+    const matches = matchesFor(wall, rotationY(2), [0.3, 0, 0]);
+    const result = parallaxEstimator.estimatePair(matches, WIDTH);
+
+    assert.ok(result.parallax < 0.05, `parallax ${result.parallax}°`);
+});
+
+test('a translated camera gives parallax above minParallax', () => {
+    const matches = matchesFor(pointCloud(60, 3), rotationY(3), [0.4, 0, 0]);
+    const result = parallaxEstimator.estimatePair(matches, WIDTH);
+
+    assert.ok(result.parallax > minParallax, `parallax ${result.parallax}° <= ${minParallax}°`);
+    assert.ok(result.epipolarShare >= 90, `epipolarShare ${result.epipolarShare}%`);
+});
+
+test('estimatePair needs enough matches', () => {
+    const matches = matchesFor(pointCloud(8, 4), rotationY(3), [0.4, 0, 0]);
+    assert.equal(parallaxEstimator.estimatePair(matches, WIDTH), null);
+});
+
+test('verifyMatches rejects injected outliers', () => {
+    const inliers = matchesFor(pointCloud(50, 5), rotationY(3), [0.4, 0.05, 0]);
+    // Falsche Zuordnungen: echte Punktpaare, im zweiten Bild quer zur
+    // (hier fast waagrechten) Epipolarlinie verschoben
+    const random = seededRandom(6);
+    const outliers = matchesFor(pointCloud(12, 8), rotationY(3), [0.4, 0.05, 0]).map((m, i) => ({
+        ...m,
+        y2: m.y2 + (i % 2 ? 1 : -1) * (8 + random() * 12),
+        outlier: true
+    }));
+
+    // Ausreißer gemischt einstreuen, nicht nur ans Ende
+    const matches = inliers.flatMap((m, i) => (i % 4 === 0 && outliers.length ? [m, outliers.pop()] : [m]));
+    const verified = parallaxEstimator.verifyMatches(matches);
+
+    assert.equal(verified.filter(m => m.outlier).length, 0);
+    assert.ok(verified.length >= inliers.length * 0.95, `only ${verified.length}/${inliers.length} inliers kept`);
+});
+
+test('verifyMatches needs at least eight matches', () => {
+    const matches = matchesFor(pointCloud(7, 7), rotationY(3), [0.4, 0, 0]);
+    assert.deepEqual(parallaxEstimator.verifyMatches(matches), []);
+});
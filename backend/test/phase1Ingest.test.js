@@ -0,0 +1,93 @@
+/**
+ * PHASE 1 TIMELINE TESTS
+ * Schlechte Abschnitte aus den Messpunkten der Zeitleiste: Zusammenfassen,
+ * Mindestlänge, Schnittplan und welche Keyframes nach dem Schnitt bleiben.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const phase1 = require('../orchestrator/phase1_ingest');
+
+const GOOD = 90;
+const BAD = 20;
+
+/**
+ * One sample per second from a list of scores
+ */
+function samplesFrom(scores) {
+    return scores.map((score, t) => ({ t, score, issues: score < 50 ? [t % 2 ? 'unscharf' : 'zu dunkel'] : [] }));
+}
+
+function timelineWith(badSegments) {
+    return {
+        badSegments,
+        badSeconds: Math.round(badSegments.reduce((sum, segment) => sum + segment.end - segment.start, 0) * 10) / 10
+    };
+}
+
+test('findBadSegments merges bad samples separated by one good sample', () => {
+    //                              0     1    2    3     4    5    6     7     8     9
+    const samples = samplesFrom([GOOD, BAD, BAD, GOOD, BAD, BAD, GOOD, GOOD, GOOD, GOOD]);
+    const segments = phase1.findBadSegments(samples, 1, 10);
+
+    assert.equal(segments.length, 1);
+    assert.deepEqual(
+        { start: segments[0].start, end: segments[0].end, duration: segments[0].duration },
+        { start: 1, end: 6, duration: 5 }
+    );
+    assert.equal(segments[0].score, BAD);
+    assert.deepEqual(segments[0].reasons.sort(), ['unscharf', 'zu dunkel']);
+    assert.equal(segments[0].label, '0:01–0:06');
+});
+
+test('findBadSegments keeps segments apart when two good samples lie between them', () => {
+    const samples = samplesFrom([BAD, BAD, GOOD, GOOD, BAD, BAD, GOOD, GOOD]);
+    const segments = phase1.findBadSegments(samples, 1, 8);
+
+    assert.deepEqual(segments.map(s => [s.start, s.end]), [[0, 2], [4, 6]]);
+});
+
+test('findBadSegments drops segments shorter than minBadSegmentSeconds', () => {
+    const samples = samplesFrom([GOOD, BAD, GOOD, GOOD, GOOD, BAD, BAD, BAD]);
+    const segments = phase1.findBadSegments(samples, 1, 8);
+
+    // Der einzelne schlechte Messpunkt bei 1 s fällt weg, der Abschnitt am Ende endet bei der Videolänge
+    assert.deepEqual(segments.map(s => [s.start, s.end]), [[5, 8]]);
+});
+
+test('findBadSegments does not extend past the end of the video', () => {
+    const samples = samplesFrom([GOOD, GOOD, BAD, BAD, BAD]);
+    const segments = phase1.findBadSegments(samples, 1, 4.5);
+
+    assert.deepEqual(segments.map(s => [s.start, s.end, s.duration]), [[2, 4.5, 2.5]]);
+});
+
+test('planTrim cuts the bad segments when enough video is left', () => {
+    const timeline = timelineWith([
+        { start: 2, end: 4, reasons: ['unscharf'] },
+        { start: 10, end: 13, reasons: ['zu dunkel'] }
+    ]);
+
+    assert.deepEqual(phase1.planTrim(timeline, 20), {
+        segments: [{ start: 2, end: 4 }, { start: 10, end: 13 }],
+        removedSeconds: 5,
+        keptSeconds: 15
+    });
+});
+
+test('planTrim does nothing without bad segments or when too little would be left', () => {
+    assert.equal(phase1.planTrim(timelineWith([]), 20), null);
+    // 8 s Video, 4 s schlecht -> nur 4 s übrig, unter minKeptSeconds
+    assert.equal(phase1.planTrim(timelineWith([{ start: 2, end: 6 }]), 8), null);
+});
+
+test('withoutSegments drops keyframes inside the segments together with their paths', () => {
+    const keyframes = [0, 1.5, 2, 3.9, 4, 10, 12.9, 13].map(timestamp => ({ timestamp }));
+    const keyframePaths = keyframes.map((_, i) => `frame_${i}.jpg`);
+
+    const kept = phase1.withoutSegments(keyframes, keyframePaths, [{ start: 2, end: 4 }, { start: 10, end: 13 }]);
+
+    // Start gehört zum Abschnitt, Ende nicht
+    assert.deepEqual(kept.keyframes.map(k => k.timestamp), [0, 1.5, 4, 13]);
+    assert.deepEqual(kept.keyframePaths, ['frame_0.jpg', 'frame_1.jpg', 'frame_4.jpg', 'frame_7.jpg']);
+});
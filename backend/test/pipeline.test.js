@@ -0,0 +1,109 @@
+/**
+ * PIPELINE TESTS
+ * Ausführen mit `npm test` (node:test, keine weiteren Abhängigkeiten)
+ *
+ * Rollen-Matrix (auth/permissions.js): pro Rolle die erlaubten Aktionen -
+ * alles andere aus PERMISSIONS muss verweigert werden.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    ROLES,
+    DEFAULT_ROLE,
+    SHARE_LINK_ROLE,
+    PERMISSIONS,
+    MATRIX,
+    isRole,
+    can,
+    permissionsFor
+} = require('../auth/permissions');
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Rolle -> erwartete Permissions (bewusst ausgeschrieben, nicht aus MATRIX abgeleitet)
+const EXPECTED = {
+    customer: ['project:read', 'project:upload', 'project:share'],
+    sales: ['project:read', 'project:upload', 'project:share', 'offer:edit_pricing'],
+    engineer: ['project:read', 'project:upload', 'project:share', 'project:retry', 'workers:read', 'jobs:manage'],
+    admin: [
+        'project:read', 'project:upload', 'project:retry', 'project:share',
+        'offer:edit_pricing', 'workers:read', 'jobs:manage', 'users:manage'
+    ],
+    [SHARE_LINK_ROLE]: ['project:read']
+};
+
+test('MATRIX covers exactly the assignable roles plus the share link role', () => {
+    assert.deepEqual(Object.keys(MATRIX).sort(), [...ROLES, SHARE_LINK_ROLE].sort());
+    assert.deepEqual(Object.keys(EXPECTED).sort(), Object.keys(MATRIX).sort());
+});
+
+test('MATRIX only references known permissions', () => {
+    for (const [role, permissions] of Object.entries(MATRIX)) {
+        for (const permission of permissions) {
+            assert.ok(Object.hasOwn(PERMISSIONS, permission), `${role}: unknown permission ${permission}`);
+        }
+    }
+});
+
+for (const [role, allowed] of Object.entries(EXPECTED)) {
+    test(`${role}: allowed and denied actions`, () => {
+        for (const permission of ALL_PERMISSIONS) {
+            const expected = allowed.includes(permission);
+            assert.equal(can(role, permission), expected,
+                `can('${role}', '${permission}') should be ${expected}`);
+        }
+        assert.deepEqual(permissionsFor(role).sort(), [...allowed].sort());
+    });
+}
+
+test('denied actions per role', () => {
+    const denied = [
+        ['customer', 'offer:edit_pricing'],
+        ['customer', 'project:retry'],
+        ['customer', 'jobs:manage'],
+        ['customer', 'users:manage'],
+        ['sales', 'project:retry'],
+        ['sales', 'workers:read'],
+        ['sales', 'users:manage'],
+        ['engineer', 'offer:edit_pricing'],
+        ['engineer', 'users:manage'],
+        [SHARE_LINK_ROLE, 'project:upload'],
+        [SHARE_LINK_ROLE, 'project:share'],
+        [SHARE_LINK_ROLE, 'offer:edit_pricing']
+    ];
+
+    for (const [role, permission] of denied) {
+        assert.equal(can(role, permission), false, `${role} must not have ${permission}`);
+    }
+});
+
+test('unknown roles and permissions are denied', () => {
+    const cases = [
+        ['superuser', 'project:read'],
+        ['admin', 'project:delete'],
+        ['', 'project:read'],
+        [undefined, 'project:read'],
+        ['toString', 'project:read'],
+        ['admin', 'toString'],
+        ['__proto__', 'project:read']
+    ];
+
+    for (const [role, permission] of cases) {
+        assert.equal(can(role, permission), false, `can(${role}, ${permission})`);
+    }
+    assert.deepEqual(permissionsFor('superuser'), []);
+});
+
+test('share link role is not assignable', () => {
+    assert.equal(isRole(SHARE_LINK_ROLE), false);
+    assert.equal(isRole(DEFAULT_ROLE), true);
+    assert.equal(DEFAULT_ROLE, 'customer');
+    for (const role of ROLES) assert.equal(isRole(role), true);
+});
+
+test('permissionsFor returns a copy', () => {
+    const permissions = permissionsFor('customer');
+    permissions.push('users:manage');
+    assert.equal(can('customer', 'users:manage'), false);
+});
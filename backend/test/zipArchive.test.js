@@ -0,0 +1,223 @@
+/**
+ * ZIP ARCHIVE TESTS
+ * Kleines ZIP im Test erzeugt (stored + deflate), dazu manipulierte Archive:
+ * Größen und Offsets aus dem Archiv dürfen nie ungeprüft Speicher anlegen.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const config = require('../config/nvidia.config');
+const ZipArchive = require('../utils/zipArchive');
+const photoSets = require('../utils/photoSets');
+
+const { ZipError } = ZipArchive;
+
+const FILES = [
+    { name: 'fotos/', data: Buffer.alloc(0) },
+    { name: 'fotos/0001.jpg', data: Buffer.from('erstes foto '.repeat(40)), deflate: true },
+    { name: 'fotos/notiz.txt', data: Buffer.from('stored ohne kompression') }
+];
+
+let tmpDir;
+
+test.before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'servionics-zip-'));
+});
+
+test.after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (const byte of data) {
+        crc ^= byte;
+        for (let k = 0; k < 8; k++) crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Minimal ZIP writer - gibt das Archiv und die Offsets der Verzeichnis-Einträge zurück
+ */
+function buildZip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = Buffer.from(file.name, 'utf8');
+        const packed = file.deflate ? zlib.deflateRawSync(file.data) : file.data;
+        const method = file.deflate ? 8 : 0;
+        const crc = crc32(file.data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(0x800, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(packed.length, 18);
+        local.writeUInt32LE(file.data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        locals.push(local, name, packed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(0x800, 8);
+        central.writeUInt16LE(method, 10);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(packed.length, 20);
+        central.writeUInt32LE(file.data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, name);
+
+        offset += local.length + name.length + packed.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const eocd = Buffer.alloc(22);
+    eocd.writeUInt32LE(0x06054b50, 0);
+    eocd.writeUInt16LE(files.length, 8);
+    eocd.writeUInt16LE(files.length, 10);
+    eocd.writeUInt32LE(directory.length, 12);
+    eocd.writeUInt32LE(offset, 16);
+
+    return { buffer: Buffer.concat([...locals, directory, eocd]), directoryOffset: offset };
+}
+
+function writeZip(name, buffer) {
+    const file = path.join(tmpDir, name);
+    fs.writeFileSync(file, buffer);
+    return file;
+}
+
+/**
+ * Largest Buffer.alloc() while `fn` runs
+ */
+function largestAllocation(t, fn) {
+    let largest = 0;
+    const alloc = Buffer.alloc;
+    t.mock.method(Buffer, 'alloc', (size, ...rest) => {
+        largest = Math.max(largest, size);
+        return alloc.call(Buffer, size, ...rest);
+    });
+    try {
+        fn();
+    } finally {
+        Buffer.alloc.mock.restore();
+    }
+    return largest;
+}
+
+test('round trip: entries and contents of a generated ZIP', () => {
+    const file = writeZip('ok.zip', buildZip(FILES).buffer);
+    assert.equal(ZipArchive.isZip(file), true);
+
+    const archive = new ZipArchive(file);
+    try {
+        const entries = archive.entries();
+        // Ordner-Einträge fallen weg
+        assert.deepEqual(entries.map(e => e.name), ['fotos/0001.jpg', 'fotos/notiz.txt']);
+        assert.deepEqual(entries.map(e => e.method), [8, 0]);
+
+        for (const entry of entries) {
+            const expected = FILES.find(f => f.name === entry.name).data;
+            assert.ok(archive.extract(entry, 1024 * 1024).equals(expected), entry.name);
+        }
+    } finally {
+        archive.close();
+    }
+});
+
+test('a file without ZIP signature is not a ZIP', () => {
+    assert.equal(ZipArchive.isZip(writeZip('plain.jpg', Buffer.from('\xff\xd8\xff\xe0 kein zip', 'latin1'))), false);
+});
+
+test('a truncated archive is rejected', () => {
+    const { buffer } = buildZip(FILES);
+    const archive = new ZipArchive(writeZip('truncated.zip', buffer.subarray(0, buffer.length - 30)));
+    try {
+        assert.throws(() => archive.entries(), ZipError);
+    } finally {
+        archive.close();
+    }
+});
+
+test('a central directory beyond the end of the file is rejected without allocating it', (t) => {
+    const { buffer } = buildZip(FILES);
+    const eocd = buffer.length - 22;
+    buffer.writeUInt32LE(0x7ffffff0, eocd + 12); // Verzeichnisgröße ~2 GB
+
+    const archive = new ZipArchive(writeZip('huge-directory.zip', buffer));
+    try {
+        const largest = largestAllocation(t, () => {
+            assert.throws(() => archive.entries(), /abgeschnitten oder beschädigt/);
+        });
+        assert.ok(largest <= buffer.length, `allocated ${largest} bytes`);
+    } finally {
+        archive.close();
+    }
+});
+
+test('an entry whose data lies beyond the file is rejected without allocating it', (t) => {
+    const { buffer, directoryOffset } = buildZip(FILES);
+    // Zweiter Verzeichnis-Eintrag (0001.jpg): gepackte Größe 200 MB, entpackt klein
+    const central = directoryOffset + 46 + Buffer.byteLength(FILES[0].name);
+    buffer.writeUInt32LE(200 * 1024 * 1024, central + 20);
+
+    const archive = new ZipArchive(writeZip('huge-entry.zip', buffer));
+    try {
+        const [entry] = archive.entries();
+        const largest = largestAllocation(t, () => {
+            assert.throws(() => archive.extract(entry, 500 * 1024 * 1024), ZipError);
+        });
+        assert.ok(largest <= buffer.length, `allocated ${largest} bytes`);
+    } finally {
+        archive.close();
+    }
+});
+
+test('entries larger than maxBytes are rejected before reading', (t) => {
+    const { buffer, directoryOffset } = buildZip(FILES);
+    const central = directoryOffset + 46 + Buffer.byteLength(FILES[0].name);
+    buffer.writeUInt32LE(0xfffffff0, central + 20);
+
+    const archive = new ZipArchive(writeZip('oversized.zip', buffer));
+    try {
+        const [packed, stored] = archive.entries();
+        const largest = largestAllocation(t, () => {
+            assert.throws(() => archive.extract(packed, 1024 * 1024), /Eintrag zu groß/);
+            assert.throws(() => archive.extract(stored, 10), /Eintrag zu groß/);
+        });
+        assert.equal(largest, 0);
+    } finally {
+        archive.close();
+    }
+});
+
+test('photoSets.prepare answers a broken ZIP with 400 and leaves no photo folder', async () => {
+    const uploads = config.output.uploads;
+    config.output.uploads = path.join(tmpDir, 'uploads');
+    try {
+        const { buffer } = buildZip(FILES);
+        const file = writeZip('broken.zip', buffer.subarray(0, buffer.length - 30));
+
+        const result = await photoSets.prepare([{ path: file, originalName: 'fotos.zip', size: buffer.length }], 'org_test');
+
+        assert.equal(result.success, false);
+        assert.equal(result.statusCode, 400);
+        const orgDir = path.join(config.output.uploads, 'org_test');
+        const left = fs.existsSync(orgDir) ? fs.readdirSync(orgDir) : [];
+        assert.deepEqual(left.filter(name => name.startsWith('photos_')), []);
+    } finally {
+        config.output.uploads = uploads;
+    }
+});
@@ -0,0 +1,358 @@
+/**
+ * CHUNKED UPLOADS
+ * Fortsetzbare Video-Uploads in Teilstücken - für Handy-Aufnahmen über
+ * wackliges Werks-WLAN, wo ein einzelner Multipart-Request oft abbricht
+ *
+ * Ablauf (api/routes.js):
+ *   POST   /api/uploads                      Session anlegen (Größe, Typ, optional SHA-256)
+ *   PUT    /api/uploads/:uploadId/chunks/:n  Teilstück n, Header X-Chunk-Sha256
+ *   GET    /api/uploads/:uploadId            Welche Teilstücke schon da sind (zum Fortsetzen)
+ *   POST   /api/uploads/:uploadId/complete   Zusammensetzen, prüfen, Pipeline starten
+ *   POST   /api/uploads/complete             Dasselbe für mehrere Videos eines Projekts
+ *
+ * Teilstücke liegen unter uploads/<orgId>/.chunks/<uploadId>/<n>.part und
+ * werden erst nach geprüfter Prüfsumme dorthin umbenannt - was auf der
+ * Platte liegt, ist also vollständig. Die Session im Store überlebt Neustarts.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const config = require('../config/nvidia.config');
+const store = require('../store');
+const projectPaths = require('./projectPaths');
+const videoValidator = require('./videoValidator');
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/i;
+const CHUNK_FILE_PATTERN = /^(\d+)\.part$/;
+
+class ChunkedUploads {
+    constructor() {
+        this.assembling = new Set(); // uploadIds, die gerade zusammengesetzt werden
+    }
+
+    /**
+     * Start an upload session
+     * @param {Object} user - req.user
+     * @param {Object} data - { fileName, size, mimeType, sha256 }
+     * @returns {Promise<Object>} - { success, session } oder { success: false, statusCode, error }
+     */
+    async create(user, { fileName, size, mimeType, sha256 } = {}) {
+        const originalName = path.basename(String(fileName || '')).trim();
+        if (!originalName) {
+            return { success: false, statusCode: 400, error: 'Dateiname erforderlich' };
+        }
+        if (!Number.isInteger(size) || size <= 0) {
+            return { success: false, statusCode: 400, error: 'Dateigröße (size) in Bytes erforderlich' };
+        }
+        if (size > config.limits.maxUploadBytes) {
+            return {
+                success: false,
+                statusCode: 413,
+                error: `Video ist zu groß (max. ${Math.round(config.limits.maxUploadBytes / (1024 * 1024))} MB)`
+            };
+        }
+        if (!String(mimeType || '').startsWith('video/')) {
+            return { success: false, statusCode: 400, error: 'Nur Videodateien erlaubt' };
+        }
+        if (sha256 != null && !SHA256_PATTERN.test(sha256)) {
+            return { success: false, statusCode: 400, error: 'sha256 muss ein Hex-String mit 64 Zeichen sein' };
+        }
+
+        await this.purgeExpired();
+
+        const { chunkSize, sessionTtlHours } = config.chunkedUpload;
+        const now = Date.now();
+        const session = {
+            id: `upl_${crypto.randomBytes(12).toString('hex')}`,
+            userId: user.id,
+            orgId: user.orgId,
+            status: 'uploading',
+            fileName: originalName,
+            mimeType,
+            size,
+            sha256: sha256 ? sha256.toLowerCase() : null,
+            chunkSize,
+            totalChunks: Math.ceil(size / chunkSize),
+            projectId: null,
+            createdAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + sessionTtlHours * 60 * 60 * 1000).toISOString()
+        };
+
+        await store.saveUploadSession(session);
+        console.log(`[Uploads] Session ${session.id} started by ${user.email}: ${originalName} (${size} bytes, ${session.totalChunks} chunks)`);
+
+        return { success: true, session };
+    }
+
+    /**
+     * Session of the caller - fremde Sessions verhalten sich wie unbekannte
+     * @returns {Promise<Object|null>}
+     */
+    async get(uploadId, user) {
+        const session = await store.getUploadSession(uploadId);
+        if (!session || session.userId !== user.id || session.orgId !== user.orgId) return null;
+
+        if (session.status === 'uploading' && isExpired(session)) {
+            return this.expire(session);
+        }
+        return session;
+    }
+
+    /**
+     * Store one chunk - prüft Länge und SHA-256, bevor es als empfangen gilt.
+     * Wiederholtes Senden desselben Teilstücks überschreibt es.
+     * @param {Object} session
+     * @param {number} index - 0-basiert
+     * @param {stream.Readable} body - Request-Body (application/octet-stream)
+     * @param {string} checksum - SHA-256 (hex) des Teilstücks
+     * @returns {Promise<Object>} - { success, index, receivedChunks } oder { success: false, statusCode, error }
+     */
+    async receiveChunk(session, index, body, checksum) {
+        if (session.status !== 'uploading') {
+            return { success: false, statusCode: 409, error: `Upload ist bereits ${describeStatus(session.status)}` };
+        }
+        if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+            return { success: false, statusCode: 400, error: `Teilstück muss zwischen 0 und ${session.totalChunks - 1} liegen` };
+        }
+        if (!SHA256_PATTERN.test(checksum || '')) {
+            return { success: false, statusCode: 400, error: 'Header X-Chunk-Sha256 (SHA-256 als Hex) erforderlich' };
+        }
+
+        const expectedBytes = this.chunkLength(session, index);
+        const chunkDir = projectPaths.chunkDir(session.orgId, session.id);
+        fs.mkdirSync(chunkDir, { recursive: true });
+
+        // Erst in eine temporäre Datei - parallele Wiederholungen stören sich nicht
+        const tmpPath = path.join(chunkDir, `${index}.${crypto.randomBytes(4).toString('hex')}.tmp`);
+        const hash = crypto.createHash('sha256');
+        let receivedBytes = 0;
+
+        const meter = new Transform({
+            transform(data, encoding, callback) {
+                receivedBytes += data.length;
+                if (receivedBytes > expectedBytes) {
+                    return callback(new Error('CHUNK_TOO_LARGE'));
+                }
+                hash.update(data);
+                callback(null, data);
+            }
+        });
+
+        try {
+            await pipeline(body, meter, fs.createWriteStream(tmpPath));
+        } catch (error) {
+            fs.rmSync(tmpPath, { force: true });
+            if (error.message === 'CHUNK_TOO_LARGE') {
+                return { success: false, statusCode: 413, error: `Teilstück ${index} ist größer als ${expectedBytes} Bytes` };
+            }
+            return { success: false, statusCode: 400, error: `Übertragung von Teilstück ${index} abgebrochen` };
+        }
+
+        if (receivedBytes !== expectedBytes) {
+            fs.rmSync(tmpPath, { force: true });
+            return {
+                success: false,
+                statusCode: 400,
+                error: `Teilstück ${index} muss ${expectedBytes} Bytes haben (erhalten: ${receivedBytes})`
+            };
+        }
+
+        if (hash.digest('hex') !== checksum.toLowerCase()) {
+            fs.rmSync(tmpPath, { force: true });
+            return { success: false, statusCode: 400, error: `Prüfsumme von Teilstück ${index} stimmt nicht - bitte erneut senden` };
+        }
+
+        const partPath = path.join(chunkDir, `${index}.part`);
+        fs.renameSync(tmpPath, partPath);
+
+        // Kein Video? Dann gar nicht erst die restlichen Teilstücke annehmen
+        if (index === 0) {
+            const checked = videoValidator.checkContainer(partPath);
+            if (!checked.success) {
+                await this.abort(session);
+                return checked;
+            }
+        }
+
+        return { success: true, index, receivedChunks: this.receivedChunks(session) };
+    }
+
+    /**
+     * @returns {number[]} - Indizes der noch fehlenden Teilstücke
+     */
+    missingChunks(session) {
+        const received = new Set(this.receivedChunks(session));
+        const missing = [];
+        for (let i = 0; i < session.totalChunks; i++) {
+            if (!received.has(i)) missing.push(i);
+        }
+        return missing;
+    }
+
+    /**
+     * Join all chunks into uploads/<orgId>/<datei> and verify the whole file.
+     * Die Teilstücke bleiben liegen, bis markComplete() das Projekt kennt
+     * @returns {Promise<Object>} - { success, filePath, originalName, size } oder { success: false, statusCode, error }
+     */
+    async assemble(session) {
+        if (session.status !== 'uploading') {
+            return { success: false, statusCode: 409, error: `Upload ist bereits ${describeStatus(session.status)}` };
+        }
+        if (this.assembling.has(session.id)) {
+            return { success: false, statusCode: 409, error: 'Upload wird bereits abgeschlossen' };
+        }
+
+        const missing = this.missingChunks(session);
+        if (missing.length > 0) {
+            return {
+                success: false,
+                statusCode: 409,
+                error: `Es fehlen noch ${missing.length} von ${session.totalChunks} Teilstücken`,
+                missingChunks: missing
+            };
+        }
+
+        this.assembling.add(session.id);
+        const chunkDir = projectPaths.chunkDir(session.orgId, session.id);
+        const filePath = path.join(projectPaths.uploadDir(session.orgId), projectPaths.uploadFileName(session.fileName));
+
+        try {
+            const hash = crypto.createHash('sha256');
+            const out = fs.createWriteStream(filePath);
+
+            for (let i = 0; i < session.totalChunks; i++) {
+                for await (const data of fs.createReadStream(path.join(chunkDir, `${i}.part`))) {
+                    hash.update(data);
+                    if (!out.write(data)) {
+                        await new Promise(resolve => out.once('drain', resolve));
+                    }
+                }
+            }
+            await new Promise((resolve, reject) => out.end(error => (error ? reject(error) : resolve())));
+
+            const size = fs.statSync(filePath).size;
+            const digest = hash.digest('hex');
+
+            if (size !== session.size || (session.sha256 && digest !== session.sha256)) {
+                fs.rmSync(filePath, { force: true });
+                return {
+                    success: false,
+                    statusCode: 400,
+                    error: size !== session.size
+                        ? `Zusammengesetzte Datei hat ${size} statt ${session.size} Bytes`
+                        : 'Prüfsumme der Datei stimmt nicht mit der angekündigten überein'
+                };
+            }
+
+            console.log(`[Uploads] Session ${session.id} assembled: ${path.basename(filePath)}`);
+
+            return { success: true, filePath, originalName: session.fileName, size, sha256: digest };
+        } catch (error) {
+            fs.rmSync(filePath, { force: true });
+            throw error;
+        } finally {
+            this.assembling.delete(session.id);
+        }
+    }
+
+    /**
+     * Mark a session as done once its project exists and drop the chunks -
+     * ein erneutes "complete" (z.B. nach Verbindungsabbruch) liefert dann dieses Projekt
+     */
+    async markComplete(session, projectId) {
+        fs.rmSync(projectPaths.chunkDir(session.orgId, session.id), { recursive: true, force: true });
+        return store.updateUploadSession(session.id, {
+            status: 'complete',
+            projectId,
+            completedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Cancel an unfinished upload and delete its chunks
+     */
+    async abort(session) {
+        if (session.status !== 'uploading') {
+            return { success: false, statusCode: 409, error: `Upload ist bereits ${describeStatus(session.status)}` };
+        }
+
+        fs.rmSync(projectPaths.chunkDir(session.orgId, session.id), { recursive: true, force: true });
+        const aborted = await store.updateUploadSession(session.id, { status: 'aborted' });
+        return { success: true, session: aborted };
+    }
+
+    /**
+     * Drop sessions older than config.chunkedUpload.sessionTtlHours (beim Start und bei neuen Sessions)
+     * @returns {Promise<number>} - Anzahl verworfener Sessions
+     */
+    async purgeExpired() {
+        const expired = (await store.listUploadSessions({ status: 'uploading' })).filter(isExpired);
+
+        for (const session of expired) {
+            await this.expire(session);
+        }
+        if (expired.length > 0) {
+            console.log(`[Uploads] ${expired.length} unfinished upload(s) expired`);
+        }
+        return expired.length;
+    }
+
+    async expire(session) {
+        fs.rmSync(projectPaths.chunkDir(session.orgId, session.id), { recursive: true, force: true });
+        return store.updateUploadSession(session.id, { status: 'expired' });
+    }
+
+    /**
+     * @returns {number[]} - Indizes der vollständig empfangenen Teilstücke
+     */
+    receivedChunks(session) {
+        const chunkDir = projectPaths.chunkDir(session.orgId, session.id);
+        if (!fs.existsSync(chunkDir)) return [];
+
+        return fs.readdirSync(chunkDir)
+            .map(name => CHUNK_FILE_PATTERN.exec(name))
+            .filter(Boolean)
+            .map(match => parseInt(match[1], 10))
+            .sort((a, b) => a - b);
+    }
+
+    chunkLength(session, index) {
+        return Math.min(session.chunkSize, session.size - index * session.chunkSize);
+    }
+
+    /**
+     * Session for API responses
+     */
+    toPublic(session) {
+        const receivedChunks = session.status === 'uploading' ? this.receivedChunks(session) : [];
+        return {
+            uploadId: session.id,
+            status: session.status,
+            fileName: session.fileName,
+            size: session.size,
+            chunkSize: session.chunkSize,
+            totalChunks: session.totalChunks,
+            receivedChunks,
+            receivedBytes: receivedChunks.reduce((sum, index) => sum + this.chunkLength(session, index), 0),
+            projectId: session.projectId,
+            expiresAt: session.expiresAt
+        };
+    }
+}
+
+function isExpired(session) {
+    return new Date(session.expiresAt).getTime() < Date.now();
+}
+
+function describeStatus(status) {
+    return {
+        complete: 'abgeschlossen',
+        aborted: 'abgebrochen',
+        expired: 'abgelaufen'
+    }[status] || status;
+}
+
+module.exports = new ChunkedUploads();
@@ -0,0 +1,328 @@
+/**
+ * FEATURE DETECTOR - Merkmalspunkte wie sie SfM (COLMAP) braucht
+ *
+ * ORB-ähnlich, ohne native Abhängigkeiten:
+ * 1. FAST-9: Pixel, um den 9 zusammenhängende von 16 Kreispunkten deutlich
+ *    heller oder dunkler sind
+ * 2. Rangfolge nach Harris-Eckenstärke, die besten MAX_KEYPOINTS bleiben
+ * 3. Orientierung über den Intensitäts-Schwerpunkt des Umfelds
+ * 4. BRIEF-Deskriptor (256 Bit Helligkeitsvergleiche), passend zur
+ *    Orientierung gedreht - Drehung der Kamera ändert ihn kaum
+ *
+ * match() ordnet Punkte zweier Frames über die Hamming-Distanz zu
+ * (gegenseitig nächster Nachbar + Ratio-Test).
+ *
+ * LERNPUNKT: Nicht die Anzahl der Ecken entscheidet, sondern wie viele
+ * davon im nächsten Frame wiedergefunden werden - genau daraus baut
+ * COLMAP die Kamerapositionen.
+ */
+
+const sharp = require('sharp');
+
+const FAST_THRESHOLD = 20;          // Grauwert-Differenz (0-255)
+const FAST_ARC = 9;
+const MAX_KEYPOINTS = 300;
+const PATCH_RADIUS = 12;            // BRIEF-Umfeld 25x25 (bei 160px Bildbreite)
+const ORIENTATION_RADIUS = 7;
+const DESCRIPTOR_BITS = 256;
+const DESCRIPTOR_WORDS = DESCRIPTOR_BITS / 32;
+const ANGLE_STEPS = 30;             // Vorberechnete Drehungen des Musters (12°)
+const MAX_HAMMING = 64;
+const MATCH_RATIO = 0.8;
+
+// Bresenham-Kreis mit Radius 3 (16 Punkte)
+const CIRCLE = [
+    [0, -3], [1, -3], [2, -2], [3, -1], [3, 0], [3, 1], [2, 2], [1, 3],
+    [0, 3], [-1, 3], [-2, 2], [-3, 1], [-3, 0], [-3, -1], [-2, -2], [-1, -3]
+];
+
+const PATTERNS = buildPatterns();
+const patternOffsets = new Map(); // Bildbreite -> Offsets je Drehung
+
+class FeatureDetector {
+    /**
+     * Keypoints and descriptors of one frame
+     * @param {string} framePath
+     * @returns {Promise<Object>} - { width, height, keypoints: [{ x, y, score, angle }], descriptors: Uint32Array[] }
+     */
+    async detect(framePath) {
+        const { data, info } = await sharp(framePath)
+            .grayscale()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        const { width, height, channels } = info;
+        const gray = new Uint8Array(width * height);
+        for (let i = 0; i < gray.length; i++) gray[i] = data[i * channels];
+
+        const candidates = fastCorners(gray, width, height);
+        const harris = harrisResponse(gray, width, height);
+        const keypoints = candidates
+            .map(({ x, y }) => ({ x, y, score: harris[y * width + x] }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_KEYPOINTS);
+
+        // BRIEF vergleicht geglättete Pixel - Rauschen kippt sonst einzelne Bits
+        const smooth = boxBlur(gray, width, height);
+        const offsets = offsetsFor(width);
+        const descriptors = keypoints.map(keypoint => {
+            keypoint.angle = orientation(gray, width, keypoint.x, keypoint.y);
+            return describe(smooth, width, keypoint, offsets);
+        });
+
+        return { width, height, keypoints, descriptors };
+    }
+
+    /**
+     * Match two frames
+     * @param {Object} a - Ergebnis von detect()
+     * @param {Object} b - Ergebnis von detect()
+     * @returns {Object[]} - [{ x1, y1, x2, y2, distance }]
+     */
+    match(a, b) {
+        if (a.descriptors.length === 0 || b.descriptors.length === 0) return [];
+
+        const forward = nearest(a.descriptors, b.descriptors);
+        const backward = nearest(b.descriptors, a.descriptors);
+
+        const matches = [];
+        forward.forEach((candidate, i) => {
+            if (candidate.index < 0 || candidate.distance > MAX_HAMMING) return;
+            if (candidate.distance > MATCH_RATIO * candidate.second) return;
+            if (backward[candidate.index].index !== i) return; // gegenseitig
+
+            const p = a.keypoints[i];
+            const q = b.keypoints[candidate.index];
+            matches.push({ x1: p.x, y1: p.y, x2: q.x, y2: q.y, distance: candidate.distance });
+        });
+        return matches;
+    }
+}
+
+/**
+ * FAST-9 with 3x3 non-maximum suppression
+ */
+function fastCorners(gray, width, height) {
+    const border = PATCH_RADIUS + 1;
+    const scores = new Float32Array(width * height);
+    const offsets = CIRCLE.map(([dx, dy]) => dy * width + dx);
+
+    for (let y = border; y < height - border; y++) {
+        for (let x = border; x < width - border; x++) {
+            const i = y * width + x;
+            const p = gray[i];
+            const brighter = p + FAST_THRESHOLD;
+            const darker = p - FAST_THRESHOLD;
+
+            // Schnelltest: von den Punkten 0/4/8/12 müssen mindestens 2 passen
+            let quick = 0;
+            for (let k = 0; k < 16; k += 4) {
+                const v = gray[i + offsets[k]];
+                if (v > brighter || v < darker) quick++;
+            }
+            if (quick < 2) continue;
+
+            if (hasArc(gray, i, offsets, brighter, 1) || hasArc(gray, i, offsets, darker, -1)) {
+                let score = 0;
+                for (let k = 0; k < 16; k++) score += Math.abs(gray[i + offsets[k]] - p);
+                scores[i] = score;
+            }
+        }
+    }
+
+    const corners = [];
+    for (let y = border; y < height - border; y++) {
+        for (let x = border; x < width - border; x++) {
+            const s = scores[y * width + x];
+            if (s === 0) continue;
+            let isMax = true;
+            for (let dy = -1; dy <= 1 && isMax; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    if ((dx || dy) && scores[(y + dy) * width + x + dx] > s) {
+                        isMax = false;
+                        break;
+                    }
+                }
+            }
+            if (isMax) corners.push({ x, y });
+        }
+    }
+    return corners;
+}
+
+/**
+ * FAST_ARC contiguous circle pixels above (sign 1) or below (sign -1) the limit
+ */
+function hasArc(gray, i, offsets, limit, sign) {
+    let run = 0;
+    // Zweimal herum, damit Bögen über den Startpunkt hinweg zählen
+    for (let k = 0; k < 16 + FAST_ARC - 1; k++) {
+        const v = gray[i + offsets[k % 16]];
+        if (sign > 0 ? v > limit : v < limit) {
+            if (++run >= FAST_ARC) return true;
+        } else {
+            run = 0;
+        }
+    }
+    return false;
+}
+
+/**
+ * Harris corner response (k = 0.04, 5x5 Fenster)
+ */
+function harrisResponse(gray, width, height) {
+    const gx = new Float32Array(width * height);
+    const gy = new Float32Array(width * height);
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            gx[i] = (gray[i + 1] - gray[i - 1]) / 2;
+            gy[i] = (gray[i + width] - gray[i - width]) / 2;
+        }
+    }
+
+    const response = new Float32Array(width * height);
+    for (let y = 3; y < height - 3; y++) {
+        for (let x = 3; x < width - 3; x++) {
+            let sxx = 0, syy = 0, sxy = 0;
+            for (let wy = -2; wy <= 2; wy++) {
+                for (let wx = -2; wx <= 2; wx++) {
+                    const i = (y + wy) * width + x + wx;
+                    sxx += gx[i] * gx[i];
+                    syy += gy[i] * gy[i];
+                    sxy += gx[i] * gy[i];
+                }
+            }
+            response[y * width + x] = sxx * syy - sxy * sxy - 0.04 * (sxx + syy) ** 2;
+        }
+    }
+    return response;
+}
+
+/**
+ * Intensity centroid angle (ORB)
+ */
+function orientation(gray, width, x, y) {
+    let m10 = 0, m01 = 0;
+    const r2 = ORIENTATION_RADIUS ** 2;
+    for (let dy = -ORIENTATION_RADIUS; dy <= ORIENTATION_RADIUS; dy++) {
+        for (let dx = -ORIENTATION_RADIUS; dx <= ORIENTATION_RADIUS; dx++) {
+            if (dx * dx + dy * dy > r2) continue;
+            const v = gray[(y + dy) * width + x + dx];
+            m10 += dx * v;
+            m01 += dy * v;
+        }
+    }
+    return Math.atan2(m01, m10);
+}
+
+function describe(smooth, width, keypoint, offsets) {
+    const step = Math.round(((keypoint.angle + 2 * Math.PI) % (2 * Math.PI)) / (2 * Math.PI) * ANGLE_STEPS) % ANGLE_STEPS;
+    const pattern = offsets[step];
+    const center = keypoint.y * width + keypoint.x;
+    const descriptor = new Uint32Array(DESCRIPTOR_WORDS);
+
+    for (let bit = 0; bit < DESCRIPTOR_BITS; bit++) {
+        if (smooth[center + pattern[2 * bit]] < smooth[center + pattern[2 * bit + 1]]) {
+            descriptor[bit >> 5] |= 1 << (bit & 31);
+        }
+    }
+    return descriptor;
+}
+
+/**
+ * Best and second-best Hamming distance for every descriptor of `from`
+ */
+function nearest(from, to) {
+    return from.map(d => {
+        let best = Infinity, second = Infinity, index = -1;
+        for (let j = 0; j < to.length; j++) {
+            const distance = hamming(d, to[j]);
+            if (distance < best) {
+                second = best;
+                best = distance;
+                index = j;
+            } else if (distance < second) {
+                second = distance;
+            }
+        }
+        return { index, distance: best, second };
+    });
+}
+
+function hamming(a, b) {
+    let distance = 0;
+    for (let w = 0; w < DESCRIPTOR_WORDS; w++) {
+        let v = a[w] ^ b[w];
+        v -= (v >>> 1) & 0x55555555;
+        v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+        distance += (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+    }
+    return distance;
+}
+
+/**
+ * 5x5 box blur (reicht für BRIEF, ORB nutzt Gauß)
+ */
+function boxBlur(gray, width, height) {
+    const horizontal = new Float32Array(width * height);
+    const out = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let k = -2; k <= 2; k++) sum += gray[y * width + Math.min(width - 1, Math.max(0, x + k))];
+            horizontal[y * width + x] = sum / 5;
+        }
+    }
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let sum = 0;
+            for (let k = -2; k <= 2; k++) sum += horizontal[Math.min(height - 1, Math.max(0, y + k)) * width + x];
+            out[y * width + x] = sum / 5;
+        }
+    }
+    return out;
+}
+
+/**
+ * Pattern points as linear pixel offsets for one image width
+ */
+function offsetsFor(width) {
+    if (!patternOffsets.has(width)) {
+        patternOffsets.set(width, PATTERNS.map(points => Int32Array.from(points, p => p.y * width + p.x)));
+    }
+    return patternOffsets.get(width);
+}
+
+/**
+ * BRIEF test pairs (fester Seed) in ANGLE_STEPS Drehungen
+ * @returns {Object[][]} - Je Drehung [{ x, y }], Paare an Position 2i / 2i+1
+ */
+function buildPatterns() {
+    let state = 0x2545f491;
+    const random = () => {
+        state ^= state << 13; state >>>= 0;
+        state ^= state >>> 17;
+        state ^= state << 5; state >>>= 0;
+        return state / 4294967296;
+    };
+    // Gauß-verteilte Punkte (Box-Muller) - auf einen Kreis begrenzt, damit
+    // sie auch gedreht im Umfeld bleiben
+    const gaussian = () => Math.sqrt(-2 * Math.log(random() + 1e-12)) * Math.cos(2 * Math.PI * random()) * PATCH_RADIUS / 2;
+    const limit = PATCH_RADIUS - 1;
+
+    const points = [];
+    for (let i = 0; i < DESCRIPTOR_BITS * 2; i++) {
+        const x = gaussian(), y = gaussian();
+        const factor = Math.min(1, limit / (Math.hypot(x, y) || 1));
+        points.push([x * factor, y * factor]);
+    }
+
+    return Array.from({ length: ANGLE_STEPS }, (_, step) => {
+        const angle = step / ANGLE_STEPS * 2 * Math.PI;
+        const cos = Math.cos(angle), sin = Math.sin(angle);
+        return points.map(([x, y]) => ({ x: Math.round(cos * x - sin * y), y: Math.round(sin * x + cos * y) }));
+    });
+}
+
+module.exports = new FeatureDetector();
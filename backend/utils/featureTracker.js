@@ -0,0 +1,429 @@
+/**
+ * FEATURE TRACKER - Kamerabewegung zwischen Keyframes (optischer Fluss)
+ *
+ * Pro Keyframe-Paar:
+ * 1. Ecken finden (Shi-Tomasi: kleinster Eigenwert des Strukturtensors)
+ * 2. Grobe Verschiebung des ganzen Bildes per Block Matching auf der
+ *    kleinsten Pyramidenstufe - fängt auch schnelle Schwenks ein
+ * 3. Jede Ecke mit pyramidalem Lucas-Kanade verfolgen, Hin- und
+ *    Rückweg müssen übereinstimmen (sonst verworfen)
+ * 4. Ähnlichkeitstransformation (Verschiebung, Drehung, Zoom) robust
+ *    aus den Spuren schätzen -> Überlappung = Anteil von Bild 1, der in
+ *    Bild 2 noch zu sehen ist
+ *
+ * LERNPUNKT: Die Bilder werden vorher auf Mittelwert 0 / Streuung 1
+ * normiert - eine Belichtungsänderung ist so keine "Bewegung" mehr.
+ * Gerechnet wird auf 160px breiten Graustufenbildern (wie die Phase-1-Vorschauen).
+ */
+
+const sharp = require('sharp');
+
+const TRACK_WIDTH = 160;
+const PYRAMID_LEVELS = 3;           // 160 -> 80 -> 40 px
+const MAX_CORNERS = 150;
+const CORNER_QUALITY = 0.01;        // Relativ zur stärksten Ecke
+const CORNER_MIN_DISTANCE = 6;      // px
+const BORDER = 8;                   // px Rand ohne Ecken (LK-Fenster)
+const WINDOW_RADIUS = 5;            // LK-Fenster 11x11
+const LK_ITERATIONS = 10;
+const MAX_FB_ERROR = 1;             // px, Hin-/Rückweg
+const MIN_TRACKS = 8;               // Darunter gilt das Paar als verloren
+const GLOBAL_SEARCH = 12;           // px auf der kleinsten Stufe (= 48 px im Original)
+
+class FeatureTracker {
+    /**
+     * Track the camera across consecutive keyframes
+     * @param {string[]} framePaths - In zeitlicher Reihenfolge
+     * @returns {Promise<Object>} - { width, height, pairs: [{ from, to, dx, dy, motion, rotation,
+     *   scale, overlap, corners, tracked, lost, matches }] }
+     *   dx/dy in px (TRACK_WIDTH), motion in % der Bildbreite, rotation in Grad,
+     *   overlap in %, matches = [{ x1, y1, x2, y2 }] für weitere Auswertungen
+     */
+    async trackSequence(framePaths) {
+        const pairs = [];
+        let previous = framePaths.length > 0 ? await this.loadFrame(framePaths[0]) : null;
+
+        for (let i = 1; i < framePaths.length; i++) {
+            const current = await this.loadFrame(framePaths[i]);
+            pairs.push({ from: i - 1, to: i, ...this.track(previous, current) });
+            previous = current;
+        }
+
+        return {
+            width: previous?.width || TRACK_WIDTH,
+            height: previous?.height || 0,
+            pairs
+        };
+    }
+
+    /**
+     * Load a frame as normalized grayscale pyramid with gradients
+     */
+    async loadFrame(framePath) {
+        const { data, info } = await sharp(framePath)
+            .resize({ width: TRACK_WIDTH })
+            .grayscale()
+            .raw()
+            .toBuffer({ resolveWithObject: true });
+
+        const { width, height, channels } = info;
+        const gray = new Float32Array(width * height);
+        let sum = 0;
+        for (let i = 0; i < gray.length; i++) {
+            gray[i] = data[i * channels];
+            sum += gray[i];
+        }
+
+        // Normierung gegen Belichtungsänderungen
+        const mean = sum / gray.length;
+        let variance = 0;
+        for (let i = 0; i < gray.length; i++) variance += (gray[i] - mean) ** 2;
+        const std = Math.sqrt(variance / gray.length) || 1;
+        for (let i = 0; i < gray.length; i++) gray[i] = (gray[i] - mean) / std;
+
+        const levels = [withGradients({ data: gray, width, height })];
+        for (let l = 1; l < PYRAMID_LEVELS; l++) {
+            levels.push(withGradients(downsample(levels[l - 1])));
+        }
+
+        return { width, height, levels };
+    }
+
+    /**
+     * Motion between two loaded frames
+     * @returns {Object} - Siehe trackSequence() (ohne from/to)
+     */
+    track(frame1, frame2) {
+        const corners = this.detectCorners(frame1.levels[0]);
+        const guess = this.globalShift(frame1.levels[PYRAMID_LEVELS - 1], frame2.levels[PYRAMID_LEVELS - 1]);
+
+        const matches = [];
+        for (const corner of corners) {
+            const forward = this.trackPoint(frame1, frame2, corner, guess);
+            if (!forward) continue;
+
+            const backward = this.trackPoint(frame2, frame1, forward, { x: -guess.x, y: -guess.y });
+            if (!backward || Math.hypot(backward.x - corner.x, backward.y - corner.y) > MAX_FB_ERROR) continue;
+
+            matches.push({ x1: corner.x, y1: corner.y, x2: forward.x, y2: forward.y });
+        }
+
+        const base = { corners: corners.length, tracked: matches.length, matches };
+        const transform = matches.length >= MIN_TRACKS ? fitSimilarity(matches) : null;
+        if (!transform) {
+            return { ...base, dx: null, dy: null, motion: null, rotation: null, scale: null, overlap: 0, lost: true };
+        }
+
+        const { width, height } = frame1;
+        // Verschiebung der Bildmitte - bei Drehung/Zoom aussagekräftiger als t
+        const center = applySimilarity(transform, width / 2, height / 2);
+        const dx = center.x - width / 2;
+        const dy = center.y - height / 2;
+
+        return {
+            ...base,
+            dx: round(dx, 1),
+            dy: round(dy, 1),
+            motion: round(Math.hypot(dx, dy) / width * 100, 1),
+            rotation: round(Math.atan2(transform.b, transform.a) * 180 / Math.PI, 1),
+            scale: round(Math.hypot(transform.a, transform.b), 3),
+            overlap: Math.round(overlapOf(transform, width, height)),
+            lost: false
+        };
+    }
+
+    /**
+     * Shi-Tomasi corners with minimum distance
+     * @returns {Object[]} - [{ x, y }], stärkste zuerst
+     */
+    detectCorners(level) {
+        const { width, height, gx, gy } = level;
+        const response = new Float32Array(width * height);
+        let maxResponse = 0;
+
+        for (let y = BORDER; y < height - BORDER; y++) {
+            for (let x = BORDER; x < width - BORDER; x++) {
+                let sxx = 0, syy = 0, sxy = 0;
+                for (let wy = -2; wy <= 2; wy++) {
+                    for (let wx = -2; wx <= 2; wx++) {
+                        const i = (y + wy) * width + (x + wx);
+                        sxx += gx[i] * gx[i];
+                        syy += gy[i] * gy[i];
+                        sxy += gx[i] * gy[i];
+                    }
+                }
+                // Kleinerer Eigenwert: nur echte Ecken, keine Kanten
+                const trace = (sxx + syy) / 2;
+                const r = trace - Math.sqrt(((sxx - syy) / 2) ** 2 + sxy * sxy);
+                response[y * width + x] = r;
+                if (r > maxResponse) maxResponse = r;
+            }
+        }
+
+        const threshold = maxResponse * CORNER_QUALITY;
+        const candidates = [];
+        for (let y = BORDER; y < height - BORDER; y++) {
+            for (let x = BORDER; x < width - BORDER; x++) {
+                const r = response[y * width + x];
+                if (r > threshold && isLocalMax(response, width, x, y)) candidates.push({ x, y, r });
+            }
+        }
+        candidates.sort((a, b) => b.r - a.r);
+
+        const corners = [];
+        const minDistance2 = CORNER_MIN_DISTANCE ** 2;
+        for (const c of candidates) {
+            if (corners.every(k => (k.x - c.x) ** 2 + (k.y - c.y) ** 2 >= minDistance2)) {
+                corners.push({ x: c.x, y: c.y });
+                if (corners.length >= MAX_CORNERS) break;
+            }
+        }
+        return corners;
+    }
+
+    /**
+     * Whole-image shift by block matching on the coarsest level
+     * @returns {Object} - { x, y } auf der kleinsten Stufe
+     */
+    globalShift(level1, level2) {
+        const { width, height } = level1;
+        const step = width * height > 2000 ? 2 : 1;
+        let best = { x: 0, y: 0, cost: Infinity };
+
+        for (let sy = -GLOBAL_SEARCH; sy <= GLOBAL_SEARCH; sy++) {
+            for (let sx = -GLOBAL_SEARCH; sx <= GLOBAL_SEARCH; sx++) {
+                const x0 = Math.max(0, -sx), x1 = Math.min(width, width - sx);
+                const y0 = Math.max(0, -sy), y1 = Math.min(height, height - sy);
+                // Mindestens die halbe Fläche vergleichen, sonst gewinnt der Rand
+                if ((x1 - x0) * (y1 - y0) < width * height / 2) continue;
+
+                let cost = 0, count = 0;
+                for (let y = y0; y < y1; y += step) {
+                    for (let x = x0; x < x1; x += step) {
+                        cost += Math.abs(level1.data[y * width + x] - level2.data[(y + sy) * width + x + sx]);
+                        count++;
+                    }
+                }
+                cost /= count;
+                if (cost < best.cost) best = { x: sx, y: sy, cost };
+            }
+        }
+        return { x: best.x, y: best.y };
+    }
+
+    /**
+     * Pyramidal Lucas-Kanade for one point
+     * @param {Object} guess - Startverschiebung auf der kleinsten Stufe
+     * @returns {Object|null} - { x, y } in frame2 oder null
+     */
+    trackPoint(frame1, frame2, point, guess) {
+        let gx = guess.x;
+        let gy = guess.y;
+
+        for (let l = PYRAMID_LEVELS - 1; l >= 0; l--) {
+            const scale = 2 ** l;
+            const px = point.x / scale;
+            const py = point.y / scale;
+            const flow = lucasKanade(frame1.levels[l], frame2.levels[l], px, py, gx, gy);
+            if (!flow) return null;
+
+            if (l > 0) {
+                gx = flow.x * 2;
+                gy = flow.y * 2;
+            } else {
+                gx = flow.x;
+                gy = flow.y;
+            }
+        }
+
+        const x = point.x + gx;
+        const y = point.y + gy;
+        if (x < 0 || y < 0 || x > frame2.width - 1 || y > frame2.height - 1) return null;
+        return { x, y };
+    }
+}
+
+/**
+ * Iterative LK on one level, starting from (gx, gy)
+ */
+function lucasKanade(level1, level2, px, py, gx, gy) {
+    const r = WINDOW_RADIUS;
+    if (px < r || py < r || px > level1.width - 1 - r || py > level1.height - 1 - r) {
+        // Punkt liegt auf dieser Stufe zu nah am Rand - Schätzung weiterreichen
+        return { x: gx, y: gy };
+    }
+
+    const size = (2 * r + 1) ** 2;
+    const ix = new Float32Array(size);
+    const iy = new Float32Array(size);
+    const i1 = new Float32Array(size);
+    let gxx = 0, gyy = 0, gxy = 0;
+
+    let k = 0;
+    for (let wy = -r; wy <= r; wy++) {
+        for (let wx = -r; wx <= r; wx++, k++) {
+            ix[k] = sample(level1.gx, level1.width, level1.height, px + wx, py + wy);
+            iy[k] = sample(level1.gy, level1.width, level1.height, px + wx, py + wy);
+            i1[k] = sample(level1.data, level1.width, level1.height, px + wx, py + wy);
+            gxx += ix[k] * ix[k];
+            gyy += iy[k] * iy[k];
+            gxy += ix[k] * iy[k];
+        }
+    }
+
+    const det = gxx * gyy - gxy * gxy;
+    if (det < 1e-6 * size * size) return null; // Fenster ohne Struktur
+
+    let vx = gx, vy = gy;
+    for (let iter = 0; iter < LK_ITERATIONS; iter++) {
+        let bx = 0, by = 0;
+        k = 0;
+        for (let wy = -r; wy <= r; wy++) {
+            for (let wx = -r; wx <= r; wx++, k++) {
+                const diff = i1[k] - sample(level2.data, level2.width, level2.height, px + wx + vx, py + wy + vy);
+                bx += diff * ix[k];
+                by += diff * iy[k];
+            }
+        }
+
+        const dx = (gyy * bx - gxy * by) / det;
+        const dy = (gxx * by - gxy * bx) / det;
+        vx += dx;
+        vy += dy;
+        if (dx * dx + dy * dy < 1e-4) break;
+    }
+
+    if (!Number.isFinite(vx) || !Number.isFinite(vy)) return null;
+    return { x: vx, y: vy };
+}
+
+/**
+ * Bilinear sample, clamped to the image
+ */
+function sample(data, width, height, x, y) {
+    x = Math.min(Math.max(x, 0), width - 1.001);
+    y = Math.min(Math.max(y, 0), height - 1.001);
+    const x0 = Math.floor(x), y0 = Math.floor(y);
+    const fx = x - x0, fy = y - y0;
+    const i = y0 * width + x0;
+    return data[i] * (1 - fx) * (1 - fy) + data[i + 1] * fx * (1 - fy) +
+        data[i + width] * (1 - fx) * fy + data[i + width + 1] * fx * fy;
+}
+
+/**
+ * Central-difference gradients
+ */
+function withGradients(level) {
+    const { data, width, height } = level;
+    const gx = new Float32Array(width * height);
+    const gy = new Float32Array(width * height);
+    for (let y = 1; y < height - 1; y++) {
+        for (let x = 1; x < width - 1; x++) {
+            const i = y * width + x;
+            gx[i] = (data[i + 1] - data[i - 1]) / 2;
+            gy[i] = (data[i + width] - data[i - width]) / 2;
+        }
+    }
+    return { ...level, gx, gy };
+}
+
+/**
+ * Half resolution (2x2 Mittelwert)
+ */
+function downsample(level) {
+    const width = Math.floor(level.width / 2);
+    const height = Math.floor(level.height / 2);
+    const data = new Float32Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = 2 * y * level.width + 2 * x;
+            data[y * width + x] = (level.data[i] + level.data[i + 1] +
+                level.data[i + level.width] + level.data[i + level.width + 1]) / 4;
+        }
+    }
+    return { data, width, height };
+}
+
+function isLocalMax(response, width, x, y) {
+    const r = response[y * width + x];
+    for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+            if ((dx || dy) && response[(y + dy) * width + x + dx] > r) return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Least-squares similarity (x' = a*x - b*y + tx, y' = b*x + a*y + ty),
+ * dreimal ohne Ausreißer neu geschätzt
+ * @returns {Object|null} - { a, b, tx, ty, inliers }
+ */
+function fitSimilarity(matches) {
+    let points = matches;
+    let transform = null;
+
+    for (let pass = 0; pass < 3; pass++) {
+        transform = solveSimilarity(points);
+        if (!transform) return null;
+
+        const residuals = matches.map(m => {
+            const p = applySimilarity(transform, m.x1, m.y1);
+            return Math.hypot(p.x - m.x2, p.y - m.y2);
+        });
+        const median = [...residuals].sort((a, b) => a - b)[Math.floor(residuals.length / 2)];
+        const limit = Math.max(1.5, 2.5 * median);
+        const inliers = matches.filter((m, i) => residuals[i] <= limit);
+        if (inliers.length < MIN_TRACKS) return null;
+        points = inliers;
+    }
+
+    return { ...solveSimilarity(points), inliers: points.length };
+}
+
+function solveSimilarity(points) {
+    const n = points.length;
+    let mx1 = 0, my1 = 0, mx2 = 0, my2 = 0;
+    points.forEach(p => { mx1 += p.x1; my1 += p.y1; mx2 += p.x2; my2 += p.y2; });
+    mx1 /= n; my1 /= n; mx2 /= n; my2 /= n;
+
+    let sa = 0, sb = 0, norm = 0;
+    for (const p of points) {
+        const x1 = p.x1 - mx1, y1 = p.y1 - my1;
+        const x2 = p.x2 - mx2, y2 = p.y2 - my2;
+        sa += x1 * x2 + y1 * y2;
+        sb += x1 * y2 - y1 * x2;
+        norm += x1 * x1 + y1 * y1;
+    }
+    if (norm < 1e-9) return null;
+
+    const a = sa / norm;
+    const b = sb / norm;
+    return { a, b, tx: mx2 - (a * mx1 - b * my1), ty: my2 - (b * mx1 + a * my1) };
+}
+
+function applySimilarity(t, x, y) {
+    return { x: t.a * x - t.b * y + t.tx, y: t.b * x + t.a * y + t.ty };
+}
+
+/**
+ * Share of frame 1 that is still visible in frame 2 (Rasterpunkte)
+ */
+function overlapOf(transform, width, height) {
+    const steps = 40;
+    let inside = 0;
+    for (let j = 0; j < steps; j++) {
+        for (let i = 0; i < steps; i++) {
+            const p = applySimilarity(transform, (i + 0.5) / steps * width, (j + 0.5) / steps * height);
+            if (p.x >= 0 && p.y >= 0 && p.x <= width && p.y <= height) inside++;
+        }
+    }
+    return inside / (steps * steps) * 100;
+}
+
+function round(value, digits) {
+    const f = 10 ** digits;
+    return Math.round(value * f) / f;
+}
+
+module.exports = new FeatureTracker();
@@ -0,0 +1,284 @@
+/**
+ * PARALLAX ESTIMATOR - Echte Parallaxe statt nur Schwenk?
+ *
+ * Gaussian Splatting (und COLMAP davor) braucht Aufnahmen von verschiedenen
+ * Standorten. Wird die Kamera nur gedreht (Schwenk vom Stativ), lassen sich
+ * alle Punkte zweier Frames mit EINER Homographie abbilden - Tiefe ist dann
+ * nicht bestimmbar.
+ *
+ * Pro Keyframe-Paar (Punktpaare aus utils/featureTracker.js):
+ * 1. Homographie per RANSAC (dominante Ebene bzw. reine Drehung)
+ * 2. Fundamentalmatrix per RANSAC (allgemeine Epipolargeometrie) -
+ *    trennt Fehlzuordnungen von echten Parallaxe-Punkten
+ * 3. Parallaxe = wie weit die epipolar-konsistenten Punkte von der
+ *    Homographie abweichen, als Winkel (75%-Perzentil)
+ *
+ * verifyMatches() prüft Deskriptor-Treffer (utils/featureDetector.js) auf
+ * dieselbe Weise geometrisch.
+ *
+ * LERNPUNKT: Der Winkel ist ungefähr Basislinie / Tiefe - bei 0° gibt es
+ * nichts zu triangulieren. Die Brennweite ist unbekannt, angenommen wird
+ * ein typisches Smartphone-Sichtfeld (ASSUMED_FOV_DEGREES).
+ */
+
+const RANSAC_ITERATIONS = 200;
+const INLIER_THRESHOLD = 1;         // px bei 160px Bildbreite (Tracking-Genauigkeit)
+const VERIFY_THRESHOLD = 1.5;       // px - Deskriptor-Treffer liegen nur auf ganzen Pixeln
+const MIN_VERIFY_MATCHES = 8;       // 8-Punkt-Algorithmus
+const MIN_MATCHES = 12;
+const ASSUMED_FOV_DEGREES = 65;     // Horizontales Sichtfeld
+const PARALLAX_PERCENTILE = 0.75;   // Nicht Median: die Ebene deckt oft die Mehrheit der Punkte
+
+class ParallaxEstimator {
+    /**
+     * Parallax of one keyframe pair
+     * @param {Object[]} matches - [{ x1, y1, x2, y2 }] aus featureTracker.track()
+     * @param {number} width - Bildbreite der Koordinaten
+     * @returns {Object|null} - { parallax (Grad), residual (px), planeShare, epipolarShare, matches }
+     *   oder null bei zu wenigen Punktpaaren
+     */
+    estimatePair(matches, width) {
+        if (matches.length < MIN_MATCHES) return null;
+
+        // Fester Seed: gleiche Eingabe, gleiches Ergebnis (nachvollziehbare Scores)
+        const random = seededRandom(matches.length * 7919 + Math.round(matches[0].x1 * 100));
+
+        const homography = ransac(matches, 4, fitHomography, transferError, random, INLIER_THRESHOLD);
+        if (!homography) return null;
+        const fundamental = ransac(matches, 8, fitFundamental, sampsonError, random, INLIER_THRESHOLD);
+
+        // Punkte, die zur Epipolargeometrie passen - Rest sind Fehlzuordnungen
+        const consistent = fundamental
+            ? matches.filter(m => sampsonError(fundamental.model, m) <= INLIER_THRESHOLD)
+            : matches;
+        const residuals = consistent.map(m => transferError(homography.model, m)).sort((a, b) => a - b);
+        const residual = residuals[Math.min(residuals.length - 1, Math.floor(residuals.length * PARALLAX_PERCENTILE))] || 0;
+
+        const focal = (width / 2) / Math.tan(ASSUMED_FOV_DEGREES / 2 * Math.PI / 180);
+
+        return {
+            parallax: Math.round(Math.atan(residual / focal) * 180 / Math.PI * 100) / 100,
+            residual: Math.round(residual * 100) / 100,
+            planeShare: Math.round(homography.inliers.length / matches.length * 100),
+            epipolarShare: Math.round(consistent.length / matches.length * 100),
+            matches: matches.length
+        };
+    }
+
+    /**
+     * Geometric verification of descriptor matches (wie COLMAP vor der
+     * Rekonstruktion): nur Paare, die zu einer Epipolargeometrie passen
+     * @param {Object[]} matches - [{ x1, y1, x2, y2 }]
+     * @returns {Object[]} - Die bestätigten Paare
+     */
+    verifyMatches(matches) {
+        if (matches.length < MIN_VERIFY_MATCHES) return [];
+
+        const random = seededRandom(matches.length * 104729 + Math.round(matches[0].x1 * 100));
+        const fundamental = ransac(matches, 8, fitFundamental, sampsonError, random, VERIFY_THRESHOLD);
+        return fundamental ? fundamental.inliers : [];
+    }
+}
+
+/**
+ * Generic RANSAC with a least-squares refit on the inliers
+ * @returns {Object|null} - { model, inliers }
+ */
+function ransac(matches, sampleSize, fit, error, random, threshold) {
+    let best = null;
+
+    for (let i = 0; i < RANSAC_ITERATIONS; i++) {
+        const model = fit(sample(matches, sampleSize, random));
+        if (!model) continue;
+
+        const inliers = matches.filter(m => error(model, m) <= threshold);
+        if (!best || inliers.length > best.inliers.length) best = { model, inliers };
+        if (inliers.length === matches.length) break;
+    }
+
+    if (!best || best.inliers.length < sampleSize) return null;
+
+    const refined = fit(best.inliers);
+    if (!refined) return best;
+    return { model: refined, inliers: matches.filter(m => error(refined, m) <= threshold) };
+}
+
+function sample(matches, count, random) {
+    const picked = new Set();
+    while (picked.size < count) picked.add(Math.floor(random() * matches.length));
+    return [...picked].map(i => matches[i]);
+}
+
+/**
+ * Normalized DLT: x2 ~ H * x1
+ */
+function fitHomography(points) {
+    const { t1, t2, normalized } = normalize(points);
+    const rows = [];
+    for (const { x1, y1, x2, y2 } of normalized) {
+        rows.push([-x1, -y1, -1, 0, 0, 0, x2 * x1, x2 * y1, x2]);
+        rows.push([0, 0, 0, -x1, -y1, -1, y2 * x1, y2 * y1, y2]);
+    }
+    const h = nullVector(rows);
+    if (!h) return null;
+
+    // H = T2^-1 * Hn * T1
+    return multiply(multiply(invertSimilarity(t2), [h.slice(0, 3), h.slice(3, 6), h.slice(6, 9)]), t1);
+}
+
+/**
+ * Normalized 8-point algorithm: x2^T * F * x1 = 0, Rang 2 erzwungen
+ */
+function fitFundamental(points) {
+    const { t1, t2, normalized } = normalize(points);
+    const rows = normalized.map(({ x1, y1, x2, y2 }) => [x2 * x1, x2 * y1, x2, y2 * x1, y2 * y1, y2, x1, y1, 1]);
+    const f = nullVector(rows);
+    if (!f) return null;
+
+    let fn = [f.slice(0, 3), f.slice(3, 6), f.slice(6, 9)];
+    // Rang 2: kleinsten Singulärwert entfernen, F' = F (I - v3 v3^T)
+    const v3 = smallestEigenvector(multiply(transpose(fn), fn));
+    const projector = [0, 1, 2].map(i => [0, 1, 2].map(j => (i === j ? 1 : 0) - v3[i] * v3[j]));
+    fn = multiply(fn, projector);
+
+    // F = T2^T * Fn * T1
+    return multiply(multiply(transpose(t2), fn), t1);
+}
+
+function transferError(h, m) {
+    const w = h[2][0] * m.x1 + h[2][1] * m.y1 + h[2][2];
+    if (Math.abs(w) < 1e-12) return Infinity;
+    const x = (h[0][0] * m.x1 + h[0][1] * m.y1 + h[0][2]) / w;
+    const y = (h[1][0] * m.x1 + h[1][1] * m.y1 + h[1][2]) / w;
+    return Math.hypot(x - m.x2, y - m.y2);
+}
+
+/**
+ * First-order geometric distance to the epipolar line pair
+ */
+function sampsonError(f, m) {
+    const l2 = [0, 1, 2].map(i => f[i][0] * m.x1 + f[i][1] * m.y1 + f[i][2]);            // F x1
+    const l1 = [0, 1, 2].map(i => f[0][i] * m.x2 + f[1][i] * m.y2 + f[2][i]);            // F^T x2
+    const algebraic = m.x2 * l2[0] + m.y2 * l2[1] + l2[2];
+    const denominator = l2[0] ** 2 + l2[1] ** 2 + l1[0] ** 2 + l1[1] ** 2;
+    if (denominator < 1e-12) return Infinity;
+    return Math.abs(algebraic) / Math.sqrt(denominator);
+}
+
+/**
+ * Hartley normalization: Schwerpunkt 0, mittlerer Abstand sqrt(2)
+ */
+function normalize(points) {
+    const transformOf = (xs, ys) => {
+        const cx = xs.reduce((a, b) => a + b, 0) / xs.length;
+        const cy = ys.reduce((a, b) => a + b, 0) / ys.length;
+        const distance = xs.reduce((sum, x, i) => sum + Math.hypot(x - cx, ys[i] - cy), 0) / xs.length || 1;
+        const s = Math.SQRT2 / distance;
+        return [[s, 0, -s * cx], [0, s, -s * cy], [0, 0, 1]];
+    };
+    const t1 = transformOf(points.map(p => p.x1), points.map(p => p.y1));
+    const t2 = transformOf(points.map(p => p.x2), points.map(p => p.y2));
+
+    const normalized = points.map(p => ({
+        x1: t1[0][0] * p.x1 + t1[0][2], y1: t1[1][1] * p.y1 + t1[1][2],
+        x2: t2[0][0] * p.x2 + t2[0][2], y2: t2[1][1] * p.y2 + t2[1][2]
+    }));
+    return { t1, t2, normalized };
+}
+
+/**
+ * Least-squares solution of A * x = 0 with |x| = 1
+ */
+function nullVector(rows) {
+    const n = rows[0].length;
+    const ata = Array.from({ length: n }, () => new Array(n).fill(0));
+    for (const row of rows) {
+        for (let i = 0; i < n; i++) {
+            for (let j = i; j < n; j++) ata[i][j] += row[i] * row[j];
+        }
+    }
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < i; j++) ata[i][j] = ata[j][i];
+    }
+
+    const vector = smallestEigenvector(ata);
+    return vector.every(Number.isFinite) ? vector : null;
+}
+
+/**
+ * Eigenvector of the smallest eigenvalue (Jacobi, symmetrische Matrix)
+ */
+function smallestEigenvector(matrix) {
+    const n = matrix.length;
+    const a = matrix.map(row => [...row]);
+    const v = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        let offDiagonal = 0;
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) offDiagonal += a[p][q] ** 2;
+        }
+        if (offDiagonal < 1e-20) break;
+
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (Math.abs(a[p][q]) < 1e-30) continue;
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < n; k++) {
+                    const akp = a[k][p], akq = a[k][q];
+                    a[k][p] = c * akp - s * akq;
+                    a[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = a[p][k], aqk = a[q][k];
+                    a[p][k] = c * apk - s * aqk;
+                    a[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = v[k][p], vkq = v[k][q];
+                    v[k][p] = c * vkp - s * vkq;
+                    v[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    let smallest = 0;
+    for (let i = 1; i < n; i++) {
+        if (a[i][i] < a[smallest][smallest]) smallest = i;
+    }
+    return v.map(row => row[smallest]);
+}
+
+function multiply(a, b) {
+    return a.map(row => b[0].map((_, j) => row.reduce((sum, value, k) => sum + value * b[k][j], 0)));
+}
+
+function transpose(m) {
+    return m[0].map((_, j) => m.map(row => row[j]));
+}
+
+function invertSimilarity(t) {
+    const s = t[0][0];
+    return [[1 / s, 0, -t[0][2] / s], [0, 1 / s, -t[1][2] / s], [0, 0, 1]];
+}
+
+/**
+ * Small deterministic PRNG (mulberry32)
+ */
+function seededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+module.exports = new ParallaxEstimator();
@@ -0,0 +1,207 @@
+/**
+ * PHOTO SETS
+ * Foto-Serien als Alternative zum Video (z.B. 80 Aufnahmen mit einer DSLR)
+ *
+ * prepare() macht aus den hochgeladenen Dateien - JPEG/PNG/HEIC einzeln
+ * oder als ZIP - einen Ordner mit durchnummerierten JPEGs:
+ *
+ *   uploads/<orgId>/photos_<id>/0001.jpg, 0002.jpg, ...
+ *
+ * EXIF-Drehung wird angewendet und die Breite auf capture.keyframeMaxWidth
+ * begrenzt - dieselben Bilder bewertet Phase 1 und bekommt der GPU-Worker.
+ * Reihenfolge = Dateiname (Kameras nummerieren fortlaufend).
+ *
+ * HEIC: Die vorgebauten Sharp-Binaries lesen kein HEVC - dann übernimmt
+ * ffmpeg (ab Version 7 mit HEIF-Unterstützung).
+ */
+
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const config = require('../config/nvidia.config');
+const projectPaths = require('./projectPaths');
+const processRunner = require('./processRunner');
+const ZipArchive = require('./zipArchive');
+const { ZipError } = ZipArchive;
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.heic', '.heif'];
+const HEIF_EXTENSIONS = ['.heic', '.heif'];
+
+class PhotoSets {
+    /**
+     * Is this file name a supported photo?
+     */
+    isImageName(name) {
+        return IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase());
+    }
+
+    /**
+     * Convert received photos and ZIPs into a photo set
+     * Die Original-Uploads bleiben liegen - aufräumen macht der Aufrufer
+     * @param {Object[]} files - [{ path, originalName, size }]
+     * @param {string} orgId
+     * @returns {Promise<Object>} - { success, photoSet } oder { success: false, statusCode, error }
+     *   photoSet: { id, dir, images: [{ file, originalName }], originalName, size, skipped }
+     */
+    async prepare(files, orgId) {
+        const { minImages, maxImages } = config.photoSet;
+        const skipped = [];
+        const archives = [];
+        let dir = null;
+
+        try {
+            const sources = [];
+            for (const file of files) {
+                if (ZipArchive.isZip(file.path)) {
+                    const archive = new ZipArchive(file.path);
+                    archives.push(archive);
+                    sources.push(...this.zipSources(archive, file.originalName, skipped));
+                } else if (this.isImageName(file.originalName)) {
+                    sources.push({ name: file.originalName, read: () => file.path });
+                } else {
+                    skipped.push({ name: file.originalName, reason: 'Kein unterstütztes Bildformat' });
+                }
+            }
+
+            if (sources.length > maxImages) {
+                return { success: false, statusCode: 400, error: `Höchstens ${maxImages} Fotos pro Projekt (${sources.length} erhalten)` };
+            }
+
+            sources.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+            const id = `photos_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+            dir = projectPaths.photoSetDir(orgId, id);
+            fs.mkdirSync(dir, { recursive: true });
+
+            const images = [];
+            for (const source of sources) {
+                const file = `${String(images.length + 1).padStart(4, '0')}.jpg`;
+                try {
+                    await this.convert(source, path.join(dir, file));
+                    images.push({ file, originalName: source.name });
+                } catch (error) {
+                    console.warn(`[PhotoSets] ${source.name}: ${error.message}`);
+                    skipped.push({ name: source.name, reason: 'Bild konnte nicht gelesen werden' });
+                }
+            }
+
+            if (images.length < minImages) {
+                fs.rmSync(dir, { recursive: true, force: true });
+                return {
+                    success: false,
+                    statusCode: 400,
+                    error: `Mindestens ${minImages} verwertbare Fotos nötig (${images.length} erkannt)`,
+                    skipped
+                };
+            }
+
+            console.log(`[PhotoSets] ${id}: ${images.length} photos, ${skipped.length} skipped`);
+
+            return {
+                success: true,
+                photoSet: {
+                    id,
+                    dir,
+                    images,
+                    originalName: files.length === 1 ? files[0].originalName : images[0].originalName,
+                    size: files.reduce((sum, file) => sum + file.size, 0),
+                    skipped
+                }
+            };
+        } catch (error) {
+            if (dir) fs.rmSync(dir, { recursive: true, force: true });
+
+            // Kaputtes ZIP - Fehler des Uploads; alles andere (ENOSPC, ...) ist ein Serverfehler
+            if (error instanceof ZipError) {
+                return { success: false, statusCode: 400, error: error.message };
+            }
+            throw error;
+        } finally {
+            archives.forEach(archive => archive.close());
+        }
+    }
+
+    /**
+     * Photos inside a ZIP (Unterordner egal, macOS-Metadaten ignoriert)
+     */
+    zipSources(archive, zipName, skipped) {
+        return archive.entries()
+            .filter(entry => !entry.name.startsWith('__MACOSX/') && !path.posix.basename(entry.name).startsWith('.'))
+            .filter(entry => {
+                if (this.isImageName(entry.name)) return true;
+                skipped.push({ name: `${zipName}/${entry.name}`, reason: 'Kein unterstütztes Bildformat' });
+                return false;
+            })
+            .map(entry => ({
+                name: path.posix.basename(entry.name),
+                read: () => archive.extract(entry, config.photoSet.maxImageBytes)
+            }));
+    }
+
+    /**
+     * One photo -> JPEG in training resolution
+     * @param {Object} source - { name, read: () => Pfad oder Buffer }
+     */
+    async convert(source, targetPath) {
+        const input = source.read();
+        const maxWidth = config.capture.keyframeMaxWidth;
+
+        try {
+            await sharp(input)
+                .rotate() // EXIF-Ausrichtung
+                .resize({ width: maxWidth, withoutEnlargement: true })
+                .jpeg({ quality: 92 })
+                .toFile(targetPath);
+        } catch (error) {
+            if (!HEIF_EXTENSIONS.includes(path.extname(source.name).toLowerCase())) throw error;
+            await this.convertWithFfmpeg(input, targetPath, maxWidth);
+        }
+    }
+
+    /**
+     * HEIC fallback - ffmpeg braucht eine Datei, Buffer aus ZIPs landen kurz in tmp
+     */
+    async convertWithFfmpeg(input, targetPath, maxWidth) {
+        let inputPath = input;
+        if (Buffer.isBuffer(input)) {
+            inputPath = path.join(os.tmpdir(), `servionics-${crypto.randomBytes(6).toString('hex')}.heic`);
+            fs.writeFileSync(inputPath, input);
+        }
+
+        try {
+            await processRunner.run('ffmpeg', [
+                '-y', '-i', inputPath,
+                '-vf', `scale='min(${maxWidth},iw)':-2`,
+                '-frames:v', '1',
+                '-q:v', '2',
+                targetPath
+            ], { timeoutMs: config.media.probeTimeoutMs });
+        } finally {
+            if (inputPath !== input) fs.rmSync(inputPath, { force: true });
+        }
+    }
+
+    /**
+     * Absolute paths of the photos, in order
+     */
+    imagePaths(photoSet) {
+        return photoSet.images.map(image => path.join(photoSet.dir, image.file));
+    }
+
+    /**
+     * Project record summary (ohne Pfade)
+     */
+    toPublic(photoSet) {
+        return {
+            id: photoSet.id,
+            imageCount: photoSet.images.length,
+            originalName: photoSet.originalName,
+            size: photoSet.size,
+            skipped: photoSet.skipped || []
+        };
+    }
+}
+
+module.exports = new PhotoSets();
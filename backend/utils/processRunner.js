@@ -0,0 +1,229 @@
+/**
+ * PROCESS RUNNER
+ * ffmpeg/ffprobe asynchron ausführen, ohne den Event-Loop zu blockieren
+ *
+ *   const { stdout } = await processRunner.run('ffprobe', [...args], {
+ *       timeoutMs: config.media.probeTimeoutMs,
+ *       signal        // AbortSignal, optional
+ *   });
+ *
+ * - Argument-Array, nie ein Shell-String
+ * - Höchstens config.media.maxConcurrentProcesses gleichzeitig, der Rest
+ *   wartet (FIFO) - ein paar parallele Uploads legen den Server nicht lahm
+ * - Timeout: erst SIGTERM, nach KILL_GRACE_MS SIGKILL
+ * - Fehler als ProcessError mit Exit-Code und dem Ende von stderr
+ */
+
+const { spawn } = require('child_process');
+const config = require('../config/nvidia.config');
+
+const KILL_GRACE_MS = 2000;
+const STDERR_TAIL_BYTES = 16 * 1024;      // genug für die letzte ffmpeg-Meldung
+const MAX_STDOUT_BYTES = 10 * 1024 * 1024; // ffprobe-JSON, sonst leer
+
+const PROCESS_ERROR_CODES = ['PROCESS_FAILED', 'PROCESS_TIMEOUT', 'PROCESS_CANCELLED', 'PROCESS_SPAWN_FAILED', 'PROCESS_OUTPUT_TOO_LARGE'];
+
+class ProcessError extends Error {
+    /**
+     * @param {string} code - Einer aus PROCESS_ERROR_CODES
+     * @param {string} message - Technische Meldung
+     * @param {Object} [details] - { command, exitCode, signal, stderr, durationMs }
+     */
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = 'ProcessError';
+        this.code = PROCESS_ERROR_CODES.includes(code) ? code : 'PROCESS_FAILED';
+        this.command = details.command || null;
+        this.exitCode = details.exitCode ?? null;
+        this.signal = details.signal || null;
+        this.stderr = details.stderr || '';
+        this.durationMs = details.durationMs ?? null;
+    }
+}
+
+class ProcessRunner {
+    constructor() {
+        this.maxConcurrent = config.media.maxConcurrentProcesses;
+        this.active = 0;
+        this.waiting = [];          // { resolve, reject } in Ankunftsreihenfolge
+        this.children = new Map();  // laufender Prozess -> stop(reason, signal), für cancelAll()
+    }
+
+    /**
+     * Run a command once a slot is free
+     * @param {string} command - z.B. 'ffmpeg'
+     * @param {string[]} args
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - Default config.media.defaultTimeoutMs
+     * @param {AbortSignal} [options.signal] - Abbruch, auch während der Prozess noch wartet
+     * @returns {Promise<Object>} - { stdout, stderr, durationMs }, sonst ProcessError
+     */
+    async run(command, args, options = {}) {
+        await this.acquire(command, options.signal);
+        try {
+            return await this.execute(command, args, options);
+        } finally {
+            this.release();
+        }
+    }
+
+    /**
+     * Wait for a free slot
+     */
+    acquire(command, signal) {
+        if (signal?.aborted) return Promise.reject(cancelled(command, signal));
+
+        if (this.active < this.maxConcurrent) {
+            this.active++;
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                resolve: () => {
+                    signal?.removeEventListener('abort', onAbort);
+                    resolve();
+                },
+                reject
+            };
+            const onAbort = () => {
+                this.waiting = this.waiting.filter(w => w !== waiter);
+                reject(cancelled(command, signal));
+            };
+
+            signal?.addEventListener('abort', onAbort, { once: true });
+            this.waiting.push(waiter);
+        });
+    }
+
+    /**
+     * Hand the slot to the next waiting run (or free it)
+     */
+    release() {
+        const next = this.waiting.shift();
+        if (next) next.resolve();
+        else this.active--;
+    }
+
+    execute(command, args, options) {
+        const timeoutMs = options.timeoutMs || config.media.defaultTimeoutMs;
+        const signal = options.signal;
+        const startedAt = Date.now();
+
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+
+            const stdout = [];
+            let stdoutBytes = 0;
+            let stderr = '';
+            let stopReason = null; // 'timeout' | 'cancelled' | 'output'
+            let killTimer = null;
+            let spawnFailed = false;
+
+            const stop = (reason, killSignal = 'SIGTERM') => {
+                if (stopReason) return;
+                stopReason = reason;
+                child.kill(killSignal);
+                if (killSignal !== 'SIGKILL') killTimer = setTimeout(() => child.kill('SIGKILL'), KILL_GRACE_MS);
+            };
+            this.children.set(child, stop);
+
+            const timer = setTimeout(() => stop('timeout'), timeoutMs);
+            const onAbort = () => stop('cancelled');
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            child.stdout.on('data', (data) => {
+                stdoutBytes += data.length;
+                if (stdoutBytes > MAX_STDOUT_BYTES) return stop('output');
+                stdout.push(data);
+            });
+            child.stderr.on('data', (data) => {
+                stderr = (stderr + data.toString()).slice(-STDERR_TAIL_BYTES);
+            });
+
+            const finish = () => {
+                clearTimeout(timer);
+                clearTimeout(killTimer);
+                signal?.removeEventListener('abort', onAbort);
+                this.children.delete(child);
+            };
+
+            child.on('error', (error) => {
+                // Nach einem Startfehler kommt trotzdem noch 'close'
+                spawnFailed = true;
+                finish();
+                reject(logged(new ProcessError('PROCESS_SPAWN_FAILED', `${command} konnte nicht gestartet werden: ${error.message}`, {
+                    command,
+                    durationMs: Date.now() - startedAt
+                })));
+            });
+
+            child.on('close', (exitCode, exitSignal) => {
+                if (spawnFailed) return;
+                finish();
+                const durationMs = Date.now() - startedAt;
+                const details = { command, exitCode, signal: exitSignal, stderr, durationMs };
+
+                if (stopReason === 'timeout') {
+                    return reject(logged(new ProcessError('PROCESS_TIMEOUT', `${command} nach ${timeoutMs / 1000}s abgebrochen (Timeout)`, details)));
+                }
+                if (stopReason === 'cancelled') {
+                    return reject(cancelled(command, signal, details));
+                }
+                if (stopReason === 'output') {
+                    return reject(logged(new ProcessError('PROCESS_OUTPUT_TOO_LARGE', `${command}: Ausgabe größer als ${MAX_STDOUT_BYTES} Bytes`, details)));
+                }
+                if (exitCode !== 0) {
+                    return reject(logged(new ProcessError('PROCESS_FAILED', `${command} beendet mit Code ${exitCode ?? exitSignal}: ${lastLine(stderr)}`, details)));
+                }
+
+                resolve({ stdout: Buffer.concat(stdout).toString('utf-8'), stderr, durationMs });
+            });
+        });
+    }
+
+    /**
+     * Kill everything - beim Herunterfahren, damit keine ffmpeg-Waisen bleiben
+     * @param {string} reason
+     */
+    cancelAll(reason) {
+        const waiting = this.waiting;
+        this.waiting = [];
+        waiting.forEach(waiter => waiter.reject(new ProcessError('PROCESS_CANCELLED', reason)));
+
+        // Sofort SIGKILL - der Prozess ist gleich weg, eine Schonfrist käme nie an
+        for (const stop of this.children.values()) stop('cancelled', 'SIGKILL');
+        if (this.children.size > 0) {
+            console.log(`[ProcessRunner] Killed ${this.children.size} running process(es): ${reason}`);
+        }
+    }
+
+    /**
+     * Load for /api/health
+     */
+    getStats() {
+        return { running: this.children.size, waiting: this.waiting.length, maxConcurrent: this.maxConcurrent };
+    }
+}
+
+function cancelled(command, signal, details = {}) {
+    const reason = signal?.reason instanceof Error ? signal.reason.message : signal?.reason;
+    return new ProcessError('PROCESS_CANCELLED', `${command} abgebrochen${reason ? `: ${reason}` : ''}`, { command, ...details });
+}
+
+function lastLine(text) {
+    const lines = text.trim().split('\n');
+    return lines[lines.length - 1] || 'keine Ausgabe';
+}
+
+/**
+ * Diagnose ins Log - stderr-Ende hilft beim Nachvollziehen kaputter Videos
+ */
+function logged(error) {
+    console.error(`[ProcessRunner] ${error.message} (${error.durationMs}ms)`);
+    if (error.stderr) console.error(`[ProcessRunner] stderr: ${error.stderr.trim().split('\n').slice(-5).join(' | ')}`);
+    return error;
+}
+
+module.exports = new ProcessRunner();
+module.exports.ProcessError = ProcessError;
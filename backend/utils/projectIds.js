@@ -0,0 +1,140 @@
+/**
+ * PROJECT IDS - Kollisionsfreie Projekt-IDs
+ *
+ * Format: PRJ-<Jahr>-<Sequenz, mind. 5-stellig>, z.B. PRJ-2026-00042
+ *
+ * Die Sequenz wird pro Jahr im Store hochgezählt (überlebt Neustarts).
+ * Vor der Vergabe wird zusätzlich geprüft, dass weder ein Projekt im Store
+ * noch ein Ordner output/<orgId>/<id> (bzw. alt output/<id>) die ID schon
+ * belegt - z.B. wenn die Datenbank verloren ging, die Ausgabe-Ordner aber nicht.
+ *
+ * Alte IDs (PRJ-<Jahr>-<3 Ziffern>, zufällig vergeben) bleiben gültig.
+ * Da neue Sequenzen mindestens 5-stellig sind, können sie nie mit
+ * einer alten ID übereinstimmen.
+ */
+
+const path = require('path');
+const fs = require('fs');
+const config = require('../config/nvidia.config');
+const store = require('../store');
+const projectPaths = require('./projectPaths');
+
+const LEGACY_ID_PATTERN = /^PRJ-\d{4}-\d{3}$/;
+const ID_PATTERN = /^PRJ-\d{4}-\d{5,}$/;
+const SEQUENCE_DIGITS = 5;
+const MAX_ATTEMPTS = 1000;
+
+class ProjectIds {
+    /**
+     * Vergibt die nächste freie Projekt-ID
+     * @returns {Promise<string>}
+     */
+    async next() {
+        const year = new Date().getFullYear();
+
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const seq = await store.nextSequence(`project:${year}`);
+            const id = `PRJ-${year}-${String(seq).padStart(SEQUENCE_DIGITS, '0')}`;
+
+            if (await this.isTaken(id)) {
+                console.warn(`[ProjectIds] ${id} already in use, skipping`);
+                continue;
+            }
+
+            return id;
+        }
+
+        throw new Error(`Keine freie Projekt-ID nach ${MAX_ATTEMPTS} Versuchen`);
+    }
+
+    /**
+     * Belegt im Store oder als Ausgabe-Ordner einer beliebigen Organisation?
+     */
+    async isTaken(id) {
+        if ((await store.getProject(id)) !== null) return true;
+        if (fs.existsSync(projectPaths.legacyOutputDir(id))) return true;
+
+        const orgIds = await this.knownOrgIds();
+        return orgIds.some(orgId => fs.existsSync(projectPaths.forProject({ id, orgId })));
+    }
+
+    /**
+     * Organisationen aus dem Store plus Org-Ordner unter output/ -
+     * nach einem Datenbankverlust kennt der Store sie nicht mehr
+     * @returns {Promise<string[]>}
+     */
+    async knownOrgIds() {
+        const orgIds = new Set((await store.listOrganizations()).map(org => org.id));
+
+        const outputDir = config.output.processed;
+        if (fs.existsSync(outputDir)) {
+            for (const entry of fs.readdirSync(outputDir, { withFileTypes: true })) {
+                if (entry.isDirectory() && !this.isValid(entry.name)) orgIds.add(entry.name);
+            }
+        }
+
+        return [...orgIds].filter(orgId => projectPaths.isValidOrgId(orgId));
+    }
+
+    /**
+     * Akzeptiert neue und alte ID-Formate
+     * Schützt nebenbei Pfade wie output/<id>/ vor '../' Tricks
+     */
+    isValid(id) {
+        return ID_PATTERN.test(id) || LEGACY_ID_PATTERN.test(id);
+    }
+
+    isLegacy(id) {
+        return LEGACY_ID_PATTERN.test(id);
+    }
+
+    /**
+     * Migration: Projekte mit alter ID, die nur als output/<id>/offer.json
+     * existieren (aus der Zeit vor dem Store), in den Store übernehmen,
+     * damit sie in GET /api/projects auftauchen.
+     * @returns {Promise<number>} - Anzahl übernommener Projekte
+     */
+    async migrateLegacyProjects() {
+        const outputDir = config.output.processed;
+        if (!fs.existsSync(outputDir)) return 0;
+
+        let imported = 0;
+
+        for (const id of fs.readdirSync(outputDir)) {
+            if (!this.isLegacy(id)) continue;
+            if (await store.getProject(id)) continue;
+
+            const offerPath = path.join(outputDir, id, 'offer.json');
+            if (!fs.existsSync(offerPath)) continue;
+
+            try {
+                const offer = JSON.parse(fs.readFileSync(offerPath, 'utf-8'));
+
+                await store.saveProject({
+                    id,
+                    title: `Projekt ${id}`,
+                    skillId: offer.skill,
+                    status: 'complete',
+                    phase: 'done',
+                    progress: 100,
+                    hasSplat: fs.existsSync(path.join(outputDir, id, 'scene.splat')),
+                    createdAt: offer.generated_at || fs.statSync(offerPath).mtime.toISOString(),
+                    result: offer,
+                    legacyId: true
+                });
+                await store.savePhaseResult(id, 'output', offer);
+                imported++;
+            } catch (error) {
+                console.warn(`[ProjectIds] Could not import legacy project ${id}:`, error.message);
+            }
+        }
+
+        if (imported > 0) {
+            console.log(`[ProjectIds] ${imported} Projekte mit alter ID übernommen`);
+        }
+
+        return imported;
+    }
+}
+
+module.exports = new ProjectIds();
@@ -0,0 +1,93 @@
+/**
+ * PROJECT PATHS
+ * Ablage-Ordner pro Organisation (Mandant)
+ *
+ *   uploads/<orgId>/<datei>          Hochgeladene Videos (Name von uploadFileName())
+ *   uploads/<orgId>/.chunks/<id>/    Teilstücke unfertiger Uploads
+ *   uploads/<orgId>/<photoSetId>/    Fotos einer Foto-Serie (0001.jpg ...)
+ *   output/<orgId>/<projectId>/      Checkpoints, USD-Szenen, scene.splat, offer.json
+ *
+ * Alle Pfade zu Projektdaten laufen über dieses Modul, damit kein Mandant
+ * Dateien eines anderen zu sehen bekommt.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config/nvidia.config');
+
+// Org-IDs landen im Dateisystem - nur einfache Zeichen zulassen
+const ORG_ID_PATTERN = /^[a-z0-9_-]+$/i;
+
+// Nur unverdächtige Endungen aus dem Originalnamen übernehmen
+const SAFE_EXTENSION_PATTERN = /^\.[a-z0-9]{1,5}$/;
+
+class ProjectPaths {
+    /**
+     * @param {string} orgId
+     * @param {string} projectId
+     * @returns {string} - output/<orgId>/<projectId>
+     */
+    outputDir(orgId, projectId) {
+        return path.join(config.output.processed, this.checkOrgId(orgId), projectId);
+    }
+
+    /**
+     * Output folder of a project record ({ id, orgId })
+     */
+    forProject(project) {
+        return this.outputDir(project.orgId, project.id);
+    }
+
+    /**
+     * @returns {string} - uploads/<orgId>
+     */
+    uploadDir(orgId) {
+        return path.join(config.output.uploads, this.checkOrgId(orgId));
+    }
+
+    /**
+     * File name for a stored upload - generiert, nie der Name vom Client
+     * (der steht nur als originalName im Projekt). Endung bleibt für ffmpeg/Downloads
+     * @param {string} originalName
+     * @returns {string} - z.B. '1760000000000-3f9a1c0de2b4a6f8.mp4'
+     */
+    uploadFileName(originalName) {
+        const ext = path.extname(String(originalName || '')).toLowerCase();
+        const safeExt = SAFE_EXTENSION_PATTERN.test(ext) ? ext : '';
+        return `${Date.now()}-${crypto.randomBytes(8).toString('hex')}${safeExt}`;
+    }
+
+    /**
+     * @returns {string} - uploads/<orgId>/.chunks/<uploadId>
+     */
+    chunkDir(orgId, uploadId) {
+        return path.join(this.uploadDir(orgId), '.chunks', uploadId);
+    }
+
+    /**
+     * @returns {string} - uploads/<orgId>/<photoSetId>
+     */
+    photoSetDir(orgId, photoSetId) {
+        return path.join(this.uploadDir(orgId), photoSetId);
+    }
+
+    /**
+     * Ordner aus der Zeit vor den Organisationen (output/<projectId>)
+     */
+    legacyOutputDir(projectId) {
+        return path.join(config.output.processed, projectId);
+    }
+
+    isValidOrgId(orgId) {
+        return Boolean(orgId) && ORG_ID_PATTERN.test(orgId);
+    }
+
+    checkOrgId(orgId) {
+        if (!this.isValidOrgId(orgId)) {
+            throw new Error(`Ungültige Organisations-ID: ${orgId}`);
+        }
+        return orgId;
+    }
+}
+
+module.exports = new ProjectPaths();
@@ -5,28 +5,41 @@
  * 
  * 1. Kamerabewegung (Camera Motion) - Genug Parallaxe für Tiefenschätzung?
  * 2. Frame-Überlappung (Overlap) - Genug Overlap für Feature Matching?
+ *    Parallaxe - Echte Standortwechsel statt reinem Schwenk?
  * 3. Belichtungs-Konsistenz - Stabile Exposure ohne Auto-Anpassung?
  * 4. Reflektionen & Glas - Problematische Oberflächen erkennen?
  * 5. Scene Staticness - Bewegen sich Objekte in der Szene?
  * 6. Feature-Dichte - Genug Features für COLMAP/SfM?
  * 
+ * Zusätzlich (ohne Score): ungefähre Kamerabahn und Abdeckung rund um die Szene.
+ * 
  * Diese Checks gehen über Standard-Videoqualität hinaus und sind
  * spezifisch für photogrammetrische 3D-Rekonstruktion.
  */
 
 const sharp = require('sharp');
 const path = require('path');
+const featureTracker = require('./featureTracker'); // Optischer Fluss zwischen Keyframes
+const parallaxEstimator = require('./parallaxEstimator');
+const featureDetector = require('./featureDetector');
+const trajectoryEstimator = require('./trajectoryEstimator');
+const { formatTimestamp } = require('./timeFormat');
 
 class SplattingAnalyzer {
     constructor() {
         // Thresholds für Gaussian Splatting basierend auf Best Practices
         this.thresholds = {
-            minCameraMotion: 5,        // Mindest-Pixel-Bewegung zwischen Frames
-            maxCameraMotion: 100,      // Max-Bewegung (darüber = Motion Blur)
+            minCameraMotion: 1.5,      // % Bildbreite zwischen zwei Keyframes
+            maxCameraMotion: 35,       // Darüber = Motion Blur, kaum noch Überlappung
+            maxLostPairs: 25,          // % Keyframe-Paare, in denen nichts verfolgt werden konnte
             minOverlap: 50,            // % Mindest-Überlappung zwischen Frames
+            minPairOverlap: 30,        // % - darunter klafft zwischen zwei Frames eine Lücke
+            minParallax: 0.5,          // Grad pro Keyframe-Paar - reiner Schwenk bleibt darunter
+            minParallaxPairs: 20,      // % der Paare mit Parallaxe, darunter gilt die Aufnahme als Schwenk
             maxOverlap: 85,            // Über 85% = zu wenig Parallaxe
             maxExposureVariance: 20,   // Max erlaubte Helligkeitsschwankung
-            minFeatureCount: 50,       // Mindest-Features pro Frame
+            minFeatureCount: 40,       // Mindest-Keypoints pro Frame (160px-Vorschau)
+            minFeatureMatches: 15,     // Bestätigte Treffer zwischen Nachbar-Frames
             maxReflectiveArea: 30,     // Max % spiegelnde Flächen
             maxMotionPixels: 10        // Max % Pixel mit Bewegung (statische Szene)
         };
@@ -41,31 +54,38 @@ class SplattingAnalyzer {
     async analyze(keyframes, keyframePaths, metadata) {
         console.log('[SplattingAnalyzer] Starting Gaussian Splatting suitability analysis...');
 
+        // Einmal verfolgen - Grundlage für Bewegungs- und Überlappungs-Check
+        const motion = await this.trackMotion(keyframePaths);
+        const parallaxEstimates = this.estimateParallax(motion);
+
         const results = {
-            cameraMotion: await this.analyzeCameraMotion(keyframePaths),
-            frameOverlap: await this.analyzeFrameOverlap(keyframePaths),
+            cameraMotion: this.analyzeCameraMotion(motion),
+            frameOverlap: this.analyzeFrameOverlap(motion),
+            parallax: this.analyzeParallax(motion, parallaxEstimates),
             exposureConsistency: this.analyzeExposureConsistency(keyframes),
             reflectiveSurfaces: await this.analyzeReflectiveSurfaces(keyframePaths),
             sceneStaticness: await this.analyzeSceneStaticness(keyframePaths),
-            featureDensity: await this.analyzeFeatureDensity(keyframePaths)
+            featureDensity: await this.analyzeFeatureDensity(keyframes, keyframePaths)
         };
 
         // Berechne Gesamt-Score für Splatting-Eignung
         const scores = {
             cameraMotion: results.cameraMotion.score,
             frameOverlap: results.frameOverlap.score,
+            parallax: results.parallax.score,
             exposureConsistency: results.exposureConsistency.score,
             reflectiveSurfaces: results.reflectiveSurfaces.score,
             sceneStaticness: results.sceneStaticness.score,
             featureDensity: results.featureDensity.score
         };
 
-        // Gewichtung: Kamerabewegung und Features sind am wichtigsten
+        // Gewichtung: Kamerabewegung, Parallaxe und Features sind am wichtigsten
         const overallScore = Math.round(
-            scores.cameraMotion * 0.25 +
-            scores.frameOverlap * 0.15 +
+            scores.cameraMotion * 0.20 +
+            scores.frameOverlap * 0.10 +
+            scores.parallax * 0.15 +
             scores.exposureConsistency * 0.10 +
-            scores.reflectiveSurfaces * 0.15 +
+            scores.reflectiveSurfaces * 0.10 +
             scores.sceneStaticness * 0.10 +
             scores.featureDensity * 0.25
         );
@@ -76,159 +96,225 @@ class SplattingAnalyzer {
             checks: results,
             scores,
             recommendation: this.generateRecommendation(results, overallScore),
-            estimatedQuality: this.estimateOutputQuality(overallScore)
+            estimatedQuality: this.estimateOutputQuality(overallScore),
+            coverage: await this.estimateCoverage(motion, parallaxEstimates, keyframes, keyframePaths)
         };
     }
 
+    /**
+     * Kamerabewegung zwischen aufeinanderfolgenden Keyframes (utils/featureTracker.js)
+     * @returns {Promise<Object|null>} - { width, height, pairs } oder null wenn die Analyse scheitert
+     */
+    async trackMotion(keyframePaths) {
+        if (keyframePaths.length < 2) return { width: 0, height: 0, pairs: [] };
+
+        try {
+            return await featureTracker.trackSequence(keyframePaths);
+        } catch (error) {
+            console.error('[SplattingAnalyzer] Feature tracking error:', error.message);
+            return null;
+        }
+    }
+
     /**
      * 1. KAMERABEWEGUNG - Genug Parallaxe für Tiefenschätzung?
-     * 
+     *
      * Gaussian Splatting braucht Bewegung für 3D-Triangulation.
      * Zu wenig = keine Tiefe, zu viel = Motion Blur
+     *
+     * Gemessen wird die Verschiebung verfolgter Bildpunkte (in % der
+     * Bildbreite), nicht die Pixel-Differenz - Lichtwechsel zählen nicht.
+     * @param {Object|null} motion - Aus trackMotion()
      */
-    async analyzeCameraMotion(keyframePaths) {
-        if (keyframePaths.length < 2) {
+    analyzeCameraMotion(motion) {
+        if (!motion) {
+            return { score: 50, issue: 'Analyse fehlgeschlagen', details: {} };
+        }
+        if (motion.pairs.length === 0) {
             return { score: 0, issue: 'Zu wenige Frames', details: {} };
         }
 
-        try {
-            let totalMotion = 0;
-            let motionSamples = 0;
-            const motionValues = [];
-
-            // Vergleiche aufeinanderfolgende Frames
-            for (let i = 1; i < Math.min(keyframePaths.length, 10); i++) {
-                const motion = await this.estimateMotion(
-                    keyframePaths[i - 1],
-                    keyframePaths[i]
-                );
-                motionValues.push(motion);
-                totalMotion += motion;
-                motionSamples++;
-            }
+        const tracked = motion.pairs.filter(pair => !pair.lost);
+        const lostPercent = (motion.pairs.length - tracked.length) / motion.pairs.length * 100;
+        const motionValues = tracked.map(pair => pair.motion);
+        const avgMotion = motionValues.length > 0 ? motionValues.reduce((a, b) => a + b, 0) / motionValues.length : 0;
+        const motionVariance = this.calculateVariance(motionValues);
+        const avgRotation = tracked.length > 0
+            ? tracked.reduce((sum, pair) => sum + Math.abs(pair.rotation), 0) / tracked.length
+            : 0;
 
-            const avgMotion = totalMotion / motionSamples;
-            const motionVariance = this.calculateVariance(motionValues);
-
-            // Score berechnen
-            let score = 0;
-            let issue = null;
+        // Score berechnen
+        let score = 0;
+        let issue = null;
 
-            if (avgMotion < this.thresholds.minCameraMotion) {
-                score = 30;
-                issue = 'Zu wenig Kamerabewegung - kaum Parallaxe für 3D';
-            } else if (avgMotion > this.thresholds.maxCameraMotion) {
-                score = 40;
-                issue = 'Zu schnelle Bewegung - Gefahr von Motion Blur';
-            } else if (motionVariance > 500) {
-                score = 60;
-                issue = 'Ungleichmäßige Bewegung - ruckelige Aufnahme';
-            } else {
-                score = Math.min(100, 70 + (avgMotion / 3));
-                issue = null;
-            }
+        if (tracked.length === 0 || lostPercent > this.thresholds.maxLostPairs) {
+            score = 40;
+            issue = 'Bewegung zwischen vielen Frames nicht nachvollziehbar - zu schnell oder zu wenig Struktur';
+        } else if (avgMotion < this.thresholds.minCameraMotion) {
+            score = 30;
+            issue = 'Zu wenig Kamerabewegung - kaum Parallaxe für 3D';
+        } else if (avgMotion > this.thresholds.maxCameraMotion) {
+            score = 40;
+            issue = 'Zu schnelle Bewegung - Gefahr von Motion Blur';
+        } else if (Math.sqrt(motionVariance) > avgMotion) {
+            score = 60;
+            issue = 'Ungleichmäßige Bewegung - ruckelige Aufnahme';
+        } else {
+            score = Math.min(100, Math.round(70 + avgMotion * 1.5));
+            issue = null;
+        }
 
-            console.log(`[SplattingAnalyzer] Camera Motion: avg=${avgMotion.toFixed(1)}px, score=${score}`);
+        console.log(`[SplattingAnalyzer] Camera Motion: avg=${avgMotion.toFixed(1)}%, lost=${lostPercent.toFixed(0)}%, score=${score}`);
 
-            return {
-                score,
-                issue,
-                details: {
-                    averageMotion: Math.round(avgMotion),
-                    motionVariance: Math.round(motionVariance),
-                    recommendation: avgMotion < 5
+        return {
+            score,
+            issue,
+            details: {
+                averageMotion: Math.round(avgMotion * 10) / 10,   // % Bildbreite pro Keyframe-Paar
+                motionVariance: Math.round(motionVariance),
+                averageRotation: Math.round(avgRotation * 10) / 10, // Grad
+                lostPairs: motion.pairs.length - tracked.length,
+                pairs: motion.pairs.map(({ from, to, dx, dy, motion: shift, rotation, scale, overlap, tracked: points, lost }) => ({
+                    from, to, dx, dy, motion: shift, rotation, scale, overlap, tracked: points, lost
+                })),
+                recommendation: tracked.length === 0 || lostPercent > this.thresholds.maxLostPairs || avgMotion > this.thresholds.maxCameraMotion
+                    ? 'Bewegen Sie die Kamera langsamer'
+                    : avgMotion < this.thresholds.minCameraMotion
                         ? 'Bewegen Sie die Kamera langsam um das Objekt herum'
-                        : avgMotion > 80
-                            ? 'Bewegen Sie die Kamera langsamer'
-                            : 'Gute Kamerabewegung'
-                }
-            };
-        } catch (error) {
-            console.error('[SplattingAnalyzer] Camera motion error:', error.message);
-            return { score: 50, issue: 'Analyse fehlgeschlagen', details: {} };
-        }
+                        : 'Gute Kamerabewegung'
+            }
+        };
     }
 
     /**
-     * Einfache Bewegungsschätzung zwischen zwei Frames
-     * Nutzt Pixel-Differenz als Proxy für optischen Fluss
+     * 2. FRAME-ÜBERLAPPUNG - Genug Overlap für Feature Matching?
+     *
+     * COLMAP braucht ~60-80% Überlappung zwischen Frames.
+     * Zu wenig = Lücken, zu viel = keine Parallaxe
+     *
+     * Überlappung je Paar = Anteil von Frame 1, der nach der geschätzten
+     * Bewegung noch in Frame 2 liegt; verlorene Paare zählen als 0%.
+     * @param {Object|null} motion - Aus trackMotion()
      */
-    async estimateMotion(frame1Path, frame2Path) {
-        try {
-            // Lade beide Frames als kleine Grayscale-Bilder
-            const size = 64; // Kleine Größe für schnelle Berechnung
+    analyzeFrameOverlap(motion) {
+        if (!motion) {
+            return { score: 50, issue: 'Analyse fehlgeschlagen', details: {} };
+        }
+        if (motion.pairs.length === 0) {
+            return { score: 0, issue: 'Zu wenige Frames', details: {} };
+        }
 
-            const [buf1, buf2] = await Promise.all([
-                sharp(frame1Path).resize(size, size).grayscale().raw().toBuffer(),
-                sharp(frame2Path).resize(size, size).grayscale().raw().toBuffer()
-            ]);
+        const overlaps = motion.pairs.map(pair => pair.overlap);
+        const avgOverlap = overlaps.reduce((a, b) => a + b, 0) / overlaps.length;
+        const minOverlap = Math.min(...overlaps);
+        const gaps = overlaps.filter(overlap => overlap < this.thresholds.minPairOverlap).length;
 
-            // Berechne durchschnittliche Pixel-Differenz
-            let diffSum = 0;
-            for (let i = 0; i < buf1.length; i++) {
-                diffSum += Math.abs(buf1[i] - buf2[i]);
-            }
+        let score = 0;
+        let issue = null;
 
-            return diffSum / buf1.length;
-        } catch (error) {
-            return 20; // Fallback
+        if (avgOverlap > this.thresholds.maxOverlap) {
+            score = 60;
+            issue = 'Zu viel Überlappung - mehr Bewegung nötig für Parallaxe';
+        } else if (avgOverlap < this.thresholds.minOverlap) {
+            score = 40;
+            issue = 'Zu wenig Überlappung - langsamere Bewegung oder mehr Frames';
+        } else if (gaps > 0) {
+            score = 65;
+            issue = `${gaps} ${gaps === 1 ? 'Frame-Paar' : 'Frame-Paare'} ohne ausreichende Überlappung - dort zu schnell geschwenkt oder zu wenig Struktur`;
+        } else {
+            // Sweet spot: 60-80%
+            score = 85;
+            issue = null;
         }
+
+        console.log(`[SplattingAnalyzer] Frame Overlap: avg=${avgOverlap.toFixed(0)}%, min=${minOverlap}%, score=${score}`);
+
+        return {
+            score,
+            issue,
+            details: {
+                averageOverlap: Math.round(avgOverlap),
+                minimumOverlap: minOverlap,
+                gapPairs: gaps,
+                recommendation: avgOverlap > this.thresholds.maxOverlap
+                    ? 'Bewegen Sie die Kamera mehr zwischen den Frames'
+                    : avgOverlap < this.thresholds.minOverlap || gaps > 0
+                        ? 'Bewegen Sie die Kamera langsamer'
+                        : 'Gute Frame-Überlappung'
+            }
+        };
     }
 
     /**
-     * 2. FRAME-ÜBERLAPPUNG - Genug Overlap für Feature Matching?
-     * 
-     * COLMAP braucht ~60-80% Überlappung zwischen Frames.
-     * Zu wenig = Lücken, zu viel = keine Parallaxe
+     * Parallaxe je verfolgtem Keyframe-Paar (utils/parallaxEstimator.js)
+     * @param {Object|null} motion - Aus trackMotion()
+     * @returns {Object[]} - [{ from, to, parallax, residual, planeShare, epipolarShare, matches }]
+     */
+    estimateParallax(motion) {
+        if (!motion) return [];
+
+        return motion.pairs
+            .filter(pair => !pair.lost)
+            .map(pair => ({ from: pair.from, to: pair.to, ...parallaxEstimator.estimatePair(pair.matches, motion.width) }))
+            .filter(estimate => estimate.parallax !== undefined);
+    }
+
+    /**
+     * 2b. PARALLAXE - Wurde die Kamera bewegt oder nur gedreht?
+     *
+     * Ein reiner Schwenk (Kamera dreht sich auf der Stelle) sieht für die
+     * Bewegungs-Checks gut aus, liefert aber keine Tiefe. Pro Keyframe-Paar
+     * schätzt utils/parallaxEstimator.js per RANSAC, wie weit die Punkte
+     * von einer reinen Homographie abweichen.
+     * @param {Object|null} motion - Aus trackMotion()
+     * @param {Object[]} estimates - Aus estimateParallax()
      */
-    async analyzeFrameOverlap(keyframePaths) {
-        if (keyframePaths.length < 2) {
+    analyzeParallax(motion, estimates) {
+        if (!motion) {
+            return { score: 50, issue: 'Analyse fehlgeschlagen', details: {} };
+        }
+        if (motion.pairs.length === 0) {
             return { score: 0, issue: 'Zu wenige Frames', details: {} };
         }
 
-        try {
-            // Nutze die Bewegungsanalyse als Proxy für Overlap
-            // Wenig Bewegung = hoher Overlap, viel Bewegung = weniger Overlap
-            const motionResults = await this.analyzeCameraMotion(keyframePaths);
-            const avgMotion = motionResults.details.averageMotion || 20;
+        if (estimates.length === 0) {
+            return { score: 50, issue: 'Zu wenige verfolgbare Punkte für die Parallaxe-Schätzung', details: {} };
+        }
 
-            // Schätze Overlap basierend auf Bewegung (inverse Korrelation)
-            // Motion 0-10 = 90-100% Overlap, Motion 50+ = 50% Overlap
-            const estimatedOverlap = Math.max(40, Math.min(95, 95 - avgMotion));
+        const values = estimates.map(estimate => estimate.parallax).sort((a, b) => a - b);
+        const medianParallax = values[Math.floor(values.length / 2)];
+        const withParallax = values.filter(value => value >= this.thresholds.minParallax).length;
+        const share = withParallax / estimates.length * 100;
 
-            let score = 0;
-            let issue = null;
+        let score = 0;
+        let issue = null;
 
-            if (estimatedOverlap > this.thresholds.maxOverlap) {
-                score = 60;
-                issue = 'Zu viel Überlappung - mehr Bewegung nötig für Parallaxe';
-            } else if (estimatedOverlap < this.thresholds.minOverlap) {
-                score = 40;
-                issue = 'Zu wenig Überlappung - langsamere Bewegung oder mehr Frames';
-            } else {
-                // Sweet spot: 60-80%
-                score = 85;
-                issue = null;
-            }
+        if (share < this.thresholds.minParallaxPairs) {
+            score = 30;
+            issue = 'Kaum Parallaxe - die Kamera wurde offenbar nur geschwenkt statt bewegt';
+        } else if (share < 50) {
+            score = 60;
+            issue = 'Parallaxe nur in Teilen der Aufnahme';
+        } else {
+            score = Math.min(100, Math.round(75 + medianParallax * 10));
+            issue = null;
+        }
 
-            console.log(`[SplattingAnalyzer] Frame Overlap: ~${estimatedOverlap}%, score=${score}`);
+        console.log(`[SplattingAnalyzer] Parallax: median=${medianParallax.toFixed(2)}°, pairs=${share.toFixed(0)}%, score=${score}`);
 
-            return {
-                score,
-                issue,
-                details: {
-                    estimatedOverlap: Math.round(estimatedOverlap),
-                    recommendation: estimatedOverlap > 85
-                        ? 'Bewegen Sie die Kamera mehr zwischen den Frames'
-                        : estimatedOverlap < 50
-                            ? 'Bewegen Sie die Kamera langsamer'
-                            : 'Gute Frame-Überlappung'
-                }
-            };
-        } catch (error) {
-            console.error('[SplattingAnalyzer] Overlap error:', error.message);
-            return { score: 50, issue: 'Analyse fehlgeschlagen', details: {} };
-        }
+        return {
+            score,
+            issue,
+            details: {
+                medianParallax,                       // Grad
+                maxParallax: values[values.length - 1],
+                parallaxPairs: Math.round(share),     // % der Paare über minParallax
+                pairs: estimates.map(({ from, to, parallax, planeShare }) => ({ from, to, parallax, planeShare })),
+                recommendation: share < 50
+                    ? 'Gehen Sie mit der Kamera um die Szene herum, statt sie von einer Stelle aus zu schwenken'
+                    : 'Ausreichend Parallaxe für die Tiefenschätzung'
+            }
+        };
     }
 
     /**
@@ -448,26 +534,35 @@ class SplattingAnalyzer {
 
     /**
      * 6. FEATURE-DICHTE - Genug Features für COLMAP?
-     * 
-     * SfM braucht erkennbare "Features" (Ecken, Kanten, Texturen).
-     * Glatte, uniforme Flächen haben zu wenige Features.
+     *
+     * SfM braucht erkennbare "Features" (Ecken, Kanten, Texturen), die im
+     * nächsten Frame wiedergefunden werden. Pro Frame zählen FAST-Ecken mit
+     * Deskriptor (utils/featureDetector.js), pro Nachbarpaar die Treffer,
+     * die auch die geometrische Prüfung bestehen.
+     * @param {Object[]} keyframes - Für Zeitstempel bzw. Dateinamen der schwächsten Stelle
      */
-    async analyzeFeatureDensity(keyframePaths) {
+    async analyzeFeatureDensity(keyframes, keyframePaths) {
         if (keyframePaths.length === 0) {
             return { score: 0, issue: 'Keine Frames', details: {} };
         }
 
         try {
-            let totalFeatures = 0;
-            let sampledFrames = 0;
-
-            for (let i = 0; i < Math.min(keyframePaths.length, 5); i++) {
-                const features = await this.countFeatures(keyframePaths[i]);
-                totalFeatures += features;
-                sampledFrames++;
+            const keypointCounts = [];
+            const matchCounts = []; // Bestätigte Treffer zwischen Frame i und i+1
+            let previous = null;
+
+            for (const framePath of keyframePaths) {
+                const features = await featureDetector.detect(framePath);
+                keypointCounts.push(features.keypoints.length);
+                if (previous) {
+                    matchCounts.push(parallaxEstimator.verifyMatches(featureDetector.match(previous, features)).length);
+                }
+                previous = features;
             }
 
-            const avgFeatures = totalFeatures / sampledFrames;
+            const avgFeatures = keypointCounts.reduce((a, b) => a + b, 0) / keypointCounts.length;
+            const avgMatches = matchCounts.length > 0 ? matchCounts.reduce((a, b) => a + b, 0) / matchCounts.length : null;
+            const weakest = this.findWeakestStretch(keyframes, keypointCounts, matchCounts);
 
             let score = 0;
             let issue = null;
@@ -475,24 +570,36 @@ class SplattingAnalyzer {
             if (avgFeatures < this.thresholds.minFeatureCount) {
                 score = 30;
                 issue = 'Zu wenige erkennbare Features - Szene zu glatt/uniform';
+            } else if (avgMatches !== null && avgMatches < this.thresholds.minFeatureMatches) {
+                score = 40;
+                issue = 'Features lassen sich zwischen den Frames kaum wiederfinden';
+            } else if (weakest && weakest.averageMatches < this.thresholds.minFeatureMatches) {
+                score = 60;
+                issue = `Schwache Stelle ${weakest.label}: kaum wiederfindbare Features`;
             } else if (avgFeatures < this.thresholds.minFeatureCount * 2) {
                 score = 60;
                 issue = 'Mäßige Feature-Dichte - mehr Textur wäre besser';
             } else {
-                score = Math.min(100, 70 + (avgFeatures / 5));
+                score = Math.min(100, Math.round(70 + (avgMatches ?? 0) / 2));
                 issue = null;
             }
 
-            console.log(`[SplattingAnalyzer] Feature Density: avg=${avgFeatures.toFixed(0)}, score=${score}`);
+            console.log(`[SplattingAnalyzer] Feature Density: avg=${avgFeatures.toFixed(0)}, matches=${avgMatches?.toFixed(0) ?? '-'}, score=${score}`);
 
             return {
                 score,
                 issue,
                 details: {
                     averageFeatureCount: Math.round(avgFeatures),
-                    recommendation: avgFeatures < 50
+                    averageMatches: avgMatches === null ? null : Math.round(avgMatches),
+                    keypointsPerFrame: keypointCounts,
+                    matchesPerPair: matchCounts,
+                    weakestStretch: weakest,
+                    recommendation: avgFeatures < this.thresholds.minFeatureCount
                         ? 'Fügen Sie texturierte Objekte hinzu oder filmen Sie näher'
-                        : 'Ausreichend Features für die Rekonstruktion'
+                        : weakest && weakest.averageMatches < this.thresholds.minFeatureMatches
+                            ? `Nehmen Sie den Bereich ${weakest.label} langsamer oder mit mehr Struktur im Bild auf`
+                            : 'Ausreichend Features für die Rekonstruktion'
                 }
             };
         } catch (error) {
@@ -502,36 +609,64 @@ class SplattingAnalyzer {
     }
 
     /**
-     * Zählt "Features" mittels Harris Corner Detection Approximation
-     * Nutzt Kantenstärke als Proxy für Feature-Punkte
+     * Weakest stretch: das Fenster aufeinanderfolgender Frame-Paare mit den
+     * wenigsten bestätigten Treffern (ca. ein Fünftel der Aufnahme)
+     * @returns {Object|null} - { startFrame, endFrame, start, end, label, averageMatches, averageKeypoints }
+     *   start/end in Sekunden (Videos) oder null (Fotos)
      */
-    async countFeatures(framePath) {
-        try {
-            // Wende Laplacian an und zähle starke Antworten
-            const { data, info } = await sharp(framePath)
-                .resize(100, 100)
-                .grayscale()
-                .convolve({
-                    width: 3,
-                    height: 3,
-                    kernel: [-1, -1, -1, -1, 8, -1, -1, -1, -1] // Ecken-Detektor
-                })
-                .raw()
-                .toBuffer({ resolveWithObject: true });
+    findWeakestStretch(keyframes, keypointCounts, matchCounts) {
+        if (matchCounts.length === 0) return null;
 
-            let strongResponses = 0;
-            const threshold = 100;
+        const size = Math.max(1, Math.round(matchCounts.length / 5));
+        let weakest = null;
 
-            for (let i = 0; i < data.length; i++) {
-                if (data[i] > threshold) {
-                    strongResponses++;
-                }
-            }
+        for (let i = 0; i + size <= matchCounts.length; i++) {
+            const average = matchCounts.slice(i, i + size).reduce((a, b) => a + b, 0) / size;
+            if (!weakest || average < weakest.averageMatches) weakest = { startFrame: i, endFrame: i + size, averageMatches: average };
+        }
+
+        const { startFrame, endFrame } = weakest;
+        const keypoints = keypointCounts.slice(startFrame, endFrame + 1);
+        const start = keyframes[startFrame]?.timestamp ?? null;
+        const end = keyframes[endFrame]?.timestamp ?? null;
+
+        let label;
+        if (start !== null && end !== null) {
+            label = `bei ${formatTimestamp(start)}–${formatTimestamp(end)}`;
+        } else if (keyframes[startFrame]?.file && keyframes[endFrame]?.file) {
+            label = `zwischen ${keyframes[startFrame].file} und ${keyframes[endFrame].file}`;
+        } else {
+            label = `zwischen Frame ${startFrame + 1} und ${endFrame + 1}`;
+        }
+
+        return {
+            startFrame,
+            endFrame,
+            start: start === null ? null : Math.round(start * 10) / 10,
+            end: end === null ? null : Math.round(end * 10) / 10,
+            label,
+            averageMatches: Math.round(weakest.averageMatches),
+            averageKeypoints: Math.round(keypoints.reduce((a, b) => a + b, 0) / keypoints.length)
+        };
+    }
 
-            // Normalisiere auf geschätzte Feature-Anzahl
-            return strongResponses / 4; // Typisch ~50-200 Features pro Frame
+    /**
+     * ABDECKUNG - Von welchen Seiten wurde die Szene aufgenommen?
+     *
+     * Kein eigener Score: die Kamerabahn ist nur eine Näherung und dient
+     * dem Kunden als Orientierung, wo noch Aufnahmen fehlen.
+     * @returns {Promise<Object|null>} - Siehe trajectoryEstimator.estimate()
+     */
+    async estimateCoverage(motion, parallaxEstimates, keyframes, keyframePaths) {
+        if (!motion || motion.pairs.length === 0) return null;
+
+        try {
+            return await trajectoryEstimator.estimate(motion, parallaxEstimates, keyframes, keyframePaths, {
+                minParallax: this.thresholds.minParallax
+            });
         } catch (error) {
-            return 50;
+            console.error('[SplattingAnalyzer] Coverage estimation error:', error.message);
+            return null;
         }
     }
 
@@ -580,7 +715,7 @@ class SplattingAnalyzer {
         }
 
         // Sortiere nach Wichtigkeit
-        const priorityOrder = ['featureDensity', 'cameraMotion', 'reflectiveSurfaces', 'frameOverlap', 'sceneStaticness', 'exposureConsistency'];
+        const priorityOrder = ['featureDensity', 'cameraMotion', 'parallax', 'reflectiveSurfaces', 'frameOverlap', 'sceneStaticness', 'exposureConsistency'];
         issues.sort((a, b) => priorityOrder.indexOf(a.check) - priorityOrder.indexOf(b.check));
 
         return {
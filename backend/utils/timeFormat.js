@@ -0,0 +1,18 @@
+/**
+ * TIME FORMAT
+ * Zeitangaben für Hinweise an den Nutzer ("bei 0:12–0:18")
+ */
+
+/**
+ * Sekunden als m:ss
+ * @param {number} seconds
+ * @returns {string} - z.B. 72.4 -> '1:12'
+ */
+function formatTimestamp(seconds) {
+    const whole = Math.round(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+module.exports = {
+    formatTimestamp
+};
@@ -0,0 +1,274 @@
+/**
+ * TRAJECTORY ESTIMATOR - Wo stand die Kamera, was fehlt noch?
+ *
+ * Aus der Bewegung zwischen den Keyframes (utils/featureTracker.js) und der
+ * Parallaxe je Paar (utils/parallaxEstimator.js) wird eine ungefähre
+ * Kamerabahn von oben rekonstruiert:
+ *
+ * 1. Bildverschiebung -> überstrichener Winkel: atan(dx / Brennweite)
+ * 2. Paar mit Parallaxe = Schritt auf einer Kreisbahn um die Szenenmitte,
+ *    Paar ohne Parallaxe = Drehung auf der Stelle (Schwenk)
+ * 3. Zoom (scale) = Schritt auf die Mitte zu bzw. von ihr weg
+ * 4. Blickwinkel rund um die Mitte in 10°-Sektoren einteilen ->
+ *    Abdeckung, Lücken, mehrfach besuchte Sektoren, geschlossener Rundgang
+ *
+ * LERNPUNKT: Das ist eine Näherung ohne echte Skala - Radius 1 = Abstand
+ * zur Szenenmitte beim Start. Für den Kunden zählt, WELCHE Seiten fehlen,
+ * nicht wie viele Meter. Neigung (dy) und Rollen spielen von oben keine Rolle.
+ */
+
+const featureDetector = require('./featureDetector');
+const parallaxEstimator = require('./parallaxEstimator');
+const { formatTimestamp } = require('./timeFormat');
+
+const ASSUMED_FOV_DEGREES = 65;     // Wie parallaxEstimator
+const SECTOR_DEGREES = 10;
+const SECTORS = 360 / SECTOR_DEGREES;
+const MIN_GAP_DEGREES = 30;         // Kleinere Lücken füllt das Training selbst
+const MIN_RADIUS = 0.3;             // Radius-Grenzen gegen ausufernde Zoom-Schätzungen
+const MAX_RADIUS = 3;
+const LOOP_SWEEP_DEGREES = 330;     // Ab hier gilt ein Rundgang als komplett
+const VISUAL_LOOP_SWEEP = 270;      // ... oder ab hier, wenn erstes und letztes Bild zusammenpassen
+const MIN_LOOP_MATCHES = 15;        // Wie minFeatureMatches im SplattingAnalyzer
+const UNKNOWN_ORBIT_SHARE = 0.5;    // Paare ohne Parallaxe-Schätzung: halb Schwenk, halb Umrundung
+
+class TrajectoryEstimator {
+    /**
+     * Kamerabahn und Abdeckungsbericht
+     * @param {Object} motion - Aus featureTracker.trackSequence()
+     * @param {Object[]} parallaxEstimates - [{ from, to, parallax }] je verfolgtem Paar
+     * @param {Object[]} keyframes - Keyframe-Daten (timestamp bzw. file)
+     * @param {string[]} keyframePaths - Für den Abgleich erstes/letztes Bild
+     * @param {Object} [options]
+     * @param {number} [options.minParallax=0.5] - Grad, ab hier zählt ein Paar als Umrundung
+     * @returns {Promise<Object>} - { points, angularCoverage, sectorVisits, gaps, trackingGaps,
+     *   revisitedSectors, sweep, loopClosed, loopMatches, summary, recommendation }
+     */
+    async estimate(motion, parallaxEstimates, keyframes, keyframePaths, options = {}) {
+        const minParallax = options.minParallax ?? 0.5;
+        const focal = (motion.width / 2) / Math.tan(ASSUMED_FOV_DEGREES / 2 * Math.PI / 180);
+        const parallaxByPair = new Map(parallaxEstimates.map(estimate => [estimate.from, estimate.parallax]));
+
+        // Zustand: Winkel um die Mitte (θ), Abstand (r), Abweichung der Blickrichtung von der Mitte
+        let theta = -Math.PI / 2;       // Start unten im Plot, Blick nach oben
+        let radius = 1;
+        let yaw = 0;
+        let sweep = 0;
+
+        const points = [this.pointAt(theta, radius, yaw, 0, keyframes)];
+        const trackingGaps = [];
+
+        motion.pairs.forEach(pair => {
+            if (pair.lost) {
+                trackingGaps.push(this.describeGap(pair, keyframes));
+            } else {
+                const step = Math.atan(pair.dx / focal);
+                const parallax = parallaxByPair.get(pair.from);
+                // Unter minParallax/2 reiner Schwenk, ab minParallax reine Umrundung, dazwischen gemischt
+                const orbit = parallax === undefined
+                    ? UNKNOWN_ORBIT_SHARE
+                    : Math.min(1, Math.max(0, parallax / minParallax * 2 - 1));
+
+                // Bild wandert nach links (dx < 0) = Kamera geht nach rechts = gegen den Uhrzeigersinn um die Mitte
+                theta -= step * orbit;
+                yaw += step * (1 - orbit);
+                sweep += Math.abs(step) * orbit;
+
+                if (pair.scale) {
+                    radius = Math.min(MAX_RADIUS, Math.max(MIN_RADIUS, radius / pair.scale));
+                }
+            }
+            points.push(this.pointAt(theta, radius, yaw, pair.to, keyframes));
+        });
+
+        const sectorVisits = this.countSectorVisits(points);
+        const covered = sectorVisits.filter(visits => visits > 0).length;
+        const gaps = this.findGaps(sectorVisits);
+        const revisitedSectors = sectorVisits.filter(visits => visits > 1).length;
+        const sweepDegrees = Math.round(sweep * 180 / Math.PI);
+        const loopMatches = sweepDegrees >= VISUAL_LOOP_SWEEP
+            ? await this.matchEnds(keyframePaths)
+            : null;
+        const loopClosed = sweepDegrees >= LOOP_SWEEP_DEGREES || (loopMatches ?? 0) >= MIN_LOOP_MATCHES;
+
+        const coverage = {
+            points,
+            angularCoverage: covered * SECTOR_DEGREES,      // Grad rund um die Szenenmitte
+            sectorVisits,                                   // Index 0 = Startposition, gegen den Uhrzeigersinn
+            gaps,
+            trackingGaps,
+            revisitedSectors,
+            sweep: sweepDegrees,
+            loopClosed,
+            loopMatches
+        };
+
+        coverage.summary = this.summarize(coverage);
+        coverage.recommendation = this.recommend(coverage);
+
+        console.log(`[TrajectoryEstimator] coverage=${coverage.angularCoverage}°, gaps=${gaps.length}, tracking gaps=${trackingGaps.length}, loop=${loopClosed}`);
+
+        return coverage;
+    }
+
+    /**
+     * Kameraposition von oben (Szenenmitte = 0/0)
+     */
+    pointAt(theta, radius, yaw, frame, keyframes) {
+        const round = (value) => Math.round(value * 1000) / 1000;
+        const heading = theta + Math.PI + yaw;   // Richtung zur Mitte plus Schwenk
+
+        return {
+            x: round(radius * Math.cos(theta)),
+            y: round(radius * Math.sin(theta)),
+            heading: round(heading),                 // Bogenmaß, 0 = +x
+            angle: Math.round(((theta + Math.PI / 2) * 180 / Math.PI % 360 + 360) % 360), // Grad ab Start
+            frame,
+            timestamp: keyframes[frame]?.timestamp ?? null
+        };
+    }
+
+    /**
+     * Besuche je Sektor - aufeinanderfolgende Frames im selben Sektor zählen einmal,
+     * zwischen zwei Frames überstrichene Sektoren werden mitgezählt
+     */
+    countSectorVisits(points) {
+        const visits = new Array(SECTORS).fill(0);
+        let current = null;
+
+        points.forEach((point, index) => {
+            const sector = Math.floor(point.angle / SECTOR_DEGREES) % SECTORS;
+            if (index === 0) {
+                visits[sector]++;
+                current = sector;
+                return;
+            }
+
+            // Kürzester Weg vom letzten Sektor zum neuen
+            let delta = sector - current;
+            if (delta > SECTORS / 2) delta -= SECTORS;
+            if (delta < -SECTORS / 2) delta += SECTORS;
+
+            const direction = Math.sign(delta);
+            for (let i = 1; i <= Math.abs(delta); i++) {
+                visits[(current + direction * i + SECTORS) % SECTORS]++;
+            }
+            current = sector;
+        });
+
+        return visits;
+    }
+
+    /**
+     * Zusammenhängende unbesuchte Sektoren (ringförmig) ab MIN_GAP_DEGREES
+     * @returns {Object[]} - [{ from, to, size }] in Grad ab Startposition
+     */
+    findGaps(sectorVisits) {
+        const start = sectorVisits.findIndex(visits => visits > 0);
+        if (start === -1) return [];
+
+        const gaps = [];
+        let gapStart = null;
+
+        // Ab einem besuchten Sektor einmal rundherum, damit Lücken über 0° nicht zerfallen
+        for (let i = 1; i <= SECTORS; i++) {
+            const sector = (start + i) % SECTORS;
+            if (sectorVisits[sector] === 0) {
+                if (gapStart === null) gapStart = i;
+            } else if (gapStart !== null) {
+                const size = (i - gapStart) * SECTOR_DEGREES;
+                if (size >= MIN_GAP_DEGREES) {
+                    gaps.push({
+                        from: ((start + gapStart) % SECTORS) * SECTOR_DEGREES,
+                        to: ((start + i) % SECTORS) * SECTOR_DEGREES || 360,
+                        size
+                    });
+                }
+                gapStart = null;
+            }
+        }
+
+        return gaps.sort((a, b) => b.size - a.size);
+    }
+
+    /**
+     * Verlorenes Keyframe-Paar als Lücke in der Bahn
+     */
+    describeGap(pair, keyframes) {
+        const start = keyframes[pair.from]?.timestamp ?? null;
+        const end = keyframes[pair.to]?.timestamp ?? null;
+
+        return {
+            fromFrame: pair.from,
+            toFrame: pair.to,
+            start,
+            end,
+            label: start !== null && end !== null
+                ? formatTimestamp(start) === formatTimestamp(end)
+                    ? formatTimestamp(start)
+                    : `${formatTimestamp(start)}–${formatTimestamp(end)}`
+                : keyframes[pair.from]?.file && keyframes[pair.to]?.file
+                    ? `${keyframes[pair.from].file} → ${keyframes[pair.to].file}`
+                    : `Frame ${pair.from + 1}–${pair.to + 1}`
+        };
+    }
+
+    /**
+     * Bestätigte Deskriptor-Treffer zwischen erstem und letztem Keyframe
+     */
+    async matchEnds(keyframePaths) {
+        try {
+            const first = await featureDetector.detect(keyframePaths[0]);
+            const last = await featureDetector.detect(keyframePaths[keyframePaths.length - 1]);
+            return parallaxEstimator.verifyMatches(featureDetector.match(first, last)).length;
+        } catch (error) {
+            console.error('[TrajectoryEstimator] Loop closure check failed:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Kurzbericht für die Qualitäts-Rückmeldung
+     */
+    summarize(coverage) {
+        const parts = [`${coverage.angularCoverage}° rund um die Szene abgedeckt`];
+
+        if (coverage.loopClosed) {
+            parts.push('Rundgang geschlossen');
+        } else if (coverage.gaps.length > 0) {
+            const largest = coverage.gaps[0];
+            parts.push(`größte Lücke ${largest.size}° (${largest.from}°–${largest.to}° ab Startposition)`);
+        }
+        if (coverage.trackingGaps.length > 0) {
+            const labels = coverage.trackingGaps.slice(0, 3).map(gap => gap.label);
+            const more = coverage.trackingGaps.length - labels.length;
+            parts.push(`Bewegung bei ${labels.join(', ')}${more > 0 ? ` und ${more} weiteren Stellen` : ''} nicht nachvollziehbar`);
+        }
+        if (coverage.revisitedSectors > 0) {
+            parts.push(`${coverage.revisitedSectors * SECTOR_DEGREES}° mehrfach aufgenommen`);
+        }
+
+        return parts.join(' • ');
+    }
+
+    /**
+     * Handlungsempfehlung
+     */
+    recommend(coverage) {
+        if (coverage.trackingGaps.length > 0) {
+            return `Nehmen Sie die Stelle bei ${coverage.trackingGaps[0].label} langsamer auf`;
+        }
+        if (coverage.loopClosed) {
+            return 'Vollständiger Rundgang - sehr gut';
+        }
+        if (coverage.angularCoverage < 90) {
+            return 'Gehen Sie weiter um die Szene herum - bisher ist sie nur von einer Seite aufgenommen';
+        }
+        if (coverage.gaps.length > 0) {
+            return `Ergänzen Sie Aufnahmen aus Richtung ${coverage.gaps[0].from}°–${coverage.gaps[0].to}° (ab Startposition, gegen den Uhrzeigersinn)`;
+        }
+        return 'Gute Abdeckung';
+    }
+}
+
+module.exports = new TrajectoryEstimator();
@@ -0,0 +1,178 @@
+/**
+ * VIDEO VALIDATOR
+ * Prüft hochgeladene Videos am Inhalt statt am vom Browser gemeldeten MIME-Typ
+ *
+ * 1. Magic Bytes: MP4/MOV (ftyp), Matroska/WebM (EBML), AVI (RIFF)
+ * 2. ffprobe: lesbarer Video-Stream mit unterstütztem Codec
+ * 3. Auflösung und Dauer innerhalb von config.videoValidation
+ *
+ * Fehler tragen einen festen Code (VIDEO_ERROR_CODES) - das Frontend und der
+ * Support sehen so, warum ein Video abgelehnt wurde, nicht nur dass.
+ */
+
+const fs = require('fs');
+const config = require('../config/nvidia.config');
+const processRunner = require('./processRunner');
+
+const SNIFF_BYTES = 64;
+
+const VIDEO_ERROR_CODES = {
+    VIDEO_UNSUPPORTED_CONTAINER: { statusCode: 415, userMessage: 'Dateiinhalt ist kein unterstütztes Videoformat (MP4, MOV, WebM, MKV, AVI)' },
+    VIDEO_UNREADABLE: { statusCode: 422, userMessage: 'Video konnte nicht gelesen werden oder enthält keine Videospur' },
+    VIDEO_UNSUPPORTED_CODEC: { statusCode: 415, userMessage: 'Video-Codec wird nicht unterstützt' },
+    VIDEO_RESOLUTION_TOO_LOW: { statusCode: 422, userMessage: 'Auflösung ist zu gering' },
+    VIDEO_RESOLUTION_TOO_HIGH: { statusCode: 422, userMessage: 'Auflösung ist zu hoch' },
+    VIDEO_TOO_SHORT: { statusCode: 422, userMessage: 'Video ist zu kurz' },
+    VIDEO_TOO_LONG: { statusCode: 422, userMessage: 'Video ist zu lang' }
+};
+
+class VideoValidator {
+    /**
+     * Container from the first bytes of a file
+     * @returns {string|null} - 'mp4' | 'mov' | 'webm' | 'mkv' | 'avi' | null
+     */
+    sniffContainer(filePath) {
+        const header = Buffer.alloc(SNIFF_BYTES);
+        const fd = fs.openSync(filePath, 'r');
+        let length;
+        try {
+            length = fs.readSync(fd, header, 0, SNIFF_BYTES, 0);
+        } finally {
+            fs.closeSync(fd);
+        }
+        if (length < 12) return null;
+
+        // ISO Base Media: [Größe][ftyp][Marke] - 'qt  ' ist QuickTime
+        const box = header.toString('latin1', 4, 8);
+        if (box === 'ftyp') return header.toString('latin1', 8, 12) === 'qt  ' ? 'mov' : 'mp4';
+        // Ältere QuickTime-Dateien beginnen direkt mit einem dieser Atome
+        if (['moov', 'mdat', 'wide', 'free', 'skip'].includes(box)) return 'mov';
+
+        if (header.readUInt32BE(0) === 0x1a45dfa3) {
+            return header.subarray(0, length).includes('webm') ? 'webm' : 'mkv';
+        }
+
+        if (header.toString('latin1', 0, 4) === 'RIFF' && header.toString('latin1', 8, 12) === 'AVI ') return 'avi';
+
+        return null;
+    }
+
+    /**
+     * Magic-byte check only - reicht schon das erste Teilstück eines Uploads
+     * @returns {Object} - { success, container } oder { success: false, statusCode, errorCode, error }
+     */
+    checkContainer(filePath) {
+        const container = this.sniffContainer(filePath);
+        if (!container || !config.videoValidation.containers.includes(container)) {
+            return failure('VIDEO_UNSUPPORTED_CONTAINER');
+        }
+        return { success: true, container };
+    }
+
+    /**
+     * Full check of one uploaded video
+     * @param {string} filePath
+     * @returns {Promise<Object>} - { success, probe: { container, codec, width, height, duration, fps } }
+     *   oder { success: false, statusCode, errorCode, error }
+     */
+    async validate(filePath) {
+        const limits = config.videoValidation;
+
+        const checked = this.checkContainer(filePath);
+        if (!checked.success) return checked;
+        const { container } = checked;
+
+        let probe;
+        try {
+            probe = await this.probe(filePath);
+        } catch (error) {
+            console.warn(`[VideoValidator] ffprobe failed for ${filePath}: ${error.message}`);
+            return failure('VIDEO_UNREADABLE');
+        }
+        if (!probe) return failure('VIDEO_UNREADABLE');
+
+        if (!limits.codecs.includes(probe.codec)) {
+            return failure('VIDEO_UNSUPPORTED_CODEC', `${probe.codec} (erlaubt: ${limits.codecs.join(', ')})`);
+        }
+
+        // Hochformat ist erlaubt - verglichen wird kurze mit kurzer, lange mit langer Seite
+        const shortSide = Math.min(probe.width, probe.height);
+        const longSide = Math.max(probe.width, probe.height);
+        if (shortSide < limits.minShortSide) {
+            return failure('VIDEO_RESOLUTION_TOO_LOW', `${probe.width}x${probe.height}, mindestens ${limits.minShortSide}p`);
+        }
+        if (longSide > limits.maxLongSide) {
+            return failure('VIDEO_RESOLUTION_TOO_HIGH', `${probe.width}x${probe.height}, höchstens ${limits.maxLongSide} px an der längeren Seite`);
+        }
+
+        if (!(probe.duration >= limits.minDurationSeconds)) {
+            return failure('VIDEO_TOO_SHORT', `${probe.duration || 0}s, mindestens ${limits.minDurationSeconds}s`);
+        }
+        if (probe.duration > limits.maxDurationSeconds) {
+            return failure('VIDEO_TOO_LONG', `${probe.duration}s, höchstens ${limits.maxDurationSeconds}s`);
+        }
+
+        return { success: true, probe: { container, ...probe } };
+    }
+
+    /**
+     * Validate several videos - stops at the first rejected one
+     * @param {Object[]} videos - [{ videoFile, originalName }]
+     * @returns {Promise<Object>} - { success } oder Fehler wie validate() plus `file` (Originalname)
+     *   und `video` (das abgelehnte Objekt)
+     */
+    async validateAll(videos) {
+        for (const video of videos) {
+            const result = await this.validate(video.videoFile);
+            if (!result.success) {
+                console.log(`[VideoValidator] Rejected ${video.originalName}: ${result.errorCode}`);
+                return { ...result, error: `${video.originalName}: ${result.error}`, file: video.originalName, video };
+            }
+        }
+        return { success: true };
+    }
+
+    /**
+     * ffprobe as argument array (kein Shell-String - Dateinamen bleiben Daten)
+     * @returns {Promise<Object|null>} - { codec, width, height, duration, fps } oder null ohne Video-Stream
+     */
+    async probe(filePath) {
+        const { stdout } = await processRunner.run('ffprobe', [
+            '-v', 'error',
+            '-print_format', 'json',
+            '-show_format',
+            '-show_streams',
+            filePath
+        ], { timeoutMs: config.media.probeTimeoutMs });
+
+        const data = JSON.parse(stdout);
+        const stream = (data.streams || []).find(s => s.codec_type === 'video' && !s.disposition?.attached_pic);
+        if (!stream) return null;
+
+        const [num, denom] = String(stream.avg_frame_rate || stream.r_frame_rate || '0/1').split('/');
+        const fps = denom && Number(denom) > 0 ? Number(num) / Number(denom) : Number(num) || null;
+
+        return {
+            codec: stream.codec_name,
+            width: stream.width || 0,
+            height: stream.height || 0,
+            duration: Math.round((parseFloat(data.format?.duration) || parseFloat(stream.duration) || 0) * 10) / 10,
+            fps: fps ? Math.round(fps * 100) / 100 : null
+        };
+    }
+}
+
+/**
+ * Discriminated failure with code and German message
+ */
+function failure(errorCode, detail) {
+    const { statusCode, userMessage } = VIDEO_ERROR_CODES[errorCode];
+    return {
+        success: false,
+        statusCode,
+        errorCode,
+        error: detail ? `${userMessage} (${detail})` : userMessage
+    };
+}
+
+module.exports = new VideoValidator();
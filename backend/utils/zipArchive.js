@@ -0,0 +1,179 @@
+/**
+ * ZIP ARCHIVE - Minimaler ZIP-Leser für Foto-Uploads
+ *
+ * Liest das zentrale Verzeichnis und entpackt einzelne Einträge direkt aus
+ * der Datei (nie das ganze Archiv im Speicher). Unterstützt "stored" und
+ * "deflate" - das, was Explorer, Finder und `zip` erzeugen.
+ * Nicht unterstützt: ZIP64 (> 4 GB), verschlüsselte Einträge, mehrteilige Archive.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * Defective or unsupported archive - ein Fehler des Uploads, nicht des Servers
+ */
+class ZipError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ZipError';
+    }
+}
+
+class ZipArchive {
+    /**
+     * @param {string} filePath
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.fd = null;
+        this.fileSize = 0;
+    }
+
+    /**
+     * Does the file start like a ZIP archive?
+     */
+    static isZip(filePath) {
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            const header = Buffer.alloc(4);
+            return fs.readSync(fd, header, 0, 4, 0) === 4 && header.readUInt32LE(0) === LOCAL_SIGNATURE;
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Entries of the central directory (ohne Ordner)
+     * @returns {Object[]} - [{ name, method, compressedSize, size, encrypted, localHeaderOffset }]
+     */
+    entries() {
+        this.open();
+        const fileSize = this.fileSize;
+
+        // End of central directory: am Dateiende, ggf. hinter einem Kommentar
+        const tailSize = Math.min(fileSize, EOCD_MIN_SIZE + MAX_COMMENT_SIZE);
+        const tail = this.read(fileSize - tailSize, tailSize);
+        let eocd = -1;
+        for (let i = tail.length - EOCD_MIN_SIZE; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd < 0) throw new ZipError('Keine gültige ZIP-Datei');
+
+        const count = tail.readUInt16LE(eocd + 10);
+        const directorySize = tail.readUInt32LE(eocd + 12);
+        const directoryOffset = tail.readUInt32LE(eocd + 16);
+        if (count === 0xffff || directoryOffset === 0xffffffff) {
+            throw new ZipError('ZIP64-Archive werden nicht unterstützt');
+        }
+
+        const directory = this.read(directoryOffset, directorySize);
+        const entries = [];
+        let pos = 0;
+
+        for (let i = 0; i < count; i++) {
+            if (pos + 46 > directory.length || directory.readUInt32LE(pos) !== CENTRAL_SIGNATURE) {
+                throw new ZipError('Beschädigtes ZIP-Verzeichnis');
+            }
+
+            const flags = directory.readUInt16LE(pos + 8);
+            const nameLength = directory.readUInt16LE(pos + 28);
+            const extraLength = directory.readUInt16LE(pos + 30);
+            const commentLength = directory.readUInt16LE(pos + 32);
+            // Bit 11: Name ist UTF-8, sonst CP437 - für Dateinamen reicht latin1
+            if (pos + 46 + nameLength > directory.length) throw new ZipError('Beschädigtes ZIP-Verzeichnis');
+            const name = directory.toString(flags & 0x800 ? 'utf8' : 'latin1', pos + 46, pos + 46 + nameLength);
+
+            if (!name.endsWith('/')) {
+                entries.push({
+                    name,
+                    method: directory.readUInt16LE(pos + 10),
+                    compressedSize: directory.readUInt32LE(pos + 20),
+                    size: directory.readUInt32LE(pos + 24),
+                    encrypted: Boolean(flags & 0x1),
+                    localHeaderOffset: directory.readUInt32LE(pos + 42)
+                });
+            }
+
+            pos += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    /**
+     * Unpack one entry
+     * @param {Object} entry - aus entries()
+     * @param {number} maxBytes - Obergrenze entpackt (Schutz vor ZIP-Bomben)
+     * @returns {Buffer}
+     */
+    extract(entry, maxBytes) {
+        if (entry.encrypted) throw new ZipError('Verschlüsselte Einträge werden nicht unterstützt');
+        if (entry.size > maxBytes) throw new ZipError(`Eintrag zu groß (${entry.size} Bytes)`);
+        if (entry.compressedSize > maxBytes) throw new ZipError(`Eintrag zu groß (${entry.compressedSize} Bytes gepackt)`);
+
+        this.open();
+        const header = this.read(entry.localHeaderOffset, 30);
+        if (header.readUInt32LE(0) !== LOCAL_SIGNATURE) throw new ZipError('Beschädigter ZIP-Eintrag');
+
+        // Länge von Name/Extra im lokalen Header kann vom Verzeichnis abweichen
+        const dataOffset = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+        const data = this.read(dataOffset, entry.compressedSize);
+
+        let content;
+        if (entry.method === METHOD_STORED) {
+            content = data;
+        } else if (entry.method === METHOD_DEFLATE) {
+            try {
+                content = zlib.inflateRawSync(data, { maxOutputLength: maxBytes });
+            } catch (error) {
+                throw new ZipError(`Beschädigter ZIP-Eintrag (${error.message})`);
+            }
+        } else {
+            throw new ZipError(`Komprimierung ${entry.method} wird nicht unterstützt`);
+        }
+
+        if (content.length !== entry.size) throw new ZipError('ZIP-Eintrag unvollständig');
+        return content;
+    }
+
+    open() {
+        if (this.fd !== null) return;
+        this.fd = fs.openSync(this.filePath, 'r');
+        this.fileSize = fs.fstatSync(this.fd).size;
+    }
+
+    close() {
+        if (this.fd !== null) fs.closeSync(this.fd);
+        this.fd = null;
+    }
+
+    /**
+     * Größen und Offsets stammen aus dem Archiv selbst - erst gegen die
+     * Dateigröße prüfen, dann Speicher anlegen
+     */
+    read(position, length) {
+        if (position < 0 || position + length > this.fileSize) {
+            throw new ZipError('ZIP-Datei ist abgeschnitten oder beschädigt');
+        }
+        const buffer = Buffer.alloc(length);
+        const bytesRead = fs.readSync(this.fd, buffer, 0, length, position);
+        if (bytesRead !== length) throw new ZipError('ZIP-Datei ist abgeschnitten');
+        return buffer;
+    }
+}
+
+module.exports = ZipArchive;
+module.exports.ZipError = ZipError;
@@ -1,68 +1,143 @@
 /**
  * SERVIONICS FRONTEND CONFIG
- * 
+ *
  * Zentrale Konfiguration für API-Endpunkte.
  * Wird je nach Umgebung automatisch gesetzt.
  */
 
-// PASSWORD GATE - Schützt die Seite mit Passwort
-(function () {
-    // Nur in Production (nicht localhost)
-    if (window.location.hostname === 'localhost') return;
-
-    // Bereits authentifiziert?
-    if (sessionStorage.getItem('servionics_auth') === 'true') return;
-
-    // Passwort abfragen
-    const password = prompt('🔐 Servionics Demo - Bitte Passwort eingeben:');
-
-    if (password === 'servionics2026') {
-        sessionStorage.setItem('servionics_auth', 'true');
-    } else {
-        document.documentElement.innerHTML = `
-      <div style="display:flex;align-items:center;justify-content:center;height:100vh;background:#0a0a0f;color:white;font-family:system-ui;">
-        <div style="text-align:center;">
-          <h1 style="font-size:48px;margin-bottom:16px;">🔒</h1>
-          <h2>Zugang verweigert</h2>
-          <p style="color:#888;margin-top:8px;">Falsches Passwort</p>
-          <button onclick="location.reload()" style="margin-top:24px;padding:12px 24px;background:#6366f1;color:white;border:none;border-radius:8px;cursor:pointer;">
-            Erneut versuchen
-          </button>
-        </div>
-      </div>
-    `;
-        throw new Error('Authentication failed'); // Stop weitere Scripts
-    }
-})();
-
 const ServionicsConfig = {
     // API Base URL - automatisch basierend auf Umgebung
     API_URL: window.location.hostname === 'localhost'
         ? 'http://localhost:3001'
         : 'https://servionics-production.up.railway.app',
 
-    // Basic Auth Credentials (für Production)
-    // HINWEIS: In echter Production würde man Tokens nutzen, nicht Basic Auth
-    AUTH_USER: 'demo',
-    AUTH_PASS: 'servionics2026',
+    // Session-Token vom Login (POST /api/auth/login) - keine Zugangsdaten im Code
+    TOKEN_KEY: 'servionics_token',
+    USER_KEY: 'servionics_user',
+
+    getToken() {
+        return sessionStorage.getItem(this.TOKEN_KEY);
+    },
+
+    // Freigabe-Link (viewer.html?project=...&share=...) - Lesezugriff ohne Login
+    getShareToken() {
+        return new URLSearchParams(window.location.search).get('share');
+    },
+
+    getUser() {
+        const user = sessionStorage.getItem(this.USER_KEY);
+        return user ? JSON.parse(user) : null;
+    },
+
+    // Rolle des Benutzers erlaubt die Aktion? (Liste kommt vom Login, das Backend prüft trotzdem)
+    can(permission) {
+        return (this.getUser()?.permissions || []).includes(permission);
+    },
 
     // Erstellt Authorization Header
     getAuthHeader() {
-        const credentials = btoa(`${this.AUTH_USER}:${this.AUTH_PASS}`);
-        return `Basic ${credentials}`;
+        const token = this.getToken();
+        return token ? `Bearer ${token}` : '';
     },
 
-    // Fetch mit Auth
+    // Fetch mit Auth - bei 401 (Token abgelaufen/widerrufen) neu anmelden
+    // Ohne Login, aber mit Freigabe-Link geht der Share-Token als ?share= mit
     async fetch(endpoint, options = {}) {
-        const url = `${this.API_URL}${endpoint}`;
+        const shareToken = !this.getToken() && this.getShareToken();
+        const url = shareToken
+            ? `${this.API_URL}${endpoint}${endpoint.includes('?') ? '&' : '?'}share=${encodeURIComponent(shareToken)}`
+            : `${this.API_URL}${endpoint}`;
         const headers = {
             ...options.headers,
             'Authorization': this.getAuthHeader()
         };
 
-        return fetch(url, { ...options, headers });
+        const response = await fetch(url, { ...options, headers });
+
+        if (response.status === 401 && !shareToken) {
+            this.clearSession();
+            showLoginGate('Ihre Sitzung ist abgelaufen. Bitte melden Sie sich erneut an.');
+        }
+
+        return response;
+    },
+
+    async login(email, password) {
+        const response = await fetch(`${this.API_URL}/api/auth/login`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ email, password })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Anmeldung fehlgeschlagen');
+        }
+
+        sessionStorage.setItem(this.TOKEN_KEY, data.token);
+        sessionStorage.setItem(this.USER_KEY, JSON.stringify(data.user));
+        return data.user;
+    },
+
+    async logout() {
+        try {
+            await this.fetch('/api/auth/logout', { method: 'POST' });
+        } finally {
+            this.clearSession();
+            location.reload();
+        }
+    },
+
+    clearSession() {
+        sessionStorage.removeItem(this.TOKEN_KEY);
+        sessionStorage.removeItem(this.USER_KEY);
     }
 };
 
+// LOGIN GATE - Ohne Session-Token wird die Seite mit dem Login-Formular überdeckt
+function showLoginGate(message = null) {
+    if (document.getElementById('login-gate')) return;
+
+    const gate = document.createElement('div');
+    gate.id = 'login-gate';
+    gate.innerHTML = `
+      <form style="width:320px;text-align:center;">
+        <h1 style="font-size:48px;margin-bottom:16px;">🔐</h1>
+        <h2 style="margin-bottom:8px;">Servionics Login</h2>
+        <p data-login-message style="color:#888;margin-bottom:24px;min-height:1.2em;">${message || 'Bitte melden Sie sich mit Ihrem Kundenkonto an.'}</p>
+        <input name="email" type="email" placeholder="E-Mail" autocomplete="username" required
+          style="width:100%;padding:12px;margin-bottom:12px;border-radius:8px;border:1px solid #333;background:#14141c;color:white;">
+        <input name="password" type="password" placeholder="Passwort" autocomplete="current-password" required
+          style="width:100%;padding:12px;margin-bottom:24px;border-radius:8px;border:1px solid #333;background:#14141c;color:white;">
+        <button type="submit" style="width:100%;padding:12px 24px;background:#6366f1;color:white;border:none;border-radius:8px;cursor:pointer;">
+          Anmelden
+        </button>
+      </form>
+    `;
+    gate.style.cssText = 'position:fixed;inset:0;z-index:10000;display:flex;align-items:center;justify-content:center;background:#0a0a0f;color:white;font-family:system-ui;';
+
+    const form = gate.querySelector('form');
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const button = form.querySelector('button');
+        button.disabled = true;
+
+        try {
+            await ServionicsConfig.login(form.email.value, form.password.value);
+            location.reload();
+        } catch (error) {
+            gate.querySelector('[data-login-message]').textContent = error.message;
+            gate.querySelector('[data-login-message]').style.color = '#f87171';
+            button.disabled = false;
+        }
+    });
+
+    document.body.appendChild(gate);
+}
+
+if (!ServionicsConfig.getToken() && !ServionicsConfig.getShareToken()) {
+    showLoginGate();
+}
+
 // Global verfügbar machen
 window.ServionicsConfig = ServionicsConfig;
@@ -188,6 +188,72 @@
         }, 60000);
     }
 
+    // Angemeldeten Benutzer in der Navbar anzeigen + Abmelden
+    function initializeUser() {
+        const user = window.ServionicsConfig?.getUser();
+        if (user) {
+            const initials = user.name
+                .split(/[\s@.]+/)
+                .filter(Boolean)
+                .slice(0, 2)
+                .map(part => part[0].toUpperCase())
+                .join('');
+
+            document.querySelector('.navbar__user-avatar').textContent = initials;
+            document.querySelector('.navbar__user-name').textContent = user.name;
+        }
+
+        document.querySelector('[data-action="logout"]')?.addEventListener('click', () => {
+            window.ServionicsConfig?.logout();
+        });
+    }
+
+    // Project card actions: retry failed projects (Rolle mit 'project:retry'),
+    // share finished offers (Freigabe-Link in die Zwischenablage)
+    function initializeProjectActions() {
+        document.getElementById('project-list')?.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-action="retry"], [data-action="share"]');
+            if (!button) return;
+
+            const projectId = button.dataset.projectId;
+            button.disabled = true;
+
+            if (button.dataset.action === 'share') {
+                await shareProject(projectId);
+                button.disabled = false;
+                return;
+            }
+
+            const response = await window.ServionicsConfig.fetch(`/api/project/${projectId}/retry`, { method: 'POST' });
+            const data = await response.json();
+
+            showToast(data.success ? `Projekt ${projectId} wird neu gestartet` : data.error);
+            await loadProjectsFromAPI();
+        });
+    }
+
+    async function shareProject(projectId) {
+        const response = await window.ServionicsConfig.fetch(`/api/project/${projectId}/share`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({})
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            showToast(data.error);
+            return;
+        }
+
+        const validUntil = new Date(data.link.expiresAt).toLocaleDateString('de-DE');
+        try {
+            await navigator.clipboard.writeText(data.url);
+            showToast(`Freigabe-Link kopiert (gültig bis ${validUntil})`);
+        } catch (error) {
+            window.prompt(`Freigabe-Link (gültig bis ${validUntil}):`, data.url);
+        }
+    }
+
     // Initialize Dashboard
     async function initDashboard() {
         addToastStyles();
@@ -202,6 +268,8 @@
         initializeTickets();
         initializeProjectCards();
         initializeLiveClock();
+        initializeUser();
+        initializeProjectActions();
 
         // Load real projects from API
         await loadProjectsFromAPI();
@@ -215,14 +283,8 @@
         const container = document.getElementById('project-list');
         if (!container) return;
 
-        const API_URL = window.ServionicsConfig?.API_URL || 'http://localhost:3001';
-
         try {
-            const response = await fetch(`${API_URL}/api/projects`, {
-                headers: {
-                    'Authorization': window.ServionicsConfig?.getAuthHeader() || ''
-                }
-            });
+            const response = await window.ServionicsConfig.fetch('/api/projects');
 
             const data = await response.json();
 
@@ -248,14 +310,21 @@
             'machine-loading': 'Maschinenbeladung', 'grinding': 'Schleifen'
         };
         const statusLabels = {
-            'processing': 'In Bearbeitung', 'queued': 'Wartend',
+            'processing': 'In Bearbeitung', 'queued': 'Wartend', 'awaiting_capture': '3D-Erfassung (GPU)',
             'complete': 'Abgeschlossen', 'failed': 'Fehlgeschlagen'
         };
+        const phaseLabels = {
+            'ingest': 'Analyse', 'capture': '3D-Erfassung', 'construct': 'Zellenaufbau',
+            'simulate': 'Simulation', 'output': 'Angebot'
+        };
         const statusClasses = {
-            'processing': 'status-dot--pending', 'queued': 'status-dot--pending',
+            'processing': 'status-dot--pending', 'queued': 'status-dot--pending', 'awaiting_capture': 'status-dot--pending',
             'complete': 'status-dot--complete', 'failed': 'status-dot--failed'
         };
 
+        const canRetry = window.ServionicsConfig.can('project:retry');
+        const canShare = window.ServionicsConfig.can('project:share');
+
         container.innerHTML = projects.map(p => `
             <div class="project-card project-card--${p.status === 'complete' ? 'complete' : 'active'}">
                 <div class="project-card__header">
@@ -275,11 +344,29 @@
                         <span class="project-card__meta-label">Qualität</span>
                         <span class="project-card__meta-value">${p.qualityScore || '-'}/100</span>
                     </div>
+                    ${p.videos?.length > 1 ? `
+                    <div class="project-card__meta-item">
+                        <span class="project-card__meta-label">Videos</span>
+                        <span class="project-card__meta-value">${p.videos.length}</span>
+                    </div>` : ''}
+                    ${p.photoSet ? `
+                    <div class="project-card__meta-item">
+                        <span class="project-card__meta-label">Fotos</span>
+                        <span class="project-card__meta-value">${p.photoSet.imageCount}</span>
+                    </div>` : ''}
                 </div>
+                ${p.status === 'failed' && p.error ? `
+                <p class="project-card__error">
+                    ${p.error.phase ? `<strong>${phaseLabels[p.error.phase] || p.error.phase}:</strong> ` : ''}${p.error.userMessage}
+                </p>` : ''}
                 <div class="project-card__actions">
                     ${p.hasSplat ?
                 `<a href="viewer.html?project=${p.id}" class="btn btn--accent btn--small">🎮 3D ansehen</a>` :
                 `<button class="btn btn--ghost btn--small" disabled>⏳ Verarbeitung</button>`}
+                    ${p.status === 'failed' && canRetry ?
+                `<button class="btn btn--ghost btn--small" data-action="retry" data-project-id="${p.id}">↻ Erneut starten</button>` : ''}
+                    ${p.status === 'complete' && canShare ?
+                `<button class="btn btn--ghost btn--small" data-action="share" data-project-id="${p.id}">🔗 Teilen</button>` : ''}
                 </div>
             </div>
         `).join('');
@@ -143,11 +143,20 @@ function initMobileMenu() {
  * Upload zone drag & drop
  */
 function initUploadZone() {
+  // Wie config.limits.maxVideosPerProject und config.photoSet.maxImages im Backend
+  const MAX_VIDEOS_PER_PROJECT = 10;
+  const MAX_PHOTOS_PER_PROJECT = 300;
+
   const uploadZone = document.querySelector('.upload-zone');
   const fileInput = document.querySelector('.upload-zone__input');
 
+  // Blob-URLs der Videovorschau - freigeben, sobald die Vorschau ersetzt wird
+  let timelinePreviewUrls = [];
+
   if (!uploadZone) return;
 
+  window.addEventListener('pagehide', revokeTimelinePreviewUrls);
+
   // Click to upload
   uploadZone.addEventListener('click', () => {
     fileInput?.click();
@@ -188,38 +197,73 @@ function initUploadZone() {
 
   /**
    * Handle selected files
-   * ERKÄRUNG: Diese Funktion wird aufgerufen wenn du ein Video auswählst
-   * Sie prüft ob die Datei gültig ist und startet dann den Upload
+   * ERKÄRUNG: Diese Funktion wird aufgerufen wenn du Videos auswählst
+   * Sie prüft ob die Dateien gültig sind und startet dann den Upload.
+   * Mehrere Videos (z.B. je eines pro Seite der Arbeitszelle) werden ein Projekt.
+   * Fotos (oder ein ZIP mit Fotos) gehen als Foto-Serie statt Video hoch
    */
-  function handleFiles(files) {
+  function handleFiles(fileList) {
+    const files = Array.from(fileList);
     if (files.length === 0) return;
 
-    const file = files[0];
-
-    // Prüfung 1: Ist es ein Video?
-    if (!file.type.startsWith('video/')) {
-      showNotification('Bitte laden Sie eine Videodatei hoch.', 'error');
+    const photos = files.filter(isPhotoFile);
+    if (photos.length > 0) {
+      if (photos.length !== files.length) {
+        showNotification('Bitte entweder Videos oder Fotos hochladen, nicht beides.', 'error');
+        return;
+      }
+      if (files.length > MAX_PHOTOS_PER_PROJECT) {
+        showNotification(`Bitte höchstens ${MAX_PHOTOS_PER_PROJECT} Fotos hochladen.`, 'error');
+        return;
+      }
+      uploadToBackend(files, 'photos');
       return;
     }
 
-    // Prüfung 2: Ist die Datei kleiner als 500MB?
-    if (file.size > 500 * 1024 * 1024) {
-      showNotification('Die Datei ist zu groß. Maximal 500MB erlaubt.', 'error');
+    // Prüfung 1: Nicht zu viele auf einmal
+    if (files.length > MAX_VIDEOS_PER_PROJECT) {
+      showNotification(`Bitte höchstens ${MAX_VIDEOS_PER_PROJECT} Videos auf einmal hochladen.`, 'error');
       return;
     }
 
+    for (const file of files) {
+      // Prüfung 2: Ist es ein Video?
+      if (!file.type.startsWith('video/')) {
+        showNotification(`${file.name} ist keine Videodatei.`, 'error');
+        return;
+      }
+
+      // Prüfung 3: Ist die Datei kleiner als 500MB?
+      if (file.size > 500 * 1024 * 1024) {
+        showNotification(`${file.name} ist zu groß. Maximal 500MB pro Video erlaubt.`, 'error');
+        return;
+      }
+    }
+
     // NEU: Starte echten Upload zum Backend
-    uploadToBackend(file);
+    uploadToBackend(files);
+  }
+
+  /**
+   * Foto oder ZIP-Archiv? (HEIC/ZIP melden manche Browser ohne MIME-Typ)
+   */
+  function isPhotoFile(file) {
+    return file.type.startsWith('image/') || /\.(jpe?g|png|heic|heif|zip)$/i.test(file.name);
   }
 
   /**
-   * Upload video to Backend API
-   * ERKLÄRUNG: 
-   * 1. FormData = Container um Dateien zu versenden
-   * 2. fetch() = Browser-Funktion für HTTP-Anfragen
-   * 3. POST = HTTP-Methode zum Senden von Daten
+   * Upload videos to Backend API
+   * ERKLÄRUNG:
+   * 1. Jedes Video geht in Teilstücken an den Server (uploadInChunks)
+   * 2. Bricht das WLAN ab, wird das Teilstück wiederholt - und wählt man
+   *    dieselben Dateien erneut aus, geht es beim letzten Teilstück weiter
+   * 3. Danach startet der Server die Pipeline für alle Videos zusammen
+   *    und antwortet mit der Projekt-ID
+   * Foto-Serien gehen in einem Request hoch (uploadPhotos)
+   * @param {File[]} files
+   * @param {string} [mode] - 'video' | 'photos'
    */
-  async function uploadToBackend(file) {
+  async function uploadToBackend(files, mode = 'video') {
     const uploadProgress = document.querySelector('.upload-progress');
     const uploadZoneContent = document.querySelector('.upload-zone__content');
 
@@ -233,35 +277,30 @@ function initUploadZone() {
     const progressText = uploadProgress?.querySelector('.upload-progress__text');
 
     try {
-      // SCHRITT 1: Zeige "Uploading..." Status
+      // SCHRITT 1: Videos in Teilstücken hochladen, Fortschritt in echten Bytes
       if (progressText) progressText.textContent = 'Uploading...';
-      if (progressBar) progressBar.style.width = '30%';
 
-      // SCHRITT 2: Erstelle FormData mit Video und Skill-ID
-      // FormData ist wie ein Paket, das wir an den Server schicken
-      const formData = new FormData();
-      formData.append('video', file);                    // Die Video-Datei
-      formData.append('skillId', 'pick-place');          // Welcher Skill (vorerst hardcoded)
-
-      // SCHRITT 3: Sende an Backend
-      // Nutzt ServionicsConfig für URL (localhost oder Production)
-      if (progressText) progressText.textContent = 'Analysiere...';
-      if (progressBar) progressBar.style.width = '60%';
+      const upload = mode === 'photos' ? uploadPhotos : uploadVideos;
+      const { response, result: uploadResult } = await upload(files, 'pick-place', (fraction, status) => {
+        const percent = Math.round(fraction * 100);
+        if (progressBar) progressBar.style.width = `${percent}%`;
+        if (progressText) progressText.textContent = status || `Uploading... ${percent}%`;
+      });
 
-      // API URL aus Config (passt sich automatisch an localhost/production an)
-      const API_URL = window.ServionicsConfig?.API_URL || 'http://localhost:3001';
+      const skipped = uploadResult.photoSet?.skipped || [];
+      if (skipped.length > 0) {
+        showNotification(`${skipped.length} Datei(en) übersprungen (kein lesbares Foto).`, 'info');
+      }
 
-      const response = await fetch(`${API_URL}/api/project/upload`, {
-        method: 'POST',
-        headers: {
-          // Auth Header für Production (in Dev wird es vom Server ignoriert)
-          'Authorization': window.ServionicsConfig?.getAuthHeader() || ''
-        },
-        body: formData
-      });
+      // SCHRITT 2: Server antwortet sofort mit Projekt-ID (202),
+      // die Pipeline läuft im Hintergrund weiter
+      let result = uploadResult;
 
-      // SCHRITT 4: Verarbeite die Antwort vom Server
-      const result = await response.json();
+      if (response.status === 202 && result.projectId) {
+        // Echte Phasen-Anzeige statt Fortschrittsbalken
+        showAnalysisStep();
+        result = await followPipeline(result.projectId);
+      }
 
       if (progressBar) progressBar.style.width = '100%';
       if (progressText) progressText.textContent = '100%';
@@ -269,16 +308,16 @@ function initUploadZone() {
       // Kurze Pause für visuelles Feedback
       await new Promise(resolve => setTimeout(resolve, 500));
 
-      // SCHRITT 5: Zeige IMMER die Analyse-Ergebnisse
+      // SCHRITT 3: Zeige IMMER die Analyse-Ergebnisse
       // Der User will sehen, was am Video gut/schlecht war
       if (result.phase === 'quality_gate' || result.basicQuality || result.splattingSuitability) {
         // Zeige Analyse-Feedback (mit Offer-Button bei Erfolg)
-        showQualityFeedback(result);
+        showQualityFeedback(result, mode === 'video' ? files : []);
       } else if (result.success) {
         // Fallback: Wenn keine Analyse-Daten, zeige direkt Angebot
         showOfferResult(result);
       } else {
-        // Anderer Fehler
+        // Anderer Fehler (z.B. Quota erschöpft, Video zu groß)
         showNotification(result.error || 'Ein Fehler ist aufgetreten', 'error');
         resetUploadZone();
       }
@@ -286,16 +325,418 @@ function initUploadZone() {
     } catch (error) {
       // Fehlerbehandlung (z.B. Server nicht erreichbar)
       console.error('Upload failed:', error);
-      showNotification('Verbindung zum Server fehlgeschlagen. Läuft der Backend-Server?', 'error');
+      let message = 'Verbindung zum Server fehlgeschlagen. Läuft der Backend-Server?';
+      if (error.errorCode) message = error.message; // Server hat das Video abgelehnt
+      else if (error.resumable) message = 'Upload unterbrochen. Wählen Sie dieselbe Datei erneut aus, um fortzusetzen.';
+      showNotification(message, 'error');
       resetUploadZone();
     }
   }
 
+  /**
+   * Foto-Serie in einem Request hochladen (POST /api/project/upload-photos)
+   * ERKLÄRUNG: XMLHttpRequest statt fetch, weil nur XHR den Upload-Fortschritt meldet
+   * @param {File[]} files - Fotos und/oder ZIP-Archive
+   * @param {string} skillId
+   * @param {Function} onProgress - (Anteil 0..1, optionaler Status-Text)
+   * @returns {Promise<Object>} - { response, result }
+   */
+  function uploadPhotos(files, skillId, onProgress) {
+    const API_URL = window.ServionicsConfig?.API_URL || 'http://localhost:3001';
+    const formData = new FormData();
+    files.forEach(file => formData.append('photos', file));
+    formData.append('skillId', skillId);
+
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open('POST', `${API_URL}/api/project/upload-photos`);
+      xhr.setRequestHeader('Authorization', window.ServionicsConfig?.getAuthHeader() || '');
+
+      xhr.upload.onprogress = (event) => {
+        if (!event.lengthComputable) return;
+        onProgress(event.loaded / event.total, event.loaded === event.total ? 'Fotos werden vorbereitet...' : null);
+      };
+      xhr.onload = () => {
+        let result;
+        try {
+          result = JSON.parse(xhr.responseText);
+        } catch (error) {
+          result = { success: false, error: `Upload fehlgeschlagen (${xhr.status})` };
+        }
+        resolve({ response: { status: xhr.status, ok: xhr.status >= 200 && xhr.status < 300 }, result });
+      };
+      xhr.onerror = () => reject(new Error('Foto-Upload fehlgeschlagen'));
+
+      xhr.send(formData);
+    });
+  }
+
+  /**
+   * Alle Videos hochladen und als ein Projekt starten (POST /api/uploads/complete)
+   * @param {File[]} files
+   * @param {string} skillId
+   * @param {Function} onProgress - (Anteil 0..1, optionaler Status-Text)
+   * @returns {Object} - { response, result } der abschließenden Anfrage
+   */
+  async function uploadVideos(files, skillId, onProgress) {
+    const API_URL = window.ServionicsConfig?.API_URL || 'http://localhost:3001';
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    const uploadIds = [];
+    let doneBytes = 0;
+
+    for (const [index, file] of files.entries()) {
+      const label = files.length > 1 ? `Video ${index + 1}/${files.length}` : null;
+      const sent = await uploadInChunks(file, (fileBytes, status) => {
+        const fraction = (doneBytes + fileBytes) / totalBytes;
+        onProgress(fraction, status || (label ? `${label}: ${Math.round(fraction * 100)}%` : null));
+      });
+
+      // Quota erschöpft, Rate Limit, Datei zu groß -> Fehlermeldung vom Server anzeigen
+      if (!sent.upload) return sent;
+
+      uploadIds.push(sent.upload.uploadId);
+      doneBytes += file.size;
+    }
+
+    onProgress(1, 'Upload wird geprüft...');
+
+    const response = await fetchWithRetry(`${API_URL}/api/uploads/complete`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        uploadIds,
+        skillId,
+        trimBadSegments: document.querySelector('.project-check__trim')?.checked === true
+      })
+    });
+    const result = await response.json();
+
+    if (response.ok) files.forEach(file => localStorage.removeItem(uploadStorageKey(file)));
+    return { response, result };
+  }
+
+  /**
+   * Fortsetzbarer Upload einer Datei: POST /api/uploads -> PUT .../chunks/:index
+   * ERKLÄRUNG: Die Upload-ID merken wir uns im localStorage (pro Datei).
+   * Wird dieselbe Datei nochmal gewählt, fragt der Browser den Server,
+   * welche Teilstücke schon angekommen sind, und schickt nur den Rest
+   * @param {File} file
+   * @param {Function} onProgress - (hochgeladene Bytes, optionaler Status-Text)
+   * @returns {Object} - { upload } oder bei Fehler { response, result }
+   */
+  async function uploadInChunks(file, onProgress) {
+    const API_URL = window.ServionicsConfig?.API_URL || 'http://localhost:3001';
+    const storageKey = uploadStorageKey(file);
+
+    let upload = await resumeUpload(API_URL, localStorage.getItem(storageKey));
+
+    if (!upload) {
+      const response = await fetchWithRetry(`${API_URL}/api/uploads`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ fileName: file.name, size: file.size, mimeType: file.type })
+      });
+      upload = await response.json();
+
+      if (!response.ok) return { response, result: upload };
+
+      localStorage.setItem(storageKey, upload.uploadId);
+    } else if (upload.receivedBytes > 0) {
+      onProgress(upload.receivedBytes, 'Setze Upload fort...');
+    }
+
+    if (upload.status === 'uploading') {
+      const received = new Set(upload.receivedChunks);
+      let sentBytes = upload.receivedBytes;
+
+      for (let index = 0; index < upload.totalChunks; index++) {
+        if (received.has(index)) continue;
+
+        const chunk = file.slice(index * upload.chunkSize, (index + 1) * upload.chunkSize);
+        await sendChunk(API_URL, upload.uploadId, index, chunk);
+
+        sentBytes += chunk.size;
+        onProgress(sentBytes);
+      }
+    }
+
+    return { upload };
+  }
+
+  /**
+   * localStorage-Schlüssel für die Upload-ID einer Datei
+   */
+  function uploadStorageKey(file) {
+    return `servionics-upload:${file.name}:${file.size}:${file.lastModified}`;
+  }
+
+  /**
+   * Laufenden Upload vom Server holen - null, wenn es nichts fortzusetzen gibt
+   */
+  async function resumeUpload(API_URL, uploadId) {
+    if (!uploadId) return null;
+
+    try {
+      const response = await fetch(`${API_URL}/api/uploads/${uploadId}`, {
+        headers: { 'Authorization': window.ServionicsConfig?.getAuthHeader() || '' }
+      });
+      if (!response.ok) return null;
+
+      const upload = await response.json();
+      // 'complete': nur die Verbindung zur complete-Antwort war weg -> liefert das Projekt
+      return ['uploading', 'complete'].includes(upload.status) ? upload : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Ein Teilstück mit SHA-256-Prüfsumme senden, bei Abbrüchen wiederholen
+   */
+  async function sendChunk(API_URL, uploadId, index, chunk) {
+    const checksum = await sha256Hex(chunk);
+
+    const response = await fetchWithRetry(`${API_URL}/api/uploads/${uploadId}/chunks/${index}`, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'X-Chunk-Sha256': checksum
+      },
+      body: chunk
+    }, { retryStatus: [400] }); // 400 = Prüfsumme falsch, also unterwegs beschädigt
+
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({}));
+      const error = new Error(result.error || `Teilstück ${index} konnte nicht hochgeladen werden`);
+      // 415 = Inhalt ist kein Video - Fortsetzen hilft nicht
+      error.resumable = ![404, 409, 415].includes(response.status);
+      error.errorCode = result.errorCode;
+      throw error;
+    }
+  }
+
+  /**
+   * fetch() mit Wiederholung bei Netzwerkfehlern, 5xx und 429
+   * ERKLÄRUNG: Wartezeit verdoppelt sich (1s, 2s, 4s ... max. 30s),
+   * bei 429 gilt der Retry-After-Header des Servers, offline warten wir aufs WLAN
+   */
+  async function fetchWithRetry(url, options, { attempts = 8, retryStatus = [] } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      let response = null;
+      let networkError = null;
+
+      try {
+        response = await fetch(url, {
+          ...options,
+          headers: {
+            ...options.headers,
+            'Authorization': window.ServionicsConfig?.getAuthHeader() || ''
+          }
+        });
+      } catch (error) {
+        networkError = error;
+      }
+
+      const retryable = networkError || response.status >= 500 || response.status === 429 || retryStatus.includes(response.status);
+      if (!retryable) return response;
+
+      // Monats-Quota: Retry-After zeigt auf den Monatswechsel - nicht warten
+      const retryAfter = parseInt(response?.headers.get('Retry-After'), 10);
+      if (attempt >= attempts || retryAfter > 300) {
+        if (response) return response;
+        networkError.resumable = true;
+        throw networkError;
+      }
+
+      if (!navigator.onLine) {
+        await new Promise(resolve => window.addEventListener('online', resolve, { once: true }));
+      }
+      const delay = retryAfter > 0 ? retryAfter * 1000 : Math.min(30000, 1000 * 2 ** (attempt - 1));
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * SHA-256 eines Blobs als Hex-String (Web Crypto)
+   */
+  async function sha256Hex(blob) {
+    const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  /**
+   * Interner Phasen-Status des Backends -> Phasen-Name der Events
+   */
+  const pipelinePhaseNames = {
+    'phase1_ingest': 'ingest',
+    'phase2_capture': 'capture',
+    'phase3_construct': 'construct',
+    'phase4_simulate': 'simulate',
+    'phase5_output': 'output'
+  };
+
+  /**
+   * Verfolgt die Pipeline live (SSE), bei Problemen per Polling
+   * @returns {Object} - Pipeline-Ergebnis
+   */
+  async function followPipeline(projectId) {
+    try {
+      return await streamProjectEvents(projectId, handlePipelineEvent);
+    } catch (error) {
+      console.warn('Live-Updates nicht verfügbar, nutze Polling:', error);
+      return waitForPipeline(projectId, (status) => {
+        const phase = pipelinePhaseNames[status.phase];
+        if (phase) {
+          updateAnalysisStage(phase, 'processing', status.status === 'awaiting_capture' ? 'Wartet auf GPU-Worker' : null);
+        }
+      });
+    }
+  }
+
+  /**
+   * Liest den Server-Sent-Events-Stream GET /api/project/:id/events
+   * ERKLÄRUNG: Wir nutzen fetch() statt EventSource, weil EventSource
+   * keinen Authorization-Header mitschicken kann
+   * @returns {Object} - Ergebnis aus dem 'done' Event
+   */
+  async function streamProjectEvents(projectId, onEvent) {
+    const API_URL = window.ServionicsConfig?.API_URL || 'http://localhost:3001';
+
+    const response = await fetch(`${API_URL}/api/project/${projectId}/events`, {
+      headers: {
+        'Accept': 'text/event-stream',
+        'Authorization': window.ServionicsConfig?.getAuthHeader() || ''
+      }
+    });
+
+    if (!response.ok || !response.body) {
+      throw new Error(`Event-Stream nicht verfügbar (${response.status})`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+
+      // Ein SSE-Event endet mit einer Leerzeile
+      let boundary;
+      while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+        const event = parseServerSentEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+        if (!event) continue;
+
+        onEvent(event);
+
+        if (event.type === 'done') {
+          reader.cancel();
+          return event.data.result || { success: false, projectId, error: 'Kein Ergebnis' };
+        }
+      }
+    }
+
+    throw new Error('Event-Stream wurde vor Abschluss beendet');
+  }
+
+  /**
+   * Parst einen SSE-Block ("event: ...\ndata: ...") in { type, data }
+   */
+  function parseServerSentEvent(block) {
+    let type = 'message';
+    let data = '';
+
+    block.split('\n').forEach(line => {
+      if (line.startsWith('event:')) type = line.slice(6).trim();
+      else if (line.startsWith('data:')) data += line.slice(5).trim();
+    });
+
+    if (!data) return null; // z.B. Keep-Alive-Kommentar
+    return { type, data: JSON.parse(data) };
+  }
+
+  /**
+   * Überträgt Pipeline-Events auf die Phasen-Anzeige
+   */
+  function handlePipelineEvent(event) {
+    const { type, data } = event;
+
+    if (type === 'queued') {
+      setAnalysisHeadline(`In Warteschlange (Position ${data.queuePosition})...`);
+    } else if (type === 'phase_start') {
+      setAnalysisHeadline('Wir analysieren Ihr Video und erstellen eine 3D-Umgebung');
+      updateAnalysisStage(data.phase, 'processing');
+    } else if (type === 'phase_progress') {
+      updateAnalysisStage(data.phase, 'processing', describePipelineProgress(data));
+    } else if (type === 'phase_complete') {
+      updateAnalysisStage(data.phase, 'active');
+    } else if (type === 'phase_waiting') {
+      // Pipeline pausiert bis der GPU-Worker die 3D-Szene hochgeladen hat
+      setAnalysisHeadline('Ihre 3D-Umgebung wird auf unserem GPU-Server berechnet...');
+      updateAnalysisStage(data.phase, 'processing', 'Wartet auf GPU-Worker');
+    }
+  }
+
+  /**
+   * Kurzer Text zu einem Zwischenschritt (phase_progress)
+   */
+  function describePipelineProgress(data) {
+    switch (data.step) {
+      case 'clip_started': return `Video ${data.clip}/${data.clips} wird analysiert`;
+      case 'photos_loaded': return `${data.count} Fotos, ${data.width}x${data.height}`;
+      case 'metadata': return `${data.duration}s Video, ${data.width}x${data.height}`;
+      case 'keyframes_extracted': return `${data.count} Keyframes extrahiert`;
+      case 'frames_analyzed': return `Frame ${data.analyzed}/${data.total} analysiert`;
+      case 'timeline_analyzed': return data.badSegments > 0 ? `${data.badSegments} unbrauchbare(r) Abschnitt(e)` : 'Zeitverlauf geprüft';
+      case 'splatting_analysis': return '3D-Eignung wird geprüft...';
+      case 'splatting_analyzed': return `3D-Eignung: ${data.splattingScore}/100`;
+      case 'session_ready': return 'Simulation gestartet';
+      case 'reachability_checked': return `Erreichbarkeit: ${data.score}%`;
+      case 'collisions_checked': return data.detected ? `${data.count} Kollisionen erkannt` : 'Keine Kollisionen';
+      case 'preview_rendered': return 'Vorschau gerendert';
+      default: return null;
+    }
+  }
+
+  /**
+   * Pollt den Projekt-Status bis die Hintergrund-Pipeline fertig ist
+   * ERKLÄRUNG: Der Upload kehrt sofort zurück, das Ergebnis holen wir
+   * uns alle 2 Sekunden über GET /api/project/:id/status ab
+   * @returns {Object} - Pipeline-Ergebnis (wie früher direkt vom Upload)
+   */
+  async function waitForPipeline(projectId, onProgress) {
+    const API_URL = window.ServionicsConfig?.API_URL || 'http://localhost:3001';
+
+    while (true) {
+      await new Promise(resolve => setTimeout(resolve, 2000));
+
+      const response = await fetch(`${API_URL}/api/project/${projectId}/status`, {
+        headers: {
+          'Authorization': window.ServionicsConfig?.getAuthHeader() || ''
+        }
+      });
+      const status = await response.json();
+
+      if (!status.success) {
+        return { success: false, projectId, error: status.error };
+      }
+
+      if (status.status === 'complete' || status.status === 'failed') {
+        return status.result || { success: false, projectId, error: status.error?.userMessage };
+      }
+
+      onProgress(status);
+    }
+  }
+
   /**
    * Zeige Quality-Feedback mit erweiterten Splatting-Checks
    * ERKLÄRUNG: Zeigt jetzt sowohl Basic Quality als auch 3D-Rekonstruktions-Eignung
    */
-  function showQualityFeedback(result) {
+  function showQualityFeedback(result, files = []) {
     const projectCheck = document.querySelector('.project-check__container');
     if (!projectCheck) return;
 
@@ -327,6 +768,7 @@ function initUploadZone() {
     const checkLabels = {
       'cameraMotion': '📹 Kamerabewegung',
       'frameOverlap': '🖼️ Frame-Überlappung',
+      'parallax': '📐 Parallaxe',
       'exposureConsistency': '💡 Belichtungs-Konsistenz',
       'reflectiveSurfaces': '✨ Reflektierende Flächen',
       'sceneStaticness': '🏛️ Szene statisch',
@@ -376,6 +818,19 @@ function initUploadZone() {
           <p class="text-muted">${result.feedback || 'Bitte optimieren Sie das Video gemäß den Vorschlägen.'}</p>
         </div>
         
+        ${result.clips && result.clips.length > 1 ? `
+          <div class="quality-feedback__suggestions quality-feedback__clips">
+            <h4>🎞️ Ihre Videos:</h4>
+            <ul>
+              ${result.clips.map(clip => `
+                <li style="color: ${clip.accepted ? '#10B981' : '#EF4444'}">
+                  ${clip.accepted ? '✓' : '✗'} ${escapeHtml(clip.originalName || clip.clipId)}: ${clip.score}/100${clip.accepted ? '' : ' – wird nicht verwendet'}
+                </li>
+              `).join('')}
+            </ul>
+          </div>
+        ` : ''}
+
         ${result.suggestions && result.suggestions.length > 0 ? `
           <div class="quality-feedback__suggestions">
             <h4>💡 Verbesserungsvorschläge:</h4>
@@ -385,6 +840,8 @@ function initUploadZone() {
           </div>
         ` : ''}
         
+        ${renderTimelinePreviews(result, files)}
+
         <div class="quality-feedback__sections">
           <!-- Left: Basic Quality -->
           <div class="quality-feedback__section">
@@ -423,8 +880,12 @@ function initUploadZone() {
           ` : ''}
         </div>
         
+        ${splatting.coverage ? renderCoveragePlot(splatting.coverage) : ''}
+
         <div class="quality-feedback__info">
-          <p>📹 ${result.keyframeCount || 0} Keyframes analysiert • ⏱️ ${result.duration || 0}s Videolänge${result.resolution ? ` • 📐 ${result.resolution.width}x${result.resolution.height}` : ''}</p>
+          <p>${result.imageCount
+            ? `📷 ${result.imageCount} Fotos analysiert`
+            : `📹 ${result.keyframeCount || 0} Keyframes analysiert • ⏱️ ${result.duration || 0}s Videolänge`}${result.resolution ? ` • 📐 ${result.resolution.width}x${result.resolution.height}` : ''}</p>
         </div>
         
         <div class="quality-feedback__actions">
@@ -439,6 +900,7 @@ function initUploadZone() {
     `;
 
     addEnhancedQualityFeedbackStyles();
+    bindTimelineStrips(projectCheck);
 
     // Event Listener für "Angebot ansehen" Button
     if (result.success) {
@@ -451,6 +913,165 @@ function initUploadZone() {
     }
   }
 
+  /**
+   * Videovorschau mit Qualitäts-Streifen je Video (Phase-1-Zeitleiste):
+   * grün = gut, gelb = grenzwertig, rot = schlecht, umrandet = schlechter
+   * Abschnitt. Klick auf den Streifen springt im Video an die Stelle
+   * @param {Object} result - Phase-1-Ergebnis mit `clips[].timeline`
+   * @param {File[]} files - Hochgeladene Videos in Upload-Reihenfolge (= clip-1, clip-2, ...)
+   */
+  function renderTimelinePreviews(result, files) {
+    const clips = (result.clips || [])
+      .map((clip, index) => ({ clip, file: files[index] }))
+      .filter(({ clip }) => clip.timeline?.samples?.length > 0);
+
+    revokeTimelinePreviewUrls();
+    if (clips.length === 0) return '';
+
+    const heatColor = (score) => score >= 70 ? '#10B981' : score >= 50 ? '#F59E0B' : '#EF4444';
+    const time = (seconds) => {
+      const whole = Math.round(seconds);
+      return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    };
+
+    return `
+      <div class="quality-feedback__section timeline-preview">
+        <h4>⏱️ Qualität im Zeitverlauf</h4>
+        ${clips.map(({ clip, file }) => {
+          const { samples, interval, badSegments } = clip.timeline;
+          const duration = clip.duration || samples.length * interval;
+          const percent = (seconds) => Math.min(100, seconds / duration * 100).toFixed(2);
+
+          const cells = samples.map(sample => `
+            <div class="timeline-strip__cell" style="left: ${percent(sample.t)}%; width: ${percent(interval)}%; background: ${heatColor(sample.score)}"
+              title="${time(sample.t)} – ${sample.score}/100${sample.issues.length > 0 ? `: ${sample.issues.join(', ')}` : ''}"></div>
+          `).join('');
+          const segments = badSegments.map(segment => `
+            <div class="timeline-strip__segment" style="left: ${percent(segment.start)}%; width: ${percent(segment.end - segment.start)}%"></div>
+          `).join('');
+
+          let note = '✓ Keine unbrauchbaren Abschnitte';
+          if (clip.trim) {
+            note = `✂️ Wird vor der Rekonstruktion herausgeschnitten: ${badSegments.map(segment => segment.label).join(', ')} (${clip.trim.removedSeconds}s)`;
+          } else if (badSegments.length > 0) {
+            note = `⚠️ Unbrauchbar: ${badSegments.map(segment => `${segment.label} (${segment.reasons.join(', ')})`).join('; ')}`;
+          }
+
+          let videoUrl = null;
+          if (file) {
+            videoUrl = URL.createObjectURL(file);
+            timelinePreviewUrls.push(videoUrl);
+          }
+
+          return `
+            <div class="timeline-preview__clip">
+              ${clips.length > 1 ? `<p class="timeline-preview__name">${escapeHtml(clip.originalName || clip.clipId)}</p>` : ''}
+              ${videoUrl ? `<video class="timeline-preview__video" src="${videoUrl}" controls muted preload="metadata"></video>` : ''}
+              <div class="timeline-strip" data-duration="${duration}">
+                ${cells}
+                ${segments}
+                <div class="timeline-strip__playhead"></div>
+              </div>
+              <p class="timeline-preview__note">${escapeHtml(note)}</p>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Streifen und Video verbinden: Klick springt, Abspielposition wandert mit
+   */
+  function bindTimelineStrips(container) {
+    container.querySelectorAll('.timeline-preview__clip').forEach(clipEl => {
+      const video = clipEl.querySelector('video');
+      const strip = clipEl.querySelector('.timeline-strip');
+      const playhead = clipEl.querySelector('.timeline-strip__playhead');
+      if (!video || !strip) return;
+
+      const duration = Number(strip.dataset.duration) || 1;
+
+      strip.addEventListener('click', (event) => {
+        const rect = strip.getBoundingClientRect();
+        video.currentTime = (event.clientX - rect.left) / rect.width * duration;
+      });
+      video.addEventListener('timeupdate', () => {
+        playhead.style.left = `${Math.min(100, video.currentTime / duration * 100)}%`;
+      });
+    });
+  }
+
+  /**
+   * Kamerabahn von oben (SVG): Weg, Start/Ende, Szenenmitte und
+   * Abdeckungsring - grün = aufgenommen, rot = Lücke
+   * @param {Object} coverage - splattingSuitability.coverage aus Phase 1
+   */
+  function renderCoveragePlot(coverage) {
+    const points = coverage.points || [];
+    if (points.length < 2) return '';
+
+    // Plot-Koordinaten: y nach oben, Ring knapp außerhalb der Bahn
+    const ring = Math.max(1, ...points.map(p => Math.hypot(p.x, p.y))) + 0.25;
+    const size = ring + 0.2;
+    const pt = (x, y) => `${x.toFixed(3)},${(-y).toFixed(3)}`;
+    const polar = (degrees, r) => {
+      const a = (degrees - 90) * Math.PI / 180; // 0° = Startposition unten
+      return pt(r * Math.cos(a), r * Math.sin(a));
+    };
+
+    const gapSectors = new Set();
+    (coverage.gaps || []).forEach(gap => {
+      for (let deg = gap.from; deg !== gap.to % 360; deg = (deg + 10) % 360) gapSectors.add(deg / 10);
+    });
+    const sectors = (coverage.sectorVisits || []).map((visits, i) => {
+      const color = visits > 0 ? '#10B981' : gapSectors.has(i) ? '#EF4444' : '#6B7280';
+      return `<path d="M ${polar(i * 10 + 1, ring)} A ${ring} ${ring} 0 0 0 ${polar(i * 10 + 9, ring)}" stroke="${color}" stroke-width="${visits > 1 ? 0.12 : 0.07}" fill="none" />`;
+    }).join('');
+
+    // Verlorene Paare gestrichelt - dort ist die Bahn nur geraten
+    const lost = new Set((coverage.trackingGaps || []).map(gap => gap.fromFrame));
+    const segments = points.slice(1).map((p, i) => `
+      <line x1="${points[i].x}" y1="${-points[i].y}" x2="${p.x}" y2="${-p.y}"
+        class="${lost.has(points[i].frame) ? 'coverage-plot__lost' : 'coverage-plot__path'}" />
+    `).join('');
+
+    const start = points[0];
+    const end = points[points.length - 1];
+    const arrowX = end.x + Math.cos(end.heading) * 0.25;
+    const arrowY = end.y + Math.sin(end.heading) * 0.25;
+
+    return `
+      <div class="quality-feedback__section coverage-plot">
+        <h4>🧭 Aufnahme-Abdeckung</h4>
+        <svg viewBox="${-size} ${-size} ${size * 2} ${size * 2}" role="img" aria-label="Kamerabahn von oben">
+          ${sectors}
+          <line x1="-0.08" y1="0" x2="0.08" y2="0" class="coverage-plot__center" />
+          <line x1="0" y1="-0.08" x2="0" y2="0.08" class="coverage-plot__center" />
+          ${segments}
+          <line x1="${end.x}" y1="${-end.y}" x2="${arrowX.toFixed(3)}" y2="${(-arrowY).toFixed(3)}" class="coverage-plot__heading" />
+          <circle cx="${start.x}" cy="${-start.y}" r="0.07" fill="#10B981" />
+          <circle cx="${end.x}" cy="${-end.y}" r="0.07" fill="#3B82F6" />
+        </svg>
+        <div class="coverage-plot__legend">
+          <span style="color: #10B981">● Start</span>
+          <span style="color: #3B82F6">● Ende</span>
+          <span style="color: #EF4444">━ Lücke</span>
+        </div>
+        <p class="coverage-plot__summary">${escapeHtml(coverage.summary || '')}</p>
+        ${coverage.recommendation ? `<p class="coverage-plot__recommendation">💡 ${escapeHtml(coverage.recommendation)}</p>` : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Blob-URLs der letzten Videovorschau freigeben
+   */
+  function revokeTimelinePreviewUrls() {
+    timelinePreviewUrls.forEach(url => URL.revokeObjectURL(url));
+    timelinePreviewUrls = [];
+  }
+
   /**
    * Zeige erfolgreiches Angebot
    */
@@ -458,6 +1079,9 @@ function initUploadZone() {
     const projectCheck = document.querySelector('.project-check__container');
     if (!projectCheck) return;
 
+    // Vorschau-Videos verschwinden mit dem Quality-Feedback
+    revokeTimelinePreviewUrls();
+
     const statusColors = {
       'green': '#10B981',
       'yellow': '#F59E0B',
@@ -752,6 +1376,99 @@ function initUploadZone() {
         font-size: var(--text-xs);
         color: var(--color-gray-300);
       }
+      .timeline-preview {
+        margin: var(--space-4) 0;
+      }
+      .timeline-preview__clip + .timeline-preview__clip {
+        margin-top: var(--space-4);
+      }
+      .timeline-preview__name {
+        font-size: var(--text-xs);
+        color: var(--color-gray-300);
+        margin-bottom: var(--space-1);
+      }
+      .timeline-preview__video {
+        display: block;
+        width: 100%;
+        max-height: 280px;
+        background: #000;
+        border-radius: var(--radius-md) var(--radius-md) 0 0;
+      }
+      .timeline-strip {
+        position: relative;
+        height: 14px;
+        background: rgba(255,255,255,0.05);
+        border-radius: 0 0 var(--radius-sm) var(--radius-sm);
+        overflow: hidden;
+        cursor: pointer;
+      }
+      .timeline-strip__cell {
+        position: absolute;
+        top: 0;
+        bottom: 0;
+        opacity: 0.85;
+      }
+      .timeline-strip__segment {
+        position: absolute;
+        top: 0;
+        bottom: 0;
+        border: 2px solid #EF4444;
+        box-sizing: border-box;
+        pointer-events: none;
+      }
+      .timeline-strip__playhead {
+        position: absolute;
+        top: 0;
+        bottom: 0;
+        left: 0;
+        width: 2px;
+        background: #fff;
+        pointer-events: none;
+      }
+      .timeline-preview__note {
+        margin-top: var(--space-2);
+        font-size: var(--text-xs);
+        color: var(--color-gray-300);
+      }
+      .coverage-plot {
+        margin-top: var(--space-4);
+      }
+      .coverage-plot svg {
+        display: block;
+        width: 220px;
+        max-width: 100%;
+        margin: 0 auto;
+      }
+      .coverage-plot__path {
+        stroke: var(--color-gray-300);
+        stroke-width: 0.03;
+        stroke-linecap: round;
+      }
+      .coverage-plot__lost {
+        stroke: #EF4444;
+        stroke-width: 0.03;
+        stroke-dasharray: 0.06 0.05;
+      }
+      .coverage-plot__heading {
+        stroke: #3B82F6;
+        stroke-width: 0.03;
+      }
+      .coverage-plot__center {
+        stroke: var(--color-gray-500);
+        stroke-width: 0.02;
+      }
+      .coverage-plot__legend {
+        display: flex;
+        justify-content: center;
+        gap: var(--space-3);
+        font-size: 10px;
+      }
+      .coverage-plot__summary,
+      .coverage-plot__recommendation {
+        margin-top: var(--space-2);
+        font-size: var(--text-xs);
+        color: var(--color-gray-300);
+      }
       .quality-feedback__info {
         margin: var(--space-4) 0;
         padding: var(--space-2);
@@ -842,7 +1559,18 @@ function initUploadZone() {
 }
 
 /**
- * Show analysis step (mock)
+ * Phasen der Backend-Pipeline für die Analyse-Anzeige
+ */
+const ANALYSIS_STAGES = [
+  { phase: 'ingest', title: 'Video-Analyse', description: 'Frames extrahieren und Qualität prüfen' },
+  { phase: 'capture', title: '3D-Rekonstruktion', description: 'Umgebung wird erstellt' },
+  { phase: 'construct', title: 'AI Construction', description: 'Roboterzelle platzieren' },
+  { phase: 'simulate', title: 'Simulation', description: 'Bewegungsanalyse' },
+  { phase: 'output', title: 'Angebot', description: 'Kosten und Zeitplan berechnen' }
+];
+
+/**
+ * Show analysis step - wird live über updateAnalysisStage() aktualisiert
  */
 function showAnalysisStep() {
   const projectCheck = document.querySelector('.project-check__container');
@@ -853,41 +1581,19 @@ function showAnalysisStep() {
       <div class="analysis-step__header">
         <div class="analysis-step__icon animate-glow">🔍</div>
         <h3>Analyse läuft...</h3>
-        <p class="text-muted">Wir analysieren Ihr Video und erstellen eine 3D-Umgebung</p>
+        <p class="text-muted analysis-step__headline">Ihr Projekt wird vorbereitet</p>
       </div>
       
       <div class="analysis-step__stages">
-        <div class="analysis-stage active">
-          <div class="analysis-stage__icon">✓</div>
-          <div class="analysis-stage__content">
-            <div class="analysis-stage__title">Video verarbeitet</div>
-            <div class="analysis-stage__description">Frames extrahiert und analysiert</div>
-          </div>
-        </div>
-        
-        <div class="analysis-stage processing">
-          <div class="analysis-stage__icon animate-pulse">⚙️</div>
-          <div class="analysis-stage__content">
-            <div class="analysis-stage__title">3D-Rekonstruktion</div>
-            <div class="analysis-stage__description">Umgebung wird erstellt...</div>
-          </div>
-        </div>
-        
-        <div class="analysis-stage pending">
-          <div class="analysis-stage__icon">○</div>
-          <div class="analysis-stage__content">
-            <div class="analysis-stage__title">AI Construction</div>
-            <div class="analysis-stage__description">Roboterzelle platzieren</div>
-          </div>
-        </div>
-        
-        <div class="analysis-stage pending">
-          <div class="analysis-stage__icon">○</div>
-          <div class="analysis-stage__content">
-            <div class="analysis-stage__title">Simulation</div>
-            <div class="analysis-stage__description">Bewegungsanalyse</div>
+        ${ANALYSIS_STAGES.map(stage => `
+          <div class="analysis-stage pending" data-phase="${stage.phase}">
+            <div class="analysis-stage__icon">○</div>
+            <div class="analysis-stage__content">
+              <div class="analysis-stage__title">${stage.title}</div>
+              <div class="analysis-stage__description">${stage.description}</div>
+            </div>
           </div>
-        </div>
+        `).join('')}
       </div>
       
       <div class="analysis-step__preview">
@@ -900,8 +1606,11 @@ function showAnalysisStep() {
     </div>
   `;
 
+  if (document.getElementById('analysis-step-styles')) return;
+
   // Add styles for analysis step
   const style = document.createElement('style');
+  style.id = 'analysis-step-styles';
   style.textContent = `
     .analysis-step {
       text-align: center;
@@ -1014,6 +1723,58 @@ function showAnalysisStep() {
   document.head.appendChild(style);
 }
 
+/**
+ * Setzt den Zustand einer Phase in der Analyse-Anzeige
+ * @param {string} phase - 'ingest' | 'capture' | 'construct' | 'simulate' | 'output'
+ * @param {string} state - 'processing' | 'active' (= erledigt)
+ * @param {string} [description] - Optionaler Text zum aktuellen Zwischenschritt
+ */
+function updateAnalysisStage(phase, state, description) {
+  const stageEl = document.querySelector(`.analysis-stage[data-phase="${phase}"]`);
+  if (!stageEl) return;
+
+  // Alle vorherigen Phasen sind damit abgeschlossen
+  const index = ANALYSIS_STAGES.findIndex(s => s.phase === phase);
+  ANALYSIS_STAGES.slice(0, index).forEach(s => {
+    const previous = document.querySelector(`.analysis-stage[data-phase="${s.phase}"]`);
+    if (previous && !previous.classList.contains('active')) {
+      setStageState(previous, 'active');
+    }
+  });
+
+  setStageState(stageEl, state);
+
+  if (description) {
+    stageEl.querySelector('.analysis-stage__description').textContent = description;
+  }
+}
+
+function setStageState(stageEl, state) {
+  stageEl.classList.remove('pending', 'processing', 'active');
+  stageEl.classList.add(state);
+
+  const icon = stageEl.querySelector('.analysis-stage__icon');
+  icon.textContent = state === 'active' ? '✓' : '⚙️';
+  icon.classList.toggle('animate-pulse', state === 'processing');
+}
+
+/**
+ * Text unter der Überschrift der Analyse-Anzeige
+ */
+function setAnalysisHeadline(text) {
+  const headline = document.querySelector('.analysis-step__headline');
+  if (headline) headline.textContent = text;
+}
+
+/**
+ * Escape user-provided text (e.g. file names) before it goes into innerHTML
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = String(text);
+  return div.innerHTML;
+}
+
 /**
  * Simple notification system
  */
@@ -93,33 +93,59 @@ function getProjectIdFromUrl() {
 // API Communication
 // ============================================
 
-async function getSplatUrl(projectId) {
+// Format-Hinweis für addSplatScene - Blob-URLs haben keine Dateiendung
+const SplatFormats = {
+    splat: GaussianSplats3D.SceneFormat.Splat,
+    ply: GaussianSplats3D.SceneFormat.Ply
+};
+
+/**
+ * Splat source for addSplatScene: { url, format, revoke }
+ * Die Datei wird mit ServionicsConfig.fetch geladen (Authorization-Header
+ * bzw. Freigabe-Token) und als Blob-URL übergeben - der Viewer selbst
+ * lädt URLs ohne Header, /api/project/:id/splat würde mit 401 antworten.
+ */
+async function getSplatSource(projectId) {
     // For demo mode, return demo splat
     if (projectId === 'demo') {
-        return ViewerConfig.demoSplat;
+        return { url: ViewerConfig.demoSplat };
     }
 
     // Try to get splat from API
-    try {
-        const apiUrl = window.CONFIG?.API_URL || 'http://localhost:3001';
-        const response = await fetch(`${apiUrl}/api/project/${projectId}`);
+    const response = await window.ServionicsConfig.fetch(`/api/project/${projectId}/viewer`).catch(() => null);
 
-        if (!response.ok) {
+    // Freigabe-Link abgelaufen/widerrufen - nicht stillschweigend die Demo zeigen
+    if (response?.status === 401 && window.ServionicsConfig.getShareToken()) {
+        throw new Error('Dieser Freigabe-Link ist abgelaufen oder wurde widerrufen.');
+    }
+
+    try {
+        if (!response?.ok) {
             throw new Error('Project not found');
         }
 
         const data = await response.json();
 
         // Check if project has a splat file
-        if (data.project?.splatUrl) {
-            return data.project.splatUrl;
+        if (!data.viewer?.splatUrl) {
+            throw new Error('Project has no splat');
         }
 
-        // Fallback to local output folder
-        return `/output/${projectId}/scene.splat`;
+        updateLoadingText('Lade 3D-Modell...');
+        const splatResponse = await window.ServionicsConfig.fetch(data.viewer.splatUrl);
+        if (!splatResponse.ok) {
+            throw new Error(`Splat download failed (${splatResponse.status})`);
+        }
+
+        const url = URL.createObjectURL(await splatResponse.blob());
+        return {
+            url,
+            format: SplatFormats[data.viewer.format],
+            revoke: () => URL.revokeObjectURL(url)
+        };
     } catch (error) {
         console.warn('[Viewer] API error, using demo splat:', error);
-        return ViewerConfig.demoSplat;
+        return { url: ViewerConfig.demoSplat };
     }
 }
 
@@ -134,8 +160,7 @@ async function getProjectInfo(projectId) {
     }
 
     try {
-        const apiUrl = window.CONFIG?.API_URL || 'http://localhost:3001';
-        const response = await fetch(`${apiUrl}/api/project/${projectId}`);
+        const response = await window.ServionicsConfig.fetch(`/api/project/${projectId}/viewer`);
 
         if (response.ok) {
             const data = await response.json();
@@ -178,9 +203,9 @@ async function initViewer() {
 
         // Get splat URL
         updateLoadingText('Bereite 3D-Viewer vor...');
-        const splatUrl = await getSplatUrl(projectId);
+        const splat = await getSplatSource(projectId);
 
-        console.log(`[Viewer] Loading splat from: ${splatUrl}`);
+        console.log(`[Viewer] Loading splat from: ${splat.url}`);
 
         // Clear any existing canvas content
         elements.canvas.innerHTML = '';
@@ -203,13 +228,18 @@ async function initViewer() {
         });
 
         // Add splat scene with progress callback
-        updateLoadingText('Lade 3D-Modell...');
-
-        await viewer.addSplatScene(splatUrl, {
-            splatAlphaRemovalThreshold: 5,
-            showLoadingUI: false,
-            progressiveLoad: true
-        });
+        updateLoadingText('Verarbeite 3D-Modell...');
+
+        try {
+            await viewer.addSplatScene(splat.url, {
+                format: splat.format,
+                splatAlphaRemovalThreshold: 5,
+                showLoadingUI: false,
+                progressiveLoad: true
+            });
+        } finally {
+            splat.revoke?.();
+        }
 
         // Start rendering
         updateLoadingText('Starte Rendering...');